@@ -0,0 +1,52 @@
+const crypto = require('crypto');
+
+/**
+ * Interface for TTL caches.
+ *
+ * Entries have the shape { value, storedAt } where storedAt is an ISO timestamp.
+ * Values must be JSON-serializable. Implementations must provide every method
+ * below; all of them are async.
+ */
+class Cache {
+  /**
+   * Get an unexpired entry
+   * @param {string} key - Cache key
+   * @returns {Promise<Object|null>} - { value, storedAt }, or null on a miss
+   */
+  async get(key) {
+    throw new Error(`${this.constructor.name} does not implement get`);
+  }
+
+  /**
+   * Store a value
+   * @param {string} key - Cache key
+   * @param {*} value - The value to store
+   * @param {number} ttlMs - Time to live in milliseconds
+   * @returns {Promise<void>}
+   */
+  async set(key, value, ttlMs) {
+    throw new Error(`${this.constructor.name} does not implement set`);
+  }
+
+  /**
+   * Remove an entry
+   * @param {string} key - Cache key
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    throw new Error(`${this.constructor.name} does not implement delete`);
+  }
+}
+
+/**
+ * Build a cache key from a namespace and the values that identify an entry
+ * @param {string} namespace - Key prefix, e.g. 'source:market' or 'answer'
+ * @param {...*} parts - JSON-serializable values the entry depends on
+ * @returns {string} - The cache key
+ */
+Cache.key = (namespace, ...parts) => {
+  const hash = crypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex');
+  return `cre:${namespace}:${hash}`;
+};
+
+module.exports = Cache;
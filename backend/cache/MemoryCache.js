@@ -0,0 +1,55 @@
+const Cache = require('./Cache');
+
+/**
+ * In-process TTL cache. Keeps at most `limit` entries and evicts the least
+ * recently used ones.
+ */
+class MemoryCache extends Cache {
+  /**
+   * @param {Object} options - Cache options
+   * @param {number} options.limit - Maximum number of entries to keep
+   */
+  constructor({ limit = 500 } = {}) {
+    super();
+    this.limit = limit;
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return null;
+    }
+
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+
+    // Move to the most recently used position
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+
+    return { value: entry.value, storedAt: entry.storedAt };
+  }
+
+  async set(key, value, ttlMs) {
+    this.entries.delete(key);
+    this.entries.set(key, {
+      value,
+      storedAt: new Date().toISOString(),
+      expiresAt: Date.now() + ttlMs
+    });
+
+    while (this.entries.size > this.limit) {
+      const oldest = this.entries.keys().next().value;
+      this.entries.delete(oldest);
+    }
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+}
+
+module.exports = MemoryCache;
@@ -0,0 +1,16 @@
+const Cache = require('./Cache');
+
+/**
+ * Cache that stores nothing, used when caching is turned off (CACHE_BACKEND=none)
+ */
+class NullCache extends Cache {
+  async get() {
+    return null;
+  }
+
+  async set() {}
+
+  async delete() {}
+}
+
+module.exports = NullCache;
@@ -0,0 +1,76 @@
+const { createClient } = require('redis');
+const Cache = require('./Cache');
+
+/**
+ * TTL cache shared through Redis, so cached results survive restarts and are
+ * shared between server instances. Redis errors are logged and treated as misses.
+ */
+class RedisCache extends Cache {
+  /**
+   * @param {Object} options - Cache options
+   * @param {string} options.url - Redis connection URL
+   */
+  constructor({ url }) {
+    super();
+    this.client = createClient({
+      url,
+      // Fail fast instead of queueing commands while Redis is unreachable
+      disableOfflineQueue: true,
+      socket: {
+        connectTimeout: 2000,
+        reconnectStrategy: retries => (retries > 3 ? new Error('Redis unreachable') : retries * 200)
+      }
+    });
+    this.client.on('error', error => console.error('Redis cache error:', error.message));
+    this.connecting = null;
+  }
+
+  async get(key) {
+    try {
+      await this.connect();
+      const stored = await this.client.get(key);
+      return stored ? JSON.parse(stored) : null;
+    } catch (error) {
+      console.warn(`Redis cache read failed for ${key}:`, error.message);
+      return null;
+    }
+  }
+
+  async set(key, value, ttlMs) {
+    try {
+      await this.connect();
+      const entry = { value, storedAt: new Date().toISOString() };
+      await this.client.set(key, JSON.stringify(entry), { PX: Math.max(1, Math.round(ttlMs)) });
+    } catch (error) {
+      console.warn(`Redis cache write failed for ${key}:`, error.message);
+    }
+  }
+
+  async delete(key) {
+    try {
+      await this.connect();
+      await this.client.del(key);
+    } catch (error) {
+      console.warn(`Redis cache delete failed for ${key}:`, error.message);
+    }
+  }
+
+  /**
+   * Connect on first use
+   * @returns {Promise<void>}
+   */
+  async connect() {
+    if (this.client.isReady) {
+      return;
+    }
+    if (!this.connecting) {
+      this.connecting = this.client.connect().catch(error => {
+        this.connecting = null;
+        throw error;
+      });
+    }
+    await this.connecting;
+  }
+}
+
+module.exports = RedisCache;
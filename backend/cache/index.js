@@ -0,0 +1,41 @@
+const Cache = require('./Cache');
+const MemoryCache = require('./MemoryCache');
+const RedisCache = require('./RedisCache');
+const NullCache = require('./NullCache');
+
+let cache = null;
+
+/**
+ * Create the cache selected by CACHE_BACKEND (memory, redis or none)
+ * @returns {Cache} - The cache
+ */
+const createCache = () => {
+  const backend = (process.env.CACHE_BACKEND || 'memory').toLowerCase();
+
+  switch (backend) {
+    case 'redis':
+      return new RedisCache({ url: process.env.REDIS_URL || 'redis://localhost:6379' });
+    case 'none':
+      return new NullCache();
+    case 'memory':
+      return new MemoryCache({ limit: parseInt(process.env.CACHE_MEMORY_LIMIT || '500', 10) });
+    default:
+      throw new Error(`Unsupported cache backend: ${backend}`);
+  }
+};
+
+/**
+ * Get the shared cache, creating it on first use
+ * @returns {Cache} - The cache
+ */
+const getCache = () => {
+  if (!cache) {
+    cache = createCache();
+  }
+  return cache;
+};
+
+module.exports = {
+  getCache,
+  cacheKey: Cache.key
+};
@@ -0,0 +1,132 @@
+/**
+ * Source credibility and freshness configuration
+ *
+ * Every result is placed in a credibility tier: by its source (name or link
+ * host) when listed below, otherwise by its result type. Placeholder and
+ * boilerplate results (mock or internal provenance) are always internal.
+ *
+ * CREDIBILITY_WEIGHTS overrides any of this as JSON, e.g.
+ * {"tiers": {"trade_press": 0.75}, "types": {"market_report": "government"}, "sources": {"CoStar": 0.8}}
+ * where types and sources map to a tier name or a weight between 0 and 1.
+ * Weights outside 0-1 are clamped and unknown tier names are ignored.
+ */
+
+const TIERS = {
+  government: { label: 'Government data', weight: 1 },
+  peer_reviewed: { label: 'Peer-reviewed research', weight: 0.85 },
+  trade_press: { label: 'Trade press', weight: 0.7 },
+  general_web: { label: 'General web', weight: 0.5 },
+  uploaded: { label: 'Uploaded document', weight: 0.8 },
+  internal: { label: 'Internal placeholder', weight: 0.2 }
+};
+
+// Tier of each research result type
+const TYPE_TIERS = {
+  economic_data: 'government',
+  academic_paper: 'peer_reviewed',
+  news_article: 'trade_press',
+  market_report: 'trade_press',
+  certification_data: 'trade_press',
+  knowledge_base: 'general_web',
+  web_content: 'general_web',
+  uploaded_document: 'uploaded'
+};
+
+// Tier of known sources, matched against the result's source name or link host
+const SOURCE_TIERS = {
+  FRED: 'government',
+  'stlouisfed.org': 'government',
+  '.gov': 'government',
+  arXiv: 'peer_reviewed',
+  Wikipedia: 'general_web',
+  'Google Trends': 'general_web',
+  'Internal Analysis': 'internal',
+  'Internal Database': 'internal'
+};
+
+// Days until a result's freshness halves; types without one don't age
+const HALF_LIFE_DAYS = {
+  news_article: 180,
+  economic_data: 180,
+  market_report: 365,
+  web_content: 365,
+  certification_data: 730,
+  academic_paper: 1095
+};
+
+// Freshness never drops below this, so old but authoritative data still counts
+const FRESHNESS_FLOOR = 0.5;
+
+// Freshness of results without a usable publication date
+const UNDATED_FRESHNESS = 0.8;
+
+/**
+ * Read the CREDIBILITY_WEIGHTS overrides
+ * @returns {Object} - { tiers, types, sources }
+ */
+const getOverrides = () => {
+  let overrides;
+  try {
+    overrides = JSON.parse(process.env.CREDIBILITY_WEIGHTS || '{}');
+  } catch (error) {
+    console.warn('Ignoring invalid CREDIBILITY_WEIGHTS:', error.message);
+    return {};
+  }
+
+  if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+    console.warn('Ignoring invalid CREDIBILITY_WEIGHTS: expected a JSON object');
+    return {};
+  }
+  return overrides;
+};
+
+/**
+ * Clamp a configured weight to between 0 and 1
+ * @param {number} weight - The weight
+ * @returns {number} - The clamped weight
+ */
+const clampWeight = weight => Math.min(Math.max(weight, 0), 1);
+
+/**
+ * Get the credibility configuration with overrides applied
+ * @returns {Object} - { tiers, types, typeWeights, sources, halfLifeDays, freshnessFloor, undatedFreshness }
+ *   where types maps result types to tiers and typeWeights holds the types given a custom weight
+ */
+const getCredibilityConfig = () => {
+  const overrides = getOverrides();
+
+  // A type given a weight keeps its tier; settings that are neither are ignored
+  const types = { ...TYPE_TIERS };
+  const typeWeights = {};
+  Object.entries(overrides.types || {}).forEach(([type, setting]) => {
+    if (typeof setting === 'number') {
+      typeWeights[type] = clampWeight(setting);
+    } else if (TIERS[setting]) {
+      types[type] = setting;
+    } else {
+      console.warn(`Ignoring CREDIBILITY_WEIGHTS type ${type}: ${JSON.stringify(setting)} is not a tier or weight`);
+    }
+  });
+
+  const tiers = {};
+  Object.keys(TIERS).forEach(name => {
+    const weight = overrides.tiers && typeof overrides.tiers[name] === 'number'
+      ? clampWeight(overrides.tiers[name])
+      : TIERS[name].weight;
+    tiers[name] = { ...TIERS[name], weight };
+  });
+
+  return {
+    tiers,
+    types,
+    typeWeights,
+    sources: { ...SOURCE_TIERS, ...overrides.sources },
+    halfLifeDays: HALF_LIFE_DAYS,
+    freshnessFloor: FRESHNESS_FLOOR,
+    undatedFreshness: UNDATED_FRESHNESS
+  };
+};
+
+module.exports = {
+  getCredibilityConfig
+};
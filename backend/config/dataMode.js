@@ -0,0 +1,45 @@
+/**
+ * Research data mode and result provenance configuration
+ *
+ * RESEARCH_DATA_MODE:
+ * - live (default): placeholder providers are skipped; only real provider data
+ *   and clearly labelled internal boilerplate reach the AI
+ * - demo: placeholder providers (mock CoStar, Zillow, LEED and NAR data) are
+ *   included for offline demos, labelled as mock
+ */
+
+// Where a result's content came from
+const PROVENANCE = {
+  LIVE: 'live',         // fetched from the provider for this query
+  CACHED: 'cached',     // provider data served from cache
+  MOCK: 'mock',         // hard-coded placeholder standing in for a provider
+  INTERNAL: 'internal', // generic boilerplate written by the CRE Research Team
+  UPLOADED: 'uploaded'  // passage from a document uploaded to the library
+};
+
+const PROVENANCE_LABELS = {
+  [PROVENANCE.LIVE]: 'Live data',
+  [PROVENANCE.CACHED]: 'Cached data',
+  [PROVENANCE.MOCK]: 'Mock / sample data',
+  [PROVENANCE.INTERNAL]: 'Internal boilerplate',
+  [PROVENANCE.UPLOADED]: 'Uploaded document'
+};
+
+/**
+ * Get the configured research data mode
+ * @returns {string} - 'live' or 'demo'
+ */
+const getDataMode = () => (process.env.RESEARCH_DATA_MODE || 'live').toLowerCase() === 'demo' ? 'demo' : 'live';
+
+/**
+ * Whether placeholder providers may contribute results
+ * @returns {boolean}
+ */
+const allowsMockData = () => getDataMode() === 'demo';
+
+module.exports = {
+  PROVENANCE,
+  PROVENANCE_LABELS,
+  getDataMode,
+  allowsMockData
+};
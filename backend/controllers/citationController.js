@@ -0,0 +1,107 @@
+const { getSessionRepository } = require('../repositories');
+const ResearchProgress = require('../services/ResearchProgress');
+const CitationExporter = require('../services/CitationExporter');
+const CitationManager = require('../services/CitationManager');
+
+/**
+ * Controller for citation styles and exporting citations to reference managers
+ */
+class CitationController {
+  /**
+   * Export the citations of a research session
+   * @param {Object} req - The HTTP request object
+   * @param {Object} res - The HTTP response object
+   */
+  static async exportSessionCitations(req, res) {
+    try {
+      const { id } = req.params;
+      const format = (req.query.format || 'bibtex').toLowerCase();
+      
+      if (!CitationExporter.getFormats().includes(format)) {
+        return res.status(400).json({
+          message: `Unsupported format: ${format}`,
+          formats: CitationExporter.getFormats()
+        });
+      }
+      
+      await ResearchProgress.flush(id);
+      const session = await getSessionRepository().get(id);
+      
+      if (!session) {
+        return res.status(404).json({ message: 'Session not found' });
+      }
+      
+      // Text bibliographies default to the style the session's answer used
+      const style = req.query.style || session.citationStyle;
+      if (style && !CitationManager.hasStyle(style)) {
+        return res.status(400).json({ message: `Unknown citation style: ${style}` });
+      }
+      
+      CitationController.sendExport(res, session.citations || [], format, `citations-${id}`, style);
+    } catch (error) {
+      console.error('Error exporting session citations:', error);
+      res.status(500).json({ message: 'Error exporting citations', error: error.message });
+    }
+  }
+  
+  /**
+   * Export citations sent with the request
+   * @param {Object} req - The HTTP request object
+   * @param {Object} res - The HTTP response object
+   */
+  static async exportCitations(req, res) {
+    try {
+      const { citations, style } = req.body;
+      const format = (req.body.format || 'bibtex').toLowerCase();
+      
+      if (!Array.isArray(citations)) {
+        return res.status(400).json({ message: 'Citations must be an array' });
+      }
+      
+      if (!CitationExporter.getFormats().includes(format)) {
+        return res.status(400).json({
+          message: `Unsupported format: ${format}`,
+          formats: CitationExporter.getFormats()
+        });
+      }
+      
+      if (style && !CitationManager.hasStyle(style)) {
+        return res.status(400).json({ message: `Unknown citation style: ${style}` });
+      }
+      
+      CitationController.sendExport(res, citations, format, 'citations', style);
+    } catch (error) {
+      console.error('Error exporting citations:', error);
+      res.status(500).json({ message: 'Error exporting citations', error: error.message });
+    }
+  }
+  
+  /**
+   * List the citation styles and which is the default
+   * @param {Object} req - The HTTP request object
+   * @param {Object} res - The HTTP response object
+   */
+  static listStyles(req, res) {
+    res.json({ styles: CitationManager.getStyles() });
+  }
+  
+  /**
+   * Send exported citations as a file download
+   * @param {Object} res - The HTTP response object
+   * @param {Array} citations - The citations to export
+   * @param {string} format - The export format
+   * @param {string} filename - Download file name without extension (characters other than
+   *   letters, digits, "_", "." and "-" are replaced, as it may come from the request)
+   * @param {string} style - Citation style of text bibliographies
+   */
+  static sendExport(res, citations, format, filename, style) {
+    const { content, contentType, extension } = CitationExporter.export(citations, format, { style });
+    const safeName = filename.replace(/[^\w.-]/g, '_');
+    
+    res.setHeader('Content-Type', `${contentType}; charset=utf-8`);
+    res.setHeader('Content-Disposition', `attachment; filename="${safeName}.${extension}"`);
+    res.send(content);
+  }
+}
+
+module.exports = CitationController;
@@ -1,10 +1,45 @@
-const pdfExtract = require('pdf.js-extract').PDFExtract;
-const mammoth = require('mammoth');
 const fs = require('fs');
 const path = require('path');
-const DocumentAnalyzer = require('../services/DocumentAnalyzer');
+const DocumentExtractor = require('../services/DocumentExtractor');
+const DocumentLibrary = require('../services/DocumentLibrary');
+const HtmlPage = require('../services/HtmlPage');
+const LeaseAbstractor = require('../services/LeaseAbstractor');
+const DocumentRepository = require('../repositories/DocumentRepository');
 
-const pdfExtractor = new pdfExtract();
+/**
+ * Remove an upload that didn't make it into the library
+ * @param {string} filePath - The uploaded file path
+ */
+const discardUpload = (filePath) => {
+  fs.unlink(filePath, (err) => {
+    if (err && err.code !== 'ENOENT') console.error('Error deleting file:', err);
+  });
+};
+
+/**
+ * Render a cited passage as a standalone HTML page: the page (or section) it
+ * comes from with the passage highlighted, and a link to the original file
+ * @param {Object} document - The document record
+ * @param {Object} located - The passage in its page, from DocumentLibrary.getPassage()
+ * @returns {string} - The HTML page
+ */
+const renderPassagePage = (document, { passage, before, text, after }) => {
+  const title = DocumentLibrary.getTitle(document, passage);
+  const confidence = DocumentLibrary.getOcrConfidence(document, passage.page);
+  const fileUrl = DocumentLibrary.getFileUrl(document.documentId, passage.page);
+  
+  return HtmlPage.render({
+    title: `Passage: ${title}`,
+    styles: `  .banner { background: #e8f0fe; border: 1px solid #aac4f0; }
+  .content { color: #666; }
+  mark { background: #fff3b0; color: #222; scroll-margin-top: 2rem; }`,
+    banner: `  Passage ${passage.index + 1} of ${document.chunks.length} in ${HtmlPage.escape(document.name)}, highlighted in its ${passage.page ? 'page' : 'section'}.
+  ${typeof confidence === 'number' ? `The page was OCRed with ${Math.round(confidence * 100)}% confidence.` : ''}
+  <a href="${HtmlPage.escape(fileUrl)}" rel="noopener noreferrer">Open the original${passage.page ? ` at page ${passage.page}` : ''}</a>.`,
+    body: `<h1>${HtmlPage.escape(title)}</h1>
+<div class="content">${HtmlPage.escape(before)}<mark id="passage">${HtmlPage.escape(text)}</mark>${HtmlPage.escape(after)}</div>`
+  });
+};
 
 exports.processDocument = async (req, res) => {
   try {
@@ -12,39 +47,228 @@ exports.processDocument = async (req, res) => {
       return res.status(400).json({ error: 'No document uploaded' });
     }
     
-    const filePath = req.file.path;
-    const fileExtension = path.extname(filePath).toLowerCase();
-    let extractedText = '';
-    
-    // Extract text based on file type
-    if (fileExtension === '.pdf') {
-      const data = await pdfExtractor.extract(filePath);
-      extractedText = data.pages.map(page => page.content.map(item => item.str).join(' ')).join('\n');
-    } else if (['.docx', '.doc'].includes(fileExtension)) {
-      const result = await mammoth.extractRawText({ path: filePath });
-      extractedText = result.value;
-    } else {
+    const fileExtension = path.extname(req.file.originalname).toLowerCase();
+    if (!DocumentExtractor.isSupported(fileExtension)) {
+      discardUpload(req.file.path);
       return res.status(400).json({ error: 'Unsupported file format' });
     }
     
-    // Analyze the extracted text
-    const analysis = await DocumentAnalyzer.analyze(extractedText);
-    
-    // Clean up the uploaded file
-    fs.unlink(filePath, (err) => {
-      if (err) console.error('Error deleting file:', err);
-    });
+    // Extract, analyze (abstract leases, normalize rent rolls and operating statements) and keep the document so later research can cite its passages
+    const { sessionId, workspace, documentType, provider } = req.body;
+    const { document, analysis } = await DocumentLibrary.add(req.file, { sessionId, workspace, documentType, provider });
     
     res.status(200).json({
-      message: 'Document processed successfully',
-      analysis
+      message: document.ocr
+        ? `Document processed; OCR of ${document.ocr.pages.length} scanned page(s) is running in the background`
+        : 'Document processed successfully',
+      analysis,
+      document: DocumentRepository.toSummary(document),
+      abstract: document.leaseAbstract,
+      financials: document.financials
     });
     
   } catch (error) {
     console.error('Error processing document:', error);
+    if (req.file) {
+      discardUpload(req.file.path);
+    }
     res.status(500).json({ 
       error: 'An error occurred while processing your document',
       details: error.message 
     });
   }
-}; 
\ No newline at end of file
+};
+
+exports.processDocuments = async (req, res) => {
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ error: 'No documents uploaded' });
+    }
+    
+    // One at a time, so a failed or unsupported file is reported without losing the others
+    const { sessionId, workspace, documentType, provider } = req.body;
+    const results = [];
+    for (const file of req.files) {
+      const fileExtension = path.extname(file.originalname).toLowerCase();
+      if (!DocumentExtractor.isSupported(fileExtension)) {
+        discardUpload(file.path);
+        results.push({ name: file.originalname, error: 'Unsupported file format' });
+        continue;
+      }
+      
+      try {
+        const { document, analysis } = await DocumentLibrary.add(file, { sessionId, workspace, documentType, provider });
+        results.push({
+          name: file.originalname,
+          analysis,
+          document: DocumentRepository.toSummary(document),
+          abstract: document.leaseAbstract,
+          financials: document.financials
+        });
+      } catch (error) {
+        console.error(`Error processing document ${file.originalname}:`, error);
+        discardUpload(file.path);
+        results.push({ name: file.originalname, error: error.message });
+      }
+    }
+    
+    const processed = results.filter(result => !result.error);
+    res.status(processed.length > 0 ? 200 : 400).json({
+      message: `Processed ${processed.length} of ${results.length} documents`,
+      documents: processed.map(result => result.document),
+      results
+    });
+    
+  } catch (error) {
+    console.error('Error processing documents:', error);
+    (req.files || []).forEach(file => discardUpload(file.path));
+    res.status(500).json({ 
+      error: 'An error occurred while processing your documents',
+      details: error.message 
+    });
+  }
+};
+
+exports.listFormats = (req, res) => {
+  res.status(200).json({ formats: DocumentExtractor.getFormats() });
+};
+
+exports.listDocuments = async (req, res) => {
+  try {
+    const workspace = req.query.workspace || req.query.sessionId;
+    
+    if (!workspace) {
+      return res.status(400).json({ error: 'Workspace or session ID is required' });
+    }
+    
+    const documents = await DocumentLibrary.list(workspace);
+    res.status(200).json({ documents });
+    
+  } catch (error) {
+    console.error('Error listing documents:', error);
+    res.status(500).json({ 
+      error: 'An error occurred while listing documents',
+      details: error.message 
+    });
+  }
+};
+
+exports.getDocument = async (req, res) => {
+  try {
+    const document = await DocumentLibrary.get(req.params.id);
+    
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+    
+    res.status(200).json({ document });
+    
+  } catch (error) {
+    console.error('Error retrieving document:', error);
+    res.status(500).json({ 
+      error: 'An error occurred while retrieving the document',
+      details: error.message 
+    });
+  }
+};
+
+exports.getDocumentFile = async (req, res) => {
+  try {
+    const document = await DocumentLibrary.get(req.params.id);
+    
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+    
+    // PDFs are served inline so citation links can open them at the cited page; other
+    // formats are downloaded, so an uploaded page never runs on the app's origin
+    const contentType = DocumentExtractor.getContentType(document.extension);
+    const disposition = contentType === 'application/pdf' ? 'inline' : 'attachment';
+    
+    res.type(contentType);
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    res.setHeader('Content-Disposition', `${disposition}; filename="${encodeURIComponent(document.name)}"`);
+    res.sendFile(DocumentLibrary.getFilePath(document), (err) => {
+      if (err && !res.headersSent) {
+        res.status(404).json({ error: 'Document file not found' });
+      }
+    });
+    
+  } catch (error) {
+    console.error('Error retrieving document file:', error);
+    res.status(500).json({ 
+      error: 'An error occurred while retrieving the document file',
+      details: error.message 
+    });
+  }
+};
+
+exports.viewPassage = async (req, res) => {
+  try {
+    const document = await DocumentLibrary.get(req.params.id);
+    const located = document ? DocumentLibrary.getPassage(document, parseInt(req.params.index, 10)) : null;
+    
+    if (!located) {
+      return res.status(404).type('text/plain').send('Passage not found');
+    }
+    
+    res.type('html').send(renderPassagePage(document, located));
+    
+  } catch (error) {
+    console.error('Error viewing passage:', error);
+    res.status(500).json({ 
+      error: 'An error occurred while retrieving the passage',
+      details: error.message 
+    });
+  }
+};
+
+exports.exportLeaseAbstract = async (req, res) => {
+  try {
+    const format = (req.query.format || 'json').toLowerCase();
+    if (!['json', 'csv'].includes(format)) {
+      return res.status(400).json({ error: 'Unsupported export format', details: 'Use json or csv' });
+    }
+    
+    const document = await DocumentLibrary.get(req.params.id);
+    
+    if (!document || !document.leaseAbstract) {
+      return res.status(404).json({ error: 'Lease abstract not found' });
+    }
+    
+    const filename = `${path.basename(document.name, document.extension)}-abstract.${format}`;
+    const content = format === 'csv'
+      ? LeaseAbstractor.toCSV(document.leaseAbstract)
+      : JSON.stringify({ documentId: document.documentId, name: document.name, ...document.leaseAbstract }, null, 2);
+    
+    res.setHeader('Content-Type', `${format === 'csv' ? 'text/csv' : 'application/json'}; charset=utf-8`);
+    res.setHeader('Content-Disposition', `attachment; filename="${encodeURIComponent(filename)}"`);
+    res.send(content);
+    
+  } catch (error) {
+    console.error('Error exporting lease abstract:', error);
+    res.status(500).json({ 
+      error: 'An error occurred while exporting the lease abstract',
+      details: error.message 
+    });
+  }
+};
+
+exports.deleteDocument = async (req, res) => {
+  try {
+    const deleted = await DocumentLibrary.remove(req.params.id);
+    
+    if (!deleted) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+    
+    res.status(200).json({ message: 'Document deleted' });
+    
+  } catch (error) {
+    console.error('Error deleting document:', error);
+    res.status(500).json({ 
+      error: 'An error occurred while deleting the document',
+      details: error.message 
+    });
+  }
+};
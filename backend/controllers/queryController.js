@@ -1,8 +1,26 @@
-const SustainabilityService = require('../services/SustainabilityService');
-const LeasingService = require('../services/LeasingService');
-const MarketService = require('../services/MarketService');
-const FallbackService = require('../services/FallbackService');
+const SourceRegistry = require('../services/SourceRegistry');
+const ResearchExecutor = require('../services/ResearchExecutor');
+const SourceRanker = require('../services/SourceRanker');
+const SourceArchive = require('../services/SourceArchive');
+const CredibilityScorer = require('../services/CredibilityScorer');
+const QueryUnderstanding = require('../services/QueryUnderstanding');
 const AIService = require('../services/AIService');
+const ResearchProgress = require('../services/ResearchProgress');
+const ConversationMemory = require('../services/ConversationMemory');
+const ResearchCache = require('../services/ResearchCache');
+const CitationVerifier = require('../services/CitationVerifier');
+const CitationManager = require('../services/CitationManager');
+const DateRange = require('../services/DateRange');
+const DocumentLibrary = require('../services/DocumentLibrary');
+const DocumentComparison = require('../services/DocumentComparison');
+const { hasProvider, getProvider, describeProviders } = require('../providers');
+
+// markdown answers are written by the model; structured ones and comparisons of uploaded
+// documents are rendered from its JSON
+const ANSWER_FORMATS = ['markdown', 'structured', 'comparison'];
+
+// research draws on every registered source; documents answers from the uploaded documents alone
+const RESEARCH_MODES = ['research', 'documents'];
 
 /**
  * Controller for handling research queries
@@ -15,8 +33,7 @@ class QueryController {
    */
   static async handleResearchQuery(req, res) {
     try {
-      const { query, sessionId, documentContext } = req.body;
-      
+      const { query, sessionId, documentContext, provider, citationStyle, asOf, dateRange: requestedRange, forceRefresh = false } = req.body;
       if (!query) {
         return res.status(400).json({ message: 'Query is required' });
       }
@@ -25,79 +42,242 @@ class QueryController {
         return res.status(400).json({ error: 'Session ID is required' });
       }
       
+      // A request may pin every AI call of its run to one provider (e.g. a self-hosted model)
+      if (provider) {
+        if (!hasProvider(provider)) {
+          return res.status(400).json({ message: `Unknown AI provider: ${provider}` });
+        }
+        
+        const missingConfig = getProvider(provider).getMissingConfig();
+        if (missingConfig.length > 0) {
+          return res.status(400).json({ message: `AI provider ${provider} is not configured: missing ${missingConfig.join(', ')}` });
+        }
+      }
+      
+      // Uploaded documents are searched in the request's workspace, which defaults to its session
+      const workspace = req.body.workspace || sessionId;
+      const documentIds = await DocumentLibrary.getDocumentIds(workspace);
+      
+      // Asking to compare two or more uploaded documents gets a comparison table unless another format is requested
+      const answerFormat = req.body.answerFormat ||
+        (documentIds.length > 1 && DocumentComparison.isComparisonQuery(query) ? 'comparison' : null) ||
+        process.env.ANSWER_FORMAT || 'markdown';
+      
+      if (citationStyle && !CitationManager.hasStyle(citationStyle)) {
+        return res.status(400).json({ message: `Unknown citation style: ${citationStyle}` });
+      }
+      
+      if (!ANSWER_FORMATS.includes(answerFormat)) {
+        return res.status(400).json({ message: `Unknown answer format: ${answerFormat}` });
+      }
+      
+      const researchMode = req.body.researchMode || 'research';
+      if (!RESEARCH_MODES.includes(researchMode)) {
+        return res.status(400).json({ message: `Unknown research mode: ${researchMode}` });
+      }
+      
+      // Comparisons and questions about the documents cover the documents named in the request,
+      // or all of the workspace's
+      const selectedDocuments = Array.isArray(req.body.documentIds) ? req.body.documentIds : documentIds;
+      if (answerFormat === 'comparison' || researchMode === 'documents') {
+        const unknownDocuments = selectedDocuments.filter(documentId => !documentIds.includes(documentId));
+        if (unknownDocuments.length > 0) {
+          return res.status(400).json({ message: `Documents not in the workspace: ${unknownDocuments.join(', ')}` });
+        }
+      }
+      
+      let compareDocuments = null;
+      if (answerFormat === 'comparison') {
+        compareDocuments = selectedDocuments;
+        
+        if (compareDocuments.length < 2) {
+          return res.status(400).json({ message: 'A comparison needs at least two uploaded documents' });
+        }
+      }
+      
+      const askDocuments = researchMode === 'documents' ? selectedDocuments : null;
+      if (askDocuments && askDocuments.length === 0) {
+        return res.status(400).json({ message: 'Answering from documents needs at least one uploaded document' });
+      }
+      
+      // Limit research to data published or observed within the dates asked for
+      let dateRange;
+      try {
+        dateRange = DateRange.fromRequest({ asOf, dateRange: requestedRange });
+      } catch (error) {
+        return res.status(400).json({ message: error.message });
+      }
+      
+      const options = { provider, answerFormat, dateRange, researchMode };
+      
+      const style = CitationManager.getStyle(citationStyle).id;
+      
       console.log(`Processing research query: ${query} (Session: ${sessionId})`);
       
       // Initialize or clear the research steps for this session
-      global.researchStatus[sessionId] = [];
-      global.researchComplete[sessionId] = false;
+      ResearchProgress.start(sessionId, { query, provider: provider || null, citationStyle: style, dateRange });
       
       // Log the first step
-      global.researchStatus[sessionId].push({
-        step: "Starting research query categorization",
-        timestamp: new Date().toISOString()
+      ResearchProgress.addStep(sessionId, {
+        step: "Starting research query understanding"
       });
       
-      // Categorize the query
-      const category = QueryController.categorizeQuery(query);
+      // Rewrite follow-up questions into standalone queries using the conversation so far
+      const history = await ConversationMemory.getHistory(sessionId, options);
+      const standaloneQuery = await ConversationMemory.rewriteQuery(query, history, options);
+      ResearchProgress.record(sessionId, { standaloneQuery });
+      
+      if (standaloneQuery !== query) {
+        ResearchProgress.addStep(sessionId, {
+          step: `Follow-up question rewritten as: ${standaloneQuery}`,
+          source: "Conversation memory"
+        });
+      }
+      
+      // Categorize the query and extract its entities
+      const understanding = await QueryUnderstanding.analyze(standaloneQuery, options);
+      const categories = QueryUnderstanding.getSelectedCategories(understanding);
+      const category = categories[0];
+      ResearchProgress.record(sessionId, {
+        category,
+        categories: understanding.categories,
+        entities: understanding.entities
+      });
       
       // Log category determination
-      global.researchStatus[sessionId].push({
-        step: `Query categorized as: ${category}`,
-        timestamp: new Date().toISOString()
+      ResearchProgress.addStep(sessionId, {
+        step: `Query categorized as: ${understanding.categories
+          .map(item => `${item.category} (${item.confidence.toFixed(2)})`)
+          .join(', ')}`,
+        source: understanding.method === 'ai' ? 'AI query analysis' : 'Keyword analysis'
       });
       
-      // Initialize results array
-      const researchResults = [];
+      ResearchProgress.addStep(sessionId, {
+        step: `Extracted entities: ${QueryUnderstanding.describeEntities(understanding.entities)}`
+      });
       
-      // Call appropriate services based on category
-      if (category === 'sustainability' || category === 'general') {
-        global.researchStatus[sessionId].push({
-          step: "Gathering sustainability research data",
-          source: "Sustainability databases",
-          timestamp: new Date().toISOString()
+      // Serve a cached answer to the same question unless a refresh was requested
+      const answerKey = ResearchCache.answerKey({
+        query: standaloneQuery,
+        categories,
+        documentContext,
+        provider,
+        answerFormat,
+        researchMode,
+        dateRange,
+        documentIds: compareDocuments || askDocuments ? [...selectedDocuments].sort() : documentIds
+      });
+      const cachedAnswer = forceRefresh ? null : await ResearchCache.getAnswer(answerKey);
+      
+      if (cachedAnswer) {
+        ResearchProgress.addStep(sessionId, {
+          step: `Answer served from cache (stored ${ResearchCache.describeAge(cachedAnswer.cachedAt)})`,
+          source: "Research cache",
+          cached: true
         });
         
-        const sustainabilityData = await SustainabilityService.getResearch(query, sessionId);
-        researchResults.push(sustainabilityData);
+        // The cached Sources section may be in another style
+        return QueryController.sendAnswer(res, sessionId, {
+          ...cachedAnswer,
+          response: CitationManager.withSourcesSection(cachedAnswer.response, cachedAnswer.citations, style),
+          citationStyle: style,
+          query,
+          standaloneQuery
+        });
       }
       
-      if (category === 'leasing' || category === 'general') {
-        global.researchStatus[sessionId].push({
-          step: "Analyzing leasing market information",
-          source: "Leasing databases",
-          timestamp: new Date().toISOString()
+      if (forceRefresh) {
+        ResearchProgress.addStep(sessionId, {
+          step: "Refresh requested: bypassing cached results",
+          source: "Research cache"
         });
-        
-        const leasingData = await LeasingService.getResearch(query, sessionId);
-        researchResults.push(leasingData);
       }
       
-      if (category === 'market' || category === 'general') {
-        global.researchStatus[sessionId].push({
-          step: "Retrieving market trend data",
-          source: "Market analytics providers",
-          timestamp: new Date().toISOString()
+      // Initialize results array
+      const researchResults = [];
+      
+      // Select the registered sources that cover these categories and are configured;
+      // comparisons and questions about the documents draw on the uploaded documents alone
+      const candidates = compareDocuments || askDocuments
+        ? SourceRegistry.getSources().filter(source => source.id === 'documents')
+        : SourceRegistry.getSourcesForCategories(categories);
+      const sources = candidates.filter(source => {
+        const missingConfig = SourceRegistry.getMissingConfig(source);
+        if (missingConfig.length > 0) {
+          ResearchProgress.addStep(sessionId, {
+            step: `Skipping ${source.name}: missing configuration ${missingConfig.join(', ')}`,
+            source: source.name
+          });
+          return false;
+        }
+        return true;
+      });
+      
+      ResearchProgress.addStep(sessionId, {
+        step: compareDocuments
+          ? `Comparing ${compareDocuments.length} uploaded documents`
+          : askDocuments
+          ? `Answering from ${askDocuments.length} uploaded document${askDocuments.length === 1 ? '' : 's'} only`
+          : `Querying ${sources.length} research sources in parallel`
+      });
+      
+      if (dateRange) {
+        ResearchProgress.addStep(sessionId, {
+          step: `Limiting research to data ${DateRange.describe(dateRange)}`
         });
-        
-        const marketData = await MarketService.getResearch(query, sessionId);
-        researchResults.push(marketData);
       }
       
-      // Always get fallback data for completeness
-      global.researchStatus[sessionId].push({
-        step: "Searching general knowledge sources",
-        source: "Wikipedia and general databases",
-        timestamp: new Date().toISOString()
+      // Run the sources concurrently and keep whatever returned within the budget
+      const outcomes = await ResearchExecutor.run(sources, standaloneQuery, {
+        sessionId,
+        workspace,
+        categories,
+        entities: understanding.entities,
+        dateRange,
+        compareDocuments,
+        researchMode,
+        documentIds: askDocuments,
+        forceRefresh
       });
+      const sourceResults = outcomes
+        .filter(outcome => outcome.status === 'ok')
+        .flatMap(outcome => outcome.results)
+        .filter(Boolean);
       
-      const fallbackData = await FallbackService.getResearch(query, sessionId);
-      researchResults.push(fallbackData);
+      // Keep a content-hashed copy of everything the sources returned, so citations can link to what was read
+      const archive = await SourceArchive.archiveAll(sourceResults);
+      
+      ResearchProgress.addStep(sessionId, {
+        step: SourceArchive.describe(archive),
+        source: "Source archive"
+      });
+      
+      // Merge copies of the same item across sources and keep the most relevant for the AI,
+      // scored for credibility and freshness (aged up to the as-of date) so the AI can weigh them
+      // Comparisons keep every passage picked per document, which ranking could drop or merge across documents
+      const ranking = compareDocuments
+        ? { ranked: archive.results, dropped: [] }
+        : SourceRanker.rank(archive.results, standaloneQuery);
+      researchResults.push(CredibilityScorer.scoreAll(ranking.ranked, {
+        now: dateRange && dateRange.asOf ? Date.parse(dateRange.asOf) : Date.now()
+      }));
+      
+      ResearchProgress.addStep(sessionId, {
+        step: SourceRanker.describe(sourceResults, ranking),
+        source: "Source ranking"
+      });
+      
+      ranking.dropped.forEach(({ result, reason }) => {
+        ResearchProgress.addStep(sessionId, {
+          step: `Dropped "${result.title}" from ${result.source}: ${reason}`,
+          source: "Source ranking"
+        });
+      });
       
       // Process document context if provided
       if (documentContext) {
-        global.researchStatus[sessionId].push({
-          step: "Analyzing uploaded document context",
-          timestamp: new Date().toISOString()
+        ResearchProgress.addStep(sessionId, {
+          step: "Analyzing uploaded document context"
         });
         
         // Add document analysis to results
@@ -107,82 +287,61 @@ class QueryController {
         });
       }
       
+      // Keep the raw research results with the session
+      ResearchProgress.record(sessionId, { results: researchResults.flat().filter(Boolean) });
+      
       // Process with AI
-      global.researchStatus[sessionId].push({
-        step: "Processing research with AI analysis",
-        source: "OpenAI",
-        timestamp: new Date().toISOString()
+      ResearchProgress.addStep(sessionId, {
+        step: "Processing research with AI analysis"
       });
       
-      const aiResponse = await AIService.processResearch(query, researchResults, documentContext, sessionId);
+      const aiResponse = await AIService.processResearch(query, researchResults, documentContext, sessionId, {
+        messages: ConversationMemory.buildMessages(history),
+        standaloneQuery
+      }, options);
+      
+      // Check that each bracketed reference exists and supports the sentence citing it
+      ResearchProgress.addStep(sessionId, {
+        step: "Verifying citations against the research results"
+      });
+      
+      const { citations, verification } = await CitationVerifier.verify(aiResponse.response, aiResponse.citations, options);
+      Object.assign(aiResponse, { citations, verification });
+      
+      ResearchProgress.addStep(sessionId, {
+        step: CitationVerifier.describe(verification),
+        source: verification.method === 'ai' ? 'AI citation check' : 'Lexical citation check'
+      });
       
-      // Mark as complete
-      global.researchComplete[sessionId] = true;
+      // List the sources from their metadata rather than trusting the model to
+      aiResponse.response = CitationManager.withSourcesSection(aiResponse.response, citations, style);
+      aiResponse.citationStyle = style;
+      
+      ResearchCache.storeAnswer(answerKey, aiResponse)
+        .catch(error => console.error('Error caching research answer:', error));
       
       // Return the AI-processed research
-      res.json(aiResponse);
+      QueryController.sendAnswer(res, sessionId, { ...aiResponse, query, standaloneQuery });
     } catch (error) {
       console.error('Error processing query:', error);
+      ResearchProgress.fail(req.body.sessionId, error);
       res.status(500).json({ message: 'Error processing query', error: error.message });
     }
   }
   
   /**
-   * Categorize the query type
-   * @param {string} query - The user's query
-   * @returns {string} - The query category
+   * Complete a research run: push the answer to stream subscribers, remember
+   * the conversation turn and respond
+   * @param {Object} res - The HTTP response object
+   * @param {string} sessionId - Session identifier
+   * @param {Object} answer - The AI response with citations
    */
-  static categorizeQuery(query) {
-    const queryLower = query.toLowerCase();
-    
-    // Sustainability-related keywords
-    const sustainabilityKeywords = [
-      'sustainability', 'sustainable', 'green', 'energy efficiency', 
-      'renewable', 'leed', 'carbon', 'net zero', 'esg', 'environmental'
-    ];
-    
-    // Leasing-related keywords
-    const leasingKeywords = [
-      'lease', 'leasing', 'tenant', 'landlord', 'rent', 'rental', 
-      'occupancy', 'vacancy', 'square footage', 'office space'
-    ];
-    
-    // Market trends-related keywords
-    const marketKeywords = [
-      'market', 'trend', 'forecast', 'growth', 'investment', 'cap rate',
-      'yield', 'return', 'appreciation', 'property value', 'price'
-    ];
-    
-    // Count matches for each category
-    let sustainabilityMatches = 0;
-    let leasingMatches = 0;
-    let marketMatches = 0;
-    
-    // Check for keyword matches
-    sustainabilityKeywords.forEach(keyword => {
-      if (queryLower.includes(keyword)) sustainabilityMatches++;
-    });
-    
-    leasingKeywords.forEach(keyword => {
-      if (queryLower.includes(keyword)) leasingMatches++;
-    });
-    
-    marketKeywords.forEach(keyword => {
-      if (queryLower.includes(keyword)) marketMatches++;
-    });
-    
-    // Determine the best category
-    if (sustainabilityMatches > leasingMatches && sustainabilityMatches > marketMatches) {
-      return 'sustainability';
-    } else if (leasingMatches > sustainabilityMatches && leasingMatches > marketMatches) {
-      return 'leasing';
-    } else if (marketMatches > 0) {
-      return 'market';
-    } else {
-      return 'general';
-    }
+  static sendAnswer(res, sessionId, answer) {
+    ResearchProgress.complete(sessionId, answer);
+    ConversationMemory.recordTurn(sessionId, answer);
+    res.json(answer);
   }
-
+  
   /**
    * Get the status of a research query
    * @param {Object} req - The HTTP request object
@@ -197,12 +356,11 @@ class QueryController {
       }
       
       // Get the cached research steps for this session
-      const researchSteps = global.researchStatus[sessionId] || [];
-      const complete = global.researchComplete[sessionId] || false;
+      const { steps, complete } = await ResearchProgress.getStatus(sessionId);
       
       res.json({ 
         sessionId, 
-        steps: researchSteps,
+        steps,
         complete
       });
     } catch (error) {
@@ -210,6 +368,69 @@ class QueryController {
       res.status(500).json({ message: 'Error retrieving research status' });
     }
   }
+
+  /**
+   * List the registered research sources and whether they are configured
+   * @param {Object} req - The HTTP request object
+   * @param {Object} res - The HTTP response object
+   */
+  static listSources(req, res) {
+    const sources = SourceRegistry.getSources().map(source => {
+      const missingConfig = SourceRegistry.getMissingConfig(source);
+      
+      return {
+        id: source.id,
+        name: source.name,
+        categories: source.categories,
+        provides: source.provides,
+        timeout: source.timeout,
+        configured: missingConfig.length === 0,
+        missingConfig
+      };
+    });
+    
+    res.json({ sources });
+  }
+
+  /**
+   * List the AI providers, whether they are configured and which is the default
+   * @param {Object} req - The HTTP request object
+   * @param {Object} res - The HTTP response object
+   */
+  static listProviders(req, res) {
+    res.json({ providers: describeProviders() });
+  }
+
+  /**
+   * Stream research progress for a session as Server-Sent Events
+   * @param {Object} req - The HTTP request object
+   * @param {Object} res - The HTTP response object
+   */
+  static streamResearch(req, res) {
+    const { sessionId } = req.params;
+    
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    
+    const send = (event, data) => {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+    
+    const unsubscribe = ResearchProgress.subscribe(sessionId, send);
+    
+    // Keep the connection alive through proxies while research is idle
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 15000);
+    
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+  }
 }
 
 module.exports = QueryController; 
\ No newline at end of file
@@ -2,18 +2,34 @@ const { PDFDocument, rgb, StandardFonts } = require('pdf-lib');
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
+const CitationManager = require('../services/CitationManager');
 
 // Map to store generated reports temporarily
 const reportStore = new Map();
 
 exports.generateReport = async (req, res) => {
   try {
-    const { queryResults, documentAnalysis, citations } = req.body;
+    const { queryResults, documentAnalysis, citations, citationStyle } = req.body;
     
     if (!queryResults && !documentAnalysis) {
       return res.status(400).json({ error: 'No content provided for report generation' });
     }
     
+    if (citationStyle && !CitationManager.hasStyle(citationStyle)) {
+      return res.status(400).json({ error: `Unknown citation style: ${citationStyle}` });
+    }
+    
+    // Citation objects are formatted in the requested style, with the hash of their archived copy
+    // for the audit trail; preformatted strings are used as they are
+    const citationLines = (citations || []).map((citation, index) => {
+      if (typeof citation === 'string') {
+        return `• ${citation}`;
+      }
+      
+      const line = CitationManager.formatCitation(citation, index + 1, CitationManager.getStyle(citationStyle).id);
+      return citation.snapshotId ? `${line} (archived copy ${citation.snapshotId.slice(0, 12)})` : line;
+    });
+    
     // Create a new PDF document
     const pdfDoc = await PDFDocument.create();
     const timesRomanFont = await pdfDoc.embedFont(StandardFonts.TimesRoman);
@@ -95,7 +111,7 @@ exports.generateReport = async (req, res) => {
     }
     
     // Add citations section if available
-    if (citations && citations.length > 0) {
+    if (citationLines.length > 0) {
       page.drawText('Citations:', {
         x: margin,
         y: currentY,
@@ -106,8 +122,8 @@ exports.generateReport = async (req, res) => {
       currentY -= lineHeight;
       
       // Add each citation
-      for (const citation of citations) {
-        page.drawText(`• ${citation}`, {
+      for (const line of citationLines) {
+        page.drawText(line, {
           x: margin,
           y: currentY,
           size: 10,
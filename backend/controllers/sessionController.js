@@ -0,0 +1,52 @@
+const { getSessionRepository } = require('../repositories');
+const ResearchProgress = require('../services/ResearchProgress');
+
+/**
+ * Controller for reopening past research sessions
+ */
+class SessionController {
+  /**
+   * List research sessions
+   * @param {Object} req - The HTTP request object
+   * @param {Object} res - The HTTP response object
+   */
+  static async listSessions(req, res) {
+    try {
+      const limit = Math.min(parseInt(req.query.limit || '20', 10) || 20, 100);
+      const offset = Math.max(parseInt(req.query.offset || '0', 10) || 0, 0);
+      
+      const sessions = await getSessionRepository().list({ limit, offset });
+      
+      res.json({ sessions, limit, offset });
+    } catch (error) {
+      console.error('Error listing sessions:', error);
+      res.status(500).json({ message: 'Error listing sessions', error: error.message });
+    }
+  }
+  
+  /**
+   * Get a single research session
+   * @param {Object} req - The HTTP request object
+   * @param {Object} res - The HTTP response object
+   */
+  static async getSession(req, res) {
+    try {
+      const { id } = req.params;
+      
+      // Make sure steps that are still being written are included
+      await ResearchProgress.flush(id);
+      const session = await getSessionRepository().get(id);
+      
+      if (!session) {
+        return res.status(404).json({ message: 'Session not found' });
+      }
+      
+      res.json(session);
+    } catch (error) {
+      console.error('Error getting session:', error);
+      res.status(500).json({ message: 'Error retrieving session', error: error.message });
+    }
+  }
+}
+
+module.exports = SessionController;
@@ -0,0 +1,96 @@
+const { getSnapshotRepository } = require('../repositories');
+const HtmlPage = require('../services/HtmlPage');
+
+/**
+ * Controller for the archived copies of cited sources
+ */
+class SnapshotController {
+  /**
+   * Get a source snapshot as JSON
+   * @param {Object} req - The HTTP request object
+   * @param {Object} res - The HTTP response object
+   */
+  static async getSnapshot(req, res) {
+    try {
+      const snapshot = await getSnapshotRepository().get(req.params.id);
+      
+      if (!snapshot) {
+        return res.status(404).json({ message: 'Snapshot not found' });
+      }
+      
+      res.json(snapshot);
+    } catch (error) {
+      console.error('Error getting snapshot:', error);
+      res.status(500).json({ message: 'Error retrieving snapshot', error: error.message });
+    }
+  }
+  
+  /**
+   * Show the archived copy of a source as a page
+   * @param {Object} req - The HTTP request object
+   * @param {Object} res - The HTTP response object
+   */
+  static async viewSnapshot(req, res) {
+    try {
+      const snapshot = await getSnapshotRepository().get(req.params.id);
+      
+      if (!snapshot) {
+        return res.status(404).type('text/plain').send('Snapshot not found');
+      }
+      
+      res.type('html').send(SnapshotController.renderPage(snapshot));
+    } catch (error) {
+      console.error('Error viewing snapshot:', error);
+      res.status(500).json({ message: 'Error retrieving snapshot', error: error.message });
+    }
+  }
+  
+  /**
+   * Render a snapshot as a standalone HTML page: when and where it was
+   * captured, the text the source returned and its metadata
+   * @param {Object} snapshot - The snapshot record
+   * @returns {string} - The HTML page
+   */
+  static renderPage(snapshot) {
+    const { summary, ...metadata } = snapshot.result;
+    const hasLink = SnapshotController.isWebLink(snapshot.link);
+    
+    const rows = Object.keys(metadata).map(key => {
+      const value = typeof metadata[key] === 'object' ? JSON.stringify(metadata[key]) : metadata[key];
+      return `<tr><th>${HtmlPage.escape(key)}</th><td>${HtmlPage.escape(value)}</td></tr>`;
+    });
+    
+    return HtmlPage.render({
+      title: `Archived copy: ${snapshot.title}`,
+      styles: `  .banner { background: #fff8e1; border: 1px solid #f0d78c; }
+  table { border-collapse: collapse; font-family: sans-serif; font-size: 0.85rem; }
+  th, td { text-align: left; vertical-align: top; padding: 0.25rem 0.75rem 0.25rem 0; }
+  code { word-break: break-all; }`,
+      banner: `  Archived copy of what ${HtmlPage.escape(snapshot.source)} returned, captured ${HtmlPage.escape(snapshot.capturedAt)}.
+  ${hasLink ? `The current version may differ: <a href="${HtmlPage.escape(snapshot.link)}" rel="noopener noreferrer">view the live page</a>.` : ''}
+  <br>Content hash (SHA-256): <code>${HtmlPage.escape(snapshot.snapshotId)}</code>`,
+      body: `<h1>${HtmlPage.escape(snapshot.title)}</h1>
+<div class="content">${HtmlPage.escape(summary)}</div>
+<h2>Metadata</h2>
+<table>
+${rows.join('\n')}
+</table>`
+    });
+  }
+  
+  /**
+   * Whether a source link can be offered on the page: only web links, as sources
+   * may return javascript: or data: URLs
+   * @param {string} link - The source link
+   * @returns {boolean}
+   */
+  static isWebLink(link) {
+    try {
+      return ['http:', 'https:'].includes(new URL(link).protocol);
+    } catch (error) {
+      return false;
+    }
+  }
+}
+
+module.exports = SnapshotController;
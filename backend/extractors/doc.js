@@ -0,0 +1,32 @@
+const fs = require('fs/promises');
+const mammoth = require('mammoth');
+const CompoundFile = require('../services/CompoundFile');
+const HtmlReader = require('../services/HtmlReader');
+const WordBinaryReader = require('../services/WordBinaryReader');
+
+/**
+ * Legacy Word documents (.doc, Word 97-2003). Files saved as .doc that are
+ * really DOCX or HTML (as some systems export them) are read as such.
+ */
+module.exports = {
+  id: 'doc',
+  name: 'Word 97-2003',
+  extensions: ['.doc'],
+  mimeTypes: ['application/msword'],
+  order: 30,
+  extract: async (filePath) => {
+    const data = await fs.readFile(filePath);
+
+    if (CompoundFile.isCompoundFile(data)) {
+      return { pages: [{ page: null, text: WordBinaryReader.read(data) }] };
+    }
+    if (data.subarray(0, 2).toString('latin1') === 'PK') {
+      const result = await mammoth.convertToHtml({ buffer: data });
+      return { pages: HtmlReader.toPages(result.value) };
+    }
+    if (/^\s*</.test(data.subarray(0, 512).toString('latin1'))) {
+      return { pages: HtmlReader.toPages(data.toString('utf8')) };
+    }
+    throw new Error('Unsupported Word format (only Word 97 and later can be read)');
+  }
+};
@@ -0,0 +1,100 @@
+const fs = require('fs/promises');
+const path = require('path');
+const DocumentExtractor = require('../services/DocumentExtractor');
+const HtmlReader = require('../services/HtmlReader');
+const MimeMessage = require('../services/MimeMessage');
+const OutlookMessage = require('../services/OutlookMessage');
+
+// Headers the message text starts with, and their labels
+const HEADER_LABELS = { from: 'From', to: 'To', cc: 'Cc', date: 'Date', subject: 'Subject' };
+
+/**
+ * Name where an attachment's text was found
+ * @param {string} prefix - The attachment, e.g. "Attachment rent-roll.xlsx"
+ * @param {Object} location - { page, section } within the attachment
+ * @returns {string} - e.g. "Attachment lease.pdf, page 3"
+ */
+const locate = (prefix, { page = null, section = null }) =>
+  [prefix, page ? `page ${page}` : null, section].filter(Boolean).join(', ');
+
+/**
+ * Turn an email into sections: the message (headers and body), then each
+ * attachment's pages and sheets, read with the extractor of its format
+ * @param {Object} email - From MimeMessage.readEmail() or OutlookMessage.read()
+ * @param {number} depth - Attachment nesting depth of the email
+ * @param {string|null} prefix - Section prefix of an attached email
+ * @returns {Promise<Object>} - { pages, sheets, attachments }
+ */
+const readEmail = async (email, depth, prefix = null) => {
+  const headerLines = Object.entries(HEADER_LABELS)
+    .filter(([key]) => email.headers[key])
+    .map(([key, label]) => `${label}: ${email.headers[key]}`);
+
+  let body = email.text;
+  if (!body && email.html) {
+    body = HtmlReader.read(email.html).sections.map(section => section.text).join('\n\n');
+  }
+
+  const attachmentNames = email.attachments.map(attachment => attachment.name);
+  const pages = [{
+    page: null,
+    section: prefix || 'Message',
+    text: [
+      headerLines.join('\n'),
+      (body || '').replace(/\r\n/g, '\n').trim(),
+      attachmentNames.length > 0 ? `Attachments: ${attachmentNames.join(', ')}` : ''
+    ].filter(Boolean).join('\n\n')
+  }];
+  const sheets = [];
+  const attachments = [];
+
+  for (const attachment of email.attachments) {
+    const attachmentPrefix = `${prefix ? `${prefix}, ` : ''}Attachment ${attachment.name}`;
+    try {
+      let extracted;
+      if (attachment.email) {
+        if (depth + 1 > DocumentExtractor.MAX_ATTACHMENT_DEPTH) {
+          throw new Error('Attachments are nested too deeply');
+        }
+        extracted = await readEmail(attachment.email, depth + 1, attachmentPrefix);
+      } else if (DocumentExtractor.isSupported(path.extname(attachment.name))) {
+        const result = await DocumentExtractor.extractEmbedded(attachment.name, attachment.data, depth + 1);
+        extracted = {
+          pages: result.pages.map(page => ({ page: null, section: locate(attachmentPrefix, page), text: page.text })),
+          sheets: (result.sheets || []).map(sheet => ({ ...sheet, name: locate(attachmentPrefix, { section: sheet.name }) })),
+          attachments: result.attachments
+        };
+      } else {
+        attachments.push({ name: attachment.name, extracted: false, error: 'Unsupported file format' });
+        continue;
+      }
+
+      pages.push(...extracted.pages);
+      sheets.push(...extracted.sheets);
+      attachments.push({ name: attachment.name, extracted: true, error: null });
+      // Attachments of attached emails are listed under them
+      attachments.push(...extracted.attachments.map(item => ({ ...item, name: `${attachment.name} > ${item.name}` })));
+    } catch (error) {
+      attachments.push({ name: attachment.name, extracted: false, error: error.message });
+    }
+  }
+
+  return { pages, sheets, attachments };
+};
+
+/**
+ * Emails saved as .eml (MIME) or .msg (Outlook), with their attachments
+ */
+module.exports = {
+  id: 'email',
+  name: 'Email',
+  extensions: ['.eml', '.msg'],
+  mimeTypes: ['message/rfc822', 'application/vnd.ms-outlook'],
+  order: 90,
+  extract: async (filePath, { extension, depth }) => {
+    const data = await fs.readFile(filePath);
+    const email = extension === '.msg' ? OutlookMessage.read(data) : MimeMessage.readEmail(data);
+    const { pages, sheets, attachments } = await readEmail(email, depth);
+    return { pages, sheets: sheets.length > 0 ? sheets : null, attachments };
+  }
+};
@@ -0,0 +1,16 @@
+const fs = require('fs/promises');
+const HtmlReader = require('../services/HtmlReader');
+
+/**
+ * Web pages saved as HTML, a section per heading with tables kept by row
+ */
+module.exports = {
+  id: 'html',
+  name: 'HTML',
+  extensions: ['.html', '.htm', '.xhtml'],
+  mimeTypes: ['text/html', 'application/xhtml+xml'],
+  order: 60,
+  extract: async (filePath) => ({
+    pages: HtmlReader.toPages(HtmlReader.decode(await fs.readFile(filePath)))
+  })
+};
@@ -0,0 +1,46 @@
+const PDFExtract = require('pdf.js-extract').PDFExtract;
+
+const pdfExtractor = new PDFExtract();
+
+// Vertical distance (in PDF units) within which text items are on the same line
+const LINE_TOLERANCE = 2;
+
+/**
+ * Join a PDF page's text items into lines
+ * @param {Array} items - Text items ({ str, y }) in reading order
+ * @returns {string} - The page text, one line per row of text
+ */
+const joinLines = (items) => {
+  const lines = [];
+  let current = null;
+
+  items.forEach(item => {
+    if (!current || Math.abs(item.y - current.y) > LINE_TOLERANCE) {
+      current = { y: item.y, parts: [] };
+      lines.push(current);
+    }
+    current.parts.push(item.str);
+  });
+
+  return lines
+    .map(line => line.parts.join(' ').replace(/\s+/g, ' ').trim())
+    .filter(Boolean)
+    .join('\n');
+};
+
+/**
+ * PDF documents, page by page (pages without a text layer are OCRed later by DocumentLibrary)
+ */
+module.exports = {
+  id: 'pdf',
+  name: 'PDF',
+  extensions: ['.pdf'],
+  mimeTypes: ['application/pdf'],
+  order: 10,
+  extract: async (filePath) => {
+    const data = await pdfExtractor.extract(filePath);
+    return {
+      pages: data.pages.map((page, index) => ({ page: index + 1, text: joinLines(page.content) }))
+    };
+  }
+};
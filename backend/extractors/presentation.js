@@ -0,0 +1,23 @@
+const PresentationReader = require('../services/PresentationReader');
+
+/**
+ * PowerPoint presentations (.pptx), e.g. broker pitch decks, a section per
+ * slide named by its number and title
+ */
+module.exports = {
+  id: 'pptx',
+  name: 'PowerPoint',
+  extensions: ['.pptx'],
+  mimeTypes: ['application/vnd.openxmlformats-officedocument.presentationml.presentation'],
+  order: 50,
+  extract: async (filePath) => {
+    const slides = await PresentationReader.read(filePath);
+    return {
+      pages: slides.map(slide => ({
+        page: null,
+        section: `Slide ${slide.number}${slide.title ? `: ${slide.title}` : ''}${slide.hidden ? ' (hidden)' : ''}`,
+        text: slide.title ? `${slide.title}\n\n${slide.text}`.trim() : slide.text
+      }))
+    };
+  }
+};
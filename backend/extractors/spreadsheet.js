@@ -0,0 +1,21 @@
+const SpreadsheetReader = require('../services/SpreadsheetReader');
+
+/**
+ * XLSX workbooks and CSV files, a section per sheet (rent rolls and operating
+ * statements are read from the sheets' rows by DocumentLibrary)
+ */
+module.exports = {
+  id: 'spreadsheet',
+  name: 'Excel / CSV',
+  extensions: ['.xlsx', '.csv'],
+  // Browsers on Windows report CSV files as application/vnd.ms-excel
+  mimeTypes: ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', 'text/csv', 'application/vnd.ms-excel'],
+  order: 40,
+  extract: async (filePath, { extension }) => {
+    const sheets = await SpreadsheetReader.read(filePath, extension);
+    return {
+      pages: sheets.map(sheet => ({ page: null, section: sheet.name, text: SpreadsheetReader.toText(sheet) })),
+      sheets
+    };
+  }
+};
@@ -0,0 +1,58 @@
+const fs = require('fs/promises');
+const CharacterSets = require('../services/CharacterSets');
+
+// An ATX heading ("## Operating Expenses") or the underline of a setext heading
+const ATX_HEADING = /^ {0,3}(#{1,6})[ \t]+(.+?)(?:[ \t]+#+)?[ \t]*$/;
+const SETEXT_UNDERLINE = /^ {0,3}(=+|-+)[ \t]*$/;
+const CODE_FENCE = /^ {0,3}(```|~~~)/;
+
+/**
+ * Split markdown into a section per heading (headings in code blocks don't count)
+ * @param {string} text - The markdown
+ * @returns {Array} - [{ page: null, section, text }] where the text before the first heading
+ *   has no section
+ */
+const splitMarkdown = (text) => {
+  const lines = text.split(/\r?\n/);
+  const sections = [{ heading: null, lines: [] }];
+  let fenced = false;
+
+  lines.forEach((line, index) => {
+    const current = sections[sections.length - 1];
+    if (CODE_FENCE.test(line)) {
+      fenced = !fenced;
+    }
+
+    const atx = !fenced && line.match(ATX_HEADING);
+    const next = lines[index + 1];
+    const setext = !fenced && line.trim() && !current.lines[current.lines.length - 1]?.trim() &&
+      next !== undefined && SETEXT_UNDERLINE.test(next) && !/^\s*[-*+]\s/.test(line);
+
+    if (atx || setext) {
+      sections.push({ heading: atx ? atx[2].trim() : line.trim(), lines: [line] });
+    } else {
+      current.lines.push(line);
+    }
+  });
+
+  return sections
+    .map(section => ({ page: null, section: section.heading, text: section.lines.join('\n').trim() }))
+    .filter(section => section.text);
+};
+
+/**
+ * Plain text and markdown files; markdown is split into a section per heading
+ */
+module.exports = {
+  id: 'text',
+  name: 'Text / Markdown',
+  extensions: ['.txt', '.md', '.markdown'],
+  mimeTypes: ['text/plain', 'text/markdown', 'text/x-markdown'],
+  order: 80,
+  extract: async (filePath, { extension }) => {
+    const text = CharacterSets.decodeUnknown(await fs.readFile(filePath));
+    return {
+      pages: extension === '.txt' ? [{ page: null, text: text.trim() }] : splitMarkdown(text)
+    };
+  }
+};
@@ -0,0 +1,21 @@
+const fs = require('fs/promises');
+const HtmlReader = require('../services/HtmlReader');
+const MimeMessage = require('../services/MimeMessage');
+
+/**
+ * Web pages saved as single-file archives (.mhtml), read like HTML
+ */
+module.exports = {
+  id: 'mhtml',
+  name: 'Web archive',
+  extensions: ['.mhtml', '.mht'],
+  mimeTypes: ['multipart/related', 'application/x-mimearchive'],
+  order: 70,
+  extract: async (filePath) => {
+    const html = MimeMessage.readWebArchive(await fs.readFile(filePath));
+    if (html === null) {
+      throw new Error('The web archive has no HTML page');
+    }
+    return { pages: HtmlReader.toPages(html) };
+  }
+};
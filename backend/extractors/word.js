@@ -0,0 +1,21 @@
+const mammoth = require('mammoth');
+const HtmlReader = require('../services/HtmlReader');
+
+/**
+ * Word documents (.docx), converted to HTML so headings become sections and
+ * tables keep their rows
+ */
+module.exports = {
+  id: 'docx',
+  name: 'Word',
+  extensions: ['.docx'],
+  mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+  order: 20,
+  extract: async (filePath) => {
+    // Images aren't text; leave them out rather than inline them as data URLs
+    const result = await mammoth.convertToHtml({ path: filePath }, {
+      convertImage: mammoth.images.imgElement(() => ({ src: '' }))
+    });
+    return { pages: HtmlReader.toPages(result.value) };
+  }
+};
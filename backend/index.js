@@ -15,6 +15,12 @@ const path = require('path');
 const queryRoutes = require('./routes/queryRoutes');
 const documentRoutes = require('./routes/documentRoutes');
 const reportRoutes = require('./routes/reportRoutes');
+const sessionRoutes = require('./routes/sessionRoutes');
+const citationRoutes = require('./routes/citationRoutes');
+const snapshotRoutes = require('./routes/snapshotRoutes');
+const attachResearchSocket = require('./sockets/researchSocket');
+const { useMongoSessions, useMongoSnapshots, useMongoDocuments } = require('./repositories');
+const DocumentLibrary = require('./services/DocumentLibrary');
 
 const app = express();
 
@@ -39,6 +45,9 @@ const upload = multer({ storage });
 app.use('/api/query', queryRoutes);
 app.use('/api/document', documentRoutes);
 app.use('/api/report', reportRoutes);
+app.use('/api/sessions', sessionRoutes);
+app.use('/api/citations', citationRoutes);
+app.use('/api/snapshots', snapshotRoutes);
 
 // Add this before your routes
 app.get('/ping', (req, res) => {
@@ -50,11 +59,29 @@ if (process.env.NODE_ENV === 'production') {
   app.use(express.static(path.join(__dirname, '../frontend/build')));
 }
 
+// Queue OCR again for scanned pages a restart interrupted, once the library's store is chosen
+const resumeOcr = () => {
+  DocumentLibrary.resumeOcr()
+    .then(count => count > 0 && console.log(`Resumed OCR of ${count} document(s)`))
+    .catch(err => console.error('Error resuming OCR:', err));
+};
+
 // Connect to MongoDB (if using MongoDB)
 if (process.env.MONGODB_URI) {
   mongoose.connect(process.env.MONGODB_URI)
-    .then(() => console.log('Connected to MongoDB'))
+    .then(() => {
+      console.log('Connected to MongoDB');
+      useMongoSessions();
+      useMongoDocuments();
+      // Snapshots follow sessions into the database unless they are kept on disk
+      if ((process.env.SNAPSHOT_STORE || 'mongo').toLowerCase() === 'mongo') {
+        useMongoSnapshots();
+      }
+      resumeOcr();
+    })
     .catch(err => console.error('MongoDB connection error:', err));
+} else {
+  resumeOcr();
 }
 
 // Fallback for production
@@ -67,11 +94,14 @@ if (process.env.NODE_ENV === 'production') {
 // Modify the server startup code
 const startServer = (port) => {
   try {
-    app.listen(port, () => {
+    const server = app.listen(port, () => {
       console.log(`Server running on http://localhost:${port}`);
       console.log(`AI Provider: ${process.env.AI_PROVIDER || 'openai'}`);
       console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
     });
+    
+    // WebSocket fallback for the research progress stream
+    attachResearchSocket(server);
   } catch (error) {
     if (error.code === 'EADDRINUSE') {
       console.log(`Port ${port} is in use, trying another port...`);
@@ -86,8 +116,4 @@ const startServer = (port) => {
 const PORT = parseInt(process.env.PORT || '3001', 10);
 startServer(PORT);
 
-// Global storage for research status (in a real app, use Redis or a database)
-global.researchStatus = {};
-global.researchComplete = {};
-
 module.exports = app; 
\ No newline at end of file
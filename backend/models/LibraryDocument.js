@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+/**
+ * An uploaded document in the library: its extracted text by page and the
+ * chunks that are searched at query time
+ */
+const libraryDocumentSchema = new mongoose.Schema({
+  documentId: { type: String, required: true, unique: true, index: true },
+  workspace: { type: String, index: true },
+  sessionId: { type: String },
+  name: { type: String },
+  extension: { type: String },
+  mimeType: { type: String },
+  size: { type: Number },
+  storedFile: { type: String },
+  pageCount: { type: Number },
+  wordCount: { type: Number },
+  topics: { type: [String], default: [] },
+  summary: { type: String },
+  pages: { type: [mongoose.Schema.Types.Mixed], default: [] },
+  attachments: { type: [mongoose.Schema.Types.Mixed], default: null },
+  chunks: { type: [mongoose.Schema.Types.Mixed], default: [] },
+  leaseAbstract: { type: mongoose.Schema.Types.Mixed, default: null },
+  financials: { type: mongoose.Schema.Types.Mixed, default: null },
+  ocr: { type: mongoose.Schema.Types.Mixed, default: null },
+  uploadedAt: { type: String }
+}, {
+  minimize: false
+});
+
+module.exports = mongoose.model('LibraryDocument', libraryDocumentSchema);
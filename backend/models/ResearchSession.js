@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+/**
+ * A research session: the latest query run for a session and everything it produced,
+ * plus the conversation turns that came before it
+ */
+const researchSessionSchema = new mongoose.Schema({
+  sessionId: { type: String, required: true, unique: true, index: true },
+  query: { type: String },
+  standaloneQuery: { type: String },
+  provider: { type: String },
+  citationStyle: { type: String },
+  dateRange: { type: mongoose.Schema.Types.Mixed },
+  category: { type: String },
+  categories: { type: [mongoose.Schema.Types.Mixed], default: [] },
+  entities: { type: mongoose.Schema.Types.Mixed },
+  steps: { type: [mongoose.Schema.Types.Mixed], default: [] },
+  results: { type: [mongoose.Schema.Types.Mixed], default: [] },
+  response: { type: String },
+  structured: { type: mongoose.Schema.Types.Mixed },
+  citations: { type: [mongoose.Schema.Types.Mixed], default: [] },
+  complete: { type: Boolean, default: false },
+  error: { type: String },
+  turns: { type: [mongoose.Schema.Types.Mixed], default: [] },
+  summary: { type: String },
+  summarizedTurns: { type: Number, default: 0 }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+module.exports = mongoose.model('ResearchSession', researchSessionSchema);
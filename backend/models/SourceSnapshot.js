@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+/**
+ * An archived copy of a research result exactly as its source returned it,
+ * keyed by the hash of its content
+ */
+const sourceSnapshotSchema = new mongoose.Schema({
+  snapshotId: { type: String, required: true, unique: true, index: true },
+  source: { type: String },
+  title: { type: String },
+  link: { type: String },
+  provenance: { type: String },
+  result: { type: mongoose.Schema.Types.Mixed },
+  capturedAt: { type: String }
+}, {
+  minimize: false
+});
+
+module.exports = mongoose.model('SourceSnapshot', sourceSnapshotSchema);
@@ -0,0 +1,123 @@
+/**
+ * Interface for AI model providers.
+ *
+ * Adapters receive messages in the { role, content } format, where the first
+ * message may have the 'system' role, and return { text, stopReason }.
+ * A call may pass a `responseSchema` ({ name, schema }) to ask for a JSON
+ * object; adapters use the provider's structured output support where it
+ * has one and the prompt alone otherwise.
+ * Stop reasons are normalized to 'end_turn', 'max_tokens' or 'stop_sequence'
+ * (any other reason is passed through as the provider reported it).
+ */
+class AIProvider {
+  /**
+   * @param {Object} config - Provider configuration
+   * @param {string} config.name - Provider identifier used in AI_PROVIDER and requests
+   * @param {string} config.label - Name shown in research steps
+   * @param {string} config.model - Model to request
+   * @param {number} config.temperature - Default sampling temperature
+   * @param {number} config.maxTokens - Default maximum tokens to generate
+   * @param {boolean} config.selfHosted - Whether the model runs on infrastructure we control
+   */
+  constructor({ name, label, model, temperature = 0.3, maxTokens = 2500, selfHosted = false }) {
+    this.name = name;
+    this.label = label || name;
+    this.model = model;
+    this.temperature = temperature;
+    this.maxTokens = maxTokens;
+    this.selfHosted = selfHosted;
+  }
+
+  /**
+   * Get the configuration the provider needs but doesn't have
+   * @returns {Array<string>} - Names of missing environment variables
+   */
+  getMissingConfig() {
+    return [];
+  }
+
+  /**
+   * Generate a completion
+   * @param {Array} messages - Messages in { role, content } format
+   * @param {Object} options - Overrides for this call ({ temperature, maxTokens, responseSchema })
+   * @returns {Promise<Object>} - { text, stopReason }
+   */
+  async complete(messages, options) {
+    throw new Error(`${this.constructor.name} does not implement complete`);
+  }
+
+  /**
+   * Generate a completion, passing text on as it is generated
+   * @param {Array} messages - Messages in { role, content } format
+   * @param {Function} onToken - Called with each piece of text as it arrives
+   * @param {Object} options - Overrides for this call ({ temperature, maxTokens, responseSchema })
+   * @returns {Promise<Object>} - { text, stopReason }
+   */
+  async stream(messages, onToken, options) {
+    throw new Error(`${this.constructor.name} does not implement stream`);
+  }
+
+  /**
+   * Merge per-call overrides with the provider's configured settings
+   * @param {Object} options - Overrides ({ temperature, maxTokens })
+   * @returns {Object} - { model, temperature, maxTokens }
+   */
+  getSettings({ temperature, maxTokens } = {}) {
+    return {
+      model: this.model,
+      temperature: temperature !== undefined ? temperature : this.temperature,
+      maxTokens: maxTokens !== undefined ? maxTokens : this.maxTokens
+    };
+  }
+
+  /**
+   * Describe the provider for listings
+   * @returns {Object} - { name, label, model, selfHosted, configured, missingConfig }
+   */
+  describe() {
+    const missingConfig = this.getMissingConfig();
+
+    return {
+      name: this.name,
+      label: this.label,
+      model: this.model,
+      selfHosted: this.selfHosted,
+      configured: missingConfig.length === 0,
+      missingConfig
+    };
+  }
+
+  /**
+   * Read a Server-Sent Events response body, passing each JSON data payload on
+   * @param {Object} stream - The readable response stream
+   * @param {Function} onData - Called with each parsed data payload
+   * @returns {Promise<void>} - Resolves when the stream ends
+   */
+  async readEventStream(stream, onData) {
+    stream.setEncoding('utf8');
+
+    let buffer = '';
+    const handleLine = (line) => {
+      const trimmed = line.trim();
+      if (!trimmed.startsWith('data:')) {
+        return;
+      }
+
+      const payload = trimmed.slice(5).trim();
+      if (payload && payload !== '[DONE]') {
+        onData(JSON.parse(payload));
+      }
+    };
+
+    for await (const chunk of stream) {
+      buffer += chunk;
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      lines.forEach(handleLine);
+    }
+
+    handleLine(buffer);
+  }
+}
+
+module.exports = AIProvider;
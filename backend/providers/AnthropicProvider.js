@@ -0,0 +1,126 @@
+const axios = require('axios');
+const AIProvider = require('./AIProvider');
+
+const ENDPOINT = 'https://api.anthropic.com/v1/messages';
+const API_VERSION = '2023-06-01';
+
+/**
+ * Adapter for the Anthropic Messages API. The system prompt goes in the
+ * top-level `system` field; the remaining messages alternate user/assistant.
+ * JSON answers are requested by prefilling the reply with "{".
+ */
+class AnthropicProvider extends AIProvider {
+  /**
+   * @param {Object} config - Provider configuration (see AIProvider)
+   * @param {string} config.apiKey - The Anthropic API key
+   */
+  constructor({ apiKey, ...config }) {
+    super(config);
+    this.apiKey = apiKey;
+  }
+
+  getMissingConfig() {
+    return this.apiKey ? [] : ['ANTHROPIC_API_KEY'];
+  }
+
+  async complete(messages, options = {}) {
+    const response = await axios.post(ENDPOINT, this.buildRequest(messages, options), {
+      headers: this.getHeaders()
+    });
+
+    const text = response.data.content
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+
+    return { text: this.getPrefill(options) + text, stopReason: response.data.stop_reason };
+  }
+
+  async stream(messages, onToken, options = {}) {
+    const response = await axios.post(ENDPOINT, {
+      ...this.buildRequest(messages, options),
+      stream: true
+    }, {
+      headers: this.getHeaders(),
+      responseType: 'stream'
+    });
+
+    let text = this.getPrefill(options);
+    let stopReason = null;
+    if (text) {
+      onToken(text);
+    }
+    await this.readEventStream(response.data, (event) => {
+      if (event.type === 'error') {
+        throw new Error(event.error ? event.error.message : 'Anthropic stream error');
+      }
+      if (event.type === 'content_block_delta' && event.delta.type === 'text_delta') {
+        text += event.delta.text;
+        onToken(event.delta.text);
+      }
+      if (event.type === 'message_delta' && event.delta.stop_reason) {
+        stopReason = event.delta.stop_reason;
+      }
+    });
+
+    return { text, stopReason };
+  }
+
+  /**
+   * Build the Messages API request body, moving system messages to the `system` field
+   * @param {Array} messages - Messages in { role, content } format
+   * @param {Object} options - Overrides ({ temperature, maxTokens, responseSchema })
+   * @returns {Object} - The request body
+   */
+  buildRequest(messages, options) {
+    const { model, temperature, maxTokens } = this.getSettings(options);
+
+    const system = messages
+      .filter(msg => msg.role === 'system')
+      .map(msg => msg.content)
+      .join('\n\n');
+
+    const body = {
+      model,
+      messages: messages
+        .filter(msg => msg.role !== 'system')
+        .map(msg => ({ role: msg.role, content: msg.content })),
+      temperature,
+      max_tokens: maxTokens
+    };
+
+    if (system) {
+      body.system = system;
+    }
+
+    const prefill = this.getPrefill(options);
+    if (prefill) {
+      body.messages.push({ role: 'assistant', content: prefill });
+    }
+
+    return body;
+  }
+
+  /**
+   * Get the text the reply is prefilled with
+   * @param {Object} options - Call options ({ responseSchema })
+   * @returns {string} - "{" for JSON answers, otherwise empty
+   */
+  getPrefill(options = {}) {
+    return options.responseSchema ? '{' : '';
+  }
+
+  /**
+   * Get the request headers
+   * @returns {Object} - HTTP headers
+   */
+  getHeaders() {
+    return {
+      'Content-Type': 'application/json',
+      'x-api-key': this.apiKey,
+      'anthropic-version': API_VERSION
+    };
+  }
+}
+
+module.exports = AnthropicProvider;
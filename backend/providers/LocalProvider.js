@@ -0,0 +1,130 @@
+const AIProvider = require('./AIProvider');
+
+/**
+ * Canned responses for development and testing without a model. Streaming is
+ * simulated a few words at a time.
+ */
+class LocalProvider extends AIProvider {
+  /**
+   * @param {Object} config - Provider configuration (see AIProvider)
+   * @param {number} config.streamDelay - Milliseconds between simulated tokens
+   */
+  constructor({ streamDelay = 15, ...config }) {
+    super(config);
+    this.streamDelay = streamDelay;
+  }
+
+  async complete(messages, options = {}) {
+    return { text: this.getResponse(messages, options), stopReason: 'end_turn' };
+  }
+
+  async stream(messages, onToken, options = {}) {
+    const text = this.getResponse(messages, options);
+
+    for (const token of text.match(/\S*\s*/g)) {
+      if (token) {
+        onToken(token);
+        await new Promise(resolve => setTimeout(resolve, this.streamDelay));
+      }
+    }
+
+    return { text, stopReason: 'end_turn' };
+  }
+
+  /**
+   * Generate a mock response to the research query in the messages
+   * @param {Array} messages - The messages to process
+   * @param {Object} options - Call options ({ responseSchema } asks for a structured answer)
+   * @returns {string} - The mock AI response
+   */
+  getResponse(messages, options = {}) {
+    // Extract the query from the latest user message (earlier ones are conversation history)
+    const userMessage = messages.filter(msg => msg.role === 'user').pop();
+    const content = userMessage ? userMessage.content : '';
+    const query = content.includes('# Research Query')
+      ? content.split('# Research Query')[1].trim().split('\n')[0].trim()
+      : content.trim();
+    
+    if (options.responseSchema && options.responseSchema.name === 'document_comparison') {
+      return this.getComparisonResponse(query, content);
+    }
+    
+    if (options.responseSchema) {
+      return this.getStructuredResponse(query, content.includes('Source [1]'));
+    }
+    
+    return `
+# Research on ${query}
+
+Based on the research results provided, here are the key findings:
+
+## Market Overview
+- The commercial real estate market for ${query} shows a mixed picture with some segments performing better than others.
+- Recent trends indicate changes in demand patterns, particularly in urban vs. suburban locations.
+
+## Key Insights
+1. Sustainability considerations are increasingly important in commercial real estate decisions.
+2. Technology integration continues to be a differentiating factor for premium properties.
+3. Economic indicators suggest cautious optimism for the sector overall.
+
+## Recommendations
+- Investors should consider diversifying across property types to mitigate risk.
+- Long-term strategies should account for changing work patterns and consumer preferences.
+- Sustainability features are likely to command premium pricing in the coming years.
+
+## Sources
+The information above is based on data from multiple sources including market reports, economic data, and industry analyses cited in the research results.
+`;
+  }
+
+  /**
+   * Generate a mock structured answer
+   * @param {string} query - The research query
+   * @param {boolean} hasSources - Whether the prompt included numbered sources
+   * @returns {string} - The answer as JSON
+   */
+  getStructuredResponse(query, hasSources) {
+    const sources = hasSources ? [1] : [];
+
+    return JSON.stringify({
+      executiveSummary: `The commercial real estate market for ${query} shows a mixed picture with some segments performing better than others.`,
+      sections: [
+        {
+          heading: 'Market Overview',
+          claims: [
+            { text: 'Recent trends indicate changes in demand patterns, particularly in urban vs. suburban locations.', sources },
+            { text: 'Sustainability considerations are increasingly important in commercial real estate decisions.', sources: [] }
+          ]
+        }
+      ],
+      figures: [
+        { label: 'Sample vacancy rate', value: 18.5, unit: '%', period: 'sample data', sources }
+      ],
+      conclusion: 'Investors should consider diversifying across property types to mitigate risk.'
+    });
+  }
+
+  /**
+   * Generate a mock comparison of the documents listed in the prompt
+   * @param {string} query - The research query
+   * @param {string} content - The prompt, listing "Document N: name (sources ...)"
+   * @returns {string} - The comparison as JSON
+   */
+  getComparisonResponse(query, content) {
+    const documents = [...content.matchAll(/^Document (\d+): .* \(sources ([\d, ]+)\)$/gm)]
+      .map(([, number, sources]) => ({ number: parseInt(number, 10), sources: sources.split(',').map(source => parseInt(source, 10)) }));
+
+    return JSON.stringify({
+      summary: `The ${documents.length} documents take different approaches to ${query}.`,
+      rows: [
+        {
+          aspect: 'Key terms',
+          cells: documents.map(document => ({ document: document.number, text: 'Sample summary of this document\'s terms.', sources: [document.sources[0]] }))
+        }
+      ],
+      conclusion: 'Review the differences with counsel before relying on this sample comparison.'
+    });
+  }
+}
+
+module.exports = LocalProvider;
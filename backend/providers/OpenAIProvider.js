@@ -0,0 +1,143 @@
+const axios = require('axios');
+const AIProvider = require('./AIProvider');
+
+// OpenAI finish reasons mapped to the normalized stop reasons
+const STOP_REASONS = {
+  stop: 'end_turn',
+  length: 'max_tokens',
+  content_filter: 'content_filter'
+};
+
+/**
+ * Adapter for the OpenAI chat completions API and servers that implement it
+ * (Ollama, llama.cpp server, vLLM, LM Studio, ...)
+ */
+class OpenAIProvider extends AIProvider {
+  /**
+   * @param {Object} config - Provider configuration (see AIProvider)
+   * @param {string} config.baseUrl - API base URL, e.g. http://localhost:11434/v1
+   * @param {string} config.apiKey - API key (optional for most self-hosted servers)
+   * @param {boolean} config.requiresApiKey - Whether requests need an API key
+   * @param {Object} config.configNames - Environment variable names, for error messages
+   * @param {string} config.structuredOutput - How JSON answers are requested: json_schema
+   *   (schema-constrained), json_object (any JSON) or none (prompt only); models must support it
+   */
+  constructor({ baseUrl, apiKey, requiresApiKey = true, configNames = {}, structuredOutput = 'json_object', ...config }) {
+    super(config);
+    this.baseUrl = (baseUrl || '').replace(/\/+$/, '');
+    this.apiKey = apiKey;
+    this.requiresApiKey = requiresApiKey;
+    this.configNames = configNames;
+    this.structuredOutput = structuredOutput;
+  }
+
+  getMissingConfig() {
+    const missing = [];
+
+    if (!this.baseUrl) {
+      missing.push(this.configNames.baseUrl);
+    }
+    if (!this.model) {
+      missing.push(this.configNames.model);
+    }
+    if (this.requiresApiKey && !this.apiKey) {
+      missing.push(this.configNames.apiKey);
+    }
+
+    return missing.filter(Boolean);
+  }
+
+  async complete(messages, options = {}) {
+    const response = await axios.post(`${this.baseUrl}/chat/completions`, this.buildRequest(messages, options), {
+      headers: this.getHeaders()
+    });
+
+    const choice = response.data.choices[0];
+
+    return {
+      text: choice.message.content || '',
+      stopReason: this.normalizeStopReason(choice.finish_reason)
+    };
+  }
+
+  async stream(messages, onToken, options = {}) {
+    const response = await axios.post(`${this.baseUrl}/chat/completions`, {
+      ...this.buildRequest(messages, options),
+      stream: true
+    }, {
+      headers: this.getHeaders(),
+      responseType: 'stream'
+    });
+
+    let text = '';
+    let stopReason = null;
+    await this.readEventStream(response.data, (event) => {
+      const choice = event.choices && event.choices[0];
+      if (!choice) {
+        return;
+      }
+      if (choice.delta && choice.delta.content) {
+        text += choice.delta.content;
+        onToken(choice.delta.content);
+      }
+      if (choice.finish_reason) {
+        stopReason = this.normalizeStopReason(choice.finish_reason);
+      }
+    });
+
+    return { text, stopReason };
+  }
+
+  /**
+   * Build the chat completions request body
+   * @param {Array} messages - Messages in { role, content } format
+   * @param {Object} options - Overrides ({ temperature, maxTokens, responseSchema })
+   * @returns {Object} - The request body
+   */
+  buildRequest(messages, options) {
+    const { model, temperature, maxTokens } = this.getSettings(options);
+
+    const body = {
+      model,
+      messages,
+      temperature,
+      max_tokens: maxTokens
+    };
+
+    if (options.responseSchema && this.structuredOutput === 'json_schema') {
+      body.response_format = {
+        type: 'json_schema',
+        json_schema: { name: options.responseSchema.name, schema: options.responseSchema.schema }
+      };
+    } else if (options.responseSchema && this.structuredOutput === 'json_object') {
+      body.response_format = { type: 'json_object' };
+    }
+
+    return body;
+  }
+
+  /**
+   * Get the request headers
+   * @returns {Object} - HTTP headers
+   */
+  getHeaders() {
+    const headers = { 'Content-Type': 'application/json' };
+
+    if (this.apiKey) {
+      headers['Authorization'] = `Bearer ${this.apiKey}`;
+    }
+
+    return headers;
+  }
+
+  /**
+   * Map an OpenAI finish reason to a normalized stop reason
+   * @param {string} reason - The finish_reason from the API
+   * @returns {string|null} - The normalized stop reason
+   */
+  normalizeStopReason(reason) {
+    return STOP_REASONS[reason] || reason || null;
+  }
+}
+
+module.exports = OpenAIProvider;
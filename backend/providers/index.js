@@ -0,0 +1,129 @@
+const OpenAIProvider = require('./OpenAIProvider');
+const AnthropicProvider = require('./AnthropicProvider');
+const LocalProvider = require('./LocalProvider');
+
+/**
+ * Read a numeric setting from the environment
+ * @param {string} name - Environment variable name
+ * @param {number} fallback - Value when the variable is unset or invalid
+ * @returns {number} - The setting
+ */
+const readNumber = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+// OpenAI models that accept JSON schemas as response formats, and the original GPT-4 snapshots,
+// which accept no response format (later models accept JSON mode)
+const OPENAI_SCHEMA_MODELS = /^(?:gpt-4o|gpt-4\.1|gpt-5|o\d)/;
+const OPENAI_PROMPT_ONLY_MODELS = /^gpt-4(?:-0314|-0613|-32k(?:-\d+)?)?$/;
+
+/**
+ * Get how JSON answers are requested from an OpenAI model, unless OPENAI_STRUCTURED_OUTPUT says
+ * @param {string} model - The model name
+ * @returns {string} - json_schema, json_object or none
+ */
+const getOpenAIStructuredOutput = (model) => {
+  if (process.env.OPENAI_STRUCTURED_OUTPUT) {
+    return process.env.OPENAI_STRUCTURED_OUTPUT;
+  }
+  if (OPENAI_SCHEMA_MODELS.test(model)) {
+    return 'json_schema';
+  }
+  return OPENAI_PROMPT_ONLY_MODELS.test(model) ? 'none' : 'json_object';
+};
+
+// Provider factories; configuration is read from the environment each time so .env changes apply
+const factories = {
+  openai: () => new OpenAIProvider({
+    name: 'openai',
+    label: 'OpenAI',
+    baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+    apiKey: process.env.OPENAI_API_KEY,
+    model: process.env.OPENAI_MODEL || 'gpt-4',
+    temperature: readNumber('OPENAI_TEMPERATURE', 0.3),
+    maxTokens: readNumber('OPENAI_MAX_TOKENS', 2500),
+    structuredOutput: getOpenAIStructuredOutput(process.env.OPENAI_MODEL || 'gpt-4'),
+    configNames: { apiKey: 'OPENAI_API_KEY' }
+  }),
+
+  anthropic: () => new AnthropicProvider({
+    name: 'anthropic',
+    label: 'Anthropic',
+    apiKey: process.env.ANTHROPIC_API_KEY,
+    model: process.env.ANTHROPIC_MODEL || 'claude-3-opus-20240229',
+    temperature: readNumber('ANTHROPIC_TEMPERATURE', 0.3),
+    maxTokens: readNumber('ANTHROPIC_MAX_TOKENS', 2500)
+  }),
+
+  // Any server implementing the OpenAI chat completions API: Ollama, llama.cpp server, vLLM, ...
+  'openai-compatible': () => new OpenAIProvider({
+    name: 'openai-compatible',
+    label: process.env.OPENAI_COMPATIBLE_LABEL || 'Self-hosted model',
+    baseUrl: process.env.OPENAI_COMPATIBLE_BASE_URL,
+    apiKey: process.env.OPENAI_COMPATIBLE_API_KEY,
+    requiresApiKey: false,
+    model: process.env.OPENAI_COMPATIBLE_MODEL,
+    temperature: readNumber('OPENAI_COMPATIBLE_TEMPERATURE', 0.3),
+    maxTokens: readNumber('OPENAI_COMPATIBLE_MAX_TOKENS', 2500),
+    selfHosted: true,
+    // Most servers accept JSON mode; fewer support schemas
+    structuredOutput: process.env.OPENAI_COMPATIBLE_STRUCTURED_OUTPUT || 'json_object',
+    configNames: { baseUrl: 'OPENAI_COMPATIBLE_BASE_URL', model: 'OPENAI_COMPATIBLE_MODEL' }
+  }),
+
+  // Canned responses for development without a model
+  local: () => new LocalProvider({
+    name: 'local',
+    label: 'Local (canned responses)',
+    model: 'canned',
+    selfHosted: true,
+    streamDelay: readNumber('LOCAL_STREAM_DELAY_MS', 15)
+  })
+};
+
+/**
+ * Get the name of the default provider
+ * @returns {string} - The provider name from AI_PROVIDER (openai if unset)
+ */
+const getDefaultProviderName = () => (process.env.AI_PROVIDER || 'openai').toLowerCase();
+
+/**
+ * Whether a provider name is known
+ * @param {string} name - Provider name
+ * @returns {boolean}
+ */
+const hasProvider = (name) => Object.prototype.hasOwnProperty.call(factories, name);
+
+/**
+ * Get a provider adapter
+ * @param {string} name - Provider name (defaults to AI_PROVIDER)
+ * @returns {AIProvider} - The provider adapter
+ */
+const getProvider = (name = getDefaultProviderName()) => {
+  if (!hasProvider(name)) {
+    throw new Error(`Unsupported AI provider: ${name}`);
+  }
+
+  return factories[name]();
+};
+
+/**
+ * Describe every provider and whether it is configured
+ * @returns {Array} - Provider descriptions, with the default flagged
+ */
+const describeProviders = () => {
+  const defaultName = getDefaultProviderName();
+
+  return Object.keys(factories).map(name => ({
+    ...factories[name]().describe(),
+    default: name === defaultName
+  }));
+};
+
+module.exports = {
+  getProvider,
+  hasProvider,
+  getDefaultProviderName,
+  describeProviders
+};
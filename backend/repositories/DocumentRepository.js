@@ -0,0 +1,95 @@
+/**
+ * Interface for document library storage.
+ *
+ * A document record has the shape:
+ * { documentId, workspace, sessionId, name, extension, mimeType, size, storedFile, pageCount,
+ *   wordCount, topics, summary, pages, attachments, chunks, leaseAbstract, financials, ocr, uploadedAt }
+ * where pages is [{ page, section, text }] (page is null for formats without pages, section
+ * names the heading, sheet, slide or email attachment the text is from), attachments lists the
+ * files an email carried ([{ name, extracted, error }], null for other documents), chunks is [{ index, page, section, text }], storedFile is the
+ * name of the original file in the library, leaseAbstract is the LeaseAbstractor record for
+ * leases and financials is { rentRoll, operatingStatement, metrics } from PropertyFinancials
+ * for spreadsheets with a rent roll or operating statement (both null otherwise). ocr tracks
+ * the OCR of PDF pages without a text layer: { status (pending, processing, complete or failed),
+ * documentType, provider, pages: [{ page, confidence, error }], confidence, error, completedAt },
+ * or null when the document has no scanned pages.
+ * A workspace is the session the document was uploaded in unless one was named.
+ *
+ * Implementations must provide every method below; all of them are async.
+ */
+class DocumentRepository {
+  /**
+   * Store a document
+   * @param {Object} document - The document record
+   * @returns {Promise<void>}
+   */
+  async save(document) {
+    throw new Error(`${this.constructor.name} does not implement save`);
+  }
+
+  /**
+   * Get a document by id
+   * @param {string} documentId - Document identifier
+   * @returns {Promise<Object|null>} - The document record, or null if not found
+   */
+  async get(documentId) {
+    throw new Error(`${this.constructor.name} does not implement get`);
+  }
+
+  /**
+   * List the documents of a workspace, most recently uploaded first
+   * @param {Object} options - { workspace }
+   * @returns {Promise<Array>} - Document summaries without pages or chunks
+   */
+  async list(options) {
+    throw new Error(`${this.constructor.name} does not implement list`);
+  }
+
+  /**
+   * Delete a document
+   * @param {string} documentId - Document identifier
+   * @returns {Promise<boolean>} - Whether the document existed
+   */
+  async delete(documentId) {
+    throw new Error(`${this.constructor.name} does not implement delete`);
+  }
+}
+
+/**
+ * Reduce a document record to the fields shown in document listings
+ * @param {Object} document - A document record
+ * @returns {Object} - Document summary
+ */
+DocumentRepository.toSummary = (document) => ({
+  documentId: document.documentId,
+  workspace: document.workspace,
+  name: document.name,
+  mimeType: document.mimeType,
+  size: document.size,
+  pageCount: document.pageCount,
+  chunkCount: document.chunks ? document.chunks.length : 0,
+  wordCount: document.wordCount,
+  topics: document.topics,
+  summary: document.summary,
+  hasLeaseAbstract: Boolean(document.leaseAbstract),
+  financialMetrics: document.financials ? document.financials.metrics : null,
+  attachments: document.attachments || null,
+  ocr: document.ocr
+    ? {
+      status: document.ocr.status,
+      pageCount: document.ocr.pages.length,
+      confidence: document.ocr.confidence,
+      error: document.ocr.error
+    }
+    : null,
+  uploadedAt: document.uploadedAt
+});
+
+/**
+ * Check that a document id is a UUID, so it can't point outside the library
+ * @param {string} documentId - Document identifier
+ * @returns {boolean}
+ */
+DocumentRepository.isValidId = (documentId) => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/.test(String(documentId));
+
+module.exports = DocumentRepository;
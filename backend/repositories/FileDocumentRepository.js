@@ -0,0 +1,85 @@
+const fs = require('fs/promises');
+const path = require('path');
+const DocumentRepository = require('./DocumentRepository');
+
+/**
+ * Document storage in JSON files on local disk, one file per document
+ */
+class FileDocumentRepository extends DocumentRepository {
+  /**
+   * @param {Object} options - Repository options
+   * @param {string} options.directory - Directory the document records are written to
+   */
+  constructor({ directory }) {
+    super();
+    this.directory = directory;
+  }
+
+  async save(document) {
+    await fs.mkdir(this.directory, { recursive: true });
+    await fs.writeFile(this.getPath(document.documentId), JSON.stringify(document));
+  }
+
+  async get(documentId) {
+    if (!DocumentRepository.isValidId(documentId)) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(await fs.readFile(this.getPath(documentId), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async list({ workspace } = {}) {
+    let files;
+    try {
+      files = await fs.readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const documents = await Promise.all(files
+      .filter(file => file.endsWith('.json'))
+      .map(file => this.get(path.basename(file, '.json'))));
+
+    return documents
+      .filter(document => document && (!workspace || document.workspace === workspace))
+      .sort((a, b) => b.uploadedAt.localeCompare(a.uploadedAt))
+      .map(DocumentRepository.toSummary);
+  }
+
+  async delete(documentId) {
+    if (!DocumentRepository.isValidId(documentId)) {
+      return false;
+    }
+
+    try {
+      await fs.unlink(this.getPath(documentId));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get the file a document record is stored in
+   * @param {string} documentId - Document identifier
+   * @returns {string} - The file path
+   */
+  getPath(documentId) {
+    return path.join(this.directory, `${documentId}.json`);
+  }
+}
+
+module.exports = FileDocumentRepository;
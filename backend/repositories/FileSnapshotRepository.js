@@ -0,0 +1,59 @@
+const fs = require('fs/promises');
+const path = require('path');
+const SnapshotRepository = require('./SnapshotRepository');
+
+/**
+ * Snapshot storage in JSON files on local disk, one file per snapshot under a
+ * subdirectory named after the first two characters of its hash
+ */
+class FileSnapshotRepository extends SnapshotRepository {
+  /**
+   * @param {Object} options - Repository options
+   * @param {string} options.directory - Directory the snapshots are written to
+   */
+  constructor({ directory }) {
+    super();
+    this.directory = directory;
+  }
+
+  async save(snapshot) {
+    const file = this.getPath(snapshot.snapshotId);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+
+    try {
+      await fs.writeFile(file, JSON.stringify(snapshot, null, 2), { flag: 'wx' });
+      return true;
+    } catch (error) {
+      if (error.code === 'EEXIST') {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  async get(snapshotId) {
+    if (!SnapshotRepository.isValidId(snapshotId)) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(await fs.readFile(this.getPath(snapshotId), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get the file a snapshot is stored in
+   * @param {string} snapshotId - Snapshot identifier
+   * @returns {string} - The file path
+   */
+  getPath(snapshotId) {
+    return path.join(this.directory, snapshotId.slice(0, 2), `${snapshotId}.json`);
+  }
+}
+
+module.exports = FileSnapshotRepository;
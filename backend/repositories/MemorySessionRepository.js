@@ -0,0 +1,107 @@
+const SessionRepository = require('./SessionRepository');
+
+/**
+ * In-process session storage, used when MongoDB is not configured.
+ * Keeps at most `limit` sessions and evicts the least recently updated ones.
+ */
+class MemorySessionRepository extends SessionRepository {
+  /**
+   * @param {Object} options - Repository options
+   * @param {number} options.limit - Maximum number of sessions to keep
+   */
+  constructor({ limit = 200 } = {}) {
+    super();
+    this.limit = limit;
+    this.sessions = new Map();
+  }
+
+  async startRun(sessionId, fields = {}) {
+    const now = new Date().toISOString();
+    const existing = this.sessions.get(sessionId);
+
+    const session = {
+      sessionId,
+      query: null,
+      standaloneQuery: null,
+      provider: null,
+      citationStyle: null,
+      dateRange: null,
+      category: null,
+      categories: [],
+      entities: null,
+      steps: [],
+      results: [],
+      response: null,
+      structured: null,
+      citations: [],
+      complete: false,
+      error: null,
+      turns: existing ? existing.turns : [],
+      summary: existing ? existing.summary : null,
+      summarizedTurns: existing ? existing.summarizedTurns : 0,
+      ...fields,
+      createdAt: existing ? existing.createdAt : now,
+      updatedAt: now
+    };
+
+    this.store(session);
+    return session;
+  }
+
+  async appendStep(sessionId, step) {
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      return;
+    }
+
+    session.steps.push(step);
+    session.updatedAt = new Date().toISOString();
+  }
+
+  async appendTurn(sessionId, turn) {
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      return;
+    }
+
+    session.turns.push(turn);
+    session.updatedAt = new Date().toISOString();
+  }
+
+  async update(sessionId, fields) {
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      return;
+    }
+
+    Object.assign(session, fields, { updatedAt: new Date().toISOString() });
+    this.store(session);
+  }
+
+  async get(sessionId) {
+    return this.sessions.get(sessionId) || null;
+  }
+
+  async list({ limit = 20, offset = 0 } = {}) {
+    return Array.from(this.sessions.values())
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+      .slice(offset, offset + limit)
+      .map(SessionRepository.toSummary);
+  }
+
+  /**
+   * Store a session as the most recently used entry, evicting the oldest if full
+   * @param {Object} session - The session record
+   */
+  store(session) {
+    this.sessions.delete(session.sessionId);
+    this.sessions.set(session.sessionId, session);
+
+    while (this.sessions.size > this.limit) {
+      const oldest = this.sessions.keys().next().value;
+      this.sessions.delete(oldest);
+    }
+  }
+}
+
+module.exports = MemorySessionRepository;
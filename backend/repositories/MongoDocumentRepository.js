@@ -0,0 +1,30 @@
+const DocumentRepository = require('./DocumentRepository');
+const LibraryDocument = require('../models/LibraryDocument');
+
+/**
+ * Document storage backed by the MongoDB connection opened in index.js
+ */
+class MongoDocumentRepository extends DocumentRepository {
+  async save(document) {
+    await LibraryDocument.replaceOne({ documentId: document.documentId }, document, { upsert: true });
+  }
+
+  async get(documentId) {
+    return LibraryDocument.findOne({ documentId }, { _id: 0, __v: 0 }).lean();
+  }
+
+  async list({ workspace } = {}) {
+    const documents = await LibraryDocument.find(workspace ? { workspace } : {}, { pages: 0, _id: 0, __v: 0 })
+      .sort({ uploadedAt: -1 })
+      .lean();
+
+    return documents.map(DocumentRepository.toSummary);
+  }
+
+  async delete(documentId) {
+    const { deletedCount } = await LibraryDocument.deleteOne({ documentId });
+    return deletedCount > 0;
+  }
+}
+
+module.exports = MongoDocumentRepository;
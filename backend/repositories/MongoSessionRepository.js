@@ -0,0 +1,64 @@
+const SessionRepository = require('./SessionRepository');
+const ResearchSession = require('../models/ResearchSession');
+
+/**
+ * Session storage backed by the MongoDB connection opened in index.js
+ */
+class MongoSessionRepository extends SessionRepository {
+  async startRun(sessionId, fields = {}) {
+    const session = await ResearchSession.findOneAndUpdate(
+      { sessionId },
+      {
+        $set: {
+          query: null,
+          standaloneQuery: null,
+          provider: null,
+          citationStyle: null,
+          dateRange: null,
+          category: null,
+          categories: [],
+          entities: null,
+          steps: [],
+          results: [],
+          response: null,
+          structured: null,
+          citations: [],
+          complete: false,
+          error: null,
+          ...fields
+        }
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    ).lean();
+
+    return session;
+  }
+
+  async appendStep(sessionId, step) {
+    await ResearchSession.updateOne({ sessionId }, { $push: { steps: step } });
+  }
+
+  async appendTurn(sessionId, turn) {
+    await ResearchSession.updateOne({ sessionId }, { $push: { turns: turn } });
+  }
+
+  async update(sessionId, fields) {
+    await ResearchSession.updateOne({ sessionId }, { $set: fields });
+  }
+
+  async get(sessionId) {
+    return ResearchSession.findOne({ sessionId }, { _id: 0, __v: 0 }).lean();
+  }
+
+  async list({ limit = 20, offset = 0 } = {}) {
+    const sessions = await ResearchSession.find({}, { sessionId: 1, query: 1, category: 1, complete: 1, createdAt: 1, updatedAt: 1 })
+      .sort({ updatedAt: -1 })
+      .skip(offset)
+      .limit(limit)
+      .lean();
+
+    return sessions.map(SessionRepository.toSummary);
+  }
+}
+
+module.exports = MongoSessionRepository;
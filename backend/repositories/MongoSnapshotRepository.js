@@ -0,0 +1,26 @@
+const SnapshotRepository = require('./SnapshotRepository');
+const SourceSnapshot = require('../models/SourceSnapshot');
+
+/**
+ * Snapshot storage backed by the MongoDB connection opened in index.js
+ */
+class MongoSnapshotRepository extends SnapshotRepository {
+  async save(snapshot) {
+    const { upsertedCount } = await SourceSnapshot.updateOne(
+      { snapshotId: snapshot.snapshotId },
+      { $setOnInsert: snapshot },
+      { upsert: true }
+    );
+
+    return upsertedCount > 0;
+  }
+
+  async get(snapshotId) {
+    if (!SnapshotRepository.isValidId(snapshotId)) {
+      return null;
+    }
+    return SourceSnapshot.findOne({ snapshotId }, { _id: 0, __v: 0 }).lean();
+  }
+}
+
+module.exports = MongoSnapshotRepository;
@@ -0,0 +1,88 @@
+/**
+ * Interface for research session storage.
+ *
+ * A session record has the shape:
+ * { sessionId, query, standaloneQuery, provider, citationStyle, dateRange, category, categories, entities, steps, results,
+ *   response, structured, citations, complete, error, turns, summary, summarizedTurns, createdAt, updatedAt }
+ *
+ * The run fields describe the latest query only; turns, summary and summarizedTurns hold the
+ * conversation across runs and are kept when a new run starts.
+ *
+ * Implementations must provide every method below; all of them are async.
+ */
+class SessionRepository {
+  /**
+   * Start a new research run, creating the session or resetting its previous run.
+   * The conversation history is kept.
+   * @param {string} sessionId - Session identifier
+   * @param {Object} fields - Initial fields for the run (e.g. { query })
+   * @returns {Promise<Object>} - The session record
+   */
+  async startRun(sessionId, fields) {
+    throw new Error(`${this.constructor.name} does not implement startRun`);
+  }
+
+  /**
+   * Append a research step to a session
+   * @param {string} sessionId - Session identifier
+   * @param {Object} step - The step to append
+   * @returns {Promise<void>}
+   */
+  async appendStep(sessionId, step) {
+    throw new Error(`${this.constructor.name} does not implement appendStep`);
+  }
+
+  /**
+   * Append a completed conversation turn to a session
+   * @param {string} sessionId - Session identifier
+   * @param {Object} turn - The turn to append ({ query, standaloneQuery, response, sources, timestamp })
+   * @returns {Promise<void>}
+   */
+  async appendTurn(sessionId, turn) {
+    throw new Error(`${this.constructor.name} does not implement appendTurn`);
+  }
+
+  /**
+   * Update fields on a session
+   * @param {string} sessionId - Session identifier
+   * @param {Object} fields - Fields to set
+   * @returns {Promise<void>}
+   */
+  async update(sessionId, fields) {
+    throw new Error(`${this.constructor.name} does not implement update`);
+  }
+
+  /**
+   * Get a session by id
+   * @param {string} sessionId - Session identifier
+   * @returns {Promise<Object|null>} - The session record, or null if not found
+   */
+  async get(sessionId) {
+    throw new Error(`${this.constructor.name} does not implement get`);
+  }
+
+  /**
+   * List sessions, most recently updated first
+   * @param {Object} options - Paging options ({ limit, offset })
+   * @returns {Promise<Array>} - Session summaries without steps, results or citations
+   */
+  async list(options) {
+    throw new Error(`${this.constructor.name} does not implement list`);
+  }
+}
+
+/**
+ * Reduce a session record to the fields shown in session listings
+ * @param {Object} session - A session record
+ * @returns {Object} - Session summary
+ */
+SessionRepository.toSummary = (session) => ({
+  sessionId: session.sessionId,
+  query: session.query,
+  category: session.category,
+  complete: session.complete,
+  createdAt: session.createdAt,
+  updatedAt: session.updatedAt
+});
+
+module.exports = SessionRepository;
@@ -0,0 +1,39 @@
+/**
+ * Interface for source snapshot storage.
+ *
+ * A snapshot record has the shape:
+ * { snapshotId, source, title, link, provenance, result, capturedAt }
+ * where result is the research result exactly as its source returned it and
+ * snapshotId is the SHA-256 hash of that result. Snapshots are immutable: a
+ * result with the same content maps to the same snapshot and is stored once.
+ *
+ * Implementations must provide every method below; all of them are async.
+ */
+class SnapshotRepository {
+  /**
+   * Store a snapshot unless one with the same id exists
+   * @param {Object} snapshot - The snapshot record
+   * @returns {Promise<boolean>} - Whether the snapshot was new
+   */
+  async save(snapshot) {
+    throw new Error(`${this.constructor.name} does not implement save`);
+  }
+
+  /**
+   * Get a snapshot by id
+   * @param {string} snapshotId - Snapshot identifier (content hash)
+   * @returns {Promise<Object|null>} - The snapshot record, or null if not found
+   */
+  async get(snapshotId) {
+    throw new Error(`${this.constructor.name} does not implement get`);
+  }
+}
+
+/**
+ * Check that a snapshot id is a content hash, so it can't point outside the store
+ * @param {string} snapshotId - Snapshot identifier
+ * @returns {boolean}
+ */
+SnapshotRepository.isValidId = (snapshotId) => /^[a-f0-9]{64}$/.test(String(snapshotId));
+
+module.exports = SnapshotRepository;
@@ -0,0 +1,70 @@
+const path = require('path');
+const MemorySessionRepository = require('./MemorySessionRepository');
+const MongoSessionRepository = require('./MongoSessionRepository');
+const FileSnapshotRepository = require('./FileSnapshotRepository');
+const MongoSnapshotRepository = require('./MongoSnapshotRepository');
+const FileDocumentRepository = require('./FileDocumentRepository');
+const MongoDocumentRepository = require('./MongoDocumentRepository');
+
+// Sessions live in memory until index.js switches to MongoDB after connecting
+let sessionRepository = new MemorySessionRepository({
+  limit: parseInt(process.env.SESSION_STORE_LIMIT || '200', 10)
+});
+
+// Source snapshots are written to disk unless index.js switches them to MongoDB
+let snapshotRepository = new FileSnapshotRepository({
+  directory: process.env.SNAPSHOT_DIR || path.join(__dirname, '..', 'snapshots')
+});
+
+// Document records are written next to the library's files until index.js switches them to MongoDB
+let documentRepository = new FileDocumentRepository({
+  directory: path.join(process.env.DOCUMENT_LIBRARY_DIR || path.join(__dirname, '..', 'library'), 'records')
+});
+
+/**
+ * Get the active session repository
+ * @returns {SessionRepository} - The session repository
+ */
+const getSessionRepository = () => sessionRepository;
+
+/**
+ * Get the active snapshot repository
+ * @returns {SnapshotRepository} - The snapshot repository
+ */
+const getSnapshotRepository = () => snapshotRepository;
+
+/**
+ * Get the active document repository
+ * @returns {DocumentRepository} - The document repository
+ */
+const getDocumentRepository = () => documentRepository;
+
+/**
+ * Switch session storage to MongoDB
+ */
+const useMongoSessions = () => {
+  sessionRepository = new MongoSessionRepository();
+};
+
+/**
+ * Switch document record storage to MongoDB. The original files stay on disk.
+ */
+const useMongoDocuments = () => {
+  documentRepository = new MongoDocumentRepository();
+};
+
+/**
+ * Switch snapshot storage to MongoDB
+ */
+const useMongoSnapshots = () => {
+  snapshotRepository = new MongoSnapshotRepository();
+};
+
+module.exports = {
+  getSessionRepository,
+  getSnapshotRepository,
+  getDocumentRepository,
+  useMongoSessions,
+  useMongoSnapshots,
+  useMongoDocuments
+};
@@ -0,0 +1,20 @@
+const express = require('express');
+const CitationController = require('../controllers/citationController');
+
+const router = express.Router();
+
+/**
+ * @route GET /api/citations/styles
+ * @desc List the citation styles and which is the default
+ * @access Public
+ */
+router.get('/styles', CitationController.listStyles);
+
+/**
+ * @route POST /api/citations/export
+ * @desc Export citations as BibTeX, RIS, CSL-JSON or a text bibliography (style)
+ * @access Public
+ */
+router.post('/export', CitationController.exportCitations);
+
+module.exports = router;
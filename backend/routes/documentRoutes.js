@@ -1,7 +1,12 @@
 const express = require('express');
 const router = express.Router();
+const path = require('path');
 const multer = require('multer');
 const documentController = require('../controllers/documentController');
+const DocumentExtractor = require('../services/DocumentExtractor');
+
+// Documents accepted in one multi-file upload
+const MAX_FILES_PER_UPLOAD = 20;
 
 // Configure multer for file uploads
 const storage = multer.diskStorage({
@@ -16,13 +21,13 @@ const storage = multer.diskStorage({
 const upload = multer({
   storage,
   fileFilter: (req, file, cb) => {
-    // Accept only PDF and Word documents
-    if (file.mimetype === 'application/pdf' || 
-        file.mimetype === 'application/msword' || 
-        file.mimetype === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document') {
+    // Accept the formats a document extractor is registered for, by extension
+    // (browsers report generic or no MIME types for some, e.g. .md and .msg files)
+    if (DocumentExtractor.isSupported(path.extname(file.originalname))) {
       cb(null, true);
     } else {
-      cb(new Error('Only PDF and Word documents are allowed!'), false);
+      const extensions = DocumentExtractor.getFormats().flatMap(format => format.extensions);
+      cb(new Error(`Unsupported file format. Supported formats: ${extensions.join(', ')}`), false);
     }
   },
   limits: {
@@ -33,4 +38,18 @@ const upload = multer({
 // Route for document upload and processing
 router.post('/upload', upload.single('document'), documentController.processDocument);
 
+// Route for uploading several documents to a session at once
+router.post('/upload-multiple', upload.array('documents', MAX_FILES_PER_UPLOAD), documentController.processDocuments);
+
+// Route for listing the formats documents can be uploaded in
+router.get('/formats', documentController.listFormats);
+
+// Routes for the document library
+router.get('/', documentController.listDocuments);
+router.get('/:id', documentController.getDocument);
+router.get('/:id/file', documentController.getDocumentFile);
+router.get('/:id/passages/:index', documentController.viewPassage);
+router.get('/:id/abstract', documentController.exportLeaseAbstract);
+router.delete('/:id', documentController.deleteDocument);
+
 module.exports = router; 
\ No newline at end of file
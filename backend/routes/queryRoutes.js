@@ -17,4 +17,25 @@ router.post('/research', QueryController.handleResearchQuery);
  */
 router.get('/status/:sessionId', QueryController.getResearchStatus);
 
-module.exports = router; 
\ No newline at end of file
+/**
+ * @route GET /api/query/sources
+ * @desc List the registered research sources and their configuration status
+ * @access Public
+ */
+router.get('/sources', QueryController.listSources);
+
+/**
+ * @route GET /api/query/providers
+ * @desc List the AI providers and their configuration status
+ * @access Public
+ */
+router.get('/providers', QueryController.listProviders);
+
+/**
+ * @route GET /api/query/stream/:sessionId
+ * @desc Stream research steps, the final answer and completion as Server-Sent Events
+ * @access Public
+ */
+router.get('/stream/:sessionId', QueryController.streamResearch);
+
+module.exports = router;
@@ -0,0 +1,28 @@
+const express = require('express');
+const SessionController = require('../controllers/sessionController');
+const CitationController = require('../controllers/citationController');
+
+const router = express.Router();
+
+/**
+ * @route GET /api/sessions
+ * @desc List past research sessions, most recent first
+ * @access Public
+ */
+router.get('/', SessionController.listSessions);
+
+/**
+ * @route GET /api/sessions/:id
+ * @desc Get a research session with its steps, results, response and citations
+ * @access Public
+ */
+router.get('/:id', SessionController.getSession);
+
+/**
+ * @route GET /api/sessions/:id/citations
+ * @desc Download a session's citations (?format=bibtex, ris, csl-json or text; ?style for text)
+ * @access Public
+ */
+router.get('/:id/citations', CitationController.exportSessionCitations);
+
+module.exports = router;
@@ -0,0 +1,20 @@
+const express = require('express');
+const SnapshotController = require('../controllers/snapshotController');
+
+const router = express.Router();
+
+/**
+ * @route GET /api/snapshots/:id
+ * @desc Get an archived source snapshot (text and metadata as the source returned them)
+ * @access Public
+ */
+router.get('/:id', SnapshotController.getSnapshot);
+
+/**
+ * @route GET /api/snapshots/:id/view
+ * @desc View the archived copy of a cited source as a page
+ * @access Public
+ */
+router.get('/:id/view', SnapshotController.viewSnapshot);
+
+module.exports = router;
@@ -1,8 +1,15 @@
-const axios = require('axios');
-const systemPrompt = require('../config/systemPrompt');
+const { getSystemPrompt } = require('../config/systemPrompt');
+const ResearchProgress = require('./ResearchProgress');
+const CredibilityScorer = require('./CredibilityScorer');
+const StructuredAnswer = require('./StructuredAnswer');
+const DocumentComparison = require('./DocumentComparison');
+const DateRange = require('./DateRange');
+const { PROVENANCE_LABELS } = require('../config/dataMode');
+const { getProvider } = require('../providers');
 
 /**
- * Service for communicating with AI providers
+ * Service for communicating with AI providers. The provider adapters live in
+ * backend/providers; AI_PROVIDER selects the default and a request may name another.
  */
 class AIService {
   /**
@@ -11,100 +18,128 @@ class AIService {
    * @param {Array} researchResults - Results from various research services
    * @param {Object} documentAnalysis - Analysis of uploaded documents (optional)
    * @param {string} sessionId - Session identifier
-   * @returns {Object} - AI response with processed research
+   * @param {Object} conversation - Conversation context ({ messages, standaloneQuery }) (optional)
+   * @param {Object} options - Research options ({ provider, answerFormat, dateRange, researchMode })
+   * @returns {Object} - AI response with processed research: the markdown response and, for
+   *   structured and comparison answers, the structured answer or comparison it was rendered from
    */
-  static async processResearch(query, researchResults, documentAnalysis = null, sessionId) {
+  static async processResearch(query, researchResults, documentAnalysis = null, sessionId, conversation = null, options = {}) {
     try {
       console.log(`Processing research query with AI: ${query}`);
       
-      if (sessionId && global.researchStatus[sessionId]) {
-        global.researchStatus[sessionId].push({
-          step: "Summarizing research findings",
-          source: "AI Service",
-          timestamp: new Date().toISOString()
-        });
-      }
+      ResearchProgress.addStep(sessionId, {
+        step: "Summarizing research findings",
+        source: "AI Service"
+      });
       
       // Flatten research results (because they are nested arrays)
       const flattenedResults = researchResults.flat().filter(Boolean);
       
       // Log the found sources
-      if (sessionId && global.researchStatus[sessionId]) {
-        global.researchStatus[sessionId].push({
-          step: `Found ${flattenedResults.length} relevant sources for research`,
-          source: "Research Aggregator",
-          timestamp: new Date().toISOString()
-        });
-      }
+      ResearchProgress.addStep(sessionId, {
+        step: `Found ${flattenedResults.length} relevant sources for research`,
+        source: "Research Aggregator"
+      });
       
-      // Prepare the AI message with flattened results
-      const messages = this.prepareMessages(query, flattenedResults, documentAnalysis);
+      const structuredMode = options.answerFormat === 'structured';
+      const comparisonMode = options.answerFormat === 'comparison';
       
-      // Get provider and API key from environment variables
-      const provider = process.env.AI_PROVIDER || 'openai';
-      const apiKey = this.getApiKey(provider);
+      // Comparisons are tables with a column per uploaded document among the results
+      const documents = comparisonMode ? DocumentComparison.listDocuments(flattenedResults) : [];
       
-      if (!apiKey) {
-        throw new Error(`AI provider API key not configured for ${provider}`);
-      }
+      // Prepare the AI message with flattened results
+      const messages = this.prepareMessages(query, flattenedResults, documentAnalysis, conversation, {
+        answerFormat: structuredMode || comparisonMode ? options.answerFormat : 'markdown',
+        dateRange: options.dateRange,
+        researchMode: options.researchMode,
+        documents
+      });
       
-      if (sessionId && global.researchStatus[sessionId]) {
-        global.researchStatus[sessionId].push({
-          step: `Querying AI model (${provider})`,
-          source: provider === 'openai' ? 'OpenAI' : (provider === 'anthropic' ? 'Anthropic' : provider),
-          timestamp: new Date().toISOString()
-        });
-      }
+      const provider = this.resolveProvider(options.provider);
+      
+      const mode = structuredMode ? ' for a structured answer'
+        : comparisonMode ? ` to compare ${documents.length} documents`
+        : options.researchMode === 'documents' ? ' to answer from the uploaded documents'
+        : '';
+      ResearchProgress.addStep(sessionId, {
+        step: `Querying AI model (${provider.name}: ${provider.model})${mode}`,
+        source: provider.label
+      });
       
-      // Call the appropriate AI provider
-      let response;
-      switch (provider.toLowerCase()) {
-        case 'openai':
-          response = await this.callOpenAI(messages, apiKey);
-          break;
-        case 'anthropic':
-          response = await this.callAnthropic(messages, apiKey);
-          break;
-        case 'local':
-          // For development/testing without an external API
-          response = this.getLocalResponse(messages);
-          break;
-        default:
-          throw new Error(`Unsupported AI provider: ${provider}`);
+      let text;
+      let stopReason;
+      if (structuredMode || comparisonMode) {
+        // JSON isn't worth streaming to readers; the rendered answer arrives with the result
+        ({ text, stopReason } = await provider.complete(messages, {
+          responseSchema: comparisonMode ? DocumentComparison.getResponseSchema() : StructuredAnswer.getResponseSchema()
+        }));
+      } else {
+        // Stream the answer from the AI provider, pushing each token to subscribers as it arrives
+        ({ text, stopReason } = await provider.stream(
+          messages,
+          token => ResearchProgress.addToken(sessionId, token)
+        ));
       }
       
-      if (sessionId && global.researchStatus[sessionId]) {
-        global.researchStatus[sessionId].push({
-          step: "AI analysis complete, generating final response",
-          source: provider === 'openai' ? 'OpenAI' : (provider === 'anthropic' ? 'Anthropic' : provider),
-          timestamp: new Date().toISOString()
+      // Render structured answers and comparisons as markdown; fall back to the raw text if the JSON doesn't parse
+      let response = text;
+      const structured = structuredMode ? StructuredAnswer.parse(text) : null;
+      const comparison = comparisonMode ? DocumentComparison.parse(text, documents) : null;
+      if (structured) {
+        response = StructuredAnswer.render(structured);
+      } else if (comparison) {
+        response = DocumentComparison.render(comparison);
+      } else if (structuredMode || comparisonMode) {
+        ResearchProgress.addStep(sessionId, {
+          step: `The ${structuredMode ? 'structured answer' : 'comparison'} could not be parsed; returning the model's text as it is`,
+          source: provider.label
         });
       }
       
-      // Save conversation to session history
-      // In a real implementation, you would store this in a database
+      ResearchProgress.addStep(sessionId, {
+        step: stopReason === 'max_tokens'
+          ? "AI analysis stopped at the max_tokens limit; the response may be incomplete"
+          : "AI analysis complete, generating final response",
+        source: provider.label
+      });
+      
       console.log(`AI response generated for session ${sessionId}`);
       
       return {
         response: response,
+        structured,
+        comparison,
+        answerFormat: structured ? 'structured' : comparison ? 'comparison' : 'markdown',
+        provider: provider.name,
+        model: provider.model,
+        stopReason,
         citations: flattenedResults.map(result => ({
           title: result.title,
           authors: result.authors,
           source: result.source,
           link: result.link,
-          date: result.date
+          date: result.date,
+          observationDate: result.observationDate,
+          summary: result.summary,
+          type: result.type,
+          provenance: result.provenance,
+          credibility: result.credibility,
+          snapshotId: result.snapshotId,
+          archiveUrl: result.archiveUrl,
+          documentId: result.documentId,
+          page: result.page,
+          section: result.section,
+          chunkIndex: result.chunkIndex,
+          ocrConfidence: result.ocrConfidence
         }))
       };
     } catch (error) {
       console.error('AI service error:', error);
       
-      if (sessionId && global.researchStatus[sessionId]) {
-        global.researchStatus[sessionId].push({
-          step: "Error in AI processing: " + error.message,
-          source: "AI Service",
-          timestamp: new Date().toISOString()
-        });
-      }
+      ResearchProgress.addStep(sessionId, {
+        step: "Error in AI processing: " + error.message,
+        source: "AI Service"
+      });
       
       throw new Error(`Failed to process research with AI: ${error.message}`);
     }
@@ -115,16 +150,22 @@ class AIService {
    * @param {string} query - The user's query
    * @param {Array} researchResults - Results from various services
    * @param {Object} documentAnalysis - Document analysis (optional)
+   * @param {Object} conversation - Earlier turns as messages, with the standalone query (optional)
+   * @param {Object} options - Answer options ({ answerFormat: markdown, structured or comparison,
+   *   dateRange, researchMode, documents } where documents are those a comparison compares and
+   *   researchMode is documents for answers from the uploaded documents alone)
    * @returns {Array} - Messages formatted for the AI provider
    */
-  static prepareMessages(query, researchResults, documentAnalysis) {
+  static prepareMessages(query, researchResults, documentAnalysis, conversation = null, { answerFormat = 'markdown', dateRange = null, researchMode = 'research', documents = [] } = {}) {
     // Format research results for the AI
     const formattedResearch = researchResults.map((result, index) => {
       return `
 Source [${index + 1}]: ${result.title}
 Authors: ${result.authors}
-Date: ${result.date}
-Source Type: ${result.source}
+Published: ${result.date || 'Unknown'}
+${result.observationDate ? `Data As Of: ${result.observationDate}\n` : ''}Source Type: ${result.source}
+Data Provenance: ${PROVENANCE_LABELS[result.provenance] || 'Unknown'}
+Credibility: ${result.credibility ? CredibilityScorer.describe(result.credibility) : 'Not scored'}
 URL: ${result.link}
 Summary: ${result.summary}
 ------------------
@@ -143,17 +184,42 @@ Word Count: ${documentAnalysis.wordCount || 'N/A'}
 `;
     }
     
-    // Construct the user message with all the context
-    const userMessage = `
-# Research Query
-${query}
-
-# Research Results
-${formattedResearch}
-
-${documentContext}
+    // Spell out what a follow-up question was researched as
+    let interpretation = '';
+    if (conversation && conversation.standaloneQuery && conversation.standaloneQuery !== query) {
+      interpretation = `(Follow-up question, researched as: ${conversation.standaloneQuery})\n`;
+    }
+    
+    // Point-in-time research: the answer must not rely on anything later
+    let period = '';
+    if (dateRange) {
+      period = `(Research limited to data ${DateRange.describe(dateRange)}. Answer as of the end of that period and don't treat later developments as known.)\n`;
+    }
+    
+    // Questions about the uploaded documents are answered from their passages, not general knowledge
+    let scope = '';
+    if (researchMode === 'documents') {
+      scope = `(Answer only from the uploaded document passages below. If they don't answer the question, say so rather than drawing on other knowledge.)\n`;
+    }
+    
+    // Structured answers and comparisons are described by their JSON shape instead of the markdown layout
+    const instructions = answerFormat === 'structured'
+      ? `Based on the above research, please provide a comprehensive response to the query.
+${StructuredAnswer.getInstructions()}`
+      : answerFormat === 'comparison'
+      ? `Based on the above research, please answer the query by comparing the uploaded documents.
+${DocumentComparison.getInstructions(documents)}`
+      : researchMode === 'documents'
+      ? `Based on the above passages, please answer the question directly.
+1. Start with the answer itself in 1-2 sentences
+2. Follow with the supporting details, quoting the documents' exact wording for terms, dates and figures
+3. Note anything the question asks that the passages don't cover
 
-Based on the above research, please provide a comprehensive response to the query. 
+IMPORTANT: Cite the passage behind every statement using source numbers, e.g., [1], [2], etc.
+Each source is a passage named by its document and page or section; cite the passage itself, not the document as a whole.
+Do not end with a Sources or References section; it is added automatically from the source details.
+`
+      : `Based on the above research, please provide a comprehensive response to the query. 
 Format your response with the following structure:
 1. Start with a clear summary of the findings (1-2 paragraphs)
 2. Use headings (## Heading) to organize different aspects of the answer
@@ -162,126 +228,64 @@ Format your response with the following structure:
 5. End with a brief conclusion or recommendation section
 
 IMPORTANT: Cite your sources throughout the response using source numbers, e.g., [1], [2], etc. 
-At the end of your response, include a "## Sources" section that lists all cited sources.
+Do not end with a Sources or References section; it is added automatically from the source details.
 
 Your response should be well-structured with clear headings and bullet points where relevant.
 `;
     
+    // Construct the user message with all the context
+    const userMessage = `
+# Research Query
+${query}
+${interpretation}${period}${scope}
+# Research Results
+${formattedResearch}
+
+${documentContext}
+
+${instructions}`;
+    
     // Return messages in the format expected by AI providers
+    // Earlier turns of the conversation go between the system prompt and the new query
     return [
-      { role: 'system', content: systemPrompt },
+      { role: 'system', content: getSystemPrompt() },
+      ...(conversation ? conversation.messages : []),
       { role: 'user', content: userMessage }
     ];
   }
   
   /**
-   * Get the API key for the specified provider
-   * @param {string} provider - The AI provider name
-   * @returns {string} - The API key
-   */
-  static getApiKey(provider) {
-    switch (provider.toLowerCase()) {
-      case 'openai':
-        return process.env.OPENAI_API_KEY;
-      case 'anthropic':
-        return process.env.ANTHROPIC_API_KEY;
-      case 'local':
-        return 'mock-key'; // No real key needed for local development
-      default:
-        return null;
-    }
-  }
-  
-  /**
-   * Call the OpenAI API
-   * @param {Array} messages - The messages to send to the API
-   * @param {string} apiKey - The OpenAI API key
-   * @returns {string} - The AI response
+   * Get a provider adapter, checking that it is configured
+   * @param {string} name - Provider name (defaults to AI_PROVIDER)
+   * @returns {AIProvider} - The provider adapter
    */
-  static async callOpenAI(messages, apiKey) {
-    const endpoint = 'https://api.openai.com/v1/chat/completions';
+  static resolveProvider(name) {
+    const provider = getProvider(name);
+    const missingConfig = provider.getMissingConfig();
     
-    const response = await axios.post(endpoint, {
-      model: process.env.OPENAI_MODEL || 'gpt-4',
-      messages,
-      temperature: 0.3,
-      max_tokens: 2500
-    }, {
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${apiKey}`
-      }
-    });
+    if (missingConfig.length > 0) {
+      throw new Error(`AI provider ${provider.name} is not configured: missing ${missingConfig.join(', ')}`);
+    }
     
-    return response.data.choices[0].message.content;
+    return provider;
   }
   
   /**
-   * Call the Anthropic API
-   * @param {Array} messages - The messages to send to the API
-   * @param {string} apiKey - The Anthropic API key
+   * Send messages to an AI provider and return its text completion
+   * @param {Array} messages - Messages in { role, content } format
+   * @param {Object} options - Completion options ({ provider, temperature, maxTokens })
    * @returns {string} - The AI response
    */
-  static async callAnthropic(messages, apiKey) {
-    const endpoint = 'https://api.anthropic.com/v1/messages';
+  static async complete(messages, options = {}) {
+    const provider = this.resolveProvider(options.provider);
+    const { text, stopReason } = await provider.complete(messages, options);
     
-    // Convert to Anthropic's format
-    const anthropicMessages = messages.map(msg => {
-      return {
-        role: msg.role === 'system' ? 'assistant' : msg.role,
-        content: msg.content
-      };
-    });
-    
-    const response = await axios.post(endpoint, {
-      model: process.env.ANTHROPIC_MODEL || 'claude-3-opus-20240229',
-      messages: anthropicMessages,
-      temperature: 0.3,
-      max_tokens: 2500
-    }, {
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': apiKey,
-        'anthropic-version': '2023-06-01'
-      }
-    });
-    
-    return response.data.content[0].text;
-  }
-  
-  /**
-   * Generate a local mock response (for development without API keys)
-   * @param {Array} messages - The messages to process
-   * @returns {string} - The mock AI response
-   */
-  static getLocalResponse(messages) {
-    // Extract the query from the messages
-    const userMessage = messages.find(msg => msg.role === 'user');
-    const query = userMessage.content.split('# Research Query')[1].split('#')[0].trim();
+    if (stopReason === 'max_tokens') {
+      console.warn(`AI completion from ${provider.name} stopped at the max_tokens limit`);
+    }
     
-    return `
-# Research on ${query}
-
-Based on the research results provided, here are the key findings:
-
-## Market Overview
-- The commercial real estate market for ${query} shows a mixed picture with some segments performing better than others.
-- Recent trends indicate changes in demand patterns, particularly in urban vs. suburban locations.
-
-## Key Insights
-1. Sustainability considerations are increasingly important in commercial real estate decisions.
-2. Technology integration continues to be a differentiating factor for premium properties.
-3. Economic indicators suggest cautious optimism for the sector overall.
-
-## Recommendations
-- Investors should consider diversifying across property types to mitigate risk.
-- Long-term strategies should account for changing work patterns and consumer preferences.
-- Sustainability features are likely to command premium pricing in the coming years.
-
-## Sources
-The information above is based on data from multiple sources including market reports, economic data, and industry analyses cited in the research results.
-`;
+    return text;
   }
 }
 
-module.exports = AIService; 
\ No newline at end of file
+module.exports = AIService;
@@ -0,0 +1,78 @@
+// Common English, query and reporting filler words that carry no relevance signal
+const STOPWORDS = new Set([
+  'an', 'as', 'at', 'be', 'by', 'do', 'if', 'in', 'is', 'it', 'of', 'on', 'or', 'so', 'to', 'we',
+  'the', 'and', 'for', 'are', 'was', 'were', 'with', 'that', 'this', 'these', 'those', 'from', 'have',
+  'has', 'had', 'not', 'but', 'can', 'will', 'would', 'could', 'should', 'may', 'might', 'also', 'into',
+  'than', 'then', 'their', 'there', 'they', 'its', 'such', 'more', 'most', 'some', 'any', 'all', 'which',
+  'while', 'when', 'where', 'what', 'who', 'how', 'about', 'over', 'under', 'between', 'through', 'being',
+  'been', 'our', 'your', 'per', 'each', 'other', 'both', 'only', 'very', 'tell', 'give', 'show', 'find',
+  'please', 'latest', 'current', 'recent', 'according', 'based', 'shows', 'suggest', 'suggests', 'indicate',
+  'indicates', 'including', 'across', 'within'
+]);
+
+/**
+ * Okapi BM25 index over a fixed set of documents
+ */
+class BM25Index {
+  /**
+   * @param {Array<string>} documents - Document texts
+   * @param {Object} options - Ranking parameters
+   * @param {number} options.k1 - Term frequency saturation
+   * @param {number} options.b - Document length normalization
+   */
+  constructor(documents, { k1 = 1.2, b = 0.75 } = {}) {
+    this.k1 = k1;
+    this.b = b;
+    this.documents = documents.map(text => {
+      const terms = BM25Index.tokenize(text);
+      const frequencies = new Map();
+      terms.forEach(term => frequencies.set(term, (frequencies.get(term) || 0) + 1));
+      return { length: terms.length, frequencies };
+    });
+
+    this.averageLength = this.documents.reduce((sum, doc) => sum + doc.length, 0) / (this.documents.length || 1);
+
+    this.documentFrequencies = new Map();
+    this.documents.forEach(doc => {
+      doc.frequencies.forEach((count, term) => {
+        this.documentFrequencies.set(term, (this.documentFrequencies.get(term) || 0) + 1);
+      });
+    });
+  }
+
+  /**
+   * Score every document against a query
+   * @param {string} query - The query text
+   * @returns {Array<number>} - One score per document, in document order
+   */
+  score(query) {
+    const queryTerms = Array.from(new Set(BM25Index.tokenize(query)));
+    const count = this.documents.length;
+
+    return this.documents.map(doc => queryTerms.reduce((total, term) => {
+      const frequency = doc.frequencies.get(term);
+      if (!frequency) {
+        return total;
+      }
+
+      const documentFrequency = this.documentFrequencies.get(term);
+      const idf = Math.log(1 + (count - documentFrequency + 0.5) / (documentFrequency + 0.5));
+      const lengthNorm = 1 - this.b + this.b * (doc.length / (this.averageLength || 1));
+
+      return total + idf * (frequency * (this.k1 + 1)) / (frequency + this.k1 * lengthNorm);
+    }, 0));
+  }
+
+  /**
+   * Split text into lowercase terms, dropping stopwords and plural endings
+   * @param {string} text - The text
+   * @returns {Array<string>} - Terms
+   */
+  static tokenize(text) {
+    return (String(text || '').toLowerCase().match(/[a-z]+|\d+(?:\.\d+)?/g) || [])
+      .filter(term => /\d/.test(term) || (term.length > 1 && !STOPWORDS.has(term)))
+      .map(term => (term.length > 4 && term.endsWith('s') && !term.endsWith('ss') ? term.slice(0, -1) : term));
+  }
+}
+
+module.exports = BM25Index;
@@ -0,0 +1,58 @@
+// Windows-1252 characters in the 0x80-0x9F range, where it differs from Latin-1
+const WINDOWS_1252 = {
+  0x80: '€', 0x82: '‚', 0x83: 'ƒ', 0x84: '„', 0x85: '…', 0x86: '†', 0x87: '‡', 0x88: 'ˆ', 0x89: '‰', 0x8a: 'Š',
+  0x8b: '‹', 0x8c: 'Œ', 0x8e: 'Ž', 0x91: '‘', 0x92: '’', 0x93: '“', 0x94: '”', 0x95: '•', 0x96: '–', 0x97: '—',
+  0x98: '˜', 0x99: '™', 0x9a: 'š', 0x9b: '›', 0x9c: 'œ', 0x9e: 'ž', 0x9f: 'Ÿ'
+};
+
+// Labels that mean Windows-1252 (as in browsers, Latin-1 and ASCII text is read as Windows-1252)
+const WINDOWS_1252_LABELS = ['windows-1252', 'cp1252', 'x-cp1252', 'iso-8859-1', 'iso8859-1', 'latin1', 'l1', 'us-ascii', 'ascii'];
+
+/**
+ * Service for decoding text in the character sets documents and emails
+ * declare. Node's TextDecoder reads Windows-1252 as Latin-1, losing smart
+ * quotes and dashes, so that one is decoded here.
+ */
+class CharacterSets {
+  /**
+   * Decode bytes in a character set
+   * @param {Buffer} data - The bytes
+   * @param {string} charset - e.g. "utf-8" or "windows-1252" (UTF-8 if unset or unknown)
+   * @returns {string} - The text
+   */
+  static decode(data, charset = 'utf-8') {
+    const label = (charset || 'utf-8').trim().toLowerCase();
+    if (WINDOWS_1252_LABELS.includes(label)) {
+      return Array.from(data, byte => WINDOWS_1252[byte] || String.fromCharCode(byte)).join('');
+    }
+
+    try {
+      return new TextDecoder(label).decode(data);
+    } catch (error) {
+      return new TextDecoder('utf-8').decode(data);
+    }
+  }
+
+  /**
+   * Decode a text file of unknown character set: UTF-16 with a byte order mark,
+   * UTF-8 when it is valid UTF-8 and Windows-1252 otherwise
+   * @param {Buffer} data - The bytes
+   * @returns {string} - The text
+   */
+  static decodeUnknown(data) {
+    if (data[0] === 0xff && data[1] === 0xfe) {
+      return new TextDecoder('utf-16le').decode(data);
+    }
+    if (data[0] === 0xfe && data[1] === 0xff) {
+      return new TextDecoder('utf-16be').decode(data);
+    }
+
+    try {
+      return new TextDecoder('utf-8', { fatal: true }).decode(data);
+    } catch (error) {
+      return this.decode(data, 'windows-1252');
+    }
+  }
+}
+
+module.exports = CharacterSets;
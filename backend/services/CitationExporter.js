@@ -0,0 +1,223 @@
+const CitationManager = require('./CitationManager');
+
+// Export formats with their download metadata
+const FORMATS = {
+  bibtex: { contentType: 'application/x-bibtex', extension: 'bib' },
+  ris: { contentType: 'application/x-research-info-systems', extension: 'ris' },
+  'csl-json': { contentType: 'application/vnd.citationstyles.csl+json', extension: 'json' },
+  text: { contentType: 'text/plain', extension: 'txt' }
+};
+
+// LaTeX commands for special characters; the rest are escaped with a backslash
+const BIBTEX_ESCAPES = {
+  '\\': '\\textbackslash{}',
+  '~': '\\textasciitilde{}',
+  '^': '\\textasciicircum{}'
+};
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+/**
+ * Service for exporting citations to reference managers (Zotero, EndNote,
+ * Mendeley) as BibTeX, RIS or CSL-JSON, or as a plain text bibliography in a
+ * citation style. Every format is built from the CSL-JSON metadata produced
+ * by CitationManager.toCSL.
+ */
+class CitationExporter {
+  /**
+   * Get the supported export formats
+   * @returns {Array<string>} - Format names
+   */
+  static getFormats() {
+    return Object.keys(FORMATS);
+  }
+
+  /**
+   * Export citations in a format
+   * @param {Array} citations - Citations ({ title, authors, date, source, link, summary, type })
+   * @param {string} format - bibtex, ris, csl-json or text
+   * @param {Object} options - { style } for the text bibliography (defaults to CITATION_STYLE)
+   * @returns {Object} - { content, contentType, extension }
+   */
+  static export(citations, format, { style } = {}) {
+    if (!FORMATS[format]) {
+      throw new Error(`Unsupported citation export format: ${format}`);
+    }
+
+    if (format === 'text') {
+      const entries = CitationManager.formatBibliography(citations, CitationManager.getStyle(style).id, { plain: true });
+      return { content: `${entries.join('\n\n')}\n`, ...FORMATS.text };
+    }
+
+    const items = citations.map((citation, index) => CitationManager.toCSL(citation, index + 1));
+
+    let content;
+    switch (format) {
+      case 'bibtex':
+        content = this.toBibTeX(items);
+        break;
+      case 'ris':
+        content = this.toRIS(items);
+        break;
+      default:
+        content = this.toCSLJSON(items);
+    }
+
+    return { content, ...FORMATS[format] };
+  }
+
+  /**
+   * Serialize CSL items as CSL-JSON
+   * @param {Array} items - CSL-JSON items
+   * @returns {string} - CSL-JSON
+   */
+  static toCSLJSON(items) {
+    // resultType is our own field; reference managers expect plain CSL
+    const cslItems = items.map(({ resultType, ...item }) => item);
+    return JSON.stringify(cslItems, null, 2);
+  }
+
+  /**
+   * Serialize CSL items as BibTeX
+   * @param {Array} items - CSL-JSON items
+   * @returns {string} - BibTeX entries
+   */
+  static toBibTeX(items) {
+    const usedKeys = new Set();
+
+    return items.map(item => {
+      const { bibtex } = CitationManager.getEntryType(item.resultType);
+      const [year, month] = item.issued ? item.issued['date-parts'][0] : [];
+      const fields = [];
+
+      const add = (name, value) => {
+        if (value) {
+          fields.push(`  ${name} = {${value}}`);
+        }
+      };
+
+      // Double braces keep BibTeX from re-casing titles and splitting organization names
+      add('title', `{${this.escapeBibTeX(item.title)}}`);
+      add('author', item.author
+        .map(name => (name.literal
+          ? `{${this.escapeBibTeX(name.literal)}}`
+          : `${this.escapeBibTeX(name.family)}, ${this.escapeBibTeX(name.given)}`))
+        .join(' and '));
+      add('year', year && String(year));
+      add('month', month && MONTHS[month - 1]);
+
+      switch (bibtex) {
+        case 'article':
+          add('journal', this.escapeBibTeX(item['container-title']));
+          break;
+        case 'techreport':
+          add('institution', this.escapeBibTeX(item.publisher));
+          break;
+        default:
+          add('howpublished', this.escapeBibTeX(item.publisher));
+          if (item.type === 'dataset') {
+            add('note', 'Dataset');
+          }
+      }
+
+      add('url', item.URL);
+      if (item.accessed) {
+        add('urldate', this.formatISODate(item.accessed['date-parts'][0]));
+      }
+      add('abstract', item.abstract && this.escapeBibTeX(item.abstract));
+
+      return `@${bibtex}{${this.getBibTeXKey(item, usedKeys)},\n${fields.join(',\n')}\n}`;
+    }).join('\n\n') + '\n';
+  }
+
+  /**
+   * Serialize CSL items as RIS
+   * @param {Array} items - CSL-JSON items
+   * @returns {string} - RIS records
+   */
+  static toRIS(items) {
+    return items.map(item => {
+      const { ris } = CitationManager.getEntryType(item.resultType);
+      const lines = [];
+
+      const add = (tag, value) => {
+        if (value) {
+          lines.push(`${tag}  - ${String(value).replace(/\s+/g, ' ').trim()}`);
+        }
+      };
+
+      add('TY', ris);
+      add('TI', item.title);
+      item.author.forEach(name => add('AU', name.literal || `${name.family}, ${name.given}`));
+
+      if (item.issued) {
+        const [year, month, day] = item.issued['date-parts'][0];
+        add('PY', year);
+        add('DA', [year, month, day].map(part => (part ? String(part).padStart(2, '0') : '')).join('/') + '/');
+      }
+
+      add(ris === 'JOUR' || ris === 'NEWS' ? 'T2' : 'PB', item['container-title'] || item.publisher);
+      add('UR', item.URL);
+      if (item.accessed) {
+        add('Y2', this.formatISODate(item.accessed['date-parts'][0]).replace(/-/g, '/'));
+      }
+      add('AB', item.abstract);
+      lines.push('ER  - ');
+
+      return lines.join('\r\n');
+    }).join('\r\n\r\n') + '\r\n';
+  }
+
+  /**
+   * Build a unique BibTeX key such as smith2024green
+   * @param {Object} item - CSL-JSON item
+   * @param {Set<string>} usedKeys - Keys already used in this export
+   * @returns {string} - The citation key
+   */
+  static getBibTeXKey(item, usedKeys) {
+    const firstAuthor = item.author[0];
+    const name = firstAuthor ? (firstAuthor.family || firstAuthor.literal) : 'source';
+    const year = item.issued ? item.issued['date-parts'][0][0] : 'nd';
+    const word = (item.title.toLowerCase().match(/[a-z]{4,}/) || [''])[0];
+
+    const base = `${name.toLowerCase().replace(/[^a-z]/g, '').slice(0, 20) || 'source'}${year}${word}`;
+    let key = base;
+    for (let suffix = 0; usedKeys.has(key); suffix++) {
+      key = `${base}${String.fromCharCode(97 + (suffix % 26))}${suffix >= 26 ? suffix : ''}`;
+    }
+
+    usedKeys.add(key);
+    return key;
+  }
+
+  /**
+   * Escape LaTeX special characters for BibTeX field values
+   * @param {string} value - The field value
+   * @returns {string} - The escaped value
+   */
+  static escapeBibTeX(value) {
+    if (!value) {
+      return '';
+    }
+
+    // One pass, so the braces of \textbackslash{} aren't escaped again
+    return String(value)
+      .replace(/[\\&%$#_{}~^]/g, char => BIBTEX_ESCAPES[char] || `\\${char}`)
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Format CSL date parts as an ISO date
+   * @param {Array<number>} parts - [year, month, day]
+   * @returns {string} - YYYY-MM-DD (or shorter if parts are missing)
+   */
+  static formatISODate(parts) {
+    return parts
+      .filter(Boolean)
+      .map((part, index) => (index === 0 ? String(part) : String(part).padStart(2, '0')))
+      .join('-');
+  }
+}
+
+module.exports = CitationExporter;
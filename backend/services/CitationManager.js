@@ -1,3 +1,32 @@
+// Bibliographic entry types for each research result type
+const ENTRY_TYPES = {
+  academic_paper: { csl: 'article-journal', bibtex: 'article', ris: 'JOUR' },
+  news_article: { csl: 'article-newspaper', bibtex: 'article', ris: 'NEWS' },
+  market_report: { csl: 'report', bibtex: 'techreport', ris: 'RPRT' },
+  web_content: { csl: 'webpage', bibtex: 'misc', ris: 'ELEC' },
+  knowledge_base: { csl: 'webpage', bibtex: 'misc', ris: 'ELEC' },
+  certification_data: { csl: 'dataset', bibtex: 'misc', ris: 'DATA' },
+  economic_data: { csl: 'dataset', bibtex: 'misc', ris: 'DATA' }
+};
+
+// Citation styles; the house style is configured with CITATION_HOUSE_STYLE
+const STYLES = {
+  apa: { label: 'APA 7th edition' },
+  chicago: { label: 'Chicago author-date' },
+  mla: { label: 'MLA 9th edition' },
+  house: { label: 'House style' }
+};
+
+// Matches the format the research prompt used to ask for
+const DEFAULT_HOUSE_TEMPLATE = '{author}, "{title}", {source}, {date}, {url}';
+
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+const MLA_MONTHS = ['Jan.', 'Feb.', 'Mar.', 'Apr.', 'May', 'June', 'July', 'Aug.', 'Sept.', 'Oct.', 'Nov.', 'Dec.'];
+
+/**
+ * Service for formatting citations: bibliographic metadata (CSL-JSON) and
+ * reference entries in APA, Chicago author-date, MLA or the house style
+ */
 class CitationManager {
   /**
    * Process research results and format with proper citations
@@ -48,34 +77,443 @@ class CitationManager {
   }
   
   /**
-   * Format a citation based on the result type
+   * Format a citation in a citation style
    * @param {Object} result - A research result
    * @param {number} index - Citation number
+   * @param {string} style - Citation style (defaults to CITATION_STYLE)
    * @returns {string} - Formatted citation
    */
-  static formatCitation(result, index) {
-    const { title, authors, date, source, link, type } = result;
-    
-    let citation = `[${index}] `;
+  static formatCitation(result, index, style = this.getDefaultStyleName()) {
+    return `[${index}] ${this.toPlainText(this.formatReference(result, index, style))}`;
+  }
+  
+  /**
+   * Format a reference list entry in a citation style
+   * @param {Object} citation - A citation ({ title, authors, date, source, link, summary, type })
+   * @param {number} index - Citation number
+   * @param {string} style - Citation style (defaults to CITATION_STYLE)
+   * @returns {string} - The entry, with *asterisks* around italic parts
+   */
+  static formatReference(citation, index, style = this.getDefaultStyleName()) {
+    const item = this.toCSL(citation, index);
     
-    switch (type) {
-      case 'academic_paper':
-        citation += `${authors} (${date}). "${title}". ${source}. Available at: ${link}`;
+    let entry;
+    switch (this.getStyle(style).id) {
+      case 'chicago':
+        entry = this.formatChicago(item);
         break;
-      case 'market_report':
-        citation += `${source} (${date}). "${title}". Available at: ${link}`;
+      case 'mla':
+        entry = this.formatMLA(item);
         break;
-      case 'web_content':
-        citation += `${source} (${date}). "${title}". Retrieved on ${new Date().toLocaleDateString()} from ${link}`;
-        break;
-      case 'certification_data':
-        citation += `${source} (${date}). "${title}". Available at: ${link}`;
+      case 'house':
+        entry = this.formatHouse(item);
         break;
       default:
-        citation += `${authors ? authors + '.' : ''} "${title}". ${source}. ${date}. ${link}`;
+        entry = this.formatAPA(item);
+    }
+    
+    // Line breaks in the metadata would split the entry across lines
+    return entry.replace(/\s+/g, ' ').trim();
+  }
+  
+  /**
+   * Format a numbered bibliography
+   * @param {Array} citations - The citations, in source number order
+   * @param {string} style - Citation style (defaults to CITATION_STYLE)
+   * @param {Object} options - { plain: true } drops the italic markers (for PDF and text output)
+   * @returns {Array<string>} - "[n] entry" lines
+   */
+  static formatBibliography(citations, style = this.getDefaultStyleName(), { plain = false } = {}) {
+    return citations.map((citation, index) => {
+      const entry = this.formatReference(citation, index + 1, style);
+      return `[${index + 1}] ${plain ? this.toPlainText(entry) : entry}`;
+    });
+  }
+  
+  /**
+   * Replace any Sources or References section of an answer with one rendered
+   * from the citation metadata. Only cited sources are listed when the
+   * citations carry verification results; numbers match the answer's [n] references.
+   * @param {string} response - The answer text
+   * @param {Array} citations - The citations, in source number order
+   * @param {string} style - Citation style (defaults to CITATION_STYLE)
+   * @returns {string} - The answer with a "## Sources" section
+   */
+  static withSourcesSection(response, citations, style = this.getDefaultStyleName()) {
+    const body = this.stripSourcesSection(response);
+    
+    const numbered = citations.map((citation, index) => ({ citation, number: index + 1 }));
+    const cited = numbered.filter(({ citation }) => !citation.verification || citation.verification.cited);
+    const listed = cited.length > 0 ? cited : numbered;
+    
+    if (listed.length === 0) {
+      return body;
+    }
+    
+    const entries = listed.map(({ citation, number }) => `[${number}] ${this.formatReference(citation, number, style)}`);
+    
+    return `${body}\n\n## Sources\n\n${entries.join('\n\n')}\n`;
+  }
+  
+  /**
+   * Remove a trailing Sources or References section from an answer
+   * @param {string} response - The answer text
+   * @returns {string} - The answer without it
+   */
+  static stripSourcesSection(response) {
+    return (response || '').split(/^#{1,6}\s*(?:sources|references)\b.*$/im)[0].trim();
+  }
+  
+  /**
+   * Format an entry in APA 7th edition
+   * @param {Object} item - CSL-JSON item
+   * @returns {string} - The reference list entry
+   */
+  static formatAPA(item) {
+    const authors = this.joinNames(item.author.map(name => (name.literal
+      ? name.literal
+      : `${name.family}, ${this.getInitials(name.given)}`)), '&');
+    const parts = item.issued ? item.issued['date-parts'][0] : [];
+    
+    // News and web pages are dated to the day; everything else by year
+    let date = parts[0] ? String(parts[0]) : 'n.d.';
+    if (parts[1] && ['article-newspaper', 'webpage'].includes(item.type)) {
+      date += `, ${MONTH_NAMES[parts[1] - 1]}${parts[2] ? ` ${parts[2]}` : ''}`;
+    }
+    
+    const italicTitle = ['report', 'webpage', 'dataset'].includes(item.type);
+    const title = `${italicTitle ? `*${item.title}*` : item.title}${item.type === 'dataset' ? ' [Data set]' : ''}`;
+    const container = item['container-title'] ? `*${item['container-title']}*` : null;
+    
+    // Without an author the title takes the author position
+    const segments = authors
+      ? [this.endWith(authors, '.'), `(${date}).`, this.endWith(title, '.')]
+      : [this.endWith(title, '.'), `(${date}).`];
+    
+    const publisher = item.publisher && item.publisher !== authors ? item.publisher : null;
+    [container, publisher].filter(Boolean).forEach(part => segments.push(this.endWith(part, '.')));
+    
+    if (item.URL) {
+      segments.push(item.URL);
+    }
+    
+    return segments.join(' ');
+  }
+  
+  /**
+   * Format an entry in Chicago author-date (17th edition)
+   * @param {Object} item - CSL-JSON item
+   * @returns {string} - The reference list entry
+   */
+  static formatChicago(item) {
+    const authors = this.joinNames(this.invertFirstName(item.author), 'and');
+    const parts = item.issued ? item.issued['date-parts'][0] : [];
+    const year = parts[0] ? String(parts[0]) : 'n.d.';
+    
+    const quotedTitle = ['article-journal', 'article-newspaper', 'webpage'].includes(item.type);
+    const title = quotedTitle ? `"${this.endWith(item.title, '.')}"` : `*${this.endWith(item.title, '.')}*`;
+    
+    const segments = authors
+      ? [this.endWith(authors, '.'), this.endWith(year, '.'), title]
+      : [title, this.endWith(year, '.')];
+    
+    if (item['container-title']) {
+      const day = item.type === 'article-newspaper' && parts[1]
+        ? `, ${MONTH_NAMES[parts[1] - 1]}${parts[2] ? ` ${parts[2]}` : ''}`
+        : '';
+      segments.push(`*${item['container-title']}*${day}.`);
+    } else if (item.publisher && item.publisher !== authors) {
+      segments.push(this.endWith(item.publisher, '.'));
+    }
+    
+    if (item.URL) {
+      segments.push(`${item.URL}.`);
+    }
+    
+    return segments.join(' ');
+  }
+  
+  /**
+   * Format a works cited entry in MLA 9th edition
+   * @param {Object} item - CSL-JSON item
+   * @returns {string} - The works cited entry
+   */
+  static formatMLA(item) {
+    // Three or more authors are shortened to the first one
+    const names = this.invertFirstName(item.author);
+    const authors = names.length > 2 ? `${names[0]}, et al` : this.joinNames(names, 'and');
+    
+    const parts = item.issued ? item.issued['date-parts'][0] : [];
+    const date = [parts[2], parts[1] && MLA_MONTHS[parts[1] - 1], parts[0]].filter(Boolean).join(' ');
+    
+    const standalone = ['report', 'dataset'].includes(item.type);
+    const title = standalone ? `*${this.endWith(item.title, '.')}*` : `"${this.endWith(item.title, '.')}"`;
+    
+    // Container, publisher, date and location form one comma-separated element list
+    const container = item['container-title'] || (!standalone && item.publisher) || null;
+    const publisher = standalone && item.publisher !== authors ? item.publisher : null;
+    const elements = [container && `*${container}*`, publisher, date, item.URL].filter(Boolean);
+    
+    const segments = authors ? [this.endWith(authors, '.'), title] : [title];
+    if (elements.length > 0) {
+      segments.push(`${elements.join(', ')}.`);
+    }
+    
+    return segments.join(' ');
+  }
+  
+  /**
+   * Format an entry in the firm's house style. CITATION_HOUSE_STYLE is a
+   * template of {author}, {title}, {source}, {date}, {year} and {url} placeholders;
+   * separators left by empty values are dropped.
+   * @param {Object} item - CSL-JSON item
+   * @returns {string} - The entry
+   */
+  static formatHouse(item) {
+    const parts = item.issued ? item.issued['date-parts'][0] : [];
+    const values = {
+      author: this.joinNames(item.author.map(name => name.literal || `${name.given} ${name.family}`), 'and'),
+      title: item.title,
+      source: item['container-title'] || item.publisher || '',
+      date: parts.length > 0
+        ? [parts[1] && MONTH_NAMES[parts[1] - 1], parts[2] && `${parts[2]},`, parts[0]].filter(Boolean).join(' ')
+        : '',
+      year: parts[0] ? String(parts[0]) : '',
+      url: item.URL || ''
+    };
+    
+    return this.getHouseTemplate()
+      .replace(/\{(\w+)\}/g, (match, name) => (name in values ? values[name] : match))
+      // Tidy up after empty values: empty quotes and brackets, doubled and dangling separators
+      .replace(/""|\(\s*\)|\[\s*\]/g, '')
+      .replace(/([,;:])(?:\s+[,;:])+/g, '$1')
+      .replace(/\s+([,;:.])/g, '$1')
+      .replace(/^[\s,;:.]+|[\s,;:]+$/g, '')
+      .replace(/\s{2,}/g, ' ');
+  }
+  
+  /**
+   * Get the citation styles
+   * @returns {Array} - [{ id, label, default }]
+   */
+  static getStyles() {
+    const defaultName = this.getDefaultStyleName();
+    
+    return Object.keys(STYLES).map(id => ({
+      id,
+      label: id === 'house' ? (process.env.CITATION_HOUSE_STYLE_LABEL || STYLES.house.label) : STYLES[id].label,
+      default: id === defaultName
+    }));
+  }
+  
+  /**
+   * Whether a citation style is known
+   * @param {string} name - Style name
+   * @returns {boolean}
+   */
+  static hasStyle(name) {
+    return Object.prototype.hasOwnProperty.call(STYLES, String(name).toLowerCase());
+  }
+  
+  /**
+   * Get a citation style, falling back to the default
+   * @param {string} name - Style name
+   * @returns {Object} - { id, label }
+   */
+  static getStyle(name) {
+    const id = name && this.hasStyle(name) ? String(name).toLowerCase() : this.getDefaultStyleName();
+    return { id, label: STYLES[id].label };
+  }
+  
+  /**
+   * Get the default citation style
+   * @returns {string} - The style from CITATION_STYLE (apa if unset or unknown)
+   */
+  static getDefaultStyleName() {
+    const name = (process.env.CITATION_STYLE || 'apa').toLowerCase();
+    return Object.prototype.hasOwnProperty.call(STYLES, name) ? name : 'apa';
+  }
+  
+  /**
+   * Get the house style template
+   * @returns {string} - The template from CITATION_HOUSE_STYLE
+   */
+  static getHouseTemplate() {
+    return process.env.CITATION_HOUSE_STYLE || DEFAULT_HOUSE_TEMPLATE;
+  }
+  
+  /**
+   * Join names into an author list such as "A, B, & C"
+   * @param {Array<string>} names - Formatted names
+   * @param {string} conjunction - Word before the last name (& or and)
+   * @returns {string} - The author list
+   */
+  static joinNames(names, conjunction) {
+    if (names.length <= 1) {
+      return names[0] || '';
+    }
+    if (names.length === 2) {
+      // An inverted first name ("Smith, Jane") is set off with a comma
+      return `${names[0]}${names[0].includes(',') ? ',' : ''} ${conjunction} ${names[1]}`;
+    }
+    return `${names.slice(0, -1).join(', ')}, ${conjunction} ${names[names.length - 1]}`;
+  }
+  
+  /**
+   * Format CSL names with only the first one inverted ("Smith, Jane", "Wei Chen")
+   * @param {Array} names - CSL names
+   * @returns {Array<string>} - Formatted names
+   */
+  static invertFirstName(names) {
+    return names.map((name, index) => {
+      if (name.literal) {
+        return name.literal;
+      }
+      return index === 0 ? `${name.family}, ${name.given}` : `${name.given} ${name.family}`;
+    });
+  }
+  
+  /**
+   * Abbreviate given names to initials
+   * @param {string} given - Given names ("Jane Ann" or "J. A.")
+   * @returns {string} - Initials ("J. A.")
+   */
+  static getInitials(given) {
+    return given
+      .split(/[\s.]+/)
+      .filter(Boolean)
+      .map(part => `${part[0].toUpperCase()}.`)
+      .join(' ');
+  }
+  
+  /**
+   * End a text with punctuation unless it already ends with some
+   * @param {string} text - The text
+   * @param {string} mark - The punctuation
+   * @returns {string} - The text ending in punctuation
+   */
+  static endWith(text, mark) {
+    return /[.?!]\*?$/.test(text) ? text : `${text}${mark}`;
+  }
+  
+  /**
+   * Remove the italic markers from a formatted entry
+   * @param {string} entry - The entry
+   * @returns {string} - Plain text
+   */
+  static toPlainText(entry) {
+    return entry.replace(/\*([^*]+)\*/g, '$1');
+  }
+  
+  /**
+   * Get the bibliographic entry types for a result type
+   * @param {string} type - The research result type
+   * @returns {Object} - { csl, bibtex, ris } entry types
+   */
+  static getEntryType(type) {
+    return ENTRY_TYPES[type] || ENTRY_TYPES.web_content;
+  }
+  
+  /**
+   * Convert a citation to a CSL-JSON item, the metadata every export and style is built from
+   * @param {Object} citation - A citation ({ title, authors, date, source, link, summary, type })
+   * @param {number} index - Citation number
+   * @returns {Object} - CSL-JSON item, with the result type kept in `resultType`
+   */
+  static toCSL(citation, index) {
+    const { csl } = this.getEntryType(citation.type);
+    const item = {
+      id: `source-${index}`,
+      type: csl,
+      resultType: citation.type || 'web_content',
+      title: citation.title || 'Untitled',
+      author: this.parseAuthors(citation.authors, citation.type)
+    };
+    
+    const issued = this.parseDate(citation.date);
+    if (issued) {
+      item.issued = { 'date-parts': [issued] };
+    }
+    
+    // Journals and newspapers contain the work; for everything else the source publishes it
+    if (csl === 'article-journal' || csl === 'article-newspaper') {
+      item['container-title'] = citation.source;
+    } else if (citation.source) {
+      item.publisher = citation.source;
+    }
+    
+    if (citation.link && citation.link !== '#') {
+      item.URL = citation.link;
+      const accessed = this.parseDate(citation.cachedAt) || this.parseDate(new Date().toISOString());
+      item.accessed = { 'date-parts': [accessed] };
+    }
+    
+    if (citation.summary) {
+      item.abstract = citation.summary;
+    }
+    
+    return item;
+  }
+  
+  /**
+   * Parse an authors string into CSL names. Academic papers list people
+   * ("Jane Smith, Wei Chen"); other sources are organizations.
+   * @param {string} authors - The authors string
+   * @param {string} type - The research result type
+   * @returns {Array} - CSL names ({ family, given } or { literal })
+   */
+  static parseAuthors(authors, type) {
+    if (!authors) {
+      return [];
+    }
+    
+    if (type !== 'academic_paper') {
+      return [{ literal: authors }];
+    }
+    
+    const names = [];
+    authors
+      .split(/\s*[,;]\s*|\s+and\s+|\s*&\s*/)
+      .filter(Boolean)
+      .forEach(part => {
+        // "Smith, J." lists initials after the family name
+        const previous = names[names.length - 1];
+        if (/^(?:[A-Z]\.\s*)+$/.test(part) && previous && !previous.given && previous.literal) {
+          names[names.length - 1] = { family: previous.literal, given: part };
+          return;
+        }
+        
+        const parts = part.trim().split(/\s+/);
+        names.push(parts.length > 1
+          ? { family: parts.pop(), given: parts.join(' ') }
+          : { literal: part.trim() });
+      });
+    
+    return names;
+  }
+  
+  /**
+   * Parse a result date into CSL date parts
+   * @param {string} date - The date (ISO or locale formatted)
+   * @returns {Array<number>|null} - [year, month, day] (or [year] / [year, month] for partial dates), or null if unparseable
+   */
+  static parseDate(date) {
+    if (!date) {
+      return null;
+    }
+    
+    // Read ISO dates directly so they don't shift a day with the server's time zone
+    const iso = String(date).match(/^(\d{4})(?:-(\d{2}))?(?:-(\d{2}))?$/);
+    if (iso) {
+      return iso.slice(1).filter(Boolean).map(Number);
+    }
+    
+    const parsed = new Date(date);
+    if (Number.isNaN(parsed.getTime())) {
+      return null;
     }
     
-    return citation;
+    return [parsed.getFullYear(), parsed.getMonth() + 1, parsed.getDate()];
   }
 }
 
@@ -0,0 +1,270 @@
+const AIService = require('./AIService');
+const BM25Index = require('./BM25Index');
+const QueryUnderstanding = require('./QueryUnderstanding');
+const CitationManager = require('./CitationManager');
+
+// Share of a sentence's content words that must appear in the source
+const SUPPORTED_OVERLAP = 0.35;
+const PARTIAL_OVERLAP = 0.15;
+
+const judgePrompt = `
+You check whether research sources support the claims that cite them. For each claim, decide whether the
+cited source's text supports it: "supported" (the source states it), "partial" (the source supports part of
+it or something close) or "unsupported" (the source does not say it). Respond with only a JSON array:
+[{ "id": 1, "status": "supported" | "partial" | "unsupported" }]
+`;
+
+/**
+ * Service for checking an AI answer's bracketed citations against the research
+ * results they point to. References outside the source list are flagged as
+ * invalid, sources never referenced as unused, and each cited sentence is
+ * checked for support by lexical overlap or an AI judge.
+ */
+class CitationVerifier {
+  /**
+   * Verify the citations of an AI answer
+   * @param {string} response - The AI response text
+   * @param {Array} citations - The numbered sources, in the order they were given to the model
+   * @param {Object} options - Verification options ({ provider })
+   * @returns {Promise<Object>} - { citations, verification } where each citation carries a
+   *   `verification` of { status, cited, score, claims } and verification has the method,
+   *   invalid references, unused sources and status counts
+   */
+  static async verify(response, citations, { provider } = {}) {
+    const claims = this.extractClaims(response);
+    const invalidReferences = new Set();
+
+    // Pair each claim with every source it cites
+    const checks = [];
+    claims.forEach(claim => {
+      claim.references.forEach(number => {
+        const citation = citations[number - 1];
+        if (!citation) {
+          invalidReferences.add(number);
+          return;
+        }
+        checks.push({ id: checks.length + 1, number, sentence: claim.text, citation });
+      });
+    });
+
+    const method = this.getMethod(provider);
+    let statuses = null;
+
+    if (method === 'ai' && checks.length > 0) {
+      statuses = await this.judge(checks, provider);
+    }
+
+    checks.forEach(check => {
+      check.score = this.scoreOverlap(check.sentence, this.getSourceText(check.citation));
+      check.status = statuses && statuses[check.id]
+        ? statuses[check.id]
+        : this.statusForScore(check.score);
+    });
+
+    const verifiedCitations = citations.map((citation, index) => {
+      const citationChecks = checks.filter(check => check.number === index + 1);
+
+      return {
+        ...citation,
+        verification: {
+          status: this.summarizeStatus(citationChecks),
+          cited: citationChecks.length > 0,
+          score: citationChecks.length > 0
+            ? Math.max(...citationChecks.map(check => check.score))
+            : null,
+          claims: citationChecks.map(({ sentence, status, score }) => ({ sentence, status, score }))
+        }
+      };
+    });
+
+    const counts = { supported: 0, partial: 0, unsupported: 0, uncited: 0 };
+    verifiedCitations.forEach(citation => {
+      counts[citation.verification.status] += 1;
+    });
+
+    return {
+      citations: verifiedCitations,
+      verification: {
+        method: statuses ? 'ai' : 'lexical',
+        invalidReferences: Array.from(invalidReferences).sort((a, b) => a - b),
+        unusedSources: verifiedCitations
+          .map((citation, index) => (citation.verification.cited ? null : index + 1))
+          .filter(Boolean),
+        counts
+      }
+    };
+  }
+
+  /**
+   * Describe a verification result for the research steps
+   * @param {Object} verification - The verification from verify()
+   * @returns {string} - e.g. "Citations checked: 4 supported, 1 partially supported, ..."
+   */
+  static describe({ counts, invalidReferences }) {
+    const parts = [
+      `${counts.supported} supported`,
+      `${counts.partial} partially supported`,
+      `${counts.unsupported} unsupported`,
+      `${counts.uncited} not cited`
+    ];
+
+    if (invalidReferences.length > 0) {
+      parts.push(`invalid references ${invalidReferences.map(number => `[${number}]`).join(', ')}`);
+    }
+
+    return `Citations checked: ${parts.join(', ')}`;
+  }
+
+  /**
+   * Split a response into sentences with the source numbers each one cites.
+   * The trailing Sources/References section is left out since it lists
+   * sources rather than making claims.
+   * @param {string} response - The AI response text
+   * @returns {Array} - [{ text, references: [numbers] }] for sentences with references
+   */
+  static extractClaims(response) {
+    const body = CitationManager.stripSourcesSection(response);
+
+    return body
+      .split(/\n+/)
+      .flatMap(line => line.split(/(?<=[.!?])\s+(?=[A-Z[(*])/))
+      .map(sentence => ({
+        text: sentence.replace(/^[\s>*#\-\d.]+/, '').trim(),
+        references: this.parseReferences(sentence)
+      }))
+      .filter(claim => claim.text && claim.references.length > 0);
+  }
+
+  /**
+   * Parse bracketed source references such as [1], [2, 3] and [4-6]
+   * @param {string} text - Text containing references
+   * @returns {Array<number>} - Unique source numbers
+   */
+  static parseReferences(text) {
+    const numbers = new Set();
+
+    for (const match of text.matchAll(/\[(\d+(?:\s*[,;–-]\s*\d+)*)\]/g)) {
+      match[1].split(/\s*[,;]\s*/).forEach(part => {
+        const [start, end] = part.split(/\s*[–-]\s*/).map(Number);
+        if (end && end >= start && end - start < 20) {
+          for (let number = start; number <= end; number++) {
+            numbers.add(number);
+          }
+        } else {
+          numbers.add(start);
+        }
+      });
+    }
+
+    return Array.from(numbers);
+  }
+
+  /**
+   * Score how much of a sentence's content appears in a source
+   * @param {string} sentence - The cited sentence
+   * @param {string} sourceText - The source's title and summary
+   * @returns {number} - Overlap between 0 and 1
+   */
+  static scoreOverlap(sentence, sourceText) {
+    const sentenceTerms = new Set(BM25Index.tokenize(sentence.replace(/\[[\d\s,;–-]+\]/g, ' ')));
+    if (sentenceTerms.size === 0) {
+      return 0;
+    }
+
+    const sourceTerms = new Set(BM25Index.tokenize(sourceText));
+    let matches = 0;
+    sentenceTerms.forEach(term => {
+      if (sourceTerms.has(term)) {
+        matches += 1;
+      }
+    });
+
+    return Math.round((matches / sentenceTerms.size) * 100) / 100;
+  }
+
+  /**
+   * Ask the AI provider to judge claim support
+   * @param {Array} checks - [{ id, sentence, citation }]
+   * @param {string} provider - The provider for this research run
+   * @returns {Promise<Object|null>} - Status by check id, or null if judging failed
+   */
+  static async judge(checks, provider) {
+    const claims = checks.map(check => `
+# Claim ${check.id}
+${check.sentence}
+Source: ${check.citation.title}
+Source text: ${this.getSourceText(check.citation)}
+`).join('\n');
+
+    try {
+      const response = await AIService.complete([
+        { role: 'system', content: judgePrompt },
+        { role: 'user', content: claims }
+      ], { provider, temperature: 0, maxTokens: 30 * checks.length + 100 });
+
+      const start = response.indexOf('[');
+      const end = response.lastIndexOf(']');
+      const verdicts = JSON.parse(response.slice(start, end + 1));
+
+      const statuses = {};
+      verdicts.forEach(({ id, status }) => {
+        if (['supported', 'partial', 'unsupported'].includes(status)) {
+          statuses[id] = status;
+        }
+      });
+      return statuses;
+    } catch (error) {
+      console.warn('AI citation judging failed, using lexical overlap:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Get the text a source can support claims with
+   * @param {Object} citation - The cited result
+   * @returns {string} - Title and summary
+   */
+  static getSourceText(citation) {
+    return [citation.title, citation.summary].filter(Boolean).join('. ');
+  }
+
+  /**
+   * Map an overlap score to a support status
+   * @param {number} score - Overlap between 0 and 1
+   * @returns {string} - supported, partial or unsupported
+   */
+  static statusForScore(score) {
+    if (score >= SUPPORTED_OVERLAP) {
+      return 'supported';
+    }
+    return score >= PARTIAL_OVERLAP ? 'partial' : 'unsupported';
+  }
+
+  /**
+   * Combine the checks of one source into its overall status
+   * @param {Array} checks - The source's claim checks
+   * @returns {string} - supported, partial, unsupported or uncited
+   */
+  static summarizeStatus(checks) {
+    if (checks.length === 0) {
+      return 'uncited';
+    }
+    if (checks.every(check => check.status === 'supported')) {
+      return 'supported';
+    }
+    return checks.some(check => check.status !== 'unsupported') ? 'partial' : 'unsupported';
+  }
+
+  /**
+   * Get the verification method: CITATION_VERIFICATION=ai uses an AI judge
+   * when the provider allows it; lexical overlap otherwise
+   * @param {string} provider - The provider for this research run
+   * @returns {string} - ai or lexical
+   */
+  static getMethod(provider) {
+    const mode = (process.env.CITATION_VERIFICATION || 'lexical').toLowerCase();
+    return mode === 'ai' && QueryUnderstanding.useAI(provider) ? 'ai' : 'lexical';
+  }
+}
+
+module.exports = CitationVerifier;
@@ -0,0 +1,160 @@
+// Signature of an OLE compound file (legacy Office documents and Outlook messages)
+const SIGNATURE = Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]);
+
+// Sector numbers that end a chain or mark free sectors
+const END_OF_CHAIN = 0xfffffffe;
+const FREE_SECTOR = 0xffffffff;
+const NO_STREAM = 0xffffffff;
+
+// Directory entry types
+const STORAGE = 1;
+const STREAM = 2;
+const ROOT = 5;
+
+// Entries in the header's sector allocation table
+const HEADER_DIFAT_ENTRIES = 109;
+
+/**
+ * Service for reading OLE compound files, the container of legacy Word
+ * documents (.doc) and Outlook messages (.msg): a small file system of
+ * storages (folders) and streams (files) inside one file.
+ */
+class CompoundFile {
+  /**
+   * Whether data is a compound file
+   * @param {Buffer} data - The file data
+   * @returns {boolean}
+   */
+  static isCompoundFile(data) {
+    return data.length >= 512 && data.subarray(0, 8).equals(SIGNATURE);
+  }
+
+  /**
+   * Read a compound file's directory
+   * @param {Buffer} data - The file data
+   * @returns {Object} - The root storage: { name, type: 'storage', children: Map(name -> entry) },
+   *   where streams are { name, type: 'stream', data }
+   */
+  static read(data) {
+    if (!this.isCompoundFile(data)) {
+      throw new Error('Not an OLE compound file');
+    }
+
+    const sectorSize = 1 << data.readUInt16LE(0x1e);
+    const miniSectorSize = 1 << data.readUInt16LE(0x20);
+    const miniStreamCutoff = data.readUInt32LE(0x38);
+    const sectorOffset = sector => (sector + 1) * sectorSize;
+
+    // The sector allocation table lists the sectors of the table itself, starting in the header
+    const fatSectors = [];
+    for (let index = 0; index < HEADER_DIFAT_ENTRIES; index += 1) {
+      fatSectors.push(data.readUInt32LE(0x4c + index * 4));
+    }
+    let difatSector = data.readUInt32LE(0x44);
+    for (let count = data.readUInt32LE(0x48); count > 0 && difatSector < END_OF_CHAIN; count -= 1) {
+      const offset = sectorOffset(difatSector);
+      const entries = sectorSize / 4 - 1;
+      for (let index = 0; index < entries; index += 1) {
+        fatSectors.push(data.readUInt32LE(offset + index * 4));
+      }
+      difatSector = data.readUInt32LE(offset + entries * 4);
+    }
+
+    const fat = [];
+    fatSectors
+      .filter(sector => sector !== FREE_SECTOR && sector < END_OF_CHAIN)
+      .forEach(sector => {
+        const offset = sectorOffset(sector);
+        for (let index = 0; index < sectorSize / 4 && offset + index * 4 + 4 <= data.length; index += 1) {
+          fat.push(data.readUInt32LE(offset + index * 4));
+        }
+      });
+
+    const readChain = (start, table, readSector) => {
+      const parts = [];
+      const seen = new Set();
+      for (let sector = start; sector < END_OF_CHAIN && sector < table.length; sector = table[sector]) {
+        if (seen.has(sector)) {
+          throw new Error('Corrupt compound file: sector chain loops');
+        }
+        seen.add(sector);
+        parts.push(readSector(sector));
+      }
+      return Buffer.concat(parts);
+    };
+    const readSector = sector => data.subarray(sectorOffset(sector), sectorOffset(sector) + sectorSize);
+
+    const directory = readChain(data.readUInt32LE(0x30), fat, readSector);
+    const entries = [];
+    for (let offset = 0; offset + 128 <= directory.length; offset += 128) {
+      const nameLength = directory.readUInt16LE(offset + 0x40);
+      entries.push({
+        name: directory.toString('utf16le', offset, offset + Math.max(0, nameLength - 2)),
+        type: directory[offset + 0x42],
+        left: directory.readUInt32LE(offset + 0x44),
+        right: directory.readUInt32LE(offset + 0x48),
+        child: directory.readUInt32LE(offset + 0x4c),
+        start: directory.readUInt32LE(offset + 0x74),
+        size: directory.readUInt32LE(offset + 0x78)
+      });
+    }
+
+    const root = entries[0];
+    if (!root || root.type !== ROOT) {
+      throw new Error('Corrupt compound file: no root storage');
+    }
+
+    const miniFat = [];
+    const miniFatData = readChain(data.readUInt32LE(0x3c), fat, readSector);
+    for (let offset = 0; offset + 4 <= miniFatData.length; offset += 4) {
+      miniFat.push(miniFatData.readUInt32LE(offset));
+    }
+    const miniStream = readChain(root.start, fat, readSector);
+    const readMiniSector = sector => miniStream.subarray(sector * miniSectorSize, (sector + 1) * miniSectorSize);
+
+    const readStream = (entry) => {
+      const content = entry.size < miniStreamCutoff
+        ? readChain(entry.start, miniFat, readMiniSector)
+        : readChain(entry.start, fat, readSector);
+      return content.subarray(0, entry.size);
+    };
+
+    // A storage's children are a red-black tree of siblings under its child entry
+    const visited = new Set();
+    const build = (entry) => {
+      const children = new Map();
+      const walk = (index) => {
+        if (index === NO_STREAM || index >= entries.length || visited.has(index)) {
+          return;
+        }
+        visited.add(index);
+        const child = entries[index];
+        walk(child.left);
+        if (child.type === STORAGE) {
+          children.set(child.name, build(child));
+        } else if (child.type === STREAM) {
+          children.set(child.name, { name: child.name, type: 'stream', data: readStream(child) });
+        }
+        walk(child.right);
+      };
+      walk(entry.child);
+      return { name: entry.name, type: 'storage', children };
+    };
+
+    visited.add(0);
+    return build(root);
+  }
+
+  /**
+   * Get a stream of a storage
+   * @param {Object} storage - A storage from read()
+   * @param {string} name - The stream name
+   * @returns {Buffer|null} - The stream data, or null if the storage has no such stream
+   */
+  static getStream(storage, name) {
+    const entry = storage.children.get(name);
+    return entry && entry.type === 'stream' ? entry.data : null;
+  }
+}
+
+module.exports = CompoundFile;
@@ -0,0 +1,277 @@
+const AIService = require('./AIService');
+const CitationManager = require('./CitationManager');
+const QueryCategorizer = require('./QueryCategorizer');
+const QueryUnderstanding = require('./QueryUnderstanding');
+const ResearchProgress = require('./ResearchProgress');
+const { getSessionRepository } = require('../repositories');
+
+// Sources kept with each turn for later follow-ups
+const TURN_SOURCE_LIMIT = 8;
+
+// Characters of an earlier answer repeated back to the model
+const TURN_RESPONSE_CHARS = 1500;
+
+// Openers that mark a query as a follow-up to the previous turn
+const FOLLOW_UP_PATTERN = /^(?:and|but|also|so|then|what about|how about|and what about|what if|same for|compare (?:that|it|this)|instead)\b/i;
+const REFERENCE_PATTERN = /\b(?:it|its|that|this|those|these|them|they|there|instead|same|above|previous|earlier)\b/i;
+
+const rewritePrompt = `
+You rewrite follow-up questions in a commercial real estate research conversation into standalone research queries.
+Given the conversation so far and the latest question, respond with only the rewritten query: one sentence that
+can be researched without the conversation, keeping every location, property type, metric and time period it
+depends on. If the latest question already stands on its own, repeat it unchanged.
+`;
+
+const summaryPrompt = `
+Summarize this commercial real estate research conversation for later follow-up questions. Keep the questions asked,
+the key findings and figures, the locations, property types and time periods discussed, and the sources relied on.
+Respond with at most 200 words of plain text.
+`;
+
+/**
+ * Service for multi-turn research conversations. Each session keeps its turns
+ * (query, standalone query, answer and sources); recent turns are sent to the
+ * model verbatim and older ones as a running summary.
+ */
+class ConversationMemory {
+  /**
+   * Get the conversation history of a session, summarizing older turns first if needed
+   * @param {string} sessionId - Session identifier
+   * @param {Object} options - Options ({ provider } used for summarizing)
+   * @returns {Promise<Object>} - { turns, summary } where turns are the recent turns only
+   */
+  static async getHistory(sessionId, options = {}) {
+    await ResearchProgress.flush(sessionId);
+    const session = await getSessionRepository().get(sessionId);
+
+    const turns = (session && session.turns) || [];
+    let summary = (session && session.summary) || null;
+    let summarizedTurns = (session && session.summarizedTurns) || 0;
+
+    const recentStart = Math.max(0, turns.length - this.getRecentTurnLimit());
+
+    // Fold turns that have dropped out of the recent window into the summary
+    if (recentStart > summarizedTurns) {
+      summary = await this.summarize(summary, turns.slice(summarizedTurns, recentStart), options);
+      summarizedTurns = recentStart;
+      ResearchProgress.record(sessionId, { summary, summarizedTurns });
+    }
+
+    return {
+      turns: turns.slice(summarizedTurns),
+      summary
+    };
+  }
+
+  /**
+   * Store a completed turn with the session
+   * @param {string} sessionId - Session identifier
+   * @param {Object} turn - { query, standaloneQuery, response, citations }
+   */
+  static recordTurn(sessionId, { query, standaloneQuery, response, citations = [] }) {
+    const entry = {
+      query,
+      standaloneQuery,
+      response,
+      sources: citations.slice(0, TURN_SOURCE_LIMIT).map(citation => ({
+        title: citation.title,
+        source: citation.source,
+        link: citation.link
+      })),
+      timestamp: new Date().toISOString()
+    };
+
+    ResearchProgress.enqueue(sessionId, repository => repository.appendTurn(sessionId, entry));
+  }
+
+  /**
+   * Rewrite a follow-up question into a standalone research query
+   * @param {string} query - The user's latest question
+   * @param {Object} history - The conversation history from getHistory()
+   * @param {Object} options - Options ({ provider })
+   * @returns {Promise<string>} - The standalone query
+   */
+  static async rewriteQuery(query, history, { provider } = {}) {
+    if (history.turns.length === 0 && !history.summary) {
+      return query;
+    }
+
+    if (QueryUnderstanding.useAI(provider)) {
+      try {
+        const rewritten = await AIService.complete([
+          { role: 'system', content: rewritePrompt },
+          { role: 'user', content: `${this.describeConversation(history)}\n\n# Latest Question\n${query}` }
+        ], { provider, temperature: 0, maxTokens: 150 });
+
+        const standalone = rewritten.trim().replace(/^["']|["']$/g, '');
+        if (standalone) {
+          return standalone;
+        }
+      } catch (error) {
+        console.warn('AI query rewriting failed, using heuristic rewrite:', error.message);
+      }
+    }
+
+    return this.rewriteHeuristically(query, history);
+  }
+
+  /**
+   * Rewrite a follow-up without a model: entities the follow-up names replace
+   * those of the previous query, and anything else is appended to it
+   * @param {string} query - The user's latest question
+   * @param {Object} history - The conversation history from getHistory()
+   * @returns {string} - The standalone query
+   */
+  static rewriteHeuristically(query, history) {
+    const previousTurn = history.turns[history.turns.length - 1];
+    const trimmed = query.trim();
+
+    if (!previousTurn || !(FOLLOW_UP_PATTERN.test(trimmed) || (trimmed.split(/\s+/).length <= 6 && REFERENCE_PATTERN.test(trimmed)))) {
+      return query;
+    }
+
+    const previous = previousTurn.standaloneQuery || previousTurn.query;
+    const previousEntities = QueryCategorizer.extractEntities(previous);
+    const entities = QueryCategorizer.extractEntities(trimmed);
+
+    let rewritten = previous;
+    let substituted = false;
+
+    const substitute = (field, aliases) => {
+      if (!entities[field] || !previousEntities[field] || entities[field] === previousEntities[field]) {
+        return;
+      }
+      const alias = aliases(previousEntities[field]).find(name => rewritten.toLowerCase().includes(name.trim()));
+      if (alias) {
+        const start = rewritten.toLowerCase().indexOf(alias.trim());
+        rewritten = rewritten.slice(0, start) + entities[field] + rewritten.slice(start + alias.trim().length);
+        substituted = true;
+      }
+    };
+
+    substitute('metro', metro => QueryCategorizer.metros[metro] || []);
+    substitute('propertyType', type => QueryCategorizer.propertyTypes[type] || []);
+    substitute('submarket', submarket => [submarket]);
+
+    if (substituted) {
+      return rewritten;
+    }
+
+    // Nothing to substitute, so carry the previous query along as context
+    const remainder = trimmed
+      .replace(FOLLOW_UP_PATTERN, '')
+      .replace(/[?.!]+$/, '')
+      .trim();
+
+    return remainder ? `${previous.replace(/[?.!]+$/, '')} (follow-up: ${remainder})` : previous;
+  }
+
+  /**
+   * Fold turns into the running conversation summary
+   * @param {string|null} summary - The existing summary
+   * @param {Array} turns - Turns to add to it
+   * @param {Object} options - Options ({ provider })
+   * @returns {Promise<string>} - The updated summary
+   */
+  static async summarize(summary, turns, { provider } = {}) {
+    const conversation = this.describeConversation({ summary, turns });
+
+    if (QueryUnderstanding.useAI(provider)) {
+      try {
+        return await AIService.complete([
+          { role: 'system', content: summaryPrompt },
+          { role: 'user', content: conversation }
+        ], { provider, temperature: 0, maxTokens: 400 });
+      } catch (error) {
+        console.warn('AI conversation summary failed, using extractive summary:', error.message);
+      }
+    }
+
+    // Extractive fallback: each question with the opening of its answer
+    const lines = turns.map(turn => {
+      const answer = (turn.response || '').replace(/\s+/g, ' ').slice(0, 300);
+      return `- Q: ${turn.standaloneQuery || turn.query}\n  A: ${answer}`;
+    });
+
+    return [summary, ...lines].filter(Boolean).join('\n');
+  }
+
+  /**
+   * Build the history messages placed between the system prompt and the new query
+   * @param {Object} history - The conversation history from getHistory()
+   * @returns {Array} - Messages in { role, content } format
+   */
+  static buildMessages(history) {
+    if (!history) {
+      return [];
+    }
+
+    const messages = [];
+
+    if (history.summary) {
+      messages.push({
+        role: 'user',
+        content: `# Earlier In This Conversation\n${history.summary}`
+      });
+      messages.push({
+        role: 'assistant',
+        content: 'Understood. I will take the earlier conversation into account.'
+      });
+    }
+
+    history.turns.forEach(turn => {
+      messages.push({ role: 'user', content: turn.query });
+      messages.push({ role: 'assistant', content: this.describeAnswer(turn) });
+    });
+
+    return messages;
+  }
+
+  /**
+   * Describe a previous answer with the sources it relied on
+   * @param {Object} turn - A stored turn
+   * @returns {string} - The answer text, truncated, followed by its sources
+   */
+  static describeAnswer(turn) {
+    // The sources are listed below, so the rendered Sources section is left out
+    const response = CitationManager.stripSourcesSection(turn.response);
+    const answer = response.length > TURN_RESPONSE_CHARS
+      ? `${response.slice(0, TURN_RESPONSE_CHARS)}...`
+      : response;
+
+    const sources = (turn.sources || [])
+      .map((source, index) => `${index + 1}. ${source.title}${source.link && source.link !== '#' ? ` (${source.link})` : ''}`)
+      .join('\n');
+
+    return sources ? `${answer}\n\nSources used:\n${sources}` : answer;
+  }
+
+  /**
+   * Describe a conversation as plain text for rewriting and summarizing
+   * @param {Object} history - { summary, turns }
+   * @returns {string} - The conversation text
+   */
+  static describeConversation({ summary, turns }) {
+    const parts = [];
+
+    if (summary) {
+      parts.push(`# Summary Of Earlier Turns\n${summary}`);
+    }
+
+    turns.forEach((turn, index) => {
+      parts.push(`# Turn ${index + 1}\nQuestion: ${turn.standaloneQuery || turn.query}\nAnswer: ${this.describeAnswer(turn)}`);
+    });
+
+    return parts.join('\n\n');
+  }
+
+  /**
+   * Get how many recent turns are sent verbatim
+   * @returns {number} - The number of turns
+   */
+  static getRecentTurnLimit() {
+    return parseInt(process.env.CONVERSATION_RECENT_TURNS, 10) || 3;
+  }
+}
+
+module.exports = ConversationMemory;
@@ -0,0 +1,146 @@
+const CitationManager = require('./CitationManager');
+const { PROVENANCE } = require('../config/dataMode');
+const { getCredibilityConfig } = require('../config/credibility');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Service for scoring how far a research result can be trusted: a
+ * credibility weight from its source and type (see config/credibility.js)
+ * multiplied by a freshness factor that decays with the publication date
+ */
+class CredibilityScorer {
+  /**
+   * Score research results
+   * @param {Array} results - Research results
+   * @param {Object} options - { now } in milliseconds to age results against (defaults to the current time)
+   * @returns {Array} - The results, each with a `credibility` score
+   */
+  static scoreAll(results, { now = Date.now() } = {}) {
+    const config = getCredibilityConfig();
+
+    return results.map(result => ({
+      ...result,
+      credibility: this.score(result, { config, now })
+    }));
+  }
+
+  /**
+   * Score a research result
+   * @param {Object} result - A research result
+   * @param {Object} options - { config, now } (defaults to the current configuration and time)
+   * @returns {Object} - { score, tier, label, weight, freshness, ageDays } where score is
+   *   weight × freshness between 0 and 1 and ageDays is null for undated results
+   */
+  static score(result, { config = getCredibilityConfig(), now = Date.now() } = {}) {
+    const { tier, weight } = this.getTier(result, config);
+    const ageDays = this.getAgeDays(result.date || result.observationDate, now);
+
+    let freshness = config.undatedFreshness;
+    if (ageDays !== null) {
+      const halfLife = config.halfLifeDays[result.type];
+      const decay = halfLife ? Math.pow(0.5, ageDays / halfLife) : 1;
+      freshness = config.freshnessFloor + (1 - config.freshnessFloor) * decay;
+    }
+
+    return {
+      score: this.round(weight * freshness),
+      tier,
+      label: config.tiers[tier].label,
+      weight: this.round(weight),
+      freshness: this.round(freshness),
+      ageDays
+    };
+  }
+
+  /**
+   * Find a result's credibility tier and weight: placeholders are internal,
+   * then known sources, then the result type
+   * @param {Object} result - A research result
+   * @param {Object} config - The credibility configuration
+   * @returns {Object} - { tier, weight }
+   */
+  static getTier(result, config) {
+    if (result.provenance === PROVENANCE.MOCK || result.provenance === PROVENANCE.INTERNAL) {
+      return { tier: 'internal', weight: config.tiers.internal.weight };
+    }
+
+    const typeTier = config.tiers[config.types[result.type]] ? config.types[result.type] : 'general_web';
+    const sourceKey = Object.keys(config.sources).find(key => this.matchesSource(result, key));
+    const setting = sourceKey ? config.sources[sourceKey] : config.typeWeights[result.type] ?? typeTier;
+
+    // A numeric setting is a custom weight within the type's tier
+    if (typeof setting === 'number') {
+      return { tier: typeTier, weight: Math.min(Math.max(setting, 0), 1) };
+    }
+
+    const tier = config.tiers[setting] ? setting : typeTier;
+    return { tier, weight: config.tiers[tier].weight };
+  }
+
+  /**
+   * Whether a result comes from a configured source. Keys with a dot match the
+   * link host (".gov" matches any host ending in it); other keys match the source name.
+   * @param {Object} result - A research result
+   * @param {string} key - The configured source
+   * @returns {boolean}
+   */
+  static matchesSource(result, key) {
+    if (!key.includes('.')) {
+      return (result.source || '').toLowerCase() === key.toLowerCase();
+    }
+
+    let host;
+    try {
+      host = new URL(result.link).hostname.toLowerCase();
+    } catch (error) {
+      return false;
+    }
+
+    const suffix = key.toLowerCase();
+    return suffix.startsWith('.')
+      ? host.endsWith(suffix)
+      : host === suffix || host.endsWith(`.${suffix}`);
+  }
+
+  /**
+   * Get the age of a publication date in days
+   * @param {string} date - The result's publication date (or observation date when undated)
+   * @param {number} now - The current time in milliseconds
+   * @returns {number|null} - Whole days since publication, or null if undated
+   */
+  static getAgeDays(date, now) {
+    const parts = CitationManager.parseDate(date);
+    if (!parts) {
+      return null;
+    }
+
+    const [year, month = 1, day = 1] = parts;
+    const published = Date.UTC(year, month - 1, day);
+    return Math.max(0, Math.floor((now - published) / DAY_MS));
+  }
+
+  /**
+   * Describe a credibility score for the AI
+   * @param {Object} credibility - The score from score()
+   * @returns {string} - e.g. "0.72 (Trade press, published 45 days ago)"
+   */
+  static describe({ score, label, ageDays }) {
+    let age = 'publication date unknown';
+    if (ageDays !== null) {
+      age = ageDays < 1 ? 'published today' : `published ${ageDays} day${ageDays === 1 ? '' : 's'} ago`;
+    }
+    return `${score.toFixed(2)} (${label}, ${age})`;
+  }
+
+  /**
+   * Round a score to two decimals
+   * @param {number} value - The score
+   * @returns {number} - The rounded score
+   */
+  static round(value) {
+    return Math.round(value * 100) / 100;
+  }
+}
+
+module.exports = CredibilityScorer;
@@ -0,0 +1,143 @@
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Service for research dates: normalizing the dates sources return to ISO
+ * 8601 and limiting research to an as-of date or a date range.
+ *
+ * A date range is { from, to, asOf } with ISO dates (YYYY-MM-DD) or null:
+ * results dated outside from..to are dropped, and to never lies after asOf.
+ * asOf also asks sources for data as it was known on that date (e.g. FRED vintages).
+ */
+class DateRange {
+  /**
+   * Build a date range from the asOf and dateRange request parameters
+   * @param {Object} params - Request parameters
+   * @param {string} params.asOf - ISO date (optional)
+   * @param {Object|string} params.dateRange - { from, to } or an ISO interval "from/to";
+   *   either end may be left out (optional)
+   * @returns {Object|null} - { from, to, asOf }, or null when neither is given
+   * @throws {Error} - When a date is invalid, in the future or the range is empty
+   */
+  static fromRequest({ asOf, dateRange } = {}) {
+    if (!asOf && !dateRange) {
+      return null;
+    }
+
+    let from = null;
+    let to = null;
+    if (typeof dateRange === 'string') {
+      [from, to] = dateRange.split('/').map(part => (part && part !== '..' ? part : null));
+    } else if (dateRange) {
+      ({ from = null, to = null } = dateRange);
+    }
+
+    const range = {
+      from: this.parseParam('dateRange.from', from),
+      to: this.parseParam('dateRange.to', to),
+      asOf: this.parseParam('asOf', asOf)
+    };
+
+    const today = new Date().toISOString().slice(0, 10);
+    if (range.asOf && range.asOf > today) {
+      throw new Error(`asOf ${range.asOf} is in the future`);
+    }
+
+    // Nothing after the as-of date was known on it
+    if (range.asOf && (!range.to || range.to > range.asOf)) {
+      range.to = range.asOf;
+    }
+
+    if (range.from && range.to && range.from > range.to) {
+      throw new Error(`The date range starts (${range.from}) after it ends (${range.to})`);
+    }
+
+    return range;
+  }
+
+  /**
+   * Check a request date parameter
+   * @param {string} name - Parameter name, for the error message
+   * @param {*} value - Parameter value
+   * @returns {string|null} - The ISO date, or null if not given
+   * @throws {Error} - When the value is not a valid YYYY-MM-DD date
+   */
+  static parseParam(name, value) {
+    if (value === null || value === undefined || value === '') {
+      return null;
+    }
+
+    if (!DATE_PATTERN.test(String(value)) || this.toISODate(value) !== value) {
+      throw new Error(`${name} must be a date in YYYY-MM-DD format`);
+    }
+
+    return value;
+  }
+
+  /**
+   * Normalize a date from a source to an ISO 8601 date. Dates that start
+   * with an ISO date keep it as stated; others (RSS pubDate, ...) are parsed
+   * and converted to UTC.
+   * @param {*} value - A date string, timestamp or Date
+   * @returns {string|null} - YYYY-MM-DD, or null if the value is not a date
+   */
+  static toISODate(value) {
+    if (value === null || value === undefined || value === '') {
+      return null;
+    }
+
+    const stated = /^(\d{4})-(\d{2})-(\d{2})/.exec(String(value));
+    if (stated) {
+      const [, year, month, day] = stated.map(Number);
+      const date = new Date(Date.UTC(year, month - 1, day));
+      return date.getUTCMonth() === month - 1 && date.getUTCDate() === day ? stated[0] : null;
+    }
+
+    const date = value instanceof Date ? value : new Date(typeof value === 'number' ? value : String(value));
+    return Number.isNaN(date.getTime()) ? null : date.toISOString().slice(0, 10);
+  }
+
+  /**
+   * Get the date a result is filtered on: when its data was observed, or
+   * when it was published
+   * @param {Object} result - A research result
+   * @returns {string|null} - ISO date, or null if undated
+   */
+  static getResultDate(result) {
+    return result.observationDate || result.date || null;
+  }
+
+  /**
+   * Whether a result falls within a date range. Undated results are kept.
+   * @param {Object|null} range - The date range
+   * @param {Object} result - A research result
+   * @returns {boolean}
+   */
+  static includes(range, result) {
+    const date = this.getResultDate(result);
+    if (!range || !date) {
+      return true;
+    }
+    return (!range.from || date >= range.from) && (!range.to || date <= range.to);
+  }
+
+  /**
+   * Describe a date range for research steps and the AI
+   * @param {Object} range - The date range
+   * @returns {string} - e.g. "as of 2024-06-30" or "from 2023-01-01 to 2023-12-31"
+   */
+  static describe({ from, to, asOf }) {
+    const parts = [];
+    if (from) {
+      parts.push(`from ${from}`);
+    }
+    if (to && to !== asOf) {
+      parts.push(`to ${to}`);
+    }
+    if (asOf) {
+      parts.push(`as of ${asOf}`);
+    }
+    return parts.join(' ');
+  }
+}
+
+module.exports = DateRange;
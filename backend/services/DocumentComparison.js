@@ -0,0 +1,216 @@
+const StructuredAnswer = require('./StructuredAnswer');
+
+// JSON schema of a document comparison answer
+const RESPONSE_SCHEMA = {
+  type: 'object',
+  properties: {
+    summary: { type: 'string' },
+    rows: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          aspect: { type: 'string' },
+          cells: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                document: { type: 'integer' },
+                text: { type: 'string' },
+                sources: { type: 'array', items: { type: 'integer' } }
+              },
+              required: ['document', 'text', 'sources']
+            }
+          }
+        },
+        required: ['aspect', 'cells']
+      }
+    },
+    conclusion: { type: 'string' }
+  },
+  required: ['summary', 'rows', 'conclusion']
+};
+
+const comparisonInstructions = `
+Respond with only a JSON object (no markdown, no code fences) in this shape:
+{
+  "summary": "1-2 paragraphs on how the documents compare",
+  "rows": [
+    {
+      "aspect": "Operating expense structure",
+      "cells": [
+        { "document": 1, "text": "Base year 2024; tenant pays its pro rata share of increases.", "sources": [2] },
+        { "document": 2, "text": "Triple net; tenant pays all operating expenses.", "sources": [5] }
+      ]
+    }
+  ],
+  "conclusion": "The differences that matter most and what to follow up on"
+}
+Each row compares one aspect the query asks about. Give every row one cell per document, numbered as in
+the list above, each stating what that document provides and listing the numbers of the sources (that
+document's passages) it is based on. When a document doesn't address an aspect, say "Not addressed" with
+no sources. Don't put bracketed source numbers inside the text fields.
+`;
+
+// Queries asking to compare documents
+const COMPARISON_PATTERN = /\b(compare|comparing|comparison|contrast|side[- ]by[- ]side|versus|vs\.?|differences? between)\b/i;
+
+/**
+ * Service for comparison answers: a table with one row per aspect of the
+ * query and one column per uploaded document, each cell citing that
+ * document's passages. The markdown answer is rendered from it on the server.
+ */
+class DocumentComparison {
+  /**
+   * Whether a query asks to compare documents
+   * @param {string} query - The research query
+   * @returns {boolean}
+   */
+  static isComparisonQuery(query) {
+    return COMPARISON_PATTERN.test(query);
+  }
+
+  /**
+   * Get the JSON schema providers constrain comparison answers to
+   * @returns {Object} - { name, schema }
+   */
+  static getResponseSchema() {
+    return { name: 'document_comparison', schema: RESPONSE_SCHEMA };
+  }
+
+  /**
+   * Get the instructions that ask the model for a comparison of the documents
+   * @param {Array} documents - From listDocuments()
+   * @returns {string} - The prompt text
+   */
+  static getInstructions(documents) {
+    const list = documents
+      .map(document => `Document ${document.number}: ${document.name} (sources ${document.sources.join(', ')})`)
+      .join('\n');
+    return `Compare these documents side by side:\n${list}\n${comparisonInstructions}`;
+  }
+
+  /**
+   * List the documents whose passages are among the research results, in the
+   * order they first appear
+   * @param {Array} results - The numbered research results
+   * @returns {Array} - [{ number, documentId, name, sources }] with the source numbers of each
+   *   document's passages
+   */
+  static listDocuments(results) {
+    const documents = new Map();
+
+    results.forEach((result, index) => {
+      if (!result.documentId) {
+        return;
+      }
+      if (!documents.has(result.documentId)) {
+        documents.set(result.documentId, {
+          number: documents.size + 1,
+          documentId: result.documentId,
+          name: result.documentName,
+          sources: []
+        });
+      }
+      documents.get(result.documentId).sources.push(index + 1);
+    });
+
+    return Array.from(documents.values());
+  }
+
+  /**
+   * Parse and normalize a comparison from model output, with one cell per
+   * document in every row citing only that document
+   * @param {string} text - The model output
+   * @param {Array} documents - From listDocuments()
+   * @returns {Object|null} - { summary, documents, rows: [{ aspect, cells: [{ text, sources }] }],
+   *   conclusion }, or null if the output isn't a JSON object
+   */
+  static parse(text, documents) {
+    const start = text.indexOf('{');
+    const end = text.lastIndexOf('}');
+    if (start === -1 || end <= start) {
+      return null;
+    }
+
+    let data;
+    try {
+      data = JSON.parse(text.slice(start, end + 1));
+    } catch (error) {
+      return null;
+    }
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      return null;
+    }
+
+    const rows = (Array.isArray(data.rows) ? data.rows : [])
+      .filter(row => row && typeof row === 'object')
+      .map(row => {
+        const cells = Array.isArray(row.cells) ? row.cells.filter(cell => cell && typeof cell === 'object') : [];
+        return {
+          aspect: StructuredAnswer.cleanText(row.aspect),
+          cells: documents.map((document, index) => {
+            // Cells are matched to documents by number, falling back to their position,
+            // and may only cite their own document's passages
+            const cell = cells.find(item => parseInt(item.document, 10) === document.number) ||
+              (cells.every(item => item.document === undefined) ? cells[index] : null);
+            return {
+              text: StructuredAnswer.cleanText(cell && cell.text) || 'Not addressed',
+              sources: StructuredAnswer.parseSources(cell && cell.sources).filter(number => document.sources.includes(number))
+            };
+          })
+        };
+      })
+      .filter(row => row.aspect);
+
+    return {
+      summary: StructuredAnswer.cleanText(data.summary),
+      documents: documents.map(({ number, documentId, name }) => ({ number, documentId, name })),
+      rows,
+      conclusion: StructuredAnswer.cleanText(data.conclusion)
+    };
+  }
+
+  /**
+   * Render a comparison as markdown: the summary, a table with a column per
+   * document and the conclusion, with each cell's sources as bracketed references
+   * @param {Object} comparison - The parsed comparison
+   * @returns {string} - The markdown answer
+   */
+  static render({ summary, documents, rows, conclusion }) {
+    const parts = [];
+
+    if (summary) {
+      parts.push(summary);
+    }
+
+    if (rows.length > 0) {
+      const header = `| Aspect | ${documents.map(document => this.escapeCell(document.name)).join(' | ')} |`;
+      const divider = `| --- | ${documents.map(() => '---').join(' | ')} |`;
+      const lines = rows.map(row => {
+        const cells = row.cells.map(cell => `${this.escapeCell(cell.text)}${StructuredAnswer.formatReferences(cell.sources)}`);
+        return `| ${this.escapeCell(row.aspect)} | ${cells.join(' | ')} |`;
+      });
+      parts.push(`## Comparison\n\n${[header, divider, ...lines].join('\n')}`);
+    }
+
+    if (conclusion) {
+      parts.push(`## Conclusion\n\n${conclusion}`);
+    }
+
+    return parts.join('\n\n');
+  }
+
+  /**
+   * Escape text for a markdown table cell
+   * @param {string} text - The cell text
+   * @returns {string} - The text on one line with pipes escaped
+   */
+  static escapeCell(text) {
+    return text.replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ');
+  }
+}
+
+module.exports = DocumentComparison;
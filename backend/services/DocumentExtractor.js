@@ -0,0 +1,154 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const EXTRACTORS_DIR = path.join(__dirname, '../extractors');
+
+/**
+ * Registry of document format extractors.
+ *
+ * Every module in backend/extractors exports an extractor descriptor:
+ * {
+ *   id: 'pdf',                         // unique identifier
+ *   name: 'PDF',                       // shown in the upload control
+ *   extensions: ['.pdf'],              // file extensions it reads, with the dot
+ *   mimeTypes: ['application/pdf'],    // MIME types browsers report for them
+ *   order: 10,                         // position in the list of formats
+ *   extract: async (filePath, { extension, depth }) => ({ pages, sheets, attachments })
+ * }
+ *
+ * pages are [{ page, section, text }]: page is the 1-based page number in formats with
+ * pages (PDF) and null otherwise; section names the part of the document a page without a
+ * number covers (a heading, sheet, slide or attachment), so passages can be cited by location.
+ * sheets are the rows of spreadsheets (see SpreadsheetReader) and attachments the files an
+ * email carried ([{ name, extracted, error }]); both are optional.
+ */
+class DocumentExtractor {
+  static extractors = new Map();
+
+  // How deeply attachments of attachments (e.g. a forwarded email's files) are extracted
+  static MAX_ATTACHMENT_DEPTH = 3;
+
+  /**
+   * Register a format extractor
+   * @param {Object} extractor - The extractor descriptor
+   */
+  static register(extractor) {
+    for (const field of ['id', 'name', 'extensions', 'extract']) {
+      if (!extractor[field]) {
+        throw new Error(`Document extractor is missing required field "${field}"`);
+      }
+    }
+
+    if (this.extractors.has(extractor.id)) {
+      throw new Error(`Document extractor "${extractor.id}" is already registered`);
+    }
+
+    this.extractors.set(extractor.id, { mimeTypes: [], order: 100, ...extractor });
+  }
+
+  /**
+   * Load every extractor module from the extractors directory
+   */
+  static loadExtractors() {
+    fs.readdirSync(EXTRACTORS_DIR)
+      .filter(file => file.endsWith('.js'))
+      .forEach(file => this.register(require(path.join(EXTRACTORS_DIR, file))));
+  }
+
+  /**
+   * Get all registered extractors in list order, loading them on first use
+   * @returns {Array} - Extractor descriptors
+   */
+  static getExtractors() {
+    if (this.extractors.size === 0) {
+      this.loadExtractors();
+    }
+    return Array.from(this.extractors.values()).sort((a, b) => a.order - b.order);
+  }
+
+  /**
+   * Get the extractor of a file type
+   * @param {string} extension - The file extension, with the dot
+   * @returns {Object|null} - The extractor descriptor
+   */
+  static getExtractor(extension) {
+    const normalized = extension.toLowerCase();
+    return this.getExtractors().find(extractor => extractor.extensions.includes(normalized)) || null;
+  }
+
+  /**
+   * Whether text can be extracted from a file type
+   * @param {string} extension - The file extension, with the dot
+   * @returns {boolean}
+   */
+  static isSupported(extension) {
+    return Boolean(this.getExtractor(extension));
+  }
+
+  /**
+   * Get the content type to serve a stored document with. It comes from the file's
+   * extension, never from the type the uploading client reported.
+   * @param {string} extension - The file extension, with the dot
+   * @returns {string} - The MIME type of its format, or application/octet-stream for unknown types
+   */
+  static getContentType(extension) {
+    const extractor = this.getExtractor(extension || '');
+    return extractor && extractor.mimeTypes.length > 0 ? extractor.mimeTypes[0] : 'application/octet-stream';
+  }
+
+  /**
+   * List the supported formats
+   * @returns {Array} - [{ id, name, extensions, mimeTypes }]
+   */
+  static getFormats() {
+    return this.getExtractors().map(({ id, name, extensions, mimeTypes }) => ({ id, name, extensions, mimeTypes }));
+  }
+
+  /**
+   * Extract the text of a document
+   * @param {string} filePath - Path of the uploaded file
+   * @param {string} extension - The file extension, with the dot
+   * @param {Object} options - { depth } of attachment nesting (0 for an upload)
+   * @returns {Promise<Object>} - { pages: [{ page, section, text }], sheets, attachments }
+   */
+  static async extract(filePath, extension, { depth = 0 } = {}) {
+    const extractor = this.getExtractor(extension);
+    if (!extractor) {
+      throw new Error(`Unsupported file format: ${extension}`);
+    }
+
+    const { pages, sheets = null, attachments = [] } = await extractor.extract(filePath, { extension: extension.toLowerCase(), depth });
+    return {
+      pages: pages.map(({ page = null, section = null, text }) => ({ page, section, text })),
+      sheets,
+      attachments
+    };
+  }
+
+  /**
+   * Extract the text of a file embedded in a document (an email attachment),
+   * through a temporary copy
+   * @param {string} name - The file name
+   * @param {Buffer} data - The file content
+   * @param {number} depth - Attachment nesting depth of the file
+   * @returns {Promise<Object>} - As extract()
+   */
+  static async extractEmbedded(name, data, depth) {
+    if (depth > this.MAX_ATTACHMENT_DEPTH) {
+      throw new Error('Attachments are nested too deeply');
+    }
+
+    const extension = path.extname(name);
+    const directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'attachment-'));
+    const filePath = path.join(directory, `embedded${extension}`);
+    try {
+      await fs.promises.writeFile(filePath, data);
+      return await this.extract(filePath, extension, { depth });
+    } finally {
+      await fs.promises.rm(directory, { recursive: true, force: true });
+    }
+  }
+}
+
+module.exports = DocumentExtractor;
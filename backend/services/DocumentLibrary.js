@@ -0,0 +1,523 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const BM25Index = require('./BM25Index');
+const DocumentExtractor = require('./DocumentExtractor');
+const DocumentAnalyzer = require('./DocumentAnalyzer');
+const DocumentOCR = require('./DocumentOCR');
+const LeaseAbstractor = require('./LeaseAbstractor');
+const PropertyFinancials = require('./PropertyFinancials');
+const { getDocumentRepository } = require('../repositories');
+const { PROVENANCE } = require('../config/dataMode');
+
+// Passage size and the words shared by consecutive passages, when unset in the environment
+const DEFAULT_CHUNK_WORDS = 200;
+const DEFAULT_CHUNK_OVERLAP = 40;
+
+// Passages added to the research when DOCUMENT_TOP_PASSAGES is unset
+const DEFAULT_TOP_PASSAGES = 5;
+
+// Passages a question about the documents is answered from when DOCUMENT_QA_PASSAGES is unset
+const DEFAULT_QUESTION_PASSAGES = 10;
+
+/**
+ * Service for the document library: uploaded documents are kept with their
+ * text by page, split into overlapping passages and searched with BM25 at
+ * query time, so the relevant passages become citable research results
+ */
+class DocumentLibrary {
+  /**
+   * Add an uploaded file to the library. Leases are abstracted as well: those
+   * uploaded with documentType 'lease', or that read like one unless another
+   * documentType is given. Rent rolls and operating statements in spreadsheets
+   * are normalized into tables. PDF pages without a text layer are OCRed in the
+   * background; the document is updated when that finishes.
+   * @param {Object} file - The uploaded file ({ path, originalname, mimetype, size } from multer)
+   * @param {Object} options - { sessionId, workspace, documentType, provider } (the workspace
+   *   defaults to the session; provider is used for the lease abstract)
+   * @returns {Promise<Object>} - { document, analysis } with the stored document record
+   */
+  static async add(file, { sessionId, workspace, documentType, provider } = {}) {
+    const extension = path.extname(file.originalname).toLowerCase();
+    const { pages, sheets, attachments } = await DocumentExtractor.extract(file.path, extension);
+    const { analysis, fields } = await this.process(pages, sheets, { documentType, provider });
+
+    const scannedPages = extension === '.pdf' && DocumentOCR.isEnabled() ? DocumentOCR.findScannedPages(pages) : [];
+    const ocr = scannedPages.length > 0
+      ? {
+        status: 'pending',
+        documentType: documentType || null,
+        provider: provider || null,
+        pages: scannedPages.map(page => ({ page, confidence: null, error: null })),
+        confidence: null,
+        error: null,
+        completedAt: null
+      }
+      : null;
+
+    const documentId = crypto.randomUUID();
+    const storedFile = `${documentId}${extension}`;
+    await fs.mkdir(this.getFilesDirectory(), { recursive: true });
+    await this.moveFile(file.path, path.join(this.getFilesDirectory(), storedFile));
+
+    const document = {
+      documentId,
+      workspace: workspace || sessionId || null,
+      sessionId: sessionId || null,
+      name: file.originalname,
+      extension,
+      mimeType: file.mimetype,
+      size: file.size,
+      storedFile,
+      pageCount: pages.filter(page => page.page !== null).length || null,
+      pages,
+      attachments: attachments.length > 0 ? attachments : null,
+      ...fields,
+      ocr,
+      uploadedAt: new Date().toISOString()
+    };
+
+    await getDocumentRepository().save(document);
+    if (ocr) {
+      this.runOcr(documentId);
+    }
+    return { document, analysis };
+  }
+
+  /**
+   * Derive what the library keeps from a document's text: its analysis,
+   * passages, lease abstract and rent roll or operating statement tables
+   * @param {Array} pages - [{ page, section, text }]
+   * @param {Array|null} sheets - Spreadsheet rows, for spreadsheets
+   * @param {Object} options - { documentType, provider }
+   * @returns {Promise<Object>} - { analysis, fields: { wordCount, topics, summary, chunks,
+   *   leaseAbstract, financials } }
+   */
+  static async process(pages, sheets, { documentType, provider } = {}) {
+    const text = pages.map(page => page.text).join('\n\n');
+    const analysis = await DocumentAnalyzer.analyze(text);
+
+    const isLease = !sheets && (documentType ? documentType === 'lease' : LeaseAbstractor.isLease(text));
+    const leaseAbstract = isLease ? await LeaseAbstractor.abstract(pages, { provider }) : null;
+
+    const tables = sheets ? PropertyFinancials.fromSheets(sheets) : null;
+    const financials = tables ? { ...tables, metrics: PropertyFinancials.getMetrics(tables) } : null;
+
+    return {
+      analysis,
+      fields: {
+        wordCount: analysis.wordCount,
+        topics: analysis.topics,
+        summary: analysis.summary,
+        chunks: this.chunk(pages),
+        leaseAbstract,
+        financials
+      }
+    };
+  }
+
+  /**
+   * OCR a document's scanned pages and update it with their text. Failures are
+   * recorded on the document rather than thrown.
+   * @param {string} documentId - Document identifier
+   * @returns {Promise<void>}
+   */
+  static async runOcr(documentId) {
+    const repository = getDocumentRepository();
+
+    try {
+      const document = await repository.get(documentId);
+      if (!document || !document.ocr) {
+        return;
+      }
+      await repository.save({ ...document, ocr: { ...document.ocr, status: 'processing' } });
+
+      const results = await DocumentOCR.recognize(this.getFilePath(document), document.ocr.pages.map(item => item.page));
+
+      // The document may have been removed while its pages were recognized
+      const current = await repository.get(documentId);
+      if (!current) {
+        return;
+      }
+
+      const recognized = new Map(results.map(result => [result.page, result]));
+      const pages = current.pages.map(page => (recognized.has(page.page) ? { ...page, text: recognized.get(page.page).text } : page));
+      const { ocr } = current;
+      const { fields } = await this.process(pages, null, { documentType: ocr.documentType, provider: ocr.provider || undefined });
+      const confidences = results.map(result => result.confidence).filter(confidence => confidence !== null);
+
+      await repository.save({
+        ...current,
+        pages,
+        ...fields,
+        ocr: {
+          ...ocr,
+          status: 'complete',
+          pages: results.map(({ page, confidence, error }) => ({ page, confidence, error })),
+          confidence: confidences.length > 0
+            ? Math.round(confidences.reduce((total, confidence) => total + confidence, 0) / confidences.length * 100) / 100
+            : null,
+          completedAt: new Date().toISOString()
+        }
+      });
+    } catch (error) {
+      console.error(`Error running OCR on document ${documentId}:`, error);
+      const current = await repository.get(documentId).catch(() => null);
+      if (current && current.ocr) {
+        await repository.save({
+          ...current,
+          ocr: { ...current.ocr, status: 'failed', error: error.message, completedAt: new Date().toISOString() }
+        }).catch(saveError => console.error(`Error saving OCR status of document ${documentId}:`, saveError));
+      }
+    }
+  }
+
+  /**
+   * Queue OCR again for documents whose OCR a restart interrupted
+   * @returns {Promise<number>} - How many documents were queued
+   */
+  static async resumeOcr() {
+    const documents = (await getDocumentRepository().list())
+      .filter(document => document.ocr && ['pending', 'processing'].includes(document.ocr.status));
+    documents.forEach(document => this.runOcr(document.documentId));
+    return documents.length;
+  }
+
+  /**
+   * List the documents of a workspace
+   * @param {string} workspace - Workspace (or session) identifier
+   * @returns {Promise<Array>} - Document summaries, most recent first
+   */
+  static async list(workspace) {
+    return getDocumentRepository().list({ workspace });
+  }
+
+  /**
+   * Get a document with its pages and chunks
+   * @param {string} documentId - Document identifier
+   * @returns {Promise<Object|null>} - The document record, or null if not found
+   */
+  static async get(documentId) {
+    return getDocumentRepository().get(documentId);
+  }
+
+  /**
+   * Delete a document and its original file
+   * @param {string} documentId - Document identifier
+   * @returns {Promise<boolean>} - Whether the document existed
+   */
+  static async remove(documentId) {
+    const document = await getDocumentRepository().get(documentId);
+    if (!document) {
+      return false;
+    }
+
+    await fs.unlink(this.getFilePath(document)).catch(error => {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    });
+    return getDocumentRepository().delete(documentId);
+  }
+
+  /**
+   * Find the passages of a workspace's documents most relevant to a query.
+   * The derived metrics of its rent rolls and operating statements are always included.
+   * @param {string} query - The research query
+   * @param {Object} options - Search options
+   * @param {string} options.workspace - Workspace (or session) identifier
+   * @param {number} options.limit - Maximum number of passages (per document when perDocument is set)
+   * @param {string} options.asOf - Date in-place rent and WALT are measured at (ISO date, defaults to today)
+   * @param {Array<string>} options.documentIds - Only search these documents (optional)
+   * @param {boolean} options.perDocument - Take the best passages of each document, grouped by
+   *   document in upload order, rather than the best overall (e.g. to compare the documents)
+   * @returns {Promise<Array>} - Metrics, then passages most relevant first (each document's metrics
+   *   and passages in turn when perDocument is set), as research results
+   */
+  static async search(query, { workspace, limit = this.getPassageLimit(), asOf = null, documentIds = null, perDocument = false } = {}) {
+    if (!workspace) {
+      return [];
+    }
+
+    const summaries = (await this.list(workspace))
+      .filter(summary => !documentIds || documentIds.includes(summary.documentId));
+    const documents = (await Promise.all(summaries.map(summary => this.get(summary.documentId)))).filter(Boolean);
+    const passages = documents.flatMap(document => document.chunks.map(chunk => ({ document, chunk })));
+    const scores = passages.length > 0 ? new BM25Index(passages.map(({ chunk }) => chunk.text)).score(query) : [];
+    const scored = passages
+      .map((passage, position) => ({ ...passage, score: scores[position] }))
+      .filter(passage => passage.score > 0)
+      .sort((a, b) => b.score - a.score);
+
+    const toResults = (document, documentPassages) => (document.financials ? this.toMetricResults(document, asOf) : [])
+      .concat(documentPassages.map(({ chunk }) => this.toResult(document, chunk)));
+
+    if (perDocument) {
+      // Documents in the order they were uploaded; one with nothing matching still gets its opening
+      // passage, so it is part of the comparison
+      const uploadOrder = [...documents].sort((a, b) => a.uploadedAt.localeCompare(b.uploadedAt));
+      return uploadOrder.flatMap(document => {
+        const matches = scored.filter(passage => passage.document === document);
+        return toResults(document, matches.length > 0
+          ? matches.slice(0, limit)
+          : passages.filter(passage => passage.document === document).slice(0, 1));
+      });
+    }
+
+    const best = scored.slice(0, limit);
+    return documents.flatMap(document => toResults(document, []))
+      .concat(best.map(({ document, chunk }) => this.toResult(document, chunk)));
+  }
+
+  /**
+   * Find a passage in the page (or section) it was taken from
+   * @param {Object} document - The document record
+   * @param {number} index - The passage's chunk index
+   * @returns {Object|null} - { passage, before, text, after } where text is the passage as it
+   *   appears in the page and before and after are the rest of the page, or null if not found
+   */
+  static getPassage(document, index) {
+    const passage = document.chunks.find(chunk => chunk.index === index);
+    if (!passage) {
+      return null;
+    }
+
+    // Passages are the page's words joined by single spaces; match them across the page's own whitespace
+    const words = passage.text.split(' ').map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    const pattern = new RegExp(words.join('\\s+'));
+    const pages = document.pages.filter(page => page.page === passage.page && (page.section || null) === passage.section);
+
+    for (const page of pages) {
+      const match = page.text.match(pattern);
+      if (match) {
+        return {
+          passage,
+          before: page.text.slice(0, match.index),
+          text: match[0],
+          after: page.text.slice(match.index + match[0].length)
+        };
+      }
+    }
+    return { passage, before: '', text: passage.text, after: '' };
+  }
+
+  /**
+   * Get the ids of a workspace's documents, e.g. to tell cached answers apart
+   * @param {string} workspace - Workspace (or session) identifier
+   * @returns {Promise<Array<string>>} - Document ids, sorted
+   */
+  static async getDocumentIds(workspace) {
+    if (!workspace) {
+      return [];
+    }
+    return (await this.list(workspace)).map(document => document.documentId).sort();
+  }
+
+  /**
+   * Split a document's pages into overlapping passages. Passages don't cross
+   * page (or section) boundaries so each can be cited with its page.
+   * @param {Array} pages - [{ page, section, text }]
+   * @param {Object} options - { size, overlap } in words
+   * @returns {Array} - [{ index, page, section, text }]
+   */
+  static chunk(pages, { size = this.getChunkWords(), overlap = this.getChunkOverlap() } = {}) {
+    const step = Math.max(1, size - overlap);
+    const chunks = [];
+
+    pages.forEach(({ page, section = null, text }) => {
+      const words = text.split(/\s+/).filter(Boolean);
+      for (let start = 0; start < words.length; start += step) {
+        chunks.push({ index: chunks.length, page, section, text: words.slice(start, start + size).join(' ') });
+        if (start + size >= words.length) {
+          break;
+        }
+      }
+    });
+
+    return chunks;
+  }
+
+  /**
+   * Turn a passage into a research result
+   * @param {Object} document - The document record
+   * @param {Object} chunk - The passage
+   * @returns {Object} - The research result
+   */
+  static toResult(document, chunk) {
+    return {
+      title: this.getTitle(document, chunk),
+      date: null,
+      source: 'Uploaded document',
+      link: this.getPassageUrl(document.documentId, chunk.index),
+      summary: chunk.text,
+      type: 'uploaded_document',
+      provenance: PROVENANCE.UPLOADED,
+      documentId: document.documentId,
+      documentName: document.name,
+      page: chunk.page,
+      section: chunk.section || null,
+      chunkIndex: chunk.index,
+      ocrConfidence: this.getOcrConfidence(document, chunk.page)
+    };
+  }
+
+  /**
+   * Get the OCR confidence of a document page
+   * @param {Object} document - The document record
+   * @param {number|null} page - Page number
+   * @returns {number|null} - Between 0 and 1, or null if the page wasn't OCRed
+   */
+  static getOcrConfidence(document, page) {
+    const result = document.ocr && document.ocr.pages.find(item => item.page === page);
+    return result ? result.confidence : null;
+  }
+
+  /**
+   * Turn the derived metrics of a document's rent roll and operating statement into research results
+   * @param {Object} document - The document record with its financials
+   * @param {string} asOf - Date in-place rent and WALT are measured at (ISO date, defaults to today)
+   * @returns {Array} - One result per table
+   */
+  static toMetricResults(document, asOf = null) {
+    const metrics = PropertyFinancials.getMetrics(document.financials, { asOf });
+    const results = [];
+
+    const add = (table, label, summary, tableMetrics) => {
+      results.push({
+        title: `${this.getTitle(document, { section: table.sheet })}: ${label}`,
+        date: null,
+        source: 'Uploaded document',
+        link: this.getFileUrl(document.documentId),
+        summary,
+        type: 'uploaded_document',
+        provenance: PROVENANCE.UPLOADED,
+        documentId: document.documentId,
+        documentName: document.name,
+        page: null,
+        section: table.sheet,
+        metrics: tableMetrics
+      });
+    };
+
+    if (metrics.rentRoll) {
+      add(document.financials.rentRoll, 'rent roll metrics', PropertyFinancials.describeRentRoll(metrics.rentRoll), metrics.rentRoll);
+    }
+    if (metrics.operatingStatement) {
+      add(document.financials.operatingStatement, 'operating statement metrics',
+        PropertyFinancials.describeStatement(metrics.operatingStatement), metrics.operatingStatement);
+    }
+    return results;
+  }
+
+  /**
+   * Get the citation title of a part of a document
+   * @param {Object} document - The document record
+   * @param {Object} location - { page, section }
+   * @returns {string} - e.g. "lease.pdf, page 3" or "rent-roll.xlsx, Rent Roll"
+   */
+  static getTitle(document, { page = null, section = null }) {
+    if (page) {
+      return `${document.name}, page ${page}`;
+    }
+    return section ? `${document.name}, ${section}` : document.name;
+  }
+
+  /**
+   * Get the API path of a document's original file, at a page for PDFs
+   * @param {string} documentId - Document identifier
+   * @param {number|null} page - Page number (optional)
+   * @returns {string} - The API path
+   */
+  static getFileUrl(documentId, page = null) {
+    return `/api/document/${documentId}/file${page ? `#page=${page}` : ''}`;
+  }
+
+  /**
+   * Get the API path of the page showing a passage in its page (or section), which links
+   * on to the original file
+   * @param {string} documentId - Document identifier
+   * @param {number} index - The passage's chunk index
+   * @returns {string} - The API path, anchored at the passage
+   */
+  static getPassageUrl(documentId, index) {
+    return `/api/document/${documentId}/passages/${index}#passage`;
+  }
+
+  /**
+   * Get the path of a document's original file
+   * @param {Object} document - The document record
+   * @returns {string} - The file path
+   */
+  static getFilePath(document) {
+    return path.join(this.getFilesDirectory(), document.storedFile);
+  }
+
+  /**
+   * Move an uploaded file into the library, copying when it is on another device
+   * @param {string} from - Uploaded file path
+   * @param {string} to - Library file path
+   * @returns {Promise<void>}
+   */
+  static async moveFile(from, to) {
+    try {
+      await fs.rename(from, to);
+    } catch (error) {
+      if (error.code !== 'EXDEV') {
+        throw error;
+      }
+      await fs.copyFile(from, to);
+      await fs.unlink(from);
+    }
+  }
+
+  /**
+   * Get the directory the library's original files are kept in
+   * @returns {string} - DOCUMENT_LIBRARY_DIR/files (backend/library/files if unset)
+   */
+  static getFilesDirectory() {
+    return path.join(process.env.DOCUMENT_LIBRARY_DIR || path.join(__dirname, '..', 'library'), 'files');
+  }
+
+  /**
+   * Get the passage size in words
+   * @returns {number} - DOCUMENT_CHUNK_WORDS (200 if unset)
+   */
+  static getChunkWords() {
+    return parseInt(process.env.DOCUMENT_CHUNK_WORDS, 10) || DEFAULT_CHUNK_WORDS;
+  }
+
+  /**
+   * Get the number of words consecutive passages share. It is at most half a
+   * passage, as a larger overlap would store nearly a passage per word.
+   * @returns {number} - DOCUMENT_CHUNK_OVERLAP (40 if unset)
+   */
+  static getChunkOverlap() {
+    const overlap = parseInt(process.env.DOCUMENT_CHUNK_OVERLAP, 10);
+    const limit = Math.floor(this.getChunkWords() / 2);
+    const value = Number.isInteger(overlap) && overlap >= 0 ? overlap : Math.min(DEFAULT_CHUNK_OVERLAP, limit);
+
+    if (value > limit) {
+      console.warn(`DOCUMENT_CHUNK_OVERLAP (${value}) is more than half of DOCUMENT_CHUNK_WORDS; using ${limit}`);
+      return limit;
+    }
+    return value;
+  }
+
+  /**
+   * Get how many passages are added to the research
+   * @returns {number} - DOCUMENT_TOP_PASSAGES (5 if unset)
+   */
+  static getPassageLimit() {
+    return parseInt(process.env.DOCUMENT_TOP_PASSAGES, 10) || DEFAULT_TOP_PASSAGES;
+  }
+
+  /**
+   * Get how many passages a question about the documents alone is answered from
+   * @returns {number} - DOCUMENT_QA_PASSAGES (10 if unset)
+   */
+  static getQuestionPassageLimit() {
+    return parseInt(process.env.DOCUMENT_QA_PASSAGES, 10) || DEFAULT_QUESTION_PASSAGES;
+  }
+}
+
+module.exports = DocumentLibrary;
@@ -0,0 +1,142 @@
+const fs = require('fs');
+const path = require('path');
+const { Worker } = require('worker_threads');
+
+// How long one document's OCR may run when OCR_TIMEOUT_MS is unset
+const DEFAULT_TIMEOUT_MS = 10 * 60 * 1000;
+
+// Language data shipped with the server when OCR_LANG_PATH is unset: English, in the
+// integer LSTM models the worker's LSTM-only engine loads
+const BUNDLED_LANGUAGE = '@tesseract.js-data/eng';
+const BUNDLED_MODELS = '4.0.0_best_int';
+
+/**
+ * Service for OCR of scanned PDF pages. Recognition runs in a worker thread
+ * (workers/ocrWorker.js) with Tesseract, one document at a time, so uploads
+ * return before it finishes.
+ */
+class DocumentOCR {
+  // The running job; the next one starts when it settles
+  static queue = Promise.resolve();
+
+  /**
+   * Find the pages of a document that have no text layer
+   * @param {Array} pages - [{ page, text }] from DocumentExtractor
+   * @returns {Array<number>} - Their page numbers
+   */
+  static findScannedPages(pages) {
+    return pages
+      .filter(page => page.page !== null && !page.text.trim())
+      .map(page => page.page);
+  }
+
+  /**
+   * Recognize the text of scanned PDF pages, after the jobs queued before
+   * @param {string} filePath - Path of the PDF
+   * @param {Array<number>} pages - Page numbers
+   * @returns {Promise<Array>} - [{ page, text, confidence, error }] with the text laid out
+   *   in lines and paragraphs and the page's mean word confidence between 0 and 1
+   */
+  static recognize(filePath, pages) {
+    const job = this.queue.then(() => this.runWorker({
+      filePath,
+      pages,
+      language: this.getLanguage(),
+      ...this.findLanguageData(this.getLanguage())
+    }));
+    this.queue = job.catch(() => {});
+    return job;
+  }
+
+  /**
+   * Find the local data of the languages to recognize, so Tesseract never downloads it
+   * @param {string} language - e.g. "eng" or "eng+spa"
+   * @returns {Object} - { langPath, gzip } where gzip is whether the data files are compressed
+   */
+  static findLanguageData(language) {
+    const langPath = this.getLangPath();
+    const languages = language.split('+');
+    const exists = (item, suffix) => fs.existsSync(path.join(langPath, `${item}.traineddata${suffix}`));
+
+    if (languages.every(item => exists(item, '.gz'))) {
+      return { langPath, gzip: true };
+    }
+    if (languages.every(item => exists(item, ''))) {
+      return { langPath, gzip: false };
+    }
+
+    const missing = languages.filter(item => !exists(item, '.gz') && !exists(item, ''));
+    throw new Error(missing.length > 0
+      ? `No Tesseract language data for ${missing.join(', ')} in ${langPath}: set OCR_LANG_PATH to a directory with ${missing.map(item => `${item}.traineddata`).join(', ')}`
+      : `Tesseract language data in ${langPath} must be all compressed (.traineddata.gz) or all uncompressed`);
+  }
+
+  /**
+   * Get the directory of the Tesseract language data
+   * @returns {string} - OCR_LANG_PATH (the bundled English data if unset)
+   */
+  static getLangPath() {
+    if (process.env.OCR_LANG_PATH) {
+      return path.resolve(process.env.OCR_LANG_PATH);
+    }
+    return path.join(path.dirname(require.resolve(`${BUNDLED_LANGUAGE}/package.json`)), BUNDLED_MODELS);
+  }
+
+  /**
+   * Run the OCR worker thread
+   * @param {Object} job - { filePath, pages, language, langPath, gzip }
+   * @returns {Promise<Array>} - The worker's page results
+   */
+  static runWorker(job) {
+    return new Promise((resolve, reject) => {
+      const worker = new Worker(path.join(__dirname, '..', 'workers', 'ocrWorker.js'), { workerData: job });
+      const timer = setTimeout(() => {
+        worker.terminate();
+        reject(new Error(`OCR timed out after ${this.getTimeout()}ms`));
+      }, this.getTimeout());
+
+      worker.once('message', message => {
+        clearTimeout(timer);
+        if (message.error) {
+          reject(new Error(message.error));
+        } else {
+          resolve(message.results);
+        }
+      });
+      worker.once('error', error => {
+        clearTimeout(timer);
+        reject(error);
+      });
+      worker.once('exit', code => {
+        clearTimeout(timer);
+        reject(new Error(`OCR worker exited with code ${code}`));
+      });
+    });
+  }
+
+  /**
+   * Whether scanned pages are OCRed
+   * @returns {boolean} - False when DOCUMENT_OCR is "off"
+   */
+  static isEnabled() {
+    return (process.env.DOCUMENT_OCR || 'on').toLowerCase() !== 'off';
+  }
+
+  /**
+   * Get the Tesseract language(s) to recognize
+   * @returns {string} - OCR_LANGUAGE, e.g. "eng" or "eng+spa" ("eng" if unset)
+   */
+  static getLanguage() {
+    return process.env.OCR_LANGUAGE || 'eng';
+  }
+
+  /**
+   * Get how long one document's OCR may run
+   * @returns {number} - OCR_TIMEOUT_MS (10 minutes if unset)
+   */
+  static getTimeout() {
+    return parseInt(process.env.OCR_TIMEOUT_MS, 10) || DEFAULT_TIMEOUT_MS;
+  }
+}
+
+module.exports = DocumentOCR;
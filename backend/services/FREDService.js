@@ -1,4 +1,5 @@
 const axios = require('axios');
+const { PROVENANCE } = require('../config/dataMode');
 
 /**
  * Service for accessing Federal Reserve Economic Data (FRED)
@@ -9,9 +10,10 @@ class FREDService {
   /**
    * Search for economic data related to commercial real estate
    * @param {string} query - The search query
+   * @param {Object} options - Request options ({ signal, entities } from query understanding, { dateRange })
    * @returns {Array} - Results with citation information
    */
-  static async searchEconomicData(query) {
+  static async searchEconomicData(query, { signal, entities, dateRange } = {}) {
     try {
       // Map of CRE-related economic indicators in FRED
       const creIndicators = {
@@ -27,10 +29,10 @@ class FREDService {
       // If we have an API key, use it, otherwise provide mockup data
       const apiKey = process.env.FRED_API_KEY;
       
-      // Find relevant indicators based on query
-      const relevantIndicators = [];
+      // Find relevant indicators based on the extracted entities and the query
+      const relevantIndicators = this.selectEntityIndicators(entities);
       for (const [keyword, seriesId] of Object.entries(creIndicators)) {
-        if (query.toLowerCase().includes(keyword)) {
+        if (query.toLowerCase().includes(keyword) && !relevantIndicators.some(item => item.seriesId === seriesId)) {
           relevantIndicators.push({ keyword, seriesId });
         }
       }
@@ -48,97 +50,174 @@ class FREDService {
         return [{
           title: 'Commercial Real Estate Economic Indicators',
           authors: 'Federal Reserve Economic Data (FRED)',
-          date: new Date().toLocaleDateString(),
+          date: null,
           source: 'FRED',
           link: 'https://fred.stlouisfed.org/',
           summary: `Economic indicators relevant to "${query}" in commercial real estate show varied trends. Without a FRED API key, we can't provide real-time data. Register for a free API key at https://fred.stlouisfed.org/docs/api/api_key.html to enable this functionality.`,
-          type: 'economic_data'
+          type: 'economic_data',
+          provenance: PROVENANCE.INTERNAL
         }];
       }
       
-      // Prepare result array
-      const results = [];
+      // Fetch all relevant indicators in parallel
+      const results = await Promise.all(
+        relevantIndicators.map(({ keyword, seriesId }) => this.fetchIndicator(keyword, seriesId, apiKey, signal, dateRange))
+      );
       
-      // Fetch data for each relevant indicator
-      for (const { keyword, seriesId } of relevantIndicators) {
-        const url = 'https://api.stlouisfed.org/fred/series';
-        
-        // Get series information
-        const seriesResponse = await axios.get(url, {
+      return results.filter(Boolean);
+    } catch (error) {
+      console.error('FRED data search error:', error);
+      return [];
+    }
+  }
+  
+  /**
+   * Select FRED series for the property type and metrics a query asks about
+   * @param {Object} entities - Entities extracted by query understanding (optional)
+   * @returns {Array} - Indicators as { keyword, seriesId }
+   */
+  static selectEntityIndicators(entities) {
+    if (!entities) {
+      return [];
+    }
+    
+    // Series by property type, and by requested metric
+    const propertyTypeSeries = {
+      office: 'OFFVACUSQ176N',      // US Office Vacancy Rate
+      retail: 'RETAILIRSA',         // Retail Sales Index
+      industrial: 'INDPRO',         // Industrial Production Index
+      multifamily: 'RRVRUSQ156N'    // Rental Vacancy Rate
+    };
+    const metricSeries = {
+      'cap rate': 'COMREPUSQ159N',            // Commercial Real Estate Prices
+      'interest rates': 'MORTGAGE30US',       // 30-Year Fixed Rate Mortgage Average
+      'construction pipeline': 'TTLCONS',     // Total Construction Spending
+      'transaction volume': 'COMREPUSQ159N'   // Commercial Real Estate Prices
+    };
+    
+    const indicators = [];
+    const add = (keyword, seriesId) => {
+      if (seriesId && !indicators.some(item => item.seriesId === seriesId)) {
+        indicators.push({ keyword, seriesId });
+      }
+    };
+    
+    if (entities.propertyType) {
+      add(entities.propertyType, propertyTypeSeries[entities.propertyType]);
+    }
+    (entities.metrics || []).forEach(metric => add(metric, metricSeries[metric]));
+    
+    return indicators;
+  }
+  
+  /**
+   * Fetch a FRED series and its recent observations. With a date range only
+   * observations inside it are fetched, and with an as-of date the series is
+   * read as it was published on that date (its ALFRED vintage).
+   * @param {string} keyword - The query keyword the series was matched on
+   * @param {string} seriesId - The FRED series identifier
+   * @param {string} apiKey - The FRED API key
+   * @param {AbortSignal} signal - Cancels the requests
+   * @param {Object} dateRange - The research date range (optional)
+   * @returns {Object|null} - Result with citation information, or null if unavailable
+   */
+  static async fetchIndicator(keyword, seriesId, apiKey, signal, dateRange = null) {
+    try {
+      const vintage = dateRange && dateRange.asOf
+        ? { realtime_start: dateRange.asOf, realtime_end: dateRange.asOf }
+        : {};
+      const observationWindow = {};
+      if (dateRange && dateRange.from) {
+        observationWindow.observation_start = dateRange.from;
+      }
+      if (dateRange && dateRange.to) {
+        observationWindow.observation_end = dateRange.to;
+      }
+      
+      // Get series information and the most recent observations together
+      const [seriesResponse, observationsResponse] = await Promise.all([
+        axios.get('https://api.stlouisfed.org/fred/series', {
           params: {
             series_id: seriesId,
             api_key: apiKey,
-            file_type: 'json'
-          }
-        });
-        
-        if (!seriesResponse.data || !seriesResponse.data.seriess || !seriesResponse.data.seriess[0]) {
-          continue;
-        }
-        
-        const series = seriesResponse.data.seriess[0];
-        
-        // Get the most recent observations
-        const observationsUrl = 'https://api.stlouisfed.org/fred/series/observations';
-        const observationsResponse = await axios.get(observationsUrl, {
+            file_type: 'json',
+            ...vintage
+          },
+          signal
+        }),
+        axios.get('https://api.stlouisfed.org/fred/series/observations', {
           params: {
             series_id: seriesId,
             api_key: apiKey,
             file_type: 'json',
             sort_order: 'desc',
-            limit: 12 // Last 12 observations
-          }
-        });
-        
-        if (!observationsResponse.data || !observationsResponse.data.observations) {
-          continue;
-        }
-        
-        const observations = observationsResponse.data.observations;
+            limit: 12, // Last 12 observations
+            ...vintage,
+            ...observationWindow
+          },
+          signal
+        })
+      ]);
+      
+      if (!seriesResponse.data || !seriesResponse.data.seriess || !seriesResponse.data.seriess[0]) {
+        return null;
+      }
+      
+      const series = seriesResponse.data.seriess[0];
+      
+      if (!observationsResponse.data || !observationsResponse.data.observations) {
+        return null;
+      }
+      
+      const observations = observationsResponse.data.observations;
+      
+      if (observations.length === 0) {
+        return null;
+      }
+      
+      // Calculate trend
+      let trend = 'stable';
+      if (observations.length > 1) {
+        const latest = parseFloat(observations[0].value);
+        const previous = parseFloat(observations[observations.length - 1].value);
         
-        // Calculate trend
-        let trend = 'stable';
-        if (observations.length > 1) {
-          const latest = parseFloat(observations[0].value);
-          const previous = parseFloat(observations[observations.length - 1].value);
+        if (!isNaN(latest) && !isNaN(previous) && previous !== 0) {
+          const percentChange = ((latest - previous) / previous) * 100;
           
-          if (!isNaN(latest) && !isNaN(previous) && previous !== 0) {
-            const percentChange = ((latest - previous) / previous) * 100;
-            
-            if (percentChange > 10) {
-              trend = 'significantly increased';
-            } else if (percentChange > 2) {
-              trend = 'increased';
-            } else if (percentChange < -10) {
-              trend = 'significantly decreased';
-            } else if (percentChange < -2) {
-              trend = 'decreased';
-            }
+          if (percentChange > 10) {
+            trend = 'significantly increased';
+          } else if (percentChange > 2) {
+            trend = 'increased';
+          } else if (percentChange < -10) {
+            trend = 'significantly decreased';
+          } else if (percentChange < -2) {
+            trend = 'decreased';
           }
         }
-        
-        // Create a summary with the latest value and trend
-        const latestValue = observations[0].value;
-        const latestDate = new Date(observations[0].date).toLocaleDateString();
-        
-        let summary = `${series.title} has ${trend} to ${latestValue} as of ${latestDate}. `;
-        summary += `This indicator is relevant to commercial real estate ${keyword} trends and provides insight into current market conditions.`;
-        
-        results.push({
-          title: series.title,
-          authors: 'Federal Reserve Economic Data (FRED)',
-          date: new Date().toLocaleDateString(),
-          source: 'FRED',
-          link: `https://fred.stlouisfed.org/series/${seriesId}`,
-          summary,
-          type: 'economic_data'
-        });
       }
       
-      return results;
+      // Create a summary with the latest value and trend
+      const latestValue = observations[0].value;
+      const latestDate = observations[0].date;
+      
+      let summary = `${series.title} has ${trend} to ${latestValue} as of ${latestDate}`;
+      summary += dateRange && dateRange.asOf ? ` (as published on ${dateRange.asOf}). ` : '. ';
+      summary += `This indicator is relevant to commercial real estate ${keyword} trends and provides insight into current market conditions.`;
+      
+      return {
+        title: series.title,
+        authors: 'Federal Reserve Economic Data (FRED)',
+        date: series.last_updated,
+        observationDate: latestDate,
+        source: 'FRED',
+        link: `https://fred.stlouisfed.org/series/${seriesId}`,
+        summary,
+        type: 'economic_data',
+        provenance: PROVENANCE.LIVE
+      };
     } catch (error) {
-      console.error('FRED data search error:', error);
-      return [];
+      console.warn(`FRED series ${seriesId} failed:`, error.message);
+      return null;
     }
   }
 }
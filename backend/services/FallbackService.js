@@ -1,6 +1,8 @@
 const axios = require('axios');
 const puppeteer = require('puppeteer');
 const WikipediaService = require('./WikipediaService');
+const ResearchProgress = require('./ResearchProgress');
+const { PROVENANCE, allowsMockData } = require('../config/dataMode');
 
 /**
  * Fallback service that uses web search and scraping when specialized APIs don't provide results
@@ -9,15 +11,16 @@ class FallbackService {
   /**
    * Process a general query using web search and scraping
    * @param {string} query - The user's research query
+   * @param {Object} options - Request options ({ signal } to cancel outstanding requests, { entities } from query understanding, { dateRange })
    * @returns {Array} - Results with citation information
    */
-  static async processQuery(query) {
+  static async processQuery(query, options = {}) {
     const results = [];
     
     try {
       // First try Wikipedia for general knowledge
       try {
-        const wikipediaResults = await WikipediaService.searchWikipedia(query);
+        const wikipediaResults = await WikipediaService.searchWikipedia(query, options);
         if (wikipediaResults.length > 0) {
           results.push(...wikipediaResults);
         }
@@ -28,7 +31,7 @@ class FallbackService {
       // Then try web search if configured
       if (process.env.BING_SEARCH_API_KEY && results.length < 3) {
         try {
-          const searchResults = await this.webSearch(query);
+          const searchResults = await this.webSearch(query, options);
           if (searchResults.length > 0) {
             results.push(...searchResults);
           }
@@ -38,7 +41,8 @@ class FallbackService {
       }
       
       // If we don't have enough results, try web scraping for specific sites
-      if (results.length < 3) {
+      // (currently mock data, so only in demo mode)
+      if (allowsMockData() && results.length < 3) {
         try {
           const scrapedResults = await this.webScrape(query);
           if (scrapedResults.length > 0) {
@@ -64,9 +68,10 @@ class FallbackService {
   /**
    * Perform web search using Bing/Google Search API (mock implementation)
    * @param {string} query - The search query
+   * @param {Object} options - Request options ({ signal, dateRange })
    * @returns {Array} - Results with citation information
    */
-  static async webSearch(query) {
+  static async webSearch(query, { signal, dateRange } = {}) {
     try {
       // Get the API key from environment variables
       const apiKey = process.env.BING_SEARCH_API_KEY;
@@ -80,15 +85,23 @@ class FallbackService {
       // Add "commercial real estate" to the query to focus results
       const searchQuery = `${query} commercial real estate`;
       
+      const params = {
+        q: searchQuery,
+        count: 5,
+        responseFilter: 'Webpages'
+      };
+      
+      // Only pages discovered within the date range
+      if (dateRange && (dateRange.from || dateRange.to)) {
+        params.freshness = `${dateRange.from || '1990-01-01'}..${dateRange.to || new Date().toISOString().slice(0, 10)}`;
+      }
+      
       const response = await axios.get(url, {
         headers: {
           'Ocp-Apim-Subscription-Key': apiKey
         },
-        params: {
-          q: searchQuery,
-          count: 5,
-          responseFilter: 'Webpages'
-        }
+        params,
+        signal
       });
       
       // Process and format the results
@@ -97,11 +110,12 @@ class FallbackService {
           return {
             title: page.name,
             authors: page.displayUrl,
-            date: new Date().toLocaleDateString(),
+            date: page.datePublished || null,
             source: new URL(page.url).hostname,
             link: page.url,
             summary: page.snippet,
-            type: 'web_content'
+            type: 'web_content',
+            provenance: PROVENANCE.LIVE
           };
         });
       }
@@ -128,11 +142,13 @@ class FallbackService {
     return [{
       title: 'Latest Commercial Real Estate Market Insights',
       authors: 'NAR Commercial Research',
-      date: new Date().toLocaleDateString(),
+      date: null,
+      observationDate: '2023-03-31', // Q1 2023
       source: 'National Association of Realtors',
       link: 'https://www.nar.realtor/commercial-market-insights',
       summary: 'Recent market analysis from NAR shows that commercial real estate transaction volumes decreased 21% year-over-year in Q1 2023 due to higher financing costs. However, certain sectors like multifamily and industrial continue to show strong fundamentals with rent growth outpacing inflation in many markets.',
-      type: 'web_content'
+      type: 'web_content',
+      provenance: PROVENANCE.MOCK
     }];
   }
   
@@ -144,46 +160,39 @@ class FallbackService {
     return {
       title: 'General Commercial Real Estate Information',
       authors: 'CRE Research Team',
-      date: new Date().toLocaleDateString(),
+      date: null,
       source: 'Internal Database',
       link: '#',
       summary: 'Commercial real estate encompasses a range of property types including office, retail, industrial, multifamily, and specialty sectors. Each property type has unique characteristics, investment considerations, and market dynamics. Investment decisions typically consider factors such as location, tenant quality, lease terms, property condition, and broader economic trends.',
-      type: 'web_content'
+      type: 'web_content',
+      provenance: PROVENANCE.INTERNAL
     };
   }
 
-  static async getResearch(query, sessionId) {
+  /**
+   * Run general research for the API, logging progress to the session
+   * @param {string} query - The user's research query
+   * @param {string} sessionId - The session ID for tracking research steps
+   * @param {Object} options - Request options ({ signal } to cancel outstanding requests, { entities } from query understanding, { dateRange })
+   * @returns {Array} - Results with citation information
+   */
+  static async getResearch(query, sessionId, options = {}) {
     // If sessionId is provided, log the step
-    if (sessionId && global.researchStatus[sessionId]) {
-      global.researchStatus[sessionId].push({
-        step: "Searching general knowledge sources",
-        source: "Fallback Service",
-        timestamp: new Date().toISOString()
-      });
-    }
+    ResearchProgress.addStep(sessionId, {
+      step: "Searching general knowledge sources",
+      source: "Fallback Service"
+    });
     
     try {
-      // Existing code to get fallback data
-      return [{
-        title: 'General Information',
-        authors: 'Research Team',
-        date: new Date().toLocaleDateString(),
-        source: 'General Database',
-        link: 'https://example.com/general',
-        summary: 'Sample fallback data for the query: ' + query,
-        type: 'web_content'
-      }];
+      return await this.processQuery(query, options);
     } catch (error) {
       console.error('Fallback search error:', error);
       
       // Log the error
-      if (sessionId && global.researchStatus[sessionId]) {
-        global.researchStatus[sessionId].push({
-          step: "Error in fallback research: " + error.message,
-          source: "Fallback Service",
-          timestamp: new Date().toISOString()
-        });
-      }
+      ResearchProgress.addStep(sessionId, {
+        step: "Error in fallback research: " + error.message,
+        source: "Fallback Service"
+      });
       
       return [];
     }
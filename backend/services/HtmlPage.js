@@ -0,0 +1,56 @@
+// Styles of every standalone page: the document column, its banner and its preformatted content
+const BASE_STYLES = `  body { font-family: Georgia, serif; max-width: 760px; margin: 2rem auto; padding: 0 1rem; color: #222; line-height: 1.5; }
+  .banner { padding: 0.75rem 1rem; font-family: sans-serif; font-size: 0.9rem; }
+  .content { white-space: pre-wrap; }`;
+
+/**
+ * Service for the standalone HTML pages the API serves, such as archived
+ * source snapshots and cited document passages
+ */
+class HtmlPage {
+  /**
+   * Escape text for an HTML page
+   * @param {*} value - The text
+   * @returns {string} - The escaped text
+   */
+  static escape(value) {
+    return String(value === undefined || value === null ? '' : value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  /**
+   * Render a page: a banner explaining what the page shows, then its content
+   * @param {Object} page - The page
+   * @param {string} page.title - The page title (text)
+   * @param {string} page.banner - The banner (HTML)
+   * @param {string} page.body - The content below the banner (HTML)
+   * @param {string} page.styles - Styles of the page's own elements (CSS, optional)
+   * @returns {string} - The HTML page
+   */
+  static render({ title, banner, body, styles = '' }) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${this.escape(title)}</title>
+<style>
+${BASE_STYLES}
+${styles}
+</style>
+</head>
+<body>
+<div class="banner">
+${banner}
+</div>
+${body}
+</body>
+</html>
+`;
+  }
+}
+
+module.exports = HtmlPage;
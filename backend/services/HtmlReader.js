@@ -0,0 +1,241 @@
+const CharacterSets = require('./CharacterSets');
+
+// Tags, attributes, comments and text runs of an HTML document
+const TOKEN_PATTERN = /<!--[\s\S]*?(?:-->|$)|<(\/?)([a-zA-Z][a-zA-Z0-9:-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>|<[!?][^>]*>|[^<]+|</g;
+
+// Elements whose content isn't document text
+const SKIPPED_ELEMENTS = new Set(['script', 'style', 'noscript', 'template', 'svg', 'iframe', 'object', 'head']);
+
+// Elements that start a new block of text
+const BLOCK_ELEMENTS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'caption', 'center', 'dd', 'details', 'div', 'dl', 'dt',
+  'fieldset', 'figcaption', 'figure', 'footer', 'form', 'header', 'hr', 'li', 'main', 'nav', 'ol', 'p', 'pre',
+  'section', 'summary', 'ul'
+]);
+
+const HEADING_ELEMENTS = new Set(['h1', 'h2', 'h3', 'h4', 'h5', 'h6']);
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: ' ', ndash: '–', mdash: '—', lsquo: '‘', rsquo: '’',
+  ldquo: '“', rdquo: '”', hellip: '…', bull: '•', middot: '·', copy: '©', reg: '®', trade: '™', sect: '§',
+  para: '¶', deg: '°', frac12: '½', frac14: '¼', frac34: '¾', euro: '€', pound: '£', cent: '¢', yen: '¥',
+  times: '×', divide: '÷', plusmn: '±', sup2: '²', sup3: '³'
+};
+
+/**
+ * Service for reading HTML (web pages, saved pages and converted Word
+ * documents) into sections of text, one per heading. Paragraphs, list items
+ * and tables become blocks separated by blank lines; table rows keep their
+ * cells on one line, separated by " | ".
+ */
+class HtmlReader {
+  /**
+   * Read an HTML document
+   * @param {string} html - The HTML
+   * @returns {Object} - { title, sections: [{ heading, text }] } where the first section holds
+   *   the text before any heading (heading null) and each section's text starts with its heading
+   */
+  static read(html) {
+    const sections = [{ heading: null, blocks: [] }];
+    const tables = [];
+    let title = null;
+    let line = '';
+    let prefix = '';
+    let heading = null;
+    let preDepth = 0;
+    let listDepth = 0;
+
+    const current = () => sections[sections.length - 1];
+    const write = (text) => {
+      const table = tables[tables.length - 1];
+      if (table && table.cell !== null) {
+        table.cell += text;
+      } else if (heading !== null) {
+        heading += text;
+      } else {
+        line += text;
+      }
+    };
+    const flush = () => {
+      const text = preDepth > 0
+        ? line.replace(/^\n+|\s+$/g, '')
+        : line.replace(/[ \t]+/g, ' ').replace(/ *\n */g, '\n').trim();
+      if (text) {
+        current().blocks.push(prefix + text);
+      }
+      line = '';
+      prefix = '';
+    };
+
+    TOKEN_PATTERN.lastIndex = 0;
+    let match;
+    while ((match = TOKEN_PATTERN.exec(html)) !== null) {
+      const [token, closing, tagName] = match;
+
+      if (!tagName) {
+        if (!token.startsWith('<')) {
+          const text = this.decodeEntities(token);
+          write(preDepth > 0 ? text : text.replace(/\s+/g, ' '));
+        } else if (token === '<') {
+          write('<');
+        }
+        continue;
+      }
+
+      const tag = tagName.toLowerCase();
+
+      if (!closing && (SKIPPED_ELEMENTS.has(tag) || tag === 'title') && !match[3].trim().endsWith('/')) {
+        // Skip to the end of the element; a document's title is kept
+        const end = html.toLowerCase().indexOf(`</${tag}`, TOKEN_PATTERN.lastIndex);
+        const content = html.slice(TOKEN_PATTERN.lastIndex, end === -1 ? html.length : end);
+        if (tag === 'title' && title === null) {
+          title = this.decodeEntities(content).replace(/\s+/g, ' ').trim() || null;
+        } else if (tag === 'head') {
+          // Saved pages put the title in the head
+          const titleMatch = content.match(/<title[^>]*>([\s\S]*?)<\/title/i);
+          if (titleMatch && title === null) {
+            title = this.decodeEntities(titleMatch[1]).replace(/\s+/g, ' ').trim() || null;
+          }
+        }
+        TOKEN_PATTERN.lastIndex = end === -1 ? html.length : html.indexOf('>', end) + 1 || html.length;
+        continue;
+      }
+
+      if (tag === 'table') {
+        if (closing) {
+          const table = tables.pop();
+          if (table) {
+            const text = table.rows.filter(Boolean).join('\n');
+            if (tables.length > 0) {
+              write(` ${text.replace(/\n/g, '; ')} `);
+            } else if (text) {
+              current().blocks.push(text);
+            }
+          }
+        } else {
+          flush();
+          tables.push({ rows: [], row: null, cell: null });
+        }
+        continue;
+      }
+
+      const table = tables[tables.length - 1];
+      if (table && ['tr', 'td', 'th'].includes(tag)) {
+        const endCell = () => {
+          if (table.cell !== null) {
+            table.row = table.row || [];
+            table.row.push(table.cell.replace(/\s+/g, ' ').trim());
+            table.cell = null;
+          }
+        };
+        const endRow = () => {
+          endCell();
+          if (table.row && table.row.some(Boolean)) {
+            table.rows.push(table.row.join(' | '));
+          }
+          table.row = null;
+        };
+
+        if (tag === 'tr') {
+          endRow();
+        } else if (closing) {
+          endCell();
+        } else {
+          endCell();
+          table.cell = '';
+        }
+        continue;
+      }
+
+      if (HEADING_ELEMENTS.has(tag) && tables.length === 0) {
+        if (closing) {
+          const text = (heading || '').replace(/\s+/g, ' ').trim();
+          heading = null;
+          if (text) {
+            sections.push({ heading: text, blocks: [text] });
+          }
+        } else {
+          flush();
+          heading = '';
+        }
+        continue;
+      }
+
+      if (table && table.cell !== null) {
+        // Blocks inside a cell stay on the row's line
+        if (BLOCK_ELEMENTS.has(tag) || HEADING_ELEMENTS.has(tag) || tag === 'br') {
+          table.cell += ' ';
+        }
+        continue;
+      }
+
+      if (tag === 'pre') {
+        flush();
+        preDepth = Math.max(0, preDepth + (closing ? -1 : 1));
+      } else if (tag === 'ul' || tag === 'ol') {
+        flush();
+        listDepth = Math.max(0, listDepth + (closing ? -1 : 1));
+      } else if (tag === 'li') {
+        flush();
+        if (!closing) {
+          prefix = `${'  '.repeat(Math.max(0, listDepth - 1))}- `;
+        }
+      } else if (tag === 'br') {
+        write('\n');
+      } else if (BLOCK_ELEMENTS.has(tag)) {
+        flush();
+      }
+    }
+
+    flush();
+
+    return {
+      title,
+      sections: sections
+        .map(section => ({ heading: section.heading, text: section.blocks.join('\n\n') }))
+        .filter(section => section.text || section.heading)
+    };
+  }
+
+  /**
+   * Decode the character references of HTML text
+   * @param {string} text - The text
+   * @returns {string} - The decoded text
+   */
+  static decodeEntities(text) {
+    return text.replace(/&(#[xX][0-9a-fA-F]+|#\d+|[a-zA-Z][a-zA-Z0-9]*);/g, (reference, name) => {
+      if (name[0] === '#') {
+        const code = name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+        return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : reference;
+      }
+      return NAMED_ENTITIES[name] ?? NAMED_ENTITIES[name.toLowerCase()] ?? reference;
+    });
+  }
+
+  /**
+   * Decode an HTML file in its character set: from its meta charset
+   * declaration, or detected when it has none
+   * @param {Buffer} data - The file
+   * @returns {string} - The HTML
+   */
+  static decode(data) {
+    const head = data.subarray(0, 2048).toString('latin1');
+    const declared = head.match(/<meta[^>]+charset\s*=\s*["']?([\w-]+)/i);
+    return declared && data[0] !== 0xff && data[0] !== 0xfe
+      ? CharacterSets.decode(data, declared[1])
+      : CharacterSets.decodeUnknown(data);
+  }
+
+  /**
+   * Get the pages of an HTML document for the library: one per section, named
+   * by its heading
+   * @param {string} html - The HTML
+   * @returns {Array} - [{ page: null, section, text }]
+   */
+  static toPages(html) {
+    const { title, sections } = this.read(html);
+    return sections.map(section => ({ page: null, section: section.heading || title, text: section.text }));
+  }
+}
+
+module.exports = HtmlReader;
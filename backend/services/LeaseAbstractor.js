@@ -0,0 +1,602 @@
+const AIService = require('./AIService');
+const QueryUnderstanding = require('./QueryUnderstanding');
+
+// Fields of a lease abstract. Value types: text, number, date (ISO 8601), list and
+// object (of the shape's fields); numbers are plain (dollars, square feet, months).
+const FIELDS = [
+  { key: 'landlord', label: 'Landlord', type: 'text' },
+  { key: 'tenant', label: 'Tenant', type: 'text' },
+  { key: 'premises', label: 'Premises', type: 'text' },
+  { key: 'rentableSquareFeet', label: 'Rentable square feet', type: 'number' },
+  { key: 'commencementDate', label: 'Commencement date', type: 'date' },
+  { key: 'expirationDate', label: 'Expiration date', type: 'date' },
+  {
+    key: 'baseRentSchedule',
+    label: 'Base rent schedule',
+    type: 'list',
+    shape: { period: 'text', annualRent: 'number', monthlyRent: 'number', rentPerSF: 'number' }
+  },
+  { key: 'escalations', label: 'Rent escalations', type: 'object', shape: { type: 'text', rate: 'number', description: 'text' } },
+  { key: 'freeRent', label: 'Free rent', type: 'object', shape: { months: 'number', description: 'text' } },
+  { key: 'tiAllowance', label: 'TI allowance', type: 'object', shape: { perSF: 'number', total: 'number', description: 'text' } },
+  { key: 'renewalOptions', label: 'Renewal options', type: 'text' },
+  { key: 'expansionOptions', label: 'Expansion options', type: 'text' },
+  { key: 'terminationOptions', label: 'Termination options', type: 'text' },
+  { key: 'opexStructure', label: 'CAM / operating expenses', type: 'object', shape: { type: 'text', baseYear: 'number', description: 'text' } },
+  { key: 'securityDeposit', label: 'Security deposit', type: 'number' }
+];
+
+// Characters of lease text sent to the model when LEASE_ABSTRACT_MAX_CHARS is unset
+const DEFAULT_MAX_CHARS = 60000;
+
+// Characters of source text kept with each field
+const EXCERPT_LENGTH = 240;
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+
+const NUMBER_WORDS = {
+  one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+  eleven: 11, twelve: 12, eighteen: 18, twenty: 20, 'twenty-four': 24, thirty: 30, 'thirty-six': 36
+};
+
+const MONEY = /\$\s*([\d,]+(?:\.\d+)?)/;
+const PER_SF = /^\s*(?:\/\s*(?:R?SF|sq\.?\s*ft\.?)|per\s+(?:rentable\s+)?square\s+foot|psf|p\.s\.f\.)/i;
+const PER_MONTH = /^\s*(?:\/\s*mo(?:nth)?\.?|per\s+month|monthly)/i;
+const RENT_PERIOD = /((?:Lease\s+)?Years?\s+\d+(?:\s*(?:-|–|to|through)\s*\d+)?|Months?\s+\d+\s*(?:-|–|to|through)\s*\d+)/i;
+
+const abstractPrompt = `
+You abstract commercial real estate leases. The lease is given as numbered paragraphs ("[p12, page 3]").
+Respond with only a JSON object of this shape, using null for anything the lease doesn't state:
+{
+  "fields": {
+    "<field>": { "value": <value>, "confidence": 0.0-1.0, "paragraph": "p12" }
+  }
+}
+Fields and their values:
+${FIELDS.map(field => `- ${field.key} (${field.label}): ${field.shape
+    ? `${field.type === 'list' ? 'array of ' : ''}{ ${Object.entries(field.shape).map(([name, type]) => `"${name}": ${type}`).join(', ')} }`
+    : field.type}`).join('\n')}
+Dates are YYYY-MM-DD. Numbers are plain numbers without units or commas (dollars, square feet, months).
+escalations.type is "percentage", "fixed" or "cpi"; opexStructure.type is "NNN", "gross", "modified gross", "base year" or "full service".
+"paragraph" is the paragraph the value was read from. Confidence reflects how clearly the lease states the value.
+`;
+
+/**
+ * Service for abstracting leases: extracts a typed record of the key lease terms
+ * from an uploaded lease, each with a confidence score and the page and
+ * paragraph it was read from. Uses the AI provider when one is configured and
+ * falls back to pattern matching for the fields the model leaves out.
+ */
+class LeaseAbstractor {
+  /**
+   * Get the fields of a lease abstract
+   * @returns {Array} - [{ key, label, type, shape }]
+   */
+  static getFields() {
+    return FIELDS;
+  }
+
+  /**
+   * Whether a document reads like a lease
+   * @param {string} text - The document text
+   * @returns {boolean}
+   */
+  static isLease(text) {
+    const lower = text.toLowerCase();
+    return /\blease\b/.test(lower) && lower.includes('landlord') && lower.includes('tenant');
+  }
+
+  /**
+   * Abstract a lease
+   * @param {Array} pages - The lease text by page ([{ page, text }], page null when unpaged)
+   * @param {Object} options - { provider } for the AI call
+   * @returns {Promise<Object>} - { method, extractedAt, fields } where each field is
+   *   { label, type, value, confidence, page, paragraph, excerpt }
+   */
+  static async abstract(pages, { provider } = {}) {
+    const paragraphs = this.splitParagraphs(pages);
+    const rules = this.extractWithRules(paragraphs);
+
+    let extracted = null;
+    if (this.getMethod(provider) === 'ai') {
+      extracted = await this.extractWithAI(paragraphs, provider);
+    }
+
+    const fields = {};
+    FIELDS.forEach(field => {
+      const fromModel = extracted && extracted[field.key];
+      fields[field.key] = {
+        label: field.label,
+        type: field.type,
+        ...(fromModel || rules[field.key] || { value: null, confidence: 0, page: null, paragraph: null, excerpt: null })
+      };
+    });
+
+    return {
+      method: extracted ? 'ai' : 'rules',
+      extractedAt: new Date().toISOString(),
+      fields
+    };
+  }
+
+  /**
+   * Split a document's pages into numbered paragraphs. Paragraphs are numbered
+   * within their page, or through the document when it has no pages.
+   * @param {Array} pages - [{ page, text }]
+   * @returns {Array} - [{ id, page, paragraph, text }] where id is "p1", "p2", ... through the document
+   */
+  static splitParagraphs(pages) {
+    const paragraphs = [];
+    let documentParagraph = 0;
+
+    pages.forEach(({ page, text }) => {
+      let blocks = text.split(/\n\s*\n/);
+
+      // PDF text has no blank lines, so numbered sections start new paragraphs
+      if (blocks.length === 1) {
+        blocks = text.split(/\n(?=\s*(?:\d+(?:\.\d+)*[.)]\s|(?:Section|Article)\s+[\dIVXL]+))/i);
+      }
+
+      blocks
+        .map(block => block.replace(/[ \t]+/g, ' ').trim())
+        .filter(Boolean)
+        .forEach((block, index) => {
+          documentParagraph += 1;
+          paragraphs.push({
+            id: `p${documentParagraph}`,
+            page,
+            paragraph: page === null ? documentParagraph : index + 1,
+            text: block
+          });
+        });
+    });
+
+    return paragraphs;
+  }
+
+  /**
+   * Ask the AI provider to abstract the lease
+   * @param {Array} paragraphs - Numbered paragraphs
+   * @param {string} provider - The provider to use
+   * @returns {Promise<Object|null>} - Located fields by key (only those with a value), or null if extraction failed
+   */
+  static async extractWithAI(paragraphs, provider) {
+    const maxChars = this.getMaxChars();
+    let length = 0;
+    const lease = [];
+    for (const item of paragraphs) {
+      const line = `[${item.id}${item.page ? `, page ${item.page}` : ''}] ${item.text}`;
+      if (length + line.length > maxChars) {
+        break;
+      }
+      lease.push(line);
+      length += line.length;
+    }
+
+    try {
+      const response = await AIService.complete([
+        { role: 'system', content: abstractPrompt },
+        { role: 'user', content: lease.join('\n\n') }
+      ], {
+        provider,
+        temperature: 0,
+        maxTokens: 2000,
+        responseSchema: { name: 'lease_abstract', schema: { type: 'object', properties: { fields: { type: 'object' } }, required: ['fields'] } }
+      });
+
+      const { fields = {} } = QueryUnderstanding.parseJSON(response);
+      const located = {};
+      FIELDS.forEach(field => {
+        const item = fields[field.key];
+        const value = item ? this.normalizeValue(item.value, field) : null;
+        if (value === null) {
+          return;
+        }
+
+        const source = paragraphs.find(paragraph => paragraph.id === item.paragraph);
+        located[field.key] = this.locate(value, Math.max(0, Math.min(1, Number(item.confidence) || 0)), source);
+      });
+      return located;
+    } catch (error) {
+      console.warn('AI lease abstraction failed, using pattern matching:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Extract lease terms by pattern matching
+   * @param {Array} paragraphs - Numbered paragraphs
+   * @returns {Object} - Located fields by key (only those found)
+   */
+  static extractWithRules(paragraphs) {
+    const rules = {
+      landlord: [/\blandlord\b/i, text => this.matchParty(text, 'Landlord')],
+      tenant: [/\btenant\b/i, text => this.matchParty(text, 'Tenant')],
+      premises: [/\bpremises\b/i, text => {
+        const labelled = text.match(/\bPremises\s*:\s*([^\n]+)/i);
+        if (labelled) return { value: labelled[1].trim(), confidence: 0.8 };
+        const suite = text.match(/\b((?:Suite|Floor|Unit)\s+[\w-]+[^.\n]*)/i);
+        return suite ? { value: suite[1].trim(), confidence: 0.5 } : null;
+      }],
+      rentableSquareFeet: [/rentable|\bRSF\b|square feet/i, text => {
+        const match = text.match(/([\d,]{3,})\s*(?:rentable\s+square\s+feet|RSF|rentable\s+sq\.?\s*ft)/i);
+        return match ? { value: this.parseNumber(match[1]), confidence: 0.8 } : null;
+      }],
+      commencementDate: [/commencement date|\bcommence/i, text => this.matchDate(text, /commencement date|commence/i)],
+      expirationDate: [/expiration date|\bexpire|termination date/i, text => this.matchDate(text, /expiration date|expire|termination date/i)],
+      baseRentSchedule: [/base rent|annual rent|monthly rent/i, text => {
+        const schedule = this.matchRentSchedule(text);
+        return schedule.length > 0 ? { value: schedule, confidence: 0.6 } : null;
+      }],
+      escalations: [/escalat|increase|\bCPI\b|consumer price index/i, text => {
+        if (/\bCPI\b|consumer price index/i.test(text)) {
+          return { value: { type: 'cpi', rate: null, description: this.excerpt(text) }, confidence: 0.6 };
+        }
+        const percent = text.match(/(\d+(?:\.\d+)?)\s*(?:%|percent)/i);
+        if (percent && /increase|escalat/i.test(text)) {
+          return { value: { type: 'percentage', rate: parseFloat(percent[1]), description: this.excerpt(text) }, confidence: 0.7 };
+        }
+        return null;
+      }],
+      freeRent: [/free rent|abate|abatement/i, text => {
+        const months = this.matchMonths(text);
+        return { value: { months, description: this.excerpt(text) }, confidence: months ? 0.7 : 0.4 };
+      }],
+      tiAllowance: [/improvement allowance|\bTI\b|tenant improvement/i, text => {
+        const perSF = this.matchAmount(text, PER_SF);
+        const total = this.matchAmounts(text).find(amount => amount.value >= 1000 && !amount.perSF);
+        if (perSF === null && !total) return null;
+        return { value: { perSF, total: total ? total.value : null, description: this.excerpt(text) }, confidence: 0.7 };
+      }],
+      renewalOptions: [/option to (?:renew|extend)|renewal option|extension option|renewal term/i, text => ({ value: this.excerpt(text), confidence: 0.5 })],
+      expansionOptions: [/expansion option|option to expand|right of first (?:offer|refusal)|\bROF[OR]\b/i, text => ({ value: this.excerpt(text), confidence: 0.5 })],
+      terminationOptions: [/termination option|early termination|right to terminate|option to terminate/i, text => ({ value: this.excerpt(text), confidence: 0.5 })],
+      opexStructure: [/operating expenses|common area maintenance|\bCAM\b|triple net|\bNNN\b|base year|expense stop|full service|gross lease/i, text => {
+        const baseYear = text.match(/base year[^.\d]{0,40}(\d{4})/i);
+        let type = null;
+        if (/triple net|\bNNN\b/i.test(text)) type = 'NNN';
+        else if (baseYear || /base year/i.test(text)) type = 'base year';
+        else if (/modified gross/i.test(text)) type = 'modified gross';
+        else if (/full service/i.test(text)) type = 'full service';
+        else if (/gross lease/i.test(text)) type = 'gross';
+        return {
+          value: { type, baseYear: baseYear ? parseInt(baseYear[1], 10) : null, description: this.excerpt(text) },
+          confidence: type ? 0.7 : 0.4
+        };
+      }],
+      securityDeposit: [/security deposit/i, text => {
+        const amount = this.matchAmounts(text)[0];
+        return amount ? { value: amount.value, confidence: 0.7 } : null;
+      }]
+    };
+
+    const located = {};
+    Object.entries(rules).forEach(([key, [pattern, parse]]) => {
+      for (const paragraph of paragraphs) {
+        if (!pattern.test(paragraph.text)) {
+          continue;
+        }
+        const found = parse(paragraph.text);
+        if (found && found.value !== null) {
+          located[key] = this.locate(found.value, found.confidence, paragraph, pattern);
+          return;
+        }
+      }
+    });
+
+    return located;
+  }
+
+  /**
+   * Attach the location of a value in the lease
+   * @param {*} value - The extracted value
+   * @param {number} confidence - Confidence between 0 and 1
+   * @param {Object} paragraph - The paragraph it came from (optional)
+   * @param {RegExp} pattern - What the value was found by, to center the excerpt on (optional)
+   * @returns {Object} - { value, confidence, page, paragraph, excerpt }
+   */
+  static locate(value, confidence, paragraph, pattern = null) {
+    return {
+      value,
+      confidence,
+      page: paragraph ? paragraph.page : null,
+      paragraph: paragraph ? paragraph.paragraph : null,
+      excerpt: paragraph ? this.excerpt(paragraph.text, pattern) : null
+    };
+  }
+
+  /**
+   * Find a party's name: "Landlord: X" or X ("Landlord")
+   * @param {string} text - Paragraph text
+   * @param {string} role - Landlord or Tenant
+   * @returns {Object|null} - { value, confidence }
+   */
+  static matchParty(text, role) {
+    const labelled = text.match(new RegExp(`\\b${role}\\s*:\\s*([^\\n]+)`, 'i'));
+    if (labelled) {
+      return { value: labelled[1].trim().replace(/[.,;]$/, ''), confidence: 0.8 };
+    }
+
+    const defined = text.match(new RegExp(`(?:between|and)\\s+([^()]+?)\\s*\\(\\s*(?:the\\s+)?["“]${role}["”]\\s*\\)`, 'i'));
+    if (defined) {
+      return { value: defined[1].trim().replace(/,$/, ''), confidence: 0.7 };
+    }
+    return null;
+  }
+
+  /**
+   * Find the date in a paragraph closest after a phrase
+   * @param {string} text - Paragraph text
+   * @param {RegExp} phrase - The phrase the date belongs to
+   * @returns {Object|null} - { value, confidence }
+   */
+  static matchDate(text, phrase) {
+    const start = text.search(phrase);
+    const value = this.parseDate(text.slice(start));
+    return value ? { value, confidence: 0.7 } : null;
+  }
+
+  /**
+   * Read a base rent schedule: lines with a period and rent amounts. A line with several
+   * periods is a step per period, with the amounts between it and the next period (or, when
+   * the amounts come first, as in "$45.00 for Years 1-2 and $46.35 for Years 3-5", between
+   * the previous period and it).
+   * @param {string} text - Paragraph text
+   * @returns {Array} - [{ period, annualRent, monthlyRent, rentPerSF }]
+   */
+  static matchRentSchedule(text) {
+    return text.split(/\n|;/).flatMap(line => {
+      const labels = Array.from(line.matchAll(new RegExp(RENT_PERIOD.source, 'gi')));
+      const amounts = this.matchAmounts(line);
+      if (labels.length === 0 || amounts.length === 0) {
+        return [];
+      }
+      if (labels.length === 1) {
+        return [this.toRentStep(labels[0][1], amounts)];
+      }
+
+      const amountsFirst = amounts[0].index < labels[0].index;
+      return labels
+        .map((label, position) => {
+          const previous = labels[position - 1];
+          const next = labels[position + 1];
+          const segment = amountsFirst
+            ? line.slice(previous ? previous.index + previous[0].length : 0, label.index)
+            : line.slice(label.index + label[0].length, next ? next.index : line.length);
+          const segmentAmounts = this.matchAmounts(segment);
+          return segmentAmounts.length > 0 ? this.toRentStep(label[1], segmentAmounts) : null;
+        })
+        .filter(Boolean);
+    });
+  }
+
+  /**
+   * Make a rent step of a period and its amounts
+   * @param {string} period - The period, e.g. "Years 1-2"
+   * @param {Array} amounts - Its amounts, from matchAmounts()
+   * @returns {Object} - { period, annualRent, monthlyRent, rentPerSF }
+   */
+  static toRentStep(period, amounts) {
+    const step = { period: period.replace(/\s+/g, ' '), annualRent: null, monthlyRent: null, rentPerSF: null };
+    amounts.forEach(amount => {
+      if (amount.perSF) step.rentPerSF = amount.value;
+      else if (amount.monthly) step.monthlyRent = amount.value;
+      else step.annualRent = amount.value;
+    });
+    return step;
+  }
+
+  /**
+   * Find every dollar amount in a text with what it is per
+   * @param {string} text - The text
+   * @returns {Array} - [{ value, perSF, monthly, index }]
+   */
+  static matchAmounts(text) {
+    const amounts = [];
+    const pattern = new RegExp(MONEY.source, 'g');
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      const after = text.slice(match.index + match[0].length);
+      amounts.push({ value: this.parseNumber(match[1]), perSF: PER_SF.test(after), monthly: PER_MONTH.test(after), index: match.index });
+    }
+    return amounts;
+  }
+
+  /**
+   * Find the first dollar amount followed by a unit
+   * @param {string} text - The text
+   * @param {RegExp} unit - The unit, anchored at the start
+   * @returns {number|null} - The amount
+   */
+  static matchAmount(text, unit) {
+    const pattern = new RegExp(MONEY.source, 'g');
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      if (unit.test(text.slice(match.index + match[0].length))) {
+        return this.parseNumber(match[1]);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Find a number of months, written in digits or words ("three (3) months")
+   * @param {string} text - The text
+   * @returns {number|null} - The months
+   */
+  static matchMonths(text) {
+    const match = text.match(/\b([a-z-]+|\d+)\s*(?:\((\d+)\)\s*)?(?:(?:full|calendar)\s+)*months?\b/i);
+    if (!match) {
+      return null;
+    }
+    if (match[2]) {
+      return parseInt(match[2], 10);
+    }
+    return /^\d+$/.test(match[1]) ? parseInt(match[1], 10) : NUMBER_WORDS[match[1].toLowerCase()] || null;
+  }
+
+  /**
+   * Read the first date in a text as an ISO date, without time zone shifts
+   * @param {string} text - e.g. "January 1, 2025", "1st day of January, 2025", "01/01/2025" (US order) or "2025-01-01"
+   * @returns {string|null} - YYYY-MM-DD, or null if there is no date
+   */
+  static parseDate(text) {
+    const iso = (year, month, day) => {
+      const date = new Date(Date.UTC(year, month - 1, day));
+      return date.getUTCMonth() === month - 1 ? date.toISOString().slice(0, 10) : null;
+    };
+    const monthNames = MONTHS.map(month => month.slice(0, 3)).join('|');
+
+    const candidates = [
+      [/\b(\d{4})-(\d{2})-(\d{2})\b/, match => iso(+match[1], +match[2], +match[3])],
+      [new RegExp(`\\b(${monthNames})[a-z]*\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?,?\\s+(\\d{4})`, 'i'),
+        match => iso(+match[3], MONTHS.findIndex(month => month.startsWith(match[1].toLowerCase())) + 1, +match[2])],
+      [new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:day\\s+of\\s+)?(${monthNames})[a-z]*,?\\s+(\\d{4})`, 'i'),
+        match => iso(+match[3], MONTHS.findIndex(month => month.startsWith(match[2].toLowerCase())) + 1, +match[1])],
+      [/\b(\d{1,2})\/(\d{1,2})\/(\d{4})\b/, match => iso(+match[3], +match[1], +match[2])]
+    ];
+
+    // Take the date that appears first in the text
+    let first = null;
+    candidates.forEach(([pattern, toISO]) => {
+      const match = text.match(pattern);
+      if (match && (!first || match.index < first.index)) {
+        first = { index: match.index, value: toISO(match) };
+      }
+    });
+    return first ? first.value : null;
+  }
+
+  /**
+   * Parse a number written with commas or a dollar sign
+   * @param {*} value - The number or text
+   * @returns {number|null}
+   */
+  static parseNumber(value) {
+    if (typeof value === 'number') {
+      return Number.isFinite(value) ? value : null;
+    }
+    const number = parseFloat(String(value).replace(/[$,\s]/g, ''));
+    return Number.isFinite(number) ? number : null;
+  }
+
+  /**
+   * Coerce a model value to a field's type
+   * @param {*} value - The model value
+   * @param {Object} field - The field ({ type, shape }), or a shape type name
+   * @returns {*} - The typed value, or null if it has none
+   */
+  static normalizeValue(value, field) {
+    const type = typeof field === 'string' ? field : field.type;
+    if (value === null || value === undefined || value === '') {
+      return null;
+    }
+
+    switch (type) {
+      case 'number':
+        return this.parseNumber(value);
+      case 'date':
+        return this.parseDate(String(value));
+      case 'text':
+        return typeof value === 'object' ? JSON.stringify(value) : String(value).trim() || null;
+      case 'list': {
+        const items = (Array.isArray(value) ? value : [value])
+          .map(item => this.normalizeValue(item, { type: 'object', shape: field.shape }))
+          .filter(Boolean);
+        return items.length > 0 ? items : null;
+      }
+      case 'object': {
+        if (typeof value !== 'object') {
+          return null;
+        }
+        const object = {};
+        Object.entries(field.shape).forEach(([name, shapeType]) => {
+          object[name] = this.normalizeValue(value[name], shapeType);
+        });
+        return Object.values(object).some(item => item !== null) ? object : null;
+      }
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Cut a paragraph down to an excerpt, around a match when given
+   * @param {string} text - Paragraph text
+   * @param {RegExp} pattern - What to center the excerpt on (optional)
+   * @returns {string} - The excerpt
+   */
+  static excerpt(text, pattern = null) {
+    const flat = text.replace(/\s+/g, ' ').trim();
+    if (flat.length <= EXCERPT_LENGTH) {
+      return flat;
+    }
+
+    const index = pattern ? Math.max(0, flat.search(pattern)) : 0;
+    const start = Math.max(0, Math.min(index - EXCERPT_LENGTH / 4, flat.length - EXCERPT_LENGTH));
+    const end = start + EXCERPT_LENGTH;
+    return `${start > 0 ? '...' : ''}${flat.slice(start, end).trim()}${end < flat.length ? '...' : ''}`;
+  }
+
+  /**
+   * Format a field value as text, e.g. for CSV exports
+   * @param {*} value - The field value
+   * @returns {string} - The value as text ('' when null)
+   */
+  static formatValue(value) {
+    if (value === null || value === undefined) {
+      return '';
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => this.formatValue(item)).join('; ');
+    }
+    if (typeof value === 'object') {
+      return Object.entries(value)
+        .filter(([, item]) => item !== null)
+        .map(([name, item]) => `${name}: ${item}`)
+        .join(', ');
+    }
+    return String(value);
+  }
+
+  /**
+   * Export a lease abstract as CSV, one row per field
+   * @param {Object} leaseAbstract - The abstract from abstract()
+   * @returns {string} - CSV with field, label, value, confidence, page, paragraph and excerpt columns
+   */
+  static toCSV(leaseAbstract) {
+    const escape = value => {
+      const text = value === null || value === undefined ? '' : String(value);
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const rows = [['field', 'label', 'value', 'confidence', 'page', 'paragraph', 'excerpt']];
+    FIELDS.forEach(({ key }) => {
+      const field = leaseAbstract.fields[key];
+      rows.push([key, field.label, this.formatValue(field.value), field.confidence, field.page, field.paragraph, field.excerpt]);
+    });
+
+    return `${rows.map(row => row.map(escape).join(',')).join('\n')}\n`;
+  }
+
+  /**
+   * Get the abstraction method: LEASE_ABSTRACTION=rules always pattern matches;
+   * otherwise the AI provider is used when it allows it
+   * @param {string} provider - The provider to use (defaults to AI_PROVIDER)
+   * @returns {string} - ai or rules
+   */
+  static getMethod(provider) {
+    const mode = (process.env.LEASE_ABSTRACTION || 'ai').toLowerCase();
+    return mode !== 'rules' && QueryUnderstanding.useAI(provider) ? 'ai' : 'rules';
+  }
+
+  /**
+   * Get the most lease text sent to the model
+   * @returns {number} - LEASE_ABSTRACT_MAX_CHARS (60000 if unset)
+   */
+  static getMaxChars() {
+    return parseInt(process.env.LEASE_ABSTRACT_MAX_CHARS, 10) || DEFAULT_MAX_CHARS;
+  }
+}
+
+module.exports = LeaseAbstractor;
@@ -1,5 +1,8 @@
 const axios = require('axios');
 const xml2js = require('xml2js');
+const DateRange = require('./DateRange');
+const ResearchProgress = require('./ResearchProgress');
+const { PROVENANCE, allowsMockData } = require('../config/dataMode');
 
 /**
  * Service for handling leasing-related research queries
@@ -8,27 +11,33 @@ class LeasingService {
   /**
    * Process a leasing-related query
    * @param {string} query - The user's research query
+   * @param {Object} options - Request options ({ signal } to cancel outstanding requests, { dateRange })
    * @returns {Array} - Results with citation information
    */
-  static async processQuery(query) {
+  static async processQuery(query, options = {}) {
     const results = [];
+    // Reports dated outside the research period don't count towards the results wanted
+    const inRange = result => DateRange.includes(options.dateRange, result);
     
     try {
       // First try Zillow API for leasing data
-      // Note: This is a mock implementation as the actual Zillow API requires authentication
-      try {
-        const zillowResults = await this.searchZillow(query);
-        if (zillowResults.length > 0) {
-          results.push(...zillowResults);
+      // Note: This is a mock implementation as the actual Zillow API requires authentication,
+      // so it only runs in demo mode
+      if (allowsMockData()) {
+        try {
+          const zillowResults = (await this.searchZillow(query, options)).filter(inRange);
+          if (zillowResults.length > 0) {
+            results.push(...zillowResults);
+          }
+        } catch (zillowError) {
+          console.warn('Zillow API search failed:', zillowError.message);
         }
-      } catch (zillowError) {
-        console.warn('Zillow API search failed:', zillowError.message);
       }
       
-      // Try CoStar API if available and we need more results
-      if (results.length < 3) {
+      // Try CoStar (mock data, demo mode only) if we need more results
+      if (allowsMockData() && results.length < 3) {
         try {
-          const costarResults = await this.searchCoStar(query);
+          const costarResults = (await this.searchCoStar(query)).filter(inRange);
           if (costarResults.length > 0) {
             results.push(...costarResults);
           }
@@ -52,9 +61,10 @@ class LeasingService {
   /**
    * Search Zillow API for leasing data (mock implementation)
    * @param {string} query - The search query
+   * @param {Object} options - Request options ({ signal })
    * @returns {Array} - Results with citation information
    */
-  static async searchZillow(query) {
+  static async searchZillow(query, { signal } = {}) {
     try {
       // Get API key from environment variables
       const apiKey = process.env.ZILLOW_API_KEY;
@@ -70,7 +80,8 @@ class LeasingService {
           'zws-id': apiKey,
           address: query,
           citystatezip: 'Seattle, WA' // This would be extracted from the query in a real implementation
-        }
+        },
+        signal
       });
       
       // Parse XML response (Zillow uses XML)
@@ -84,11 +95,12 @@ class LeasingService {
       return [{
         title: 'Commercial Lease Rate Data',
         authors: 'Zillow Research',
-        date: new Date().toLocaleDateString(),
+        date: null,
         source: 'Zillow',
         link: 'https://www.zillow.com/research/',
         summary: 'Based on Zillow data...',
-        type: 'market_report'
+        type: 'market_report',
+        provenance: PROVENANCE.MOCK
       }];
     } catch (error) {
       console.error('Zillow API search error:', error);
@@ -108,11 +120,13 @@ class LeasingService {
     return [{
       title: 'Office Space Vacancy Report Q2 2023 (Mock CoStar Data)',
       authors: 'CoStar Market Analytics',
-      date: new Date().toLocaleDateString(),
+      date: null,
+      observationDate: '2023-06-30', // Q2 2023
       source: 'CoStar',
       link: 'https://www.costar.com/',
       summary: 'The Q2 2023 report indicates that office vacancy rates have stabilized at 18.3% nationally, showing the first signs of recovery since the pandemic. Class A properties in prime locations are leading the recovery with increasing tour activity and letter of intent submissions.',
-      type: 'market_report'
+      type: 'market_report',
+      provenance: PROVENANCE.MOCK
     }];
   }
   
@@ -124,46 +138,39 @@ class LeasingService {
     return {
       title: 'Current Commercial Real Estate Leasing Trends',
       authors: 'CRE Research Team',
-      date: new Date().toLocaleDateString(),
+      date: null,
       source: 'Internal Analysis',
       link: '#',
       summary: 'Commercial real estate leasing continues to evolve with several key trends: flexible lease terms are becoming more common, especially for smaller tenants; sustainability features now command premium rates; and technology-enabled spaces with strong connectivity infrastructure are in higher demand across all market segments.',
-      type: 'market_report'
+      type: 'market_report',
+      provenance: PROVENANCE.INTERNAL
     };
   }
 
-  static async getResearch(query, sessionId) {
+  /**
+   * Run leasing research for the API, logging progress to the session
+   * @param {string} query - The user's research query
+   * @param {string} sessionId - The session ID for tracking research steps
+   * @param {Object} options - Request options ({ signal } to cancel outstanding requests, { dateRange })
+   * @returns {Array} - Results with citation information
+   */
+  static async getResearch(query, sessionId, options = {}) {
     // If sessionId is provided, log the step
-    if (sessionId && global.researchStatus[sessionId]) {
-      global.researchStatus[sessionId].push({
-        step: "Searching for leasing market information",
-        source: "Leasing Service",
-        timestamp: new Date().toISOString()
-      });
-    }
+    ResearchProgress.addStep(sessionId, {
+      step: "Searching for leasing market information",
+      source: "Leasing Service"
+    });
     
     try {
-      // Existing code to get leasing data
-      return [{
-        title: 'Commercial Lease Rate Data',
-        authors: 'Leasing Research Team',
-        date: new Date().toLocaleDateString(),
-        source: 'Leasing Database',
-        link: 'https://example.com/leasing',
-        summary: 'Sample leasing data for the query: ' + query,
-        type: 'market_report'
-      }];
+      return await this.processQuery(query, options);
     } catch (error) {
       console.error('Leasing search error:', error);
       
       // Log the error
-      if (sessionId && global.researchStatus[sessionId]) {
-        global.researchStatus[sessionId].push({
-          step: "Error in leasing research: " + error.message,
-          source: "Leasing Service",
-          timestamp: new Date().toISOString()
-        });
-      }
+      ResearchProgress.addStep(sessionId, {
+        step: "Error in leasing research: " + error.message,
+        source: "Leasing Service"
+      });
       
       return [];
     }
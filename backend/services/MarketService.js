@@ -2,6 +2,8 @@ const axios = require('axios');
 const googleTrends = require('google-trends-api');
 const RSSFeedService = require('./RSSFeedService');
 const FREDService = require('./FREDService');
+const ResearchProgress = require('./ResearchProgress');
+const { PROVENANCE } = require('../config/dataMode');
 
 /**
  * Service for handling market trend research queries
@@ -10,15 +12,16 @@ class MarketService {
   /**
    * Process a market trends-related query
    * @param {string} query - The user's research query
+   * @param {Object} options - Request options ({ signal } to cancel outstanding requests, { entities } from query understanding, { dateRange })
    * @returns {Array} - Results with citation information
    */
-  static async processQuery(query) {
+  static async processQuery(query, options = {}) {
     const results = [];
     
     try {
       // Try to get Google Trends data
       try {
-        const trendsResults = await this.searchGoogleTrends(query);
+        const trendsResults = await this.searchGoogleTrends(query, options);
         if (trendsResults.length > 0) {
           results.push(...trendsResults);
         }
@@ -29,7 +32,7 @@ class MarketService {
       // Get latest news from RSS feeds
       if (results.length < 4) {
         try {
-          const newsResults = await RSSFeedService.searchNews(query);
+          const newsResults = await RSSFeedService.searchNews(query, options);
           if (newsResults.length > 0) {
             results.push(...newsResults);
           }
@@ -39,9 +42,9 @@ class MarketService {
       }
       
       // Try to get economic data if API key is available
-      if (process.env.QUANDL_API_KEY && results.length < 5) {
+      if (process.env.FRED_API_KEY && results.length < 5) {
         try {
-          const economicResults = await this.searchEconomicData(query);
+          const economicResults = await this.searchEconomicData(query, options);
           if (economicResults.length > 0) {
             results.push(...economicResults);
           }
@@ -65,18 +68,24 @@ class MarketService {
   /**
    * Search Google Trends for market trends
    * @param {string} query - The search query
+   * @param {Object} options - Request options ({ dateRange })
    * @returns {Array} - Results with citation information
    */
-  static async searchGoogleTrends(query) {
+  static async searchGoogleTrends(query, { dateRange } = {}) {
     try {
       // Add CRE specific terms to improve results
       const enhancedQuery = `${query} commercial real estate`;
       console.log(`Searching Google Trends for: ${enhancedQuery}`);
       
-      // Get interest over time - past 5 years
+      // Get interest over time - the 5 years up to the end of the date range, or the date range itself
+      const endTime = dateRange && dateRange.to ? new Date(`${dateRange.to}T23:59:59Z`) : new Date();
+      const startTime = dateRange && dateRange.from
+        ? new Date(`${dateRange.from}T00:00:00Z`)
+        : new Date(endTime.getTime() - (5 * 365 * 24 * 60 * 60 * 1000)); // 5 years earlier
       const interestOverTime = await googleTrends.interestOverTime({
         keyword: enhancedQuery,
-        startTime: new Date(Date.now() - (5 * 365 * 24 * 60 * 60 * 1000)), // 5 years ago
+        startTime,
+        endTime,
         geo: 'US'
       });
       
@@ -93,10 +102,12 @@ class MarketService {
       // Extract useful data
       let summary = 'Analysis of Google Trends data shows ';
       let trendDirection = 'stable';
+      let observationDate = null;
       
       // Process interest over time data
       if (timeData.default?.timelineData?.length > 0) {
         const timelineData = timeData.default.timelineData;
+        observationDate = new Date(parseInt(timelineData[timelineData.length - 1].time, 10) * 1000);
         const recentValues = timelineData.slice(-12).map(point => parseInt(point.value[0]));
         const olderValues = timelineData.slice(-24, -12).map(point => parseInt(point.value[0]));
         
@@ -134,11 +145,13 @@ class MarketService {
       return [{
         title: `Google Trends Analysis: ${query} in Commercial Real Estate`,
         authors: 'Google Trends',
-        date: new Date().toLocaleDateString(),
+        date: null,
+        observationDate, // Latest point of the timeline
         source: 'Google Trends',
         link: `https://trends.google.com/trends/explore?q=${encodeURIComponent(enhancedQuery)}&geo=US`,
         summary,
-        type: 'market_report'
+        type: 'market_report',
+        provenance: PROVENANCE.LIVE
       }];
     } catch (error) {
       console.error('Google Trends search error:', error);
@@ -149,11 +162,12 @@ class MarketService {
   /**
    * Search economic data sources
    * @param {string} query - The search query
+   * @param {Object} options - Request options ({ signal, entities, dateRange })
    * @returns {Array} - Results with citation information
    */
-  static async searchEconomicData(query) {
+  static async searchEconomicData(query, options = {}) {
     // Use the FRED service
-    return await FREDService.searchEconomicData(query);
+    return await FREDService.searchEconomicData(query, options);
   }
   
   /**
@@ -164,46 +178,39 @@ class MarketService {
     return {
       title: 'Current Commercial Real Estate Market Overview',
       authors: 'CRE Market Analysis Team',
-      date: new Date().toLocaleDateString(),
+      date: null,
       source: 'Internal Analysis',
       link: '#',
       summary: 'The commercial real estate market continues to adapt to post-pandemic realities with notable sector-specific trends. Industrial and logistics properties remain the strongest performers with record-low cap rates and continued rent growth. Multifamily remains resilient with strong demand in suburban and sunbelt markets. Office continues to face challenges with high vacancy rates but is seeing selective recovery in Class A properties and amenity-rich developments. Retail is witnessing a bifurcation with grocery-anchored and experiential retail outperforming traditional mall spaces.',
-      type: 'market_report'
+      type: 'market_report',
+      provenance: PROVENANCE.INTERNAL
     };
   }
 
-  static async getResearch(query, sessionId) {
+  /**
+   * Run market trend research for the API, logging progress to the session
+   * @param {string} query - The user's research query
+   * @param {string} sessionId - The session ID for tracking research steps
+   * @param {Object} options - Request options ({ signal } to cancel outstanding requests, { entities } from query understanding, { dateRange })
+   * @returns {Array} - Results with citation information
+   */
+  static async getResearch(query, sessionId, options = {}) {
     // If sessionId is provided, log the step
-    if (sessionId && global.researchStatus[sessionId]) {
-      global.researchStatus[sessionId].push({
-        step: "Analyzing market trend information",
-        source: "Market Service",
-        timestamp: new Date().toISOString()
-      });
-    }
+    ResearchProgress.addStep(sessionId, {
+      step: "Analyzing market trend information",
+      source: "Market Service"
+    });
     
     try {
-      // Existing code to get market data
-      return [{
-        title: 'Market Trends Analysis',
-        authors: 'Market Research Team',
-        date: new Date().toLocaleDateString(),
-        source: 'Market Database',
-        link: 'https://example.com/market',
-        summary: 'Sample market data for the query: ' + query,
-        type: 'market_report'
-      }];
+      return await this.processQuery(query, options);
     } catch (error) {
       console.error('Market search error:', error);
       
       // Log the error
-      if (sessionId && global.researchStatus[sessionId]) {
-        global.researchStatus[sessionId].push({
-          step: "Error in market research: " + error.message,
-          source: "Market Service",
-          timestamp: new Date().toISOString()
-        });
-      }
+      ResearchProgress.addStep(sessionId, {
+        step: "Error in market research: " + error.message,
+        source: "Market Service"
+      });
       
       return [];
     }
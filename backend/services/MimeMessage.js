@@ -0,0 +1,249 @@
+const CharacterSets = require('./CharacterSets');
+
+// An RFC 2047 encoded word in a header, e.g. =?UTF-8?B?...?=
+const ENCODED_WORD = /=\?([^?\s]+)\?([BbQq])\?([^?\s]*)\?=/g;
+
+// Headers an email's text starts with
+const SUMMARY_HEADERS = ['from', 'to', 'cc', 'date', 'subject'];
+
+/**
+ * Service for reading MIME messages: emails (.eml) and saved web pages
+ * (.mhtml). Parts are decoded from their transfer encoding and character set;
+ * multipart bodies are read into a tree of parts.
+ */
+class MimeMessage {
+  /**
+   * Parse a MIME message or part
+   * @param {Buffer} data - The raw message
+   * @returns {Object} - { headers, type, parameters, disposition, body, parts } where headers
+   *   maps lowercase names to decoded values, type is the lowercase content type, body is the
+   *   decoded content (Buffer) and parts are the parsed parts of a multipart body
+   */
+  static parse(data) {
+    // latin1 maps bytes to characters one to one, so binary content survives
+    const raw = data.toString('latin1');
+    const separator = raw.match(/\r?\n\r?\n/);
+    const headerText = separator ? raw.slice(0, separator.index) : raw;
+    const bodyText = separator ? raw.slice(separator.index + separator[0].length) : '';
+
+    const headers = {};
+    headerText.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/).forEach(line => {
+      const colon = line.indexOf(':');
+      if (colon > 0) {
+        const name = line.slice(0, colon).trim().toLowerCase();
+        // The first occurrence wins (later ones are usually trace headers)
+        if (!(name in headers)) {
+          headers[name] = this.decodeHeader(line.slice(colon + 1).trim());
+        }
+      }
+    });
+
+    const { value: type, parameters } = this.parseHeaderValue(headers['content-type'] || 'text/plain');
+    const disposition = headers['content-disposition'] ? this.parseHeaderValue(headers['content-disposition']) : null;
+    const message = { headers, type: type.toLowerCase(), parameters, disposition, body: null, parts: [] };
+
+    if (message.type.startsWith('multipart/') && parameters.boundary) {
+      message.parts = this.splitMultipart(bodyText, parameters.boundary)
+        .map(part => this.parse(Buffer.from(part, 'latin1')));
+    } else {
+      message.body = this.decodeBody(bodyText, headers['content-transfer-encoding']);
+    }
+    return message;
+  }
+
+  /**
+   * Split a multipart body into its parts
+   * @param {string} body - The body, one character per byte
+   * @param {string} boundary - The boundary parameter
+   * @returns {Array<string>} - The raw parts
+   */
+  static splitMultipart(body, boundary) {
+    const escaped = boundary.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const delimiters = Array.from(body.matchAll(new RegExp(`(?:^|\\r?\\n)--${escaped}(--)?[ \\t]*(?:\\r?\\n|$)`, 'g')));
+
+    const parts = [];
+    for (let index = 0; index < delimiters.length - 1 && !delimiters[index][1]; index += 1) {
+      const start = delimiters[index].index + delimiters[index][0].length;
+      parts.push(body.slice(start, delimiters[index + 1].index));
+    }
+    return parts;
+  }
+
+  /**
+   * Decode a body from its transfer encoding
+   * @param {string} body - The encoded body, one character per byte
+   * @param {string} encoding - The Content-Transfer-Encoding (optional)
+   * @returns {Buffer} - The decoded content
+   */
+  static decodeBody(body, encoding = '') {
+    switch (encoding.trim().toLowerCase()) {
+      case 'base64':
+        return Buffer.from(body.replace(/[^A-Za-z0-9+/=]/g, ''), 'base64');
+      case 'quoted-printable':
+        return this.decodeQuotedPrintable(body);
+      default:
+        return Buffer.from(body, 'latin1');
+    }
+  }
+
+  /**
+   * Decode quoted-printable text
+   * @param {string} text - The encoded text, one character per byte
+   * @param {boolean} header - Whether it's a "Q" encoded header word, where "_" is a space
+   * @returns {Buffer} - The decoded bytes
+   */
+  static decodeQuotedPrintable(text, header = false) {
+    const decoded = (header ? text.replace(/_/g, ' ') : text.replace(/[ \t]+(?=\r?\n)/g, '').replace(/=\r?\n/g, ''))
+      .replace(/=([0-9A-Fa-f]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+    return Buffer.from(decoded, 'latin1');
+  }
+
+  /**
+   * Decode the encoded words of a header value
+   * @param {string} value - The raw header value
+   * @returns {string} - The decoded value
+   */
+  static decodeHeader(value) {
+    // Whitespace between adjacent encoded words isn't part of the text
+    return value
+      .replace(/(\?=)\s+(?==\?)/g, '$1')
+      .replace(ENCODED_WORD, (word, charset, encoding, text) => {
+        const bytes = encoding.toUpperCase() === 'B' ? Buffer.from(text, 'base64') : this.decodeQuotedPrintable(text, true);
+        return CharacterSets.decode(bytes, charset.replace(/\*.*$/, ''));
+      })
+      // Header text that isn't encoded may still be UTF-8
+      .replace(/[\u0080-\u00ff]+/g, match => {
+        const text = Buffer.from(match, 'latin1').toString('utf8');
+        return text.includes('\ufffd') ? match : text;
+      });
+  }
+
+  /**
+   * Parse a header value with parameters, e.g. a Content-Type or Content-Disposition,
+   * including RFC 2231 continued and encoded parameters
+   * @param {string} header - The header value
+   * @returns {Object} - { value, parameters } with lowercase parameter names
+   */
+  static parseHeaderValue(header) {
+    const [value, ...rest] = header.match(/(?:[^;"]|"(?:\\.|[^"\\])*")+/g) || [''];
+    const parameters = {};
+    const continued = {};
+
+    rest.forEach(item => {
+      const equals = item.indexOf('=');
+      if (equals === -1) {
+        return;
+      }
+      const name = item.slice(0, equals).trim().toLowerCase();
+      let parameter = item.slice(equals + 1).trim();
+      if (parameter.startsWith('"')) {
+        parameter = parameter.slice(1, -1).replace(/\\(.)/g, '$1');
+      }
+
+      const match = name.match(/^([^*]+)(?:\*(\d+))?(\*)?$/);
+      if (!match) {
+        return;
+      }
+      const [, base, index, encoded] = match;
+      if (index === undefined && !encoded) {
+        parameters[base] = parameter;
+        return;
+      }
+      continued[base] = continued[base] || [];
+      continued[base][parseInt(index || '0', 10)] = { text: parameter, encoded: Boolean(encoded) };
+    });
+
+    Object.entries(continued).forEach(([name, pieces]) => {
+      let charset = 'utf-8';
+      const text = pieces.filter(Boolean).map((piece, position) => {
+        let content = piece.text;
+        if (piece.encoded && position === 0) {
+          // charset'language'text
+          const [set, , ...encodedText] = content.split('\'');
+          charset = set || charset;
+          content = encodedText.join('\'');
+        }
+        return piece.encoded
+          ? CharacterSets.decode(Buffer.from(content.replace(/%([0-9A-Fa-f]{2})/g, (m, hex) => String.fromCharCode(parseInt(hex, 16))), 'latin1'), charset)
+          : content;
+      }).join('');
+      parameters[name] = text;
+    });
+
+    return { value: value.trim(), parameters };
+  }
+
+  /**
+   * Get the text of a part in its character set
+   * @param {Object} part - A parsed part
+   * @returns {string} - The text
+   */
+  static getText(part) {
+    return CharacterSets.decode(part.body, part.parameters.charset);
+  }
+
+  /**
+   * Get the file name of a part
+   * @param {Object} part - A parsed part
+   * @returns {string|null} - From the Content-Disposition filename or Content-Type name
+   */
+  static getFileName(part) {
+    return (part.disposition && part.disposition.parameters.filename) || part.parameters.name || null;
+  }
+
+  /**
+   * Read an email: its headers, body text (or HTML) and attachments
+   * @param {Buffer} data - The .eml file or an attached message
+   * @returns {Object} - { headers: { from, to, cc, date, subject }, text, html, attachments } where
+   *   attachments are { name, data } for files and { name, email } for attached messages
+   */
+  static readEmail(data) {
+    const message = this.parse(data);
+    const email = {
+      headers: Object.fromEntries(SUMMARY_HEADERS.map(name => [name, message.headers[name] || null])),
+      text: null,
+      html: null,
+      attachments: []
+    };
+
+    const visit = (part) => {
+      const name = this.getFileName(part);
+      const isAttachment = (part.disposition && part.disposition.value.toLowerCase() === 'attachment') || name;
+
+      if (part.parts.length > 0) {
+        // Alternative bodies, related parts and attachments; the first plain text and HTML bodies are kept
+        part.parts.forEach(visit);
+      } else if (part.type === 'message/rfc822') {
+        const attached = this.readEmail(part.body);
+        email.attachments.push({ name: name || `${attached.headers.subject || 'Attached message'}.eml`, email: attached });
+      } else if (isAttachment) {
+        email.attachments.push({ name: name || 'attachment', data: part.body });
+      } else if (part.type === 'text/plain' && email.text === null) {
+        email.text = this.getText(part);
+      } else if (part.type === 'text/html' && email.html === null) {
+        email.html = this.getText(part);
+      }
+    };
+    visit(message);
+
+    return email;
+  }
+
+  /**
+   * Get the HTML of a saved web page (MHTML): its first HTML part
+   * @param {Buffer} data - The .mhtml file
+   * @returns {string|null} - The page's HTML
+   */
+  static readWebArchive(data) {
+    const find = (part) => {
+      if (part.type === 'text/html') {
+        return part;
+      }
+      return part.parts.reduce((found, child) => found || find(child), null);
+    };
+    const page = find(this.parse(data));
+    return page ? this.getText(page) : null;
+  }
+}
+
+module.exports = MimeMessage;
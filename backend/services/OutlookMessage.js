@@ -0,0 +1,160 @@
+const CharacterSets = require('./CharacterSets');
+const CompoundFile = require('./CompoundFile');
+
+// MAPI property ids
+const PROPERTIES = {
+  subject: '0037',
+  senderName: '0C1A',
+  senderEmail: '0C1F',
+  displayTo: '0E04',
+  displayCc: '0E03',
+  body: '1000',
+  html: '1013',
+  attachmentLongName: '3707',
+  attachmentName: '3704',
+  displayName: '3001',
+  attachmentData: '3701'
+};
+
+// MAPI property types of the streams properties are stored in
+const UNICODE_STRING = '001F';
+const ANSI_STRING = '001E';
+const BINARY = '0102';
+const EMBEDDED_OBJECT = '000D';
+
+// Fixed-size properties: the message's sent and delivery times (PT_SYSTIME)
+const SUBMIT_TIME_TAG = 0x00390040;
+const DELIVERY_TIME_TAG = 0x0e060040;
+
+// Header length of the fixed-size property stream of a top-level and an attached message
+const TOP_LEVEL_PROPERTY_HEADER = 32;
+const EMBEDDED_PROPERTY_HEADER = 24;
+const PROPERTY_ENTRY = 16;
+
+// 100-nanosecond intervals between 1601-01-01 (FILETIME's epoch) and 1970-01-01
+const FILETIME_UNIX_OFFSET = 116444736000000000n;
+
+/**
+ * Service for reading Outlook messages (.msg): the MAPI properties of the
+ * message, its attachments and attached messages, stored in an OLE compound file
+ */
+class OutlookMessage {
+  /**
+   * Read an Outlook message
+   * @param {Buffer} data - The .msg file
+   * @returns {Object} - { headers: { from, to, cc, date, subject }, text, html, attachments } in the
+   *   shape of MimeMessage.readEmail(), with attachments as { name, data } or { name, email }
+   */
+  static read(data) {
+    return this.readMessage(CompoundFile.read(data), TOP_LEVEL_PROPERTY_HEADER);
+  }
+
+  /**
+   * Read a message storage
+   * @param {Object} storage - The root storage or an attached message's storage
+   * @param {number} propertyHeader - Header length of its fixed-size property stream
+   * @returns {Object} - The email
+   */
+  static readMessage(storage, propertyHeader) {
+    const senderName = this.getString(storage, PROPERTIES.senderName);
+    const senderEmail = this.getString(storage, PROPERTIES.senderEmail);
+    const html = this.getBinary(storage, PROPERTIES.html) || this.getString(storage, PROPERTIES.html);
+
+    const attachments = [];
+    storage.children.forEach((child, name) => {
+      if (child.type === 'storage' && name.startsWith('__attach_version1.0_')) {
+        const attachment = this.readAttachment(child);
+        if (attachment) {
+          attachments.push(attachment);
+        }
+      }
+    });
+
+    return {
+      headers: {
+        from: senderName && senderEmail && senderName !== senderEmail
+          ? `${senderName} <${senderEmail}>`
+          : senderName || senderEmail,
+        to: this.getString(storage, PROPERTIES.displayTo),
+        cc: this.getString(storage, PROPERTIES.displayCc),
+        date: this.readDate(storage, propertyHeader),
+        subject: this.getString(storage, PROPERTIES.subject)
+      },
+      text: this.getString(storage, PROPERTIES.body),
+      html: Buffer.isBuffer(html) ? html.toString('utf8') : html,
+      attachments
+    };
+  }
+
+  /**
+   * Read an attachment storage
+   * @param {Object} storage - The attachment's storage
+   * @returns {Object|null} - { name, data } for a file, { name, email } for an attached
+   *   message, or null for attachments without content (e.g. OLE objects)
+   */
+  static readAttachment(storage) {
+    const name = this.getString(storage, PROPERTIES.attachmentLongName) ||
+      this.getString(storage, PROPERTIES.attachmentName) ||
+      this.getString(storage, PROPERTIES.displayName);
+
+    const embedded = storage.children.get(`__substg1.0_${PROPERTIES.attachmentData}${EMBEDDED_OBJECT}`);
+    if (embedded && embedded.type === 'storage') {
+      const email = this.readMessage(embedded, EMBEDDED_PROPERTY_HEADER);
+      return { name: name || `${email.headers.subject || 'Attached message'}.msg`, email };
+    }
+
+    const data = this.getBinary(storage, PROPERTIES.attachmentData);
+    return data ? { name: name || 'attachment', data } : null;
+  }
+
+  /**
+   * Get a string property
+   * @param {Object} storage - The storage holding it
+   * @param {string} id - The property id (hex)
+   * @returns {string|null}
+   */
+  static getString(storage, id) {
+    const unicode = CompoundFile.getStream(storage, `__substg1.0_${id}${UNICODE_STRING}`);
+    if (unicode) {
+      return unicode.toString('utf16le').replace(/\0+$/, '') || null;
+    }
+    const ansi = CompoundFile.getStream(storage, `__substg1.0_${id}${ANSI_STRING}`);
+    return ansi ? CharacterSets.decode(ansi, 'windows-1252').replace(/\0+$/, '') || null : null;
+  }
+
+  /**
+   * Get a binary property
+   * @param {Object} storage - The storage holding it
+   * @param {string} id - The property id (hex)
+   * @returns {Buffer|null}
+   */
+  static getBinary(storage, id) {
+    return CompoundFile.getStream(storage, `__substg1.0_${id}${BINARY}`);
+  }
+
+  /**
+   * Read when a message was sent (or delivered) from its fixed-size properties
+   * @param {Object} storage - The message storage
+   * @param {number} headerLength - Header length of its property stream
+   * @returns {string|null} - ISO timestamp
+   */
+  static readDate(storage, headerLength) {
+    const properties = CompoundFile.getStream(storage, '__properties_version1.0');
+    if (!properties) {
+      return null;
+    }
+
+    const times = {};
+    for (let offset = headerLength; offset + PROPERTY_ENTRY <= properties.length; offset += PROPERTY_ENTRY) {
+      const tag = properties.readUInt32LE(offset);
+      if (tag === SUBMIT_TIME_TAG || tag === DELIVERY_TIME_TAG) {
+        times[tag] = properties.readBigUInt64LE(offset + 8);
+      }
+    }
+
+    const filetime = times[SUBMIT_TIME_TAG] || times[DELIVERY_TIME_TAG];
+    return filetime ? new Date(Number((filetime - FILETIME_UNIX_OFFSET) / 10000n)).toISOString() : null;
+  }
+}
+
+module.exports = OutlookMessage;
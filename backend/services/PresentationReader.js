@@ -0,0 +1,197 @@
+const fs = require('fs/promises');
+const path = require('path');
+const JSZip = require('jszip');
+const xml2js = require('xml2js');
+
+// Children are kept in document order so shapes, tables and paragraphs read as laid out
+const XML_OPTIONS = { explicitChildren: true, preserveChildrenOrder: true, includeWhiteChars: true };
+
+// Placeholder types that hold a slide's title
+const TITLE_PLACEHOLDERS = ['title', 'ctrTitle'];
+
+const NOTES_RELATIONSHIP = /\/notesSlide$/;
+
+/**
+ * Service for reading PowerPoint presentations (.pptx), e.g. broker pitch
+ * decks, slide by slide. Each slide keeps its title, its text boxes in order
+ * (bullets indented by level), its tables with cells separated by " | " and its
+ * speaker notes.
+ */
+class PresentationReader {
+  /**
+   * Read a presentation
+   * @param {string} filePath - Path of the .pptx file
+   * @returns {Promise<Array>} - [{ number, title, text, hidden }] in slide order
+   */
+  static async read(filePath) {
+    const zip = await JSZip.loadAsync(await fs.readFile(filePath));
+    const readXml = async (name) => {
+      const file = zip.file(name);
+      return file ? xml2js.parseStringPromise(await file.async('string'), XML_OPTIONS) : null;
+    };
+
+    const presentation = await readXml('ppt/presentation.xml');
+    if (!presentation) {
+      throw new Error('Not a PPTX presentation');
+    }
+
+    const targets = this.readRelationships(await readXml('ppt/_rels/presentation.xml.rels'), 'ppt');
+    const slideList = this.children(presentation['p:presentation'], 'p:sldIdLst')[0];
+    const slideIds = slideList ? this.children(slideList, 'p:sldId') : [];
+
+    const slides = [];
+    for (const slideId of slideIds) {
+      const target = targets.get(slideId.$['r:id']);
+      const xml = target ? await readXml(target.path) : null;
+      if (!xml) {
+        continue;
+      }
+
+      const { title, blocks } = this.readShapes(xml['p:sld']);
+      const slideRelationships = this.readRelationships(
+        await readXml(path.posix.join(path.posix.dirname(target.path), '_rels', `${path.posix.basename(target.path)}.rels`)),
+        path.posix.dirname(target.path)
+      );
+      const notesTarget = Array.from(slideRelationships.values()).find(item => NOTES_RELATIONSHIP.test(item.type));
+      const notesXml = notesTarget ? await readXml(notesTarget.path) : null;
+      const notes = notesXml ? this.readShapes(notesXml['p:notes'], { bodyOnly: true }).blocks.join('\n') : '';
+
+      slides.push({
+        number: slides.length + 1,
+        title,
+        text: [...blocks, ...(notes ? [`Notes: ${notes}`] : [])].join('\n\n'),
+        hidden: Boolean(xml['p:sld'].$ && xml['p:sld'].$.show === '0')
+      });
+    }
+    return slides;
+  }
+
+  /**
+   * Read a part's relationships
+   * @param {Object|null} xml - The parsed .rels file
+   * @param {string} directory - The directory relative targets are resolved against
+   * @returns {Map} - Relationship id -> { path, type }
+   */
+  static readRelationships(xml, directory) {
+    const relationships = new Map();
+    const root = xml && xml.Relationships;
+    (root ? this.children(root, 'Relationship') : []).forEach(({ $ }) => {
+      if ($.TargetMode === 'External') {
+        return;
+      }
+      const target = $.Target.startsWith('/') ? $.Target.slice(1) : path.posix.normalize(path.posix.join(directory, $.Target));
+      relationships.set($.Id, { path: target, type: $.Type });
+    });
+    return relationships;
+  }
+
+  /**
+   * Read the text of a slide's (or notes page's) shapes in order
+   * @param {Object} root - The parsed p:sld or p:notes element
+   * @param {Object} options - { bodyOnly } to read only body placeholders (speaker notes)
+   * @returns {Object} - { title, blocks } with the title placeholder's text and the other
+   *   shapes' text, a block per shape or table
+   */
+  static readShapes(root, { bodyOnly = false } = {}) {
+    let title = null;
+    const blocks = [];
+
+    const visit = (node) => {
+      this.children(node).forEach(child => {
+        const name = child['#name'];
+        if (name === 'p:grpSp') {
+          visit(child);
+        } else if (name === 'p:sp') {
+          const placeholder = this.find(child, ['p:nvSpPr', 'p:nvPr', 'p:ph']);
+          const type = placeholder ? (placeholder.$ && placeholder.$.type) || 'body' : null;
+          if (bodyOnly && type !== 'body') {
+            return;
+          }
+          const body = this.find(child, ['p:txBody']);
+          const text = body ? this.readParagraphs(body) : '';
+          if (!text) {
+            return;
+          }
+          if (TITLE_PLACEHOLDERS.includes(type) && title === null) {
+            title = text.replace(/\s*\n\s*/g, ' ');
+          } else {
+            blocks.push(text);
+          }
+        } else if (name === 'p:graphicFrame' && !bodyOnly) {
+          const table = this.find(child, ['a:graphic', 'a:graphicData', 'a:tbl']);
+          if (table) {
+            const rows = this.children(table, 'a:tr')
+              .map(row => this.children(row, 'a:tc')
+                .map(cell => {
+                  const body = this.find(cell, ['a:txBody']);
+                  return body ? this.readParagraphs(body).replace(/\s*\n\s*/g, ' ') : '';
+                }))
+              .filter(cells => cells.some(Boolean))
+              .map(cells => cells.join(' | '));
+            if (rows.length > 0) {
+              blocks.push(rows.join('\n'));
+            }
+          }
+        }
+      });
+    };
+
+    const tree = this.find(root, ['p:cSld', 'p:spTree']);
+    if (tree) {
+      visit(tree);
+    }
+    return { title, blocks };
+  }
+
+  /**
+   * Read the paragraphs of a text body, indenting bullets by their level
+   * @param {Object} body - The parsed txBody element
+   * @returns {string} - One line per paragraph
+   */
+  static readParagraphs(body) {
+    return this.children(body, 'a:p')
+      .map(paragraph => {
+        const properties = this.children(paragraph, 'a:pPr')[0];
+        const level = parseInt((properties && properties.$ && properties.$.lvl) || '0', 10);
+        const text = this.children(paragraph)
+          .map(run => {
+            if (run['#name'] === 'a:br') {
+              return '\n';
+            }
+            if (run['#name'] === 'a:r' || run['#name'] === 'a:fld') {
+              return this.children(run, 'a:t').map(node => node._ || '').join('');
+            }
+            return '';
+          })
+          .join('')
+          .replace(/[ \t]+/g, ' ')
+          .trim();
+        return text ? `${'  '.repeat(level)}${text}` : '';
+      })
+      .filter(Boolean)
+      .join('\n');
+  }
+
+  /**
+   * Get an element's children in order
+   * @param {Object} node - The parsed element
+   * @param {string} name - Only children with this name (optional)
+   * @returns {Array} - The child elements
+   */
+  static children(node, name = null) {
+    const children = (node && node.$$) || [];
+    return name ? children.filter(child => child['#name'] === name) : children;
+  }
+
+  /**
+   * Find a descendant by its path of element names
+   * @param {Object} node - The parsed element
+   * @param {Array<string>} names - e.g. ['p:nvSpPr', 'p:nvPr', 'p:ph']
+   * @returns {Object|null} - The first matching element
+   */
+  static find(node, names) {
+    return names.reduce((current, name) => (current ? this.children(current, name)[0] || null : null), node);
+  }
+}
+
+module.exports = PresentationReader;
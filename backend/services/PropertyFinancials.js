@@ -0,0 +1,449 @@
+const SpreadsheetReader = require('./SpreadsheetReader');
+const LeaseAbstractor = require('./LeaseAbstractor');
+
+// Rent roll columns and the headers they are recognized by, matched in this order
+// so e.g. "Rent/SF" is a rate, "Unit Size" an area and "Monthly Rent" isn't annual
+const RENT_ROLL_COLUMNS = [
+  ['tenant', /tenant|lessee|occupant|company/],
+  ['rentPerSF', /(?:\/|per\s*)\s*(?:r?sf|sq)|psf|\brate\b/],
+  ['rsf', /\br?sf\b|sq\.?\s*f(?:ee)?t|square\s*f|\barea\b|\bsize\b|\bnra\b/],
+  ['suite', /suite|unit|space|\bste\b/],
+  ['leaseStart', /start|commence|begin|\bfrom\b/],
+  ['leaseEnd', /\bend\b|expir|maturity|\bto\b/],
+  ['monthlyRent', /month|\/\s*mo\b/],
+  ['annualRent', /annual|year|\/\s*yr\b|\brent\b/]
+];
+
+// Rows searched for a table's header
+const HEADER_SEARCH_ROWS = 30;
+
+// Month columns a T-12 header needs
+const MIN_STATEMENT_MONTHS = 6;
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Operating statement rows that total other rows rather than adding a line
+const SUMMARY_LINE = /^(?:total|subtotal|net operating income|noi\b|effective gross|egi\b|gross (?:potential|operating) income|net (?:income|cash flow)|cash flow)/i;
+const NOI_LINE = /net operating income|^noi\b/i;
+const INCOME_SECTION = /^(?:income|revenues?|operating (?:income|revenues?)|rental income|receipts)$/i;
+const EXPENSE_SECTION = /expense|expenditure|operating costs/i;
+const INCOME_LINE = /rent|income|revenue|reimburse|recover|parking|vacancy|concession|bad debt|credit loss|fee income|laundry|storage/i;
+
+const DAYS_PER_YEAR = 365.25;
+const MS_PER_DAY = 86400000;
+
+/**
+ * Service for underwriting spreadsheets: detects rent roll and T-12 operating
+ * statement layouts, normalizes them into typed tables and derives WALT,
+ * occupancy, in-place rent and NOI
+ */
+class PropertyFinancials {
+  /**
+   * Find and normalize the rent roll and operating statement in a workbook
+   * @param {Array} sheets - [{ name, rows }] from SpreadsheetReader
+   * @returns {Object|null} - { rentRoll, operatingStatement } (either may be null),
+   *   or null if the workbook has neither
+   */
+  static fromSheets(sheets) {
+    let rentRoll = null;
+    let operatingStatement = null;
+
+    sheets.forEach(sheet => {
+      if (!rentRoll) {
+        rentRoll = this.parseRentRoll(sheet);
+      }
+      if (!operatingStatement) {
+        operatingStatement = this.parseOperatingStatement(sheet);
+      }
+    });
+
+    return rentRoll || operatingStatement ? { rentRoll, operatingStatement } : null;
+  }
+
+  /**
+   * Normalize a rent roll sheet
+   * @param {Object} sheet - { name, rows }
+   * @returns {Object|null} - { sheet, units: [{ tenant, suite, rsf, leaseStart, leaseEnd,
+   *   rentPerSF, annualRent, monthlyRent, vacant }] }, or null if the sheet isn't a rent roll
+   */
+  static parseRentRoll(sheet) {
+    const header = this.findRentRollHeader(sheet.rows);
+    if (!header) {
+      return null;
+    }
+
+    const { row: headerRow, columns, monthlyRate } = header;
+    const cell = (row, key) => (columns[key] === undefined ? null : row[columns[key]]);
+
+    const units = sheet.rows.slice(headerRow + 1)
+      .filter(row => !SUMMARY_LINE.test(String(row.find(value => value !== null && value !== '') || '')))
+      .map(row => {
+        const tenant = this.toText(cell(row, 'tenant'));
+        const suite = this.toText(cell(row, 'suite'));
+        const rsf = this.toNumber(cell(row, 'rsf'));
+        if (!tenant && !suite && rsf === null) {
+          return null;
+        }
+
+        const vacant = !tenant || /vacant|available/i.test(tenant);
+        const rate = this.toNumber(cell(row, 'rentPerSF'));
+        const monthlyRent = vacant ? null : this.toNumber(cell(row, 'monthlyRent'));
+        let annualRent = vacant ? null : this.toNumber(cell(row, 'annualRent'));
+        let rentPerSF = vacant || rate === null ? null : rate * (monthlyRate ? 12 : 1);
+
+        if (annualRent === null && monthlyRent !== null) {
+          annualRent = monthlyRent * 12;
+        }
+        if (annualRent === null && rentPerSF !== null && rsf) {
+          annualRent = rentPerSF * rsf;
+        }
+        if (rentPerSF === null && annualRent !== null && rsf) {
+          rentPerSF = annualRent / rsf;
+        }
+
+        return {
+          tenant: vacant ? null : tenant,
+          suite,
+          rsf,
+          leaseStart: this.toDate(cell(row, 'leaseStart')),
+          leaseEnd: this.toDate(cell(row, 'leaseEnd')),
+          rentPerSF: this.round(rentPerSF),
+          annualRent: this.round(annualRent),
+          monthlyRent: this.round(monthlyRent !== null ? monthlyRent : annualRent !== null ? annualRent / 12 : null),
+          vacant
+        };
+      })
+      .filter(Boolean);
+
+    return units.length > 0 ? { sheet: sheet.name, units } : null;
+  }
+
+  /**
+   * Find a rent roll's header row: one naming the area and the tenant or suite
+   * @param {Array} rows - The sheet rows
+   * @returns {Object|null} - { row, columns: { key: columnIndex }, monthlyRate }
+   */
+  static findRentRollHeader(rows) {
+    for (let index = 0; index < Math.min(rows.length, HEADER_SEARCH_ROWS); index += 1) {
+      const columns = {};
+      let monthlyRate = false;
+
+      rows[index].forEach((value, column) => {
+        const label = typeof value === 'string' ? value.toLowerCase().trim() : '';
+        const match = label && RENT_ROLL_COLUMNS.find(([key, pattern]) => columns[key] === undefined && pattern.test(label));
+        if (match) {
+          columns[match[0]] = column;
+          if (match[0] === 'rentPerSF' && /month|\/\s*mo\b/.test(label)) {
+            monthlyRate = true;
+          }
+        }
+      });
+
+      const hasRent = ['rentPerSF', 'annualRent', 'monthlyRent'].some(key => columns[key] !== undefined);
+      if (columns.rsf !== undefined && (columns.tenant !== undefined || columns.suite !== undefined) && hasRent) {
+        return { row: index, columns, monthlyRate };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Normalize a T-12 operating statement sheet: line items by month
+   * @param {Object} sheet - { name, rows }
+   * @returns {Object|null} - { sheet, months, lines: [{ label, category, monthly, total }], reportedNOI },
+   *   or null if the sheet isn't an operating statement
+   */
+  static parseOperatingStatement(sheet) {
+    const header = this.findStatementHeader(sheet.rows);
+    if (!header) {
+      return null;
+    }
+
+    const { row: headerRow, monthColumns, totalColumn } = header;
+    const firstMonthColumn = monthColumns[0].column;
+    const lines = [];
+    let section = null;
+    let reportedNOI = null;
+
+    for (const row of sheet.rows.slice(headerRow + 1)) {
+      const label = row.slice(0, firstMonthColumn)
+        .map(value => this.toText(value))
+        .filter(Boolean)
+        .join(' ');
+      if (!label) {
+        continue;
+      }
+
+      const monthly = monthColumns.map(({ column }) => this.toNumber(row[column]));
+      const stated = totalColumn === null ? null : this.toNumber(row[totalColumn]);
+      const hasValues = monthly.some(value => value !== null) || stated !== null;
+
+      // Lines below NOI (capital items, debt service) don't count towards it
+      if (NOI_LINE.test(label)) {
+        reportedNOI = hasValues ? this.round(stated !== null ? stated : this.sum(monthly)) : null;
+        break;
+      }
+      if (!hasValues) {
+        if (INCOME_SECTION.test(label)) section = 'income';
+        else if (EXPENSE_SECTION.test(label)) section = 'expense';
+        continue;
+      }
+      if (SUMMARY_LINE.test(label)) {
+        continue;
+      }
+
+      lines.push({
+        label,
+        category: section || (INCOME_LINE.test(label) ? 'income' : 'expense'),
+        monthly,
+        total: this.round(stated !== null ? stated : this.sum(monthly))
+      });
+    }
+
+    return lines.length > 0
+      ? { sheet: sheet.name, months: monthColumns.map(({ month }) => month), lines, reportedNOI }
+      : null;
+  }
+
+  /**
+   * Find a T-12 header row: one with a run of month columns
+   * @param {Array} rows - The sheet rows
+   * @returns {Object|null} - { row, monthColumns: [{ column, month }], totalColumn }
+   */
+  static findStatementHeader(rows) {
+    for (let index = 0; index < Math.min(rows.length, HEADER_SEARCH_ROWS); index += 1) {
+      const monthColumns = [];
+      rows[index].forEach((value, column) => {
+        const month = this.toMonth(value);
+        if (month) {
+          monthColumns.push({ column, month });
+        }
+      });
+
+      if (monthColumns.length >= MIN_STATEMENT_MONTHS) {
+        const last = monthColumns[monthColumns.length - 1].column;
+        const totalColumn = rows[index].findIndex((value, column) =>
+          column > last && typeof value === 'string' && /total|ytd|t-?12|annual/i.test(value));
+        return { row: index, monthColumns, totalColumn: totalColumn === -1 ? null : totalColumn };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Derive metrics from the normalized tables
+   * @param {Object} financials - { rentRoll, operatingStatement } from fromSheets()
+   * @param {Object} options - { asOf } (ISO date; defaults to today) for in-place rent and WALT
+   * @returns {Object} - { rentRoll, operatingStatement } metrics (null where there is no table)
+   */
+  static getMetrics(financials, { asOf } = {}) {
+    return {
+      rentRoll: financials.rentRoll ? this.getRentRollMetrics(financials.rentRoll, asOf) : null,
+      operatingStatement: financials.operatingStatement ? this.getStatementMetrics(financials.operatingStatement) : null
+    };
+  }
+
+  /**
+   * Derive occupancy, in-place rent and WALT from a rent roll. Leases that have
+   * expired by the as-of date count as vacant; WALT is weighted by annual rent
+   * (by area when the rent roll has no rents).
+   * @param {Object} rentRoll - { units }
+   * @param {string} asOf - ISO date (defaults to today)
+   * @returns {Object} - { asOf, units, totalRSF, occupiedRSF, occupancy, inPlaceRent,
+   *   inPlaceRentPerSF, walt, waltBasis }
+   */
+  static getRentRollMetrics({ units }, asOf = null) {
+    const date = asOf || new Date().toISOString().slice(0, 10);
+    const now = Date.parse(date);
+
+    const inPlace = units.filter(unit => !unit.vacant && !(unit.leaseEnd && Date.parse(unit.leaseEnd) < now));
+    const totalRSF = this.sum(units.map(unit => unit.rsf));
+    const occupiedRSF = this.sum(inPlace.map(unit => unit.rsf));
+    const inPlaceRent = this.sum(inPlace.map(unit => unit.annualRent));
+
+    const dated = inPlace.filter(unit => unit.leaseEnd);
+    const waltBasis = dated.some(unit => unit.annualRent) ? 'rent' : 'rsf';
+    const weight = unit => (waltBasis === 'rent' ? unit.annualRent || 0 : unit.rsf || 0);
+    const totalWeight = this.sum(dated.map(weight));
+    const walt = totalWeight > 0
+      ? this.sum(dated.map(unit => weight(unit) * Math.max(0, (Date.parse(unit.leaseEnd) - now) / MS_PER_DAY / DAYS_PER_YEAR))) / totalWeight
+      : null;
+
+    return {
+      asOf: date,
+      units: units.length,
+      totalRSF: this.round(totalRSF),
+      occupiedRSF: this.round(occupiedRSF),
+      occupancy: totalRSF > 0 ? this.round(occupiedRSF / totalRSF, 4) : null,
+      inPlaceRent: this.round(inPlaceRent),
+      inPlaceRentPerSF: occupiedRSF > 0 ? this.round(inPlaceRent / occupiedRSF) : null,
+      walt: walt === null ? null : this.round(walt),
+      waltBasis: walt === null ? null : waltBasis
+    };
+  }
+
+  /**
+   * Derive income, expenses and NOI from an operating statement
+   * @param {Object} statement - { months, lines, reportedNOI }
+   * @returns {Object} - { from, to, months, totalIncome, totalExpenses, noi, reportedNOI }
+   */
+  static getStatementMetrics({ months, lines, reportedNOI }) {
+    const totalIncome = this.sum(lines.filter(line => line.category === 'income').map(line => line.total));
+    const totalExpenses = this.sum(lines.filter(line => line.category === 'expense').map(line => line.total));
+
+    return {
+      from: months[0],
+      to: months[months.length - 1],
+      months: months.length,
+      totalIncome: this.round(totalIncome),
+      totalExpenses: this.round(totalExpenses),
+      noi: this.round(totalIncome - totalExpenses),
+      reportedNOI
+    };
+  }
+
+  /**
+   * Describe rent roll metrics for citation
+   * @param {Object} metrics - From getRentRollMetrics()
+   * @returns {string} - e.g. "Rent roll of 12 units as of 2025-01-01: ..."
+   */
+  static describeRentRoll(metrics) {
+    const parts = [`${this.formatNumber(metrics.totalRSF)} RSF`];
+    if (metrics.occupancy !== null) {
+      parts.push(`occupancy ${(metrics.occupancy * 100).toFixed(1)}% (${this.formatNumber(metrics.occupiedRSF)} RSF leased)`);
+    }
+    parts.push(`in-place rent $${this.formatNumber(metrics.inPlaceRent)} per year${metrics.inPlaceRentPerSF !== null ? ` ($${metrics.inPlaceRentPerSF.toFixed(2)}/RSF)` : ''}`);
+    if (metrics.walt !== null) {
+      parts.push(`WALT ${metrics.walt.toFixed(2)} years (weighted by ${metrics.waltBasis === 'rent' ? 'annual rent' : 'area'})`);
+    }
+    return `Rent roll of ${metrics.units} units as of ${metrics.asOf}: ${parts.join(', ')}.`;
+  }
+
+  /**
+   * Describe operating statement metrics for citation
+   * @param {Object} metrics - From getStatementMetrics()
+   * @returns {string} - e.g. "Operating statement for 2024-01 to 2024-12 (12 months): ..."
+   */
+  static describeStatement(metrics) {
+    const reported = metrics.reportedNOI !== null && metrics.reportedNOI !== metrics.noi
+      ? ` (the statement reports NOI of $${this.formatNumber(metrics.reportedNOI)})`
+      : '';
+    return `Operating statement for ${metrics.from} to ${metrics.to} (${metrics.months} months): ` +
+      `total income $${this.formatNumber(metrics.totalIncome)}, operating expenses $${this.formatNumber(metrics.totalExpenses)}, ` +
+      `net operating income (NOI) $${this.formatNumber(metrics.noi)}${reported}.`;
+  }
+
+  /**
+   * Read a column header as a month
+   * @param {*} value - e.g. "Jan-24", "January 2024", "2024-01", a date cell ("2024-01-31") or "Jan"
+   * @returns {string|null} - YYYY-MM, or --MM when the header has no year
+   */
+  static toMonth(value) {
+    if (typeof value !== 'string') {
+      return null;
+    }
+    const text = value.trim();
+
+    const iso = text.match(/^(\d{4})-(\d{2})(?:-\d{2})?$/);
+    if (iso) {
+      return `${iso[1]}-${iso[2]}`;
+    }
+
+    const numeric = text.match(/^(\d{1,2})\/(\d{4})$/);
+    if (numeric && +numeric[1] >= 1 && +numeric[1] <= 12) {
+      return `${numeric[2]}-${numeric[1].padStart(2, '0')}`;
+    }
+
+    const named = text.match(/^([a-z]{3})[a-z]*\.?(?:[\s\-'/]+(\d{2}|\d{4}))?$/i);
+    const month = named ? MONTH_NAMES.indexOf(named[1].toLowerCase()) + 1 : 0;
+    if (month === 0) {
+      return null;
+    }
+    const monthKey = String(month).padStart(2, '0');
+    if (!named[2]) {
+      return `--${monthKey}`;
+    }
+    return `${named[2].length === 2 ? `20${named[2]}` : named[2]}-${monthKey}`;
+  }
+
+  /**
+   * Read a cell as a number: "$1,234.50", "(1,200)" for negatives, "-" for none
+   * @param {*} value - The cell value
+   * @returns {number|null}
+   */
+  static toNumber(value) {
+    if (typeof value === 'number') {
+      return Number.isFinite(value) ? value : null;
+    }
+    if (typeof value !== 'string') {
+      return null;
+    }
+
+    const match = value.replace(/[$,\s]/g, '').match(/^(\()?(-)?(\d+(?:\.\d+)?|\.\d+)\)?$/);
+    if (!match) {
+      return null;
+    }
+    const number = parseFloat(match[3]);
+    return match[1] || match[2] ? -number : number;
+  }
+
+  /**
+   * Read a cell as an ISO date (date cells, date serials and written dates)
+   * @param {*} value - The cell value
+   * @returns {string|null} - YYYY-MM-DD
+   */
+  static toDate(value) {
+    if (typeof value === 'number') {
+      // Serial numbers of dates between 1954 and 2119
+      return value > 20000 && value < 80000 ? SpreadsheetReader.serialToDate(value) : null;
+    }
+    return typeof value === 'string' ? LeaseAbstractor.parseDate(value) : null;
+  }
+
+  /**
+   * Read a cell as text
+   * @param {*} value - The cell value
+   * @returns {string|null}
+   */
+  static toText(value) {
+    if (value === null || value === undefined || typeof value === 'boolean') {
+      return null;
+    }
+    const text = String(value).trim();
+    return text || null;
+  }
+
+  /**
+   * Add numbers, skipping missing ones
+   * @param {Array} values - Numbers or null
+   * @returns {number}
+   */
+  static sum(values) {
+    return values.reduce((total, value) => total + (typeof value === 'number' ? value : 0), 0);
+  }
+
+  /**
+   * Round a number
+   * @param {number|null} value - The number
+   * @param {number} digits - Decimal places
+   * @returns {number|null}
+   */
+  static round(value, digits = 2) {
+    if (value === null || value === undefined || !Number.isFinite(value)) {
+      return null;
+    }
+    const factor = Math.pow(10, digits);
+    return Math.round(value * factor) / factor;
+  }
+
+  /**
+   * Format a number with thousands separators
+   * @param {number} value - The number
+   * @returns {string}
+   */
+  static formatNumber(value) {
+    return Number(value).toLocaleString('en-US', { maximumFractionDigits: 2 });
+  }
+}
+
+module.exports = PropertyFinancials;
@@ -1,64 +1,217 @@
+/**
+ * Keyword-based query understanding, used offline and whenever the
+ * AI-based analysis in QueryUnderstanding is unavailable
+ */
 class QueryCategorizer {
+  // Research categories, matching the categories research sources declare
+  static CATEGORIES = ['sustainability', 'leasing', 'market'];
+
   // Keywords for category identification
   static sustainabilityKeywords = [
-    'sustainability', 'sustainable', 'green', 'eco', 'environmental', 'energy', 
-    'efficiency', 'leed', 'certification', 'carbon', 'footprint', 'renewable', 
-    'solar', 'climate', 'emissions', 'energy star'
+    'sustainability', 'sustainable', 'green', 'eco', 'environmental', 'energy',
+    'efficiency', 'leed', 'certification', 'carbon', 'footprint', 'renewable',
+    'solar', 'climate', 'emissions', 'energy star', 'net zero', 'esg'
   ];
-  
+
   static leasingKeywords = [
-    'lease', 'leasing', 'rent', 'rental', 'tenant', 'landlord', 'occupancy', 
-    'vacancy', 'square foot', 'sq ft', 'commercial space', 'office space', 
+    'lease', 'leasing', 'rent', 'rental', 'tenant', 'landlord', 'occupancy',
+    'vacancy', 'square foot', 'square footage', 'sq ft', 'commercial space', 'office space',
     'retail space', 'industrial space', 'warehouse', 'contract', 'agreement'
   ];
-  
+
   static marketTrendsKeywords = [
-    'market', 'trend', 'analysis', 'forecast', 'outlook', 'prediction', 
-    'projection', 'growth', 'decline', 'demand', 'supply', 'investment', 
-    'cap rate', 'yield', 'return', 'value', 'price', 'pricing', 'economic'
+    'market', 'trend', 'analysis', 'forecast', 'outlook', 'prediction',
+    'projection', 'growth', 'decline', 'demand', 'supply', 'investment',
+    'cap rate', 'yield', 'return', 'value', 'price', 'pricing', 'economic',
+    'appreciation'
   ];
-  
+
+  // Metro areas and the spellings users write them with
+  static metros = {
+    'New York': ['new york', 'nyc', 'manhattan', 'brooklyn'],
+    'Los Angeles': ['los angeles', ' la '],
+    'Chicago': ['chicago'],
+    'Dallas-Fort Worth': ['dallas', 'fort worth', 'dfw'],
+    'Houston': ['houston'],
+    'Washington DC': ['washington dc', 'washington, dc', 'd.c.'],
+    'Miami': ['miami'],
+    'Atlanta': ['atlanta'],
+    'Boston': ['boston'],
+    'San Francisco': ['san francisco', 'bay area'],
+    'Phoenix': ['phoenix'],
+    'Seattle': ['seattle'],
+    'Denver': ['denver'],
+    'Austin': ['austin'],
+    'Nashville': ['nashville'],
+    'Charlotte': ['charlotte'],
+    'San Diego': ['san diego'],
+    'Philadelphia': ['philadelphia'],
+    'Minneapolis': ['minneapolis'],
+    'San Jose': ['san jose', 'silicon valley']
+  };
+
+  static submarkets = [
+    'downtown', 'midtown', 'uptown', 'cbd', 'central business district',
+    'financial district', 'back bay', 'buckhead', 'hudson yards', 'soma',
+    'south lake union', 'river north', 'west loop'
+  ];
+
+  static propertyTypes = {
+    office: ['office'],
+    retail: ['retail', 'shopping center', 'mall'],
+    industrial: ['industrial', 'warehouse', 'logistics', 'distribution'],
+    multifamily: ['multifamily', 'multi-family', 'apartment'],
+    hospitality: ['hotel', 'hospitality'],
+    'data center': ['data center'],
+    'life science': ['life science', 'lab space'],
+    'self storage': ['self storage', 'self-storage'],
+    'mixed-use': ['mixed-use', 'mixed use']
+  };
+
+  static metrics = {
+    'cap rate': ['cap rate', 'capitalization rate'],
+    vacancy: ['vacancy', 'vacant'],
+    occupancy: ['occupancy'],
+    'rent/sf': ['rent/sf', 'rent per square foot', 'rent psf', 'asking rent', 'rental rate', 'lease rate'],
+    absorption: ['absorption'],
+    noi: ['noi', 'net operating income'],
+    'transaction volume': ['transaction volume', 'sales volume', 'deal volume'],
+    'construction pipeline': ['pipeline', 'under construction', 'deliveries', 'construction'],
+    'interest rates': ['interest rate', 'mortgage rate', 'financing cost']
+  };
+
   /**
-   * Categorize a query into one of the main research categories
+   * Analyze a query into scored categories and extracted entities
    * @param {string} query - The user's research query
-   * @returns {string} - The identified category
+   * @returns {Object} - { categories: [{ category, confidence }], entities, method }
    */
-  static async categorize(query) {
+  static analyze(query) {
     const queryLower = query.toLowerCase();
-    
-    // Check for sustainability keywords
-    const hasSustainabilityTerms = this.sustainabilityKeywords.some(keyword => 
-      queryLower.includes(keyword)
-    );
-    
-    // Check for leasing keywords
-    const hasLeasingTerms = this.leasingKeywords.some(keyword => 
-      queryLower.includes(keyword)
-    );
-    
-    // Check for market trends keywords
-    const hasMarketTerms = this.marketTrendsKeywords.some(keyword => 
-      queryLower.includes(keyword)
-    );
-    
-    // Count keyword matches for each category
-    const sustainabilityScore = this.countKeywordMatches(queryLower, this.sustainabilityKeywords);
-    const leasingScore = this.countKeywordMatches(queryLower, this.leasingKeywords);
-    const marketScore = this.countKeywordMatches(queryLower, this.marketTrendsKeywords);
-    
-    // Determine the category with the highest score
-    if (sustainabilityScore > leasingScore && sustainabilityScore > marketScore) {
-      return 'sustainability';
-    } else if (leasingScore > sustainabilityScore && leasingScore > marketScore) {
-      return 'leasing';
-    } else if (marketScore > sustainabilityScore && marketScore > leasingScore) {
-      return 'market_trends';
-    } else {
-      // Default to general if no clear category or tie
+
+    const scores = {
+      sustainability: this.countKeywordMatches(queryLower, this.sustainabilityKeywords),
+      leasing: this.countKeywordMatches(queryLower, this.leasingKeywords),
+      market: this.countKeywordMatches(queryLower, this.marketTrendsKeywords)
+    };
+
+    // Every category with a keyword match is a label; more matches, more confidence
+    const categories = Object.entries(scores)
+      .filter(([, score]) => score > 0)
+      .map(([category, score]) => ({
+        category,
+        confidence: Math.min(0.95, 0.5 + 0.15 * (score - 1))
+      }))
+      .sort((a, b) => b.confidence - a.confidence);
+
+    return {
+      categories: categories.length > 0 ? categories : [{ category: 'general', confidence: 1 }],
+      entities: this.extractEntities(query),
+      method: 'keyword'
+    };
+  }
+
+  /**
+   * Categorize a query into its single best research category
+   * @param {string} query - The user's research query
+   * @returns {string} - The identified category
+   */
+  static categorize(query) {
+    const { categories } = this.analyze(query);
+
+    // A tie between the top categories is treated as a general query
+    if (categories.length > 1 && categories[0].confidence === categories[1].confidence) {
       return 'general';
     }
+
+    return categories[0].category;
   }
-  
+
+  /**
+   * Extract CRE entities from a query
+   * @param {string} query - The user's research query
+   * @returns {Object} - { metro, submarket, propertyType, timeHorizon, metrics, namedEntities }
+   */
+  static extractEntities(query) {
+    const queryLower = ` ${query.toLowerCase()} `;
+
+    const metro = Object.keys(this.metros).find(name =>
+      this.metros[name].some(alias => queryLower.includes(alias))
+    ) || null;
+
+    const submarket = this.submarkets.find(name => queryLower.includes(name)) || null;
+
+    const propertyType = Object.keys(this.propertyTypes).find(type =>
+      this.propertyTypes[type].some(alias => queryLower.includes(alias))
+    ) || null;
+
+    const metrics = Object.keys(this.metrics).filter(metric =>
+      this.metrics[metric].some(alias => queryLower.includes(alias))
+    );
+
+    return {
+      metro,
+      submarket,
+      propertyType,
+      timeHorizon: this.extractTimeHorizon(query),
+      metrics,
+      namedEntities: this.extractNamedEntities(query)
+    };
+  }
+
+  /**
+   * Extract the time horizon a query asks about
+   * @param {string} query - The user's research query
+   * @returns {string|null} - e.g. "Q2 2024", "next 5 years", "2023"
+   */
+  static extractTimeHorizon(query) {
+    const patterns = [
+      /\bQ[1-4]\s*(?:19|20)\d{2}\b/i,
+      /\b(?:next|past|last|coming)\s+(?:\d+|one|two|three|five|ten)\s+(?:years?|quarters?|months?)\b/i,
+      /\b(?:19|20)\d{2}\s*(?:-|to|through)\s*(?:19|20)\d{2}\b/,
+      /\b(?:year[- ]over[- ]year|yoy|year to date|ytd)\b/i,
+      /\b(?:19|20)\d{2}\b/
+    ];
+
+    for (const pattern of patterns) {
+      const match = query.match(pattern);
+      if (match) {
+        return match[0];
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Extract names of buildings, companies and other proper nouns from a query.
+   * Capitalized phrases are taken as names unless they are known metros,
+   * submarkets or property types.
+   * @param {string} query - The user's research query
+   * @returns {Array<string>} - Named entities
+   */
+  static extractNamedEntities(query) {
+    const known = [
+      ...Object.keys(this.metros),
+      ...Object.values(this.metros).flat(),
+      ...this.submarkets,
+      ...Object.values(this.propertyTypes).flat()
+    ].map(name => name.trim().toLowerCase());
+
+    const leadingSpace = query.length - query.trimStart().length;
+
+    return Array.from(query.matchAll(/\b[A-Z][\w&.'-]*(?:\s+(?:of|at|the|&)?\s*[A-Z][\w&.'-]*)*/g))
+      .map(match => {
+        // The query's first word is capitalized as the start of a sentence, not as a name
+        if (match.index === leadingSpace) {
+          return match[0].split(/\s+/).slice(1).join(' ');
+        }
+        return match[0];
+      })
+      .map(phrase => phrase.trim())
+      .filter(phrase => phrase && !known.includes(phrase.toLowerCase()))
+      .filter(phrase => !/^(CRE|Q[1-4]|ESG|LEED|NOI|YoY|I)$/i.test(phrase));
+  }
+
   /**
    * Count the number of keyword matches in a query
    * @param {string} query - The lowercase query
@@ -67,9 +220,12 @@ class QueryCategorizer {
    */
   static countKeywordMatches(query, keywords) {
     return keywords.reduce((count, keyword) => {
-      return count + (query.includes(keyword) ? 1 : 0);
+      // Match whole words (allowing plurals) so "rent" doesn't match "current"
+      const escaped = keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      const pattern = new RegExp(`\\b${escaped}(?:s|es)?\\b`);
+      return count + (pattern.test(query) ? 1 : 0);
     }, 0);
   }
 }
 
-module.exports = QueryCategorizer; 
\ No newline at end of file
+module.exports = QueryCategorizer;
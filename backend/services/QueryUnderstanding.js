@@ -0,0 +1,152 @@
+const AIService = require('./AIService');
+const QueryCategorizer = require('./QueryCategorizer');
+const { getDefaultProviderName } = require('../providers');
+
+// Categories below this confidence don't select research sources
+const MIN_CONFIDENCE = 0.5;
+
+const ENTITY_FIELDS = ['metro', 'submarket', 'propertyType', 'timeHorizon'];
+
+const understandingPrompt = `
+You analyze commercial real estate (CRE) research queries. Respond with a single JSON object and nothing else:
+{
+  "categories": [{ "category": "sustainability" | "leasing" | "market", "confidence": 0.0-1.0 }],
+  "entities": {
+    "metro": string | null,          // metro area, e.g. "Dallas-Fort Worth"
+    "submarket": string | null,      // e.g. "Uptown", "CBD"
+    "propertyType": string | null,   // office, retail, industrial, multifamily, hospitality, data center, life science, self storage, mixed-use
+    "timeHorizon": string | null,    // e.g. "Q2 2024", "next 5 years"
+    "metrics": string[],             // from: cap rate, vacancy, occupancy, rent/sf, absorption, noi, transaction volume, construction pipeline, interest rates
+    "namedEntities": string[]        // named buildings, companies, funds
+  }
+}
+Include every category that applies, with your confidence. Use an empty categories array if none applies.
+`;
+
+/**
+ * Service for understanding research queries: multi-label categories with
+ * confidence scores and extracted CRE entities. Uses the AI provider when one
+ * is configured and falls back to QueryCategorizer's keyword analysis.
+ */
+class QueryUnderstanding {
+  /**
+   * Analyze a research query
+   * @param {string} query - The user's research query
+   * @param {Object} options - Analysis options ({ provider })
+   * @returns {Promise<Object>} - { categories: [{ category, confidence }], entities, method }
+   */
+  static async analyze(query, { provider } = {}) {
+    if (!this.useAI(provider)) {
+      return QueryCategorizer.analyze(query);
+    }
+
+    try {
+      const response = await AIService.complete([
+        { role: 'system', content: understandingPrompt },
+        { role: 'user', content: query }
+      ], { provider, temperature: 0, maxTokens: 400 });
+
+      return this.normalize(this.parseJSON(response), query);
+    } catch (error) {
+      console.warn('AI query understanding failed, using keyword analysis:', error.message);
+      return QueryCategorizer.analyze(query);
+    }
+  }
+
+  /**
+   * Get the categories confident enough to select research sources
+   * @param {Object} understanding - The result of analyze()
+   * @returns {Array<string>} - Category names, or ['general'] if none qualify
+   */
+  static getSelectedCategories(understanding) {
+    const selected = understanding.categories
+      .filter(({ confidence }) => confidence >= MIN_CONFIDENCE)
+      .map(({ category }) => category);
+
+    return selected.length > 0 ? selected : ['general'];
+  }
+
+  /**
+   * Whether AI-based understanding should be attempted
+   * @param {string} provider - The provider for this research run (defaults to AI_PROVIDER)
+   * @returns {boolean}
+   */
+  static useAI(provider = getDefaultProviderName()) {
+    const mode = (process.env.QUERY_UNDERSTANDING || 'ai').toLowerCase();
+    return mode !== 'keyword' && provider !== 'local';
+  }
+
+  /**
+   * Parse a JSON object out of a model response, tolerating code fences
+   * @param {string} text - The model response
+   * @returns {Object} - The parsed object
+   */
+  static parseJSON(text) {
+    const start = text.indexOf('{');
+    const end = text.lastIndexOf('}');
+
+    if (start === -1 || end === -1) {
+      throw new Error('Response did not contain a JSON object');
+    }
+
+    return JSON.parse(text.slice(start, end + 1));
+  }
+
+  /**
+   * Validate a model analysis, filling gaps from the keyword analysis
+   * @param {Object} analysis - Parsed model output
+   * @param {string} query - The user's research query
+   * @returns {Object} - { categories, entities, method }
+   */
+  static normalize(analysis, query) {
+    const fallback = QueryCategorizer.extractEntities(query);
+    const entities = analysis.entities || {};
+
+    const categories = (Array.isArray(analysis.categories) ? analysis.categories : [])
+      .filter(item => item && QueryCategorizer.CATEGORIES.includes(item.category))
+      .map(item => ({
+        category: item.category,
+        confidence: Math.max(0, Math.min(1, Number(item.confidence) || 0))
+      }))
+      .sort((a, b) => b.confidence - a.confidence);
+
+    const normalizedEntities = {};
+    ENTITY_FIELDS.forEach(field => {
+      normalizedEntities[field] = typeof entities[field] === 'string' && entities[field].trim()
+        ? entities[field].trim()
+        : fallback[field];
+    });
+    normalizedEntities.metrics = Array.isArray(entities.metrics) ? entities.metrics.map(String) : fallback.metrics;
+    normalizedEntities.namedEntities = Array.isArray(entities.namedEntities)
+      ? entities.namedEntities.map(String)
+      : fallback.namedEntities;
+
+    return {
+      categories: categories.length > 0 ? categories : [{ category: 'general', confidence: 1 }],
+      entities: normalizedEntities,
+      method: 'ai'
+    };
+  }
+
+  /**
+   * Describe extracted entities for the research steps
+   * @param {Object} entities - Extracted entities
+   * @returns {string} - e.g. "metro: Dallas-Fort Worth, propertyType: office"
+   */
+  static describeEntities(entities) {
+    const parts = ENTITY_FIELDS
+      .filter(field => entities[field])
+      .map(field => `${field}: ${entities[field]}`);
+
+    if (entities.metrics.length > 0) {
+      parts.push(`metrics: ${entities.metrics.join(', ')}`);
+    }
+    if (entities.namedEntities.length > 0) {
+      parts.push(`names: ${entities.namedEntities.join(', ')}`);
+    }
+
+    return parts.length > 0 ? parts.join('; ') : 'none';
+  }
+}
+
+module.exports = QueryUnderstanding;
@@ -1,5 +1,7 @@
 const axios = require('axios');
 const xml2js = require('xml2js');
+const DateRange = require('./DateRange');
+const { PROVENANCE } = require('../config/dataMode');
 
 /**
  * Service for retrieving news from RSS feeds
@@ -27,10 +29,10 @@ class RSSFeedService {
   /**
    * Search for news relevant to the query
    * @param {string} query - The search query
+   * @param {Object} options - Request options ({ signal, dateRange })
    * @returns {Array} - Results with citation information
    */
-  static async searchNews(query) {
-    const results = [];
+  static async searchNews(query, { signal, dateRange } = {}) {
     const queryTerms = query.toLowerCase().split(' ');
     
     // Function to score article relevance
@@ -56,73 +58,85 @@ class RSSFeedService {
     try {
       console.log(`Searching CRE news feeds for: ${query}`);
       
-      // Process each feed source
-      for (const feed of this.feedSources) {
-        try {
-          const response = await axios.get(feed.url, {
-            headers: {
-              'User-Agent': 'Mozilla/5.0 (compatible; CRE Research Agent Bot/1.0)'
-            },
-            timeout: 5000 // 5 second timeout
-          });
-          
-          // Parse XML
-          const parser = new xml2js.Parser({ explicitArray: false });
-          const result = await parser.parseStringPromise(response.data);
-          
-          let items = [];
-          if (result.rss && result.rss.channel) {
-            items = Array.isArray(result.rss.channel.item) ? 
-              result.rss.channel.item : 
-              (result.rss.channel.item ? [result.rss.channel.item] : []);
-          } else if (result.feed && result.feed.entry) {
-            items = Array.isArray(result.feed.entry) ? 
-              result.feed.entry : 
-              (result.feed.entry ? [result.feed.entry] : []);
-          }
-          
-          // Score and filter items
-          const scoredItems = items.map(item => {
-            const title = item.title || '';
-            const description = item.description || item.summary || '';
-            const score = scoreRelevance(title, description);
-            
-            return { item, score };
-          }).filter(({ score }) => score > 0);
-          
-          // Sort by relevance
-          scoredItems.sort((a, b) => b.score - a.score);
-          
-          // Take top 2 items
-          const topItems = scoredItems.slice(0, 2);
-          
-          // Format and add to results
-          topItems.forEach(({ item }) => {
-            const pubDate = item.pubDate || item.published || new Date().toISOString();
-            const link = item.link?.$?.href || item.link || '#';
-            const authors = item.author?.name || item.creator || feed.name;
-            
-            results.push({
-              title: item.title,
-              authors: typeof authors === 'string' ? authors : 'News Staff',
-              date: new Date(pubDate).toLocaleDateString(),
-              source: feed.source,
-              link: typeof link === 'string' ? link : '#',
-              summary: item.description || item.summary || 'No description available',
-              type: 'news_article'
-            });
-          });
-        } catch (feedError) {
-          console.warn(`Error fetching ${feed.name} feed:`, feedError.message);
-        }
-      }
+      // Fetch all feed sources in parallel
+      const feedResults = await Promise.all(
+        this.feedSources.map(feed => this.searchFeed(feed, scoreRelevance, signal, dateRange))
+      );
       
-      return results;
+      return feedResults.flat();
     } catch (error) {
       console.error('RSS feed search error:', error);
       return [];
     }
   }
+  
+  /**
+   * Fetch a single feed and return its most relevant items published within the date range
+   * @param {Object} feed - The feed source
+   * @param {Function} scoreRelevance - Scores an item by (title, description)
+   * @param {AbortSignal} signal - Cancels the request
+   * @param {Object} dateRange - The research date range (optional)
+   * @returns {Array} - Results with citation information
+   */
+  static async searchFeed(feed, scoreRelevance, signal, dateRange = null) {
+    try {
+      const response = await axios.get(feed.url, {
+        headers: {
+          'User-Agent': 'Mozilla/5.0 (compatible; CRE Research Agent Bot/1.0)'
+        },
+        timeout: 5000, // 5 second timeout
+        signal
+      });
+      
+      // Parse XML
+      const parser = new xml2js.Parser({ explicitArray: false });
+      const result = await parser.parseStringPromise(response.data);
+      
+      let items = [];
+      if (result.rss && result.rss.channel) {
+        items = Array.isArray(result.rss.channel.item) ? 
+          result.rss.channel.item : 
+          (result.rss.channel.item ? [result.rss.channel.item] : []);
+      } else if (result.feed && result.feed.entry) {
+        items = Array.isArray(result.feed.entry) ? 
+          result.feed.entry : 
+          (result.feed.entry ? [result.feed.entry] : []);
+      }
+      
+      // Score and filter items
+      const scoredItems = items.map(item => {
+        const title = item.title || '';
+        const description = item.description || item.summary || '';
+        const score = scoreRelevance(title, description);
+        const date = DateRange.toISODate(item.pubDate || item.published);
+        
+        return { item, score, date };
+      }).filter(({ score, date }) => score > 0 && DateRange.includes(dateRange, { date }));
+      
+      // Sort by relevance
+      scoredItems.sort((a, b) => b.score - a.score);
+      
+      // Take top 2 items and format them
+      return scoredItems.slice(0, 2).map(({ item, date }) => {
+        const link = item.link?.$?.href || item.link || '#';
+        const authors = item.author?.name || item.creator || feed.name;
+        
+        return {
+          title: item.title,
+          authors: typeof authors === 'string' ? authors : 'News Staff',
+          date,
+          source: feed.source,
+          link: typeof link === 'string' ? link : '#',
+          summary: item.description || item.summary || 'No description available',
+          type: 'news_article',
+          provenance: PROVENANCE.LIVE
+        };
+      });
+    } catch (feedError) {
+      console.warn(`Error fetching ${feed.name} feed:`, feedError.message);
+      return [];
+    }
+  }
 }
 
 module.exports = RSSFeedService; 
\ No newline at end of file
@@ -0,0 +1,175 @@
+const { getCache, cacheKey } = require('../cache');
+const { PROVENANCE, getDataMode } = require('../config/dataMode');
+const { getDefaultProviderName } = require('../providers');
+
+// Default time a full research answer is reused (0 turns the answer cache off)
+const DEFAULT_ANSWER_TTL = 0;
+
+/**
+ * Service for caching source results and full research answers.
+ * Sources opt in with a `cacheTtl` on their descriptor; the answer cache is
+ * enabled with ANSWER_CACHE_TTL_MS.
+ */
+class ResearchCache {
+  /**
+   * Get a source's cached results for a query
+   * @param {Object} source - The source descriptor
+   * @param {string} query - The research query
+   * @param {Object} context - Research context ({ entities, dateRange })
+   * @returns {Promise<Object|null>} - { results, storedAt } with results marked as cached, or null
+   */
+  static async getSourceResults(source, query, context) {
+    const entry = await getCache().get(this.sourceKey(source, query, context));
+    if (!entry) {
+      return null;
+    }
+
+    return {
+      results: this.markCached(entry.value, entry.storedAt),
+      storedAt: entry.storedAt
+    };
+  }
+
+  /**
+   * Cache a source's results for a query for the source's cacheTtl
+   * @param {Object} source - The source descriptor
+   * @param {string} query - The research query
+   * @param {Object} context - Research context ({ entities, dateRange })
+   * @param {Array} results - Normalized results
+   * @returns {Promise<void>}
+   */
+  static async storeSourceResults(source, query, context, results) {
+    await getCache().set(this.sourceKey(source, query, context), results, source.cacheTtl);
+  }
+
+  /**
+   * Get a cached research answer
+   * @param {string} key - The answer key from answerKey()
+   * @returns {Promise<Object|null>} - The answer with cached citations, cached and cachedAt, or null
+   */
+  static async getAnswer(key) {
+    if (this.getAnswerTtl() <= 0) {
+      return null;
+    }
+
+    const entry = await getCache().get(key);
+    if (!entry) {
+      return null;
+    }
+
+    return {
+      ...entry.value,
+      citations: this.markCached(entry.value.citations || [], entry.storedAt),
+      cached: true,
+      cachedAt: entry.storedAt
+    };
+  }
+
+  /**
+   * Cache a research answer. Answers cut off at the token limit are not cached.
+   * @param {string} key - The answer key from answerKey()
+   * @param {Object} answer - The AI response with citations
+   * @returns {Promise<void>}
+   */
+  static async storeAnswer(key, answer) {
+    const ttl = this.getAnswerTtl();
+    if (ttl <= 0 || answer.stopReason === 'max_tokens') {
+      return;
+    }
+
+    const { response, structured, comparison, answerFormat, citations, verification, provider, model, stopReason } = answer;
+    await getCache().set(key, { response, structured, comparison, answerFormat, citations, verification, provider, model, stopReason }, ttl);
+  }
+
+  /**
+   * Build the cache key of a research answer
+   * @param {Object} request - { query, categories, documentContext, provider, answerFormat, researchMode,
+   *   dateRange, documentIds } where documentIds are the library documents the research could draw on
+   * @returns {string} - The cache key
+   */
+  static answerKey({ query, categories, documentContext, provider, answerFormat, researchMode, dateRange, documentIds = [] }) {
+    return cacheKey(
+      'answer',
+      this.normalizeQuery(query),
+      [...categories].sort(),
+      documentContext || null,
+      provider || getDefaultProviderName(),
+      answerFormat || 'markdown',
+      researchMode || 'research',
+      dateRange || null,
+      documentIds,
+      getDataMode()
+    );
+  }
+
+  /**
+   * Build the cache key of a source's results
+   * @param {Object} source - The source descriptor
+   * @param {string} query - The research query
+   * @param {Object} context - Research context ({ entities, dateRange })
+   * @returns {string} - The cache key
+   */
+  static sourceKey(source, query, context = {}) {
+    return cacheKey(
+      `source:${source.id}`,
+      this.normalizeQuery(query),
+      context.entities || null,
+      context.dateRange || null,
+      getDataMode()
+    );
+  }
+
+  /**
+   * Normalize a query so trivially different phrasings share cache entries
+   * @param {string} query - The research query
+   * @returns {string} - Lowercase query without punctuation or repeated whitespace
+   */
+  static normalizeQuery(query) {
+    return query
+      .toLowerCase()
+      .replace(/[^\w\s/&-]/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Label live results served from the cache as cached
+   * @param {Array} results - Results or citations
+   * @param {string} storedAt - When the entry was cached
+   * @returns {Array} - The labelled results
+   */
+  static markCached(results, storedAt) {
+    return results.map(result => ({
+      ...result,
+      provenance: result.provenance === PROVENANCE.LIVE ? PROVENANCE.CACHED : result.provenance,
+      cachedAt: storedAt
+    }));
+  }
+
+  /**
+   * Describe how long ago an entry was cached
+   * @param {string} storedAt - When the entry was cached
+   * @returns {string} - e.g. "4 minutes ago"
+   */
+  static describeAge(storedAt) {
+    const minutes = Math.round((Date.now() - new Date(storedAt).getTime()) / 60000);
+
+    if (minutes < 1) {
+      return 'less than a minute ago';
+    }
+    if (minutes < 120) {
+      return `${minutes} minute${minutes === 1 ? '' : 's'} ago`;
+    }
+    return `${Math.round(minutes / 60)} hours ago`;
+  }
+
+  /**
+   * Get how long research answers are cached
+   * @returns {number} - TTL in milliseconds (0 when the answer cache is off)
+   */
+  static getAnswerTtl() {
+    return parseInt(process.env.ANSWER_CACHE_TTL_MS || String(DEFAULT_ANSWER_TTL), 10);
+  }
+}
+
+module.exports = ResearchCache;
@@ -0,0 +1,189 @@
+const SourceRegistry = require('./SourceRegistry');
+const ResearchProgress = require('./ResearchProgress');
+const ResearchCache = require('./ResearchCache');
+
+/**
+ * Service for running research sources concurrently within a time budget
+ */
+class ResearchExecutor {
+  // Default total time budget for a research run
+  static DEFAULT_BUDGET = 30000;
+
+  /**
+   * Run sources in parallel. Each source is aborted when its own timeout or the
+   * overall budget runs out; whatever returned in time is kept.
+   * @param {Array} sources - Source descriptors to run
+   * @param {string} query - The research query
+   * @param {Object} context - Research context ({ sessionId, workspace, categories, entities, dateRange,
+   *   compareDocuments, researchMode, documentIds, forceRefresh })
+   * @param {Object} options - Execution options
+   * @param {number} options.budget - Total time budget in milliseconds
+   * @returns {Promise<Array>} - One outcome per source:
+   *   { source, status: 'ok' | 'timeout' | 'error', durationMs, results, error, cached, cachedAt }
+   */
+  static async run(sources, query, context = {}, { budget = this.getBudget() } = {}) {
+    const budgetController = new AbortController();
+    const budgetTimer = setTimeout(() => {
+      budgetController.abort(new Error(`Research time budget of ${budget} ms exhausted`));
+    }, budget);
+
+    try {
+      return await Promise.all(sources.map(source =>
+        this.runSource(source, query, context, budgetController.signal)
+      ));
+    } finally {
+      clearTimeout(budgetTimer);
+    }
+  }
+
+  /**
+   * Run a single source, serving its results from the cache when it has a
+   * cacheTtl and a fresh entry exists, and record the outcome as a research step
+   * @param {Object} source - The source descriptor
+   * @param {string} query - The research query
+   * @param {Object} context - Research context
+   * @param {AbortSignal} budgetSignal - Aborted when the overall budget runs out
+   * @returns {Promise<Object>} - The source outcome
+   */
+  static async runSource(source, query, context, budgetSignal) {
+    const { sessionId } = context;
+    const useCache = source.cacheTtl > 0;
+
+    if (useCache && !context.forceRefresh) {
+      const outcome = await this.fromCache(source, query, context);
+      if (outcome) {
+        ResearchProgress.addStep(sessionId, {
+          step: this.describeOutcome(outcome),
+          source: source.name,
+          status: outcome.status,
+          durationMs: outcome.durationMs,
+          resultCount: outcome.results.length,
+          cached: true
+        });
+        return outcome;
+      }
+    }
+
+    const controller = new AbortController();
+    const started = Date.now();
+
+    const abortOnBudget = () => controller.abort(budgetSignal.reason);
+    budgetSignal.addEventListener('abort', abortOnBudget);
+    const timer = setTimeout(() => {
+      controller.abort(new Error(`${source.name} timed out after ${source.timeout} ms`));
+    }, source.timeout);
+
+    ResearchProgress.addStep(sessionId, {
+      step: source.step || `Searching ${source.name}`,
+      source: source.name
+    });
+
+    const outcome = { source, status: 'ok', results: [], error: null, cached: false };
+
+    try {
+      outcome.results = await Promise.race([
+        SourceRegistry.search(source, query, { ...context, signal: controller.signal }),
+        this.whenAborted(controller.signal)
+      ]);
+    } catch (error) {
+      outcome.status = controller.signal.aborted ? 'timeout' : 'error';
+      outcome.error = controller.signal.aborted ? controller.signal.reason.message : error.message;
+
+      if (outcome.status === 'error') {
+        console.error(`Research source ${source.id} failed:`, error);
+      }
+    } finally {
+      clearTimeout(timer);
+      budgetSignal.removeEventListener('abort', abortOnBudget);
+    }
+
+    outcome.durationMs = Date.now() - started;
+
+    if (useCache && outcome.status === 'ok' && outcome.results.length > 0) {
+      ResearchCache.storeSourceResults(source, query, context, outcome.results)
+        .catch(error => console.error(`Error caching results of ${source.id}:`, error));
+    }
+
+    ResearchProgress.addStep(sessionId, {
+      step: this.describeOutcome(outcome),
+      source: source.name,
+      status: outcome.status,
+      durationMs: outcome.durationMs,
+      resultCount: outcome.results.length
+    });
+
+    return outcome;
+  }
+
+  /**
+   * Build an outcome from a source's cached results
+   * @param {Object} source - The source descriptor
+   * @param {string} query - The research query
+   * @param {Object} context - Research context
+   * @returns {Promise<Object|null>} - The cached outcome, or null on a miss
+   */
+  static async fromCache(source, query, context) {
+    const started = Date.now();
+
+    try {
+      const entry = await ResearchCache.getSourceResults(source, query, context);
+      if (!entry) {
+        return null;
+      }
+
+      return {
+        source,
+        status: 'ok',
+        results: entry.results,
+        error: null,
+        cached: true,
+        cachedAt: entry.storedAt,
+        durationMs: Date.now() - started
+      };
+    } catch (error) {
+      console.error(`Error reading cached results of ${source.id}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Create a promise that rejects once a signal is aborted, so sources that
+   * ignore the signal are still abandoned on time
+   * @param {AbortSignal} signal - The abort signal
+   * @returns {Promise<never>}
+   */
+  static whenAborted(signal) {
+    return new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(signal.reason), { once: true });
+    });
+  }
+
+  /**
+   * Describe a source outcome for the research steps
+   * @param {Object} outcome - The source outcome
+   * @returns {string} - Step description
+   */
+  static describeOutcome({ source, status, durationMs, results, error, cached, cachedAt }) {
+    switch (status) {
+      case 'ok':
+        if (cached) {
+          return `${source.name}: ${results.length} results from cache (stored ${ResearchCache.describeAge(cachedAt)})`;
+        }
+        return `${source.name}: ok, ${results.length} results in ${durationMs} ms`;
+      case 'timeout':
+        return `${source.name}: timeout after ${durationMs} ms (${error})`;
+      default:
+        return `${source.name}: error after ${durationMs} ms (${error})`;
+    }
+  }
+
+  /**
+   * Get the total research time budget from the environment
+   * @returns {number} - Budget in milliseconds
+   */
+  static getBudget() {
+    return parseInt(process.env.RESEARCH_BUDGET_MS || String(this.DEFAULT_BUDGET), 10);
+  }
+}
+
+module.exports = ResearchExecutor;
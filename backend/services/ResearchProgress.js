@@ -0,0 +1,210 @@
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const { getSessionRepository } = require('../repositories');
+
+/**
+ * Service for tracking research progress and broadcasting it to stream subscribers.
+ * Progress is persisted through the session repository.
+ */
+class ResearchProgress {
+  static emitter = new EventEmitter().setMaxListeners(0);
+
+  // Pending repository writes per session, chained so steps are stored in order
+  static writes = new Map();
+
+  /**
+   * Start tracking a new research run for a session
+   * @param {string} sessionId - Session identifier
+   * @param {Object} fields - Initial session fields (e.g. { query })
+   */
+  static start(sessionId, fields = {}) {
+    this.enqueue(sessionId, repository => repository.startRun(sessionId, fields));
+    this.emit(sessionId, 'start', { sessionId, timestamp: new Date().toISOString() });
+  }
+
+  /**
+   * Record a research step and push it to subscribers
+   * @param {string} sessionId - Session identifier
+   * @param {Object} step - Step details ({ step, source })
+   */
+  static addStep(sessionId, step) {
+    if (!sessionId) {
+      return;
+    }
+
+    const entry = {
+      id: crypto.randomUUID(),
+      ...step,
+      timestamp: new Date().toISOString()
+    };
+
+    this.enqueue(sessionId, repository => repository.appendStep(sessionId, entry));
+    this.emit(sessionId, 'step', entry);
+  }
+
+  /**
+   * Push a piece of the streamed AI answer to subscribers. Tokens are not
+   * persisted; the full answer is stored by complete().
+   * @param {string} sessionId - Session identifier
+   * @param {string} text - The streamed text
+   */
+  static addToken(sessionId, text) {
+    if (!sessionId) {
+      return;
+    }
+
+    this.emit(sessionId, 'token', { text });
+  }
+
+  /**
+   * Store additional fields on the session (category, raw results, ...)
+   * @param {string} sessionId - Session identifier
+   * @param {Object} fields - Fields to store
+   */
+  static record(sessionId, fields) {
+    if (!sessionId) {
+      return;
+    }
+
+    this.enqueue(sessionId, repository => repository.update(sessionId, fields));
+  }
+
+  /**
+   * Mark a research run as complete and push the final answer to subscribers
+   * @param {string} sessionId - Session identifier
+   * @param {Object} result - The final AI response with citations
+   */
+  static complete(sessionId, result) {
+    if (!sessionId) {
+      return;
+    }
+
+    this.enqueue(sessionId, repository => repository.update(sessionId, {
+      response: result.response,
+      structured: result.structured || null,
+      citations: result.citations,
+      complete: true
+    }));
+
+    this.emit(sessionId, 'result', result);
+    this.emit(sessionId, 'complete', { sessionId, timestamp: new Date().toISOString() });
+  }
+
+  /**
+   * Mark a research run as failed and notify subscribers
+   * @param {string} sessionId - Session identifier
+   * @param {Error} error - The error that stopped the research
+   */
+  static fail(sessionId, error) {
+    if (!sessionId) {
+      return;
+    }
+
+    this.enqueue(sessionId, repository => repository.update(sessionId, {
+      error: error.message,
+      complete: true
+    }));
+
+    this.emit(sessionId, 'failed', { message: error.message, timestamp: new Date().toISOString() });
+  }
+
+  /**
+   * Get the current status of a session's research
+   * @param {string} sessionId - Session identifier
+   * @returns {Promise<Object>} - The recorded steps and completion flag
+   */
+  static async getStatus(sessionId) {
+    await this.flush(sessionId);
+    const session = await getSessionRepository().get(sessionId);
+
+    return {
+      steps: session ? session.steps : [],
+      complete: session ? session.complete : false,
+      active: Boolean(session) && !session.complete
+    };
+  }
+
+  /**
+   * Subscribe to progress events for a session
+   * @param {string} sessionId - Session identifier
+   * @param {Function} listener - Called with (event, data) for every event
+   * @returns {Function} - Unsubscribe function
+   */
+  static subscribe(sessionId, listener) {
+    // Hold live events back until the steps of a run in progress have been replayed
+    let buffered = [];
+    const handler = ({ event, data }) => {
+      if (buffered) {
+        buffered.push({ event, data });
+      } else {
+        listener(event, data);
+      }
+    };
+    this.emitter.on(sessionId, handler);
+
+    this.getStatus(sessionId)
+      .then(({ steps, active }) => {
+        const replayed = new Set();
+        if (active) {
+          steps.forEach(step => {
+            replayed.add(step.id);
+            listener('step', step);
+          });
+        }
+        return replayed;
+      })
+      .catch(error => {
+        console.error('Error replaying research steps:', error);
+        return new Set();
+      })
+      .then(replayed => {
+        const pending = buffered;
+        buffered = null;
+        pending
+          .filter(({ event, data }) => !(event === 'step' && replayed.has(data.id)))
+          .forEach(({ event, data }) => listener(event, data));
+      });
+
+    return () => this.emitter.off(sessionId, handler);
+  }
+
+  /**
+   * Queue a repository write for a session behind its earlier writes
+   * @param {string} sessionId - Session identifier
+   * @param {Function} write - Called with the repository, returns a promise
+   */
+  static enqueue(sessionId, write) {
+    const previous = this.writes.get(sessionId) || Promise.resolve();
+    const next = previous
+      .then(() => write(getSessionRepository()))
+      .catch(error => console.error(`Error saving research session ${sessionId}:`, error));
+
+    this.writes.set(sessionId, next);
+    next.then(() => {
+      if (this.writes.get(sessionId) === next) {
+        this.writes.delete(sessionId);
+      }
+    });
+  }
+
+  /**
+   * Wait for all queued writes of a session to finish
+   * @param {string} sessionId - Session identifier
+   * @returns {Promise<void>}
+   */
+  static async flush(sessionId) {
+    await this.writes.get(sessionId);
+  }
+
+  /**
+   * Emit an event to the subscribers of a session
+   * @param {string} sessionId - Session identifier
+   * @param {string} event - Event name (start, step, token, result, complete, failed)
+   * @param {Object} data - Event payload
+   */
+  static emit(sessionId, event, data) {
+    this.emitter.emit(sessionId, { event, data });
+  }
+}
+
+module.exports = ResearchProgress;
@@ -0,0 +1,128 @@
+const crypto = require('crypto');
+const { getSnapshotRepository } = require('../repositories');
+
+// Fields the research pipeline adds to a result; they aren't part of what the source returned
+const PIPELINE_FIELDS = ['provenance', 'cachedAt', 'relevance', 'credibility', 'mergedSources', 'snapshotId', 'archiveUrl'];
+
+/**
+ * Service for archiving what each research source returned, so a citation can
+ * be checked against the exact text the AI read long after the page has
+ * changed. Results are content-hashed: an unchanged result maps to the
+ * snapshot captured the first time it was seen.
+ */
+class SourceArchive {
+  /**
+   * Archive research results
+   * @param {Array} results - Flattened research results
+   * @returns {Promise<Object>} - { results, created, failed } where results carry a
+   *   `snapshotId` and `archiveUrl` (unless archiving them failed), created counts
+   *   new snapshots and failed counts results that could not be archived
+   */
+  static async archiveAll(results) {
+    let created = 0;
+    let failed = 0;
+
+    const archived = await Promise.all(results.map(async result => {
+      try {
+        const snapshot = this.toSnapshot(result);
+        if (await getSnapshotRepository().save(snapshot)) {
+          created += 1;
+        }
+        return {
+          ...result,
+          snapshotId: snapshot.snapshotId,
+          archiveUrl: this.getArchiveUrl(snapshot.snapshotId)
+        };
+      } catch (error) {
+        console.error(`Error archiving "${result.title}" from ${result.source}:`, error);
+        failed += 1;
+        return result;
+      }
+    }));
+
+    return { results: archived, created, failed };
+  }
+
+  /**
+   * Build the snapshot of a research result
+   * @param {Object} result - A research result
+   * @returns {Object} - The snapshot record
+   */
+  static toSnapshot(result) {
+    const content = this.getSourceContent(result);
+
+    return {
+      snapshotId: this.hash(content),
+      source: result.source,
+      title: result.title,
+      link: result.link,
+      provenance: result.provenance,
+      result: content,
+      capturedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Get a result as its source returned it, without the fields added by the pipeline
+   * @param {Object} result - A research result
+   * @returns {Object} - The source's text and metadata
+   */
+  static getSourceContent(result) {
+    const content = { ...result };
+    PIPELINE_FIELDS.forEach(field => delete content[field]);
+    return content;
+  }
+
+  /**
+   * Hash a result's content. Keys are sorted so the hash doesn't depend on their order.
+   * @param {Object} content - The source's text and metadata
+   * @returns {string} - Hex SHA-256 hash
+   */
+  static hash(content) {
+    return crypto.createHash('sha256').update(this.stableStringify(content)).digest('hex');
+  }
+
+  /**
+   * Serialize a value as JSON with object keys in sorted order
+   * @param {*} value - The value
+   * @returns {string} - The JSON text
+   */
+  static stableStringify(value) {
+    if (Array.isArray(value)) {
+      return `[${value.map(item => this.stableStringify(item)).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+      const entries = Object.keys(value)
+        .filter(key => value[key] !== undefined)
+        .sort()
+        .map(key => `${JSON.stringify(key)}:${this.stableStringify(value[key])}`);
+      return `{${entries.join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+  }
+
+  /**
+   * Get the path of a snapshot's archived copy
+   * @param {string} snapshotId - Snapshot identifier
+   * @returns {string} - The API path
+   */
+  static getArchiveUrl(snapshotId) {
+    return `/api/snapshots/${snapshotId}/view`;
+  }
+
+  /**
+   * Describe an archiving run for the research steps
+   * @param {Object} archive - The result of archiveAll()
+   * @returns {string} - e.g. "Archived 14 source snapshots: 9 new, 5 unchanged since an earlier run"
+   */
+  static describe({ results, created, failed }) {
+    const archived = results.length - failed;
+    let description = `Archived ${archived} source snapshot${archived === 1 ? '' : 's'}: ${created} new, ${archived - created} unchanged since an earlier run`;
+    if (failed > 0) {
+      description += `; ${failed} could not be archived`;
+    }
+    return description;
+  }
+}
+
+module.exports = SourceArchive;
@@ -0,0 +1,244 @@
+const BM25Index = require('./BM25Index');
+const { PROVENANCE } = require('../config/dataMode');
+
+// Sources passed to the AI when RESEARCH_TOP_SOURCES is unset
+const DEFAULT_TOP_SOURCES = 12;
+
+// Relevance multipliers: placeholder data and boilerplate rank below real provider data
+const PROVENANCE_WEIGHTS = {
+  [PROVENANCE.LIVE]: 1,
+  [PROVENANCE.CACHED]: 1,
+  [PROVENANCE.UPLOADED]: 1,
+  [PROVENANCE.MOCK]: 0.6,
+  [PROVENANCE.INTERNAL]: 0.3
+};
+
+// Word overlap (Jaccard) above which two results are the same item
+const DUPLICATE_TITLE_SIMILARITY = 0.8;
+const DUPLICATE_CONTENT_SIMILARITY = 0.6;
+
+// Query parameters that only track where a visitor came from
+const TRACKING_PARAMS = /^(?:utm_\w+|fbclid|gclid|dclid|msclkid|mc_cid|mc_eid|ref|ref_src|cmpid|icid|ncid|ocid|smid|taid)$/i;
+
+/**
+ * Service for cleaning up research results before synthesis: results from
+ * different sources that point at the same item are merged, the rest are
+ * scored against the query with BM25 (weighted by provenance) and only the
+ * top N are passed to the AI
+ */
+class SourceRanker {
+  /**
+   * Deduplicate and rank research results
+   * @param {Array} results - Flattened research results
+   * @param {string} query - The research query
+   * @param {Object} options - Ranking options
+   * @param {number} options.limit - Maximum number of results to keep
+   * @returns {Object} - { ranked, dropped } where ranked results carry a `relevance`
+   *   score (and `mergedSources` when duplicates were folded into them) and dropped
+   *   is [{ result, reason }]
+   */
+  static rank(results, query, { limit = this.getTopSourceLimit() } = {}) {
+    const { unique, dropped } = this.deduplicate(results);
+
+    const index = new BM25Index(unique.map(result => this.getText(result)));
+    const scores = index.score(query);
+    const maxScore = Math.max(0, ...scores);
+
+    const scored = unique.map((result, position) => {
+      const relevance = maxScore > 0 ? scores[position] / maxScore : 0;
+      return {
+        result: { ...result, relevance: Math.round(relevance * 100) / 100 },
+        matched: scores[position] > 0,
+        weighted: relevance * this.getProvenanceWeight(result),
+        position
+      };
+    });
+
+    // Highest weighted relevance first; ties keep the sources' order
+    scored.sort((a, b) => (b.weighted - a.weighted) || (a.position - b.position));
+
+    const anyMatched = scored.some(entry => entry.matched);
+    const ranked = [];
+
+    scored.forEach((entry, rankIndex) => {
+      if (anyMatched && !entry.matched) {
+        dropped.push({ result: entry.result, reason: 'no terms in common with the query' });
+      } else if (ranked.length >= limit) {
+        dropped.push({
+          result: entry.result,
+          reason: `ranked ${rankIndex + 1} of ${scored.length} (relevance ${entry.result.relevance.toFixed(2)}); only the top ${limit} are used`
+        });
+      } else {
+        ranked.push(entry.result);
+      }
+    });
+
+    return { ranked, dropped };
+  }
+
+  /**
+   * Merge results that point at the same item: the same canonical URL, or
+   * near-identical titles or title-and-summary text. The most trustworthy,
+   * most complete copy is kept.
+   * @param {Array} results - Research results
+   * @returns {Object} - { unique, dropped } with the duplicates as dropped entries
+   */
+  static deduplicate(results) {
+    const candidates = results
+      .map((result, position) => ({ result, position }))
+      .sort((a, b) => (this.getProvenanceWeight(b.result) - this.getProvenanceWeight(a.result))
+        || ((b.result.summary || '').length - (a.result.summary || '').length)
+        || (a.position - b.position));
+
+    const kept = [];
+    const dropped = [];
+
+    candidates.forEach(({ result, position }) => {
+      const candidate = {
+        url: this.canonicalizeUrl(result.link),
+        titleTerms: new Set(BM25Index.tokenize(result.title)),
+        contentTerms: new Set(BM25Index.tokenize(this.getText(result)))
+      };
+
+      let reason = null;
+      const match = kept.find(entry => {
+        reason = this.getDuplicateReason(candidate, entry);
+        return reason !== null;
+      });
+
+      if (match) {
+        match.result.mergedSources.push({ source: result.source, link: result.link });
+        dropped.push({
+          result,
+          reason: `duplicate of "${match.result.title}" from ${match.result.source} (${reason})`
+        });
+        return;
+      }
+
+      kept.push({ ...candidate, result: { ...result, mergedSources: [] }, position });
+    });
+
+    // Back to the sources' order, without empty merge lists
+    const unique = kept
+      .sort((a, b) => a.position - b.position)
+      .map(({ result }) => {
+        if (result.mergedSources.length > 0) {
+          return result;
+        }
+        const { mergedSources, ...rest } = result;
+        return rest;
+      });
+
+    return { unique, dropped };
+  }
+
+  /**
+   * Check whether a result duplicates one already kept
+   * @param {Object} candidate - { url, titleTerms, contentTerms } of the result
+   * @param {Object} entry - The same for a kept result
+   * @returns {string|null} - Why they are duplicates, or null if they are not
+   */
+  static getDuplicateReason(candidate, entry) {
+    if (candidate.url && candidate.url === entry.url) {
+      return 'same URL';
+    }
+    // Very short titles ("Home", "Market Update") say too little to compare
+    if (candidate.titleTerms.size >= 3 && this.similarity(candidate.titleTerms, entry.titleTerms) >= DUPLICATE_TITLE_SIMILARITY) {
+      return 'near-identical title';
+    }
+    if (this.similarity(candidate.contentTerms, entry.contentTerms) >= DUPLICATE_CONTENT_SIMILARITY) {
+      return 'near-identical content';
+    }
+    return null;
+  }
+
+  /**
+   * Canonicalize a URL so copies of a page compare equal: the scheme, a
+   * leading www., tracking parameters, the fragment and a trailing slash are
+   * ignored and the remaining parameters are sorted
+   * @param {string} link - The result link
+   * @returns {string|null} - The canonical URL, or null for placeholder or invalid links
+   */
+  static canonicalizeUrl(link) {
+    if (!link || link === '#') {
+      return null;
+    }
+
+    let url;
+    try {
+      url = new URL(link);
+    } catch (error) {
+      return null;
+    }
+
+    const params = Array.from(url.searchParams.entries())
+      .filter(([name]) => !TRACKING_PARAMS.test(name))
+      .sort(([a], [b]) => a.localeCompare(b));
+    const query = new URLSearchParams(params).toString();
+
+    const host = url.hostname.toLowerCase().replace(/^www\./, '');
+    const path = url.pathname.replace(/\/+$/, '');
+
+    return `${host}${path}${query ? `?${query}` : ''}`;
+  }
+
+  /**
+   * Describe a ranking for the research steps
+   * @param {Array} results - The results before ranking
+   * @param {Object} ranking - The ranking from rank()
+   * @returns {string} - e.g. "Ranked 14 results by relevance: 3 duplicates merged, kept the top 8"
+   */
+  static describe(results, { ranked, dropped }) {
+    const duplicates = dropped.filter(entry => entry.reason.startsWith('duplicate')).length;
+    return `Ranked ${results.length} results by relevance: ${duplicates} duplicate${duplicates === 1 ? '' : 's'} merged, kept the top ${ranked.length}`;
+  }
+
+  /**
+   * Jaccard similarity of two term sets
+   * @param {Set<string>} a - First set
+   * @param {Set<string>} b - Second set
+   * @returns {number} - Similarity between 0 and 1
+   */
+  static similarity(a, b) {
+    if (a.size === 0 || b.size === 0) {
+      return 0;
+    }
+
+    let shared = 0;
+    a.forEach(term => {
+      if (b.has(term)) {
+        shared += 1;
+      }
+    });
+
+    return shared / (a.size + b.size - shared);
+  }
+
+  /**
+   * Get the text a result is ranked on
+   * @param {Object} result - A research result
+   * @returns {string} - Title and summary
+   */
+  static getText(result) {
+    return [result.title, result.summary].filter(Boolean).join('. ');
+  }
+
+  /**
+   * Get the relevance multiplier of a result's provenance
+   * @param {Object} result - A research result
+   * @returns {number} - The weight
+   */
+  static getProvenanceWeight(result) {
+    return PROVENANCE_WEIGHTS[result.provenance] || PROVENANCE_WEIGHTS[PROVENANCE.MOCK];
+  }
+
+  /**
+   * Get how many sources are passed to the AI
+   * @returns {number} - RESEARCH_TOP_SOURCES (12 if unset)
+   */
+  static getTopSourceLimit() {
+    return parseInt(process.env.RESEARCH_TOP_SOURCES, 10) || DEFAULT_TOP_SOURCES;
+  }
+}
+
+module.exports = SourceRanker;
@@ -0,0 +1,179 @@
+const fs = require('fs');
+const path = require('path');
+const DateRange = require('./DateRange');
+const { PROVENANCE, allowsMockData } = require('../config/dataMode');
+
+const SOURCES_DIR = path.join(__dirname, '../sources');
+
+/**
+ * Registry of research data sources.
+ *
+ * Every module in backend/sources exports a source descriptor:
+ * {
+ *   id: 'market',                      // unique identifier
+ *   name: 'Market analytics providers', // shown in research steps
+ *   label: 'Market Trends',            // heading in the system prompt
+ *   provides: ['...'],                 // what the source contributes, for the system prompt
+ *   categories: ['market', 'general'], // query categories it covers ('*' for all)
+ *   requiredConfig: ['FRED_API_KEY'],  // environment variables it cannot run without
+ *   timeout: 20000,                    // milliseconds before the source is abandoned
+ *   cacheTtl: 21600000,                // milliseconds results are reused for the same query (0 = no caching)
+ *   order: 30,                         // position when several sources run
+ *   step: 'Retrieving market data',    // research step logged before it runs
+ *   provenance: 'live',                // default provenance of its results
+ *   search: async (query, { sessionId, workspace, categories, entities, dateRange, compareDocuments, forceRefresh, signal }) => [results]
+ * }
+ *
+ * compareDocuments lists the uploaded documents a comparison answer compares (null otherwise).
+ *
+ * Sources should pass the date range (see DateRange) on to their providers where they
+ * can filter by date; results dated outside it are dropped here either way.
+ *
+ * Source modules are loaded when the sources are first asked for, so they can require
+ * services that depend on the registry themselves (such as AIService, whose system
+ * prompt lists the sources).
+ */
+class SourceRegistry {
+  static sources = new Map();
+
+  static loaded = false;
+
+  // Default time a source may take when its descriptor doesn't say
+  static DEFAULT_TIMEOUT = 20000;
+
+  /**
+   * Register a research source
+   * @param {Object} source - The source descriptor
+   */
+  static register(source) {
+    for (const field of ['id', 'name', 'categories', 'search']) {
+      if (!source[field]) {
+        throw new Error(`Research source is missing required field "${field}"`);
+      }
+    }
+
+    if (this.sources.has(source.id)) {
+      throw new Error(`Research source "${source.id}" is already registered`);
+    }
+
+    this.sources.set(source.id, {
+      requiredConfig: [],
+      provides: [],
+      timeout: this.DEFAULT_TIMEOUT,
+      cacheTtl: 0,
+      order: 100,
+      ...source
+    });
+  }
+
+  /**
+   * Load every source module from the sources directory
+   */
+  static loadSources() {
+    this.loaded = true;
+    fs.readdirSync(SOURCES_DIR)
+      .filter(file => file.endsWith('.js'))
+      .forEach(file => this.register(require(path.join(SOURCES_DIR, file))));
+  }
+
+  /**
+   * Get all registered sources in run order
+   * @returns {Array} - Source descriptors
+   */
+  static getSources() {
+    if (!this.loaded) {
+      this.loadSources();
+    }
+    return Array.from(this.sources.values()).sort((a, b) => a.order - b.order);
+  }
+
+  /**
+   * Get the sources that cover a query category
+   * @param {string} category - The query category
+   * @returns {Array} - Source descriptors in run order
+   */
+  static getSourcesForCategory(category) {
+    return this.getSources().filter(source =>
+      source.categories.includes('*') || source.categories.includes(category)
+    );
+  }
+
+  /**
+   * Get the sources that cover any of several query categories
+   * @param {Array<string>} categories - The query categories
+   * @returns {Array} - Source descriptors in run order
+   */
+  static getSourcesForCategories(categories) {
+    return this.getSources().filter(source =>
+      source.categories.includes('*') || categories.some(category => source.categories.includes(category))
+    );
+  }
+
+  /**
+   * Get the configuration a source needs but doesn't have
+   * @param {Object} source - The source descriptor
+   * @returns {Array<string>} - Names of missing environment variables
+   */
+  static getMissingConfig(source) {
+    return source.requiredConfig.filter(name => !process.env[name]);
+  }
+
+  /**
+   * Run a source's search and normalize its results. Outside demo mode, mock
+   * results are dropped so placeholder data never reaches the AI, and results
+   * dated outside the requested date range are dropped.
+   * @param {Object} source - The source descriptor
+   * @param {string} query - The research query
+   * @param {Object} context - Research context ({ sessionId, workspace, categories, entities, dateRange,
+   *   compareDocuments, signal })
+   * @returns {Promise<Array>} - Results in the common result schema
+   */
+  static async search(source, query, context = {}) {
+    const results = await source.search(query, context);
+
+    return [].concat(results || [])
+      .flat()
+      .filter(Boolean)
+      .map(result => this.normalizeResult(result, source))
+      .filter(result => allowsMockData() || result.provenance !== PROVENANCE.MOCK)
+      .filter(result => DateRange.includes(context.dateRange, result));
+  }
+
+  /**
+   * Bring a result into the common result schema:
+   * { title, authors, date, observationDate, source, link, summary, type, provenance, sourceId }
+   * where date is the ISO 8601 publication date and observationDate the date the data
+   * describes (e.g. the latest observation of a series), each null when unknown
+   * @param {Object} result - A raw result from a source
+   * @param {Object} source - The source descriptor that produced it
+   * @returns {Object} - The normalized result
+   */
+  static normalizeResult(result, source) {
+    return {
+      ...result,
+      title: result.title || 'Untitled',
+      authors: result.authors || result.source || source.name,
+      date: DateRange.toISODate(result.date),
+      observationDate: DateRange.toISODate(result.observationDate),
+      source: result.source || source.name,
+      link: result.link || '#',
+      summary: result.summary || '',
+      type: result.type || 'web_content',
+      provenance: result.provenance || source.provenance || PROVENANCE.LIVE,
+      sourceId: source.id
+    };
+  }
+
+  /**
+   * Describe the registered sources for the system prompt
+   * @returns {string} - Numbered list of sources and what they provide
+   */
+  static describeSources() {
+    return this.getSources().map((source, index) => {
+      const provides = source.provides.map(item => `   - ${item}`).join('\n');
+      return `${index + 1}. **${source.label || source.name}**:\n${provides}`;
+    }).join('\n\n');
+  }
+}
+
+module.exports = SourceRegistry;
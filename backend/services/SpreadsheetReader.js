@@ -0,0 +1,291 @@
+const fs = require('fs/promises');
+const JSZip = require('jszip');
+const xml2js = require('xml2js');
+
+// Built-in XLSX number formats that display dates
+const DATE_FORMAT_IDS = new Set([14, 15, 16, 17, 22, 27, 30, 36, 45, 46, 47, 50, 57]);
+
+const MS_PER_DAY = 86400000;
+
+/**
+ * Service for reading spreadsheets (XLSX workbooks and CSV files) into sheets
+ * of rows. XLSX numbers stay numbers and date cells become ISO dates; CSV
+ * cells are kept as text.
+ */
+class SpreadsheetReader {
+  /**
+   * Read a spreadsheet
+   * @param {string} filePath - Path of the file
+   * @param {string} extension - .xlsx or .csv
+   * @returns {Promise<Array>} - [{ name, rows }] where name is the sheet name (null for CSV)
+   *   and rows are arrays of cell values (string, number, boolean or null)
+   */
+  static async read(filePath, extension) {
+    if (extension.toLowerCase() === '.csv') {
+      const text = await fs.readFile(filePath, 'utf8');
+      return [{ name: null, rows: this.parseCSV(text) }];
+    }
+    return this.readWorkbook(await fs.readFile(filePath));
+  }
+
+  /**
+   * Read the sheets of an XLSX workbook
+   * @param {Buffer} data - The workbook file
+   * @returns {Promise<Array>} - [{ name, rows }] in workbook order
+   */
+  static async readWorkbook(data) {
+    const zip = await JSZip.loadAsync(data);
+    const readXml = async (name) => {
+      const file = zip.file(name);
+      return file ? xml2js.parseStringPromise(await file.async('string')) : null;
+    };
+
+    const workbook = await readXml('xl/workbook.xml');
+    if (!workbook) {
+      throw new Error('Not an XLSX workbook');
+    }
+
+    const relations = await readXml('xl/_rels/workbook.xml.rels');
+    const targets = {};
+    ((relations && relations.Relationships.Relationship) || []).forEach(({ $ }) => {
+      targets[$.Id] = $.Target.startsWith('/') ? $.Target.slice(1) : `xl/${$.Target}`;
+    });
+
+    const properties = workbook.workbook.workbookPr && workbook.workbook.workbookPr[0].$;
+    const date1904 = Boolean(properties && ['1', 'true'].includes(properties.date1904));
+
+    const sharedStrings = this.readSharedStrings(await readXml('xl/sharedStrings.xml'));
+    const dateStyles = this.readDateStyles(await readXml('xl/styles.xml'));
+
+    const sheets = [];
+    for (const sheet of workbook.workbook.sheets[0].sheet || []) {
+      const target = targets[sheet.$['r:id']];
+      const xml = target ? await readXml(target) : null;
+      if (xml) {
+        sheets.push({
+          name: sheet.$.name,
+          rows: this.readRows(xml, { sharedStrings, dateStyles, date1904 })
+        });
+      }
+    }
+    return sheets;
+  }
+
+  /**
+   * Read a worksheet's rows, placing each cell in its column
+   * @param {Object} xml - The parsed worksheet
+   * @param {Object} context - { sharedStrings, dateStyles, date1904 }
+   * @returns {Array} - Rows of cell values (rows the sheet leaves out are empty)
+   */
+  static readRows(xml, context) {
+    const rows = [];
+    const sheetData = xml.worksheet.sheetData && xml.worksheet.sheetData[0];
+
+    ((sheetData && sheetData.row) || []).forEach(row => {
+      const index = parseInt(row.$.r, 10) - 1;
+      const cells = [];
+      (row.c || []).forEach((cell, position) => {
+        const column = cell.$.r ? this.columnIndex(cell.$.r) : position;
+        cells[column] = this.readCell(cell, context);
+      });
+      rows[index] = Array.from(cells, value => (value === undefined ? null : value));
+    });
+
+    return Array.from(rows, row => row || []);
+  }
+
+  /**
+   * Read a cell's value
+   * @param {Object} cell - The parsed cell
+   * @param {Object} context - { sharedStrings, dateStyles, date1904 }
+   * @returns {string|number|boolean|null} - The value; dates as YYYY-MM-DD
+   */
+  static readCell(cell, { sharedStrings, dateStyles, date1904 }) {
+    const type = cell.$.t || 'n';
+    const raw = cell.v ? this.text(cell.v[0]) : null;
+
+    switch (type) {
+      case 's':
+        return sharedStrings[parseInt(raw, 10)] ?? null;
+      case 'inlineStr':
+        return cell.is ? this.richText(cell.is[0]) : null;
+      case 'str':
+        return raw;
+      case 'b':
+        return raw === '1';
+      case 'e':
+        return null;
+      default: {
+        if (raw === null || raw === '') {
+          return null;
+        }
+        const number = parseFloat(raw);
+        return dateStyles.has(parseInt(cell.$.s || '0', 10)) ? this.serialToDate(number, date1904) : number;
+      }
+    }
+  }
+
+  /**
+   * Read the shared string table
+   * @param {Object|null} xml - The parsed sharedStrings.xml
+   * @returns {Array<string>} - Strings by index
+   */
+  static readSharedStrings(xml) {
+    if (!xml || !xml.sst.si) {
+      return [];
+    }
+    return xml.sst.si.map(item => this.richText(item));
+  }
+
+  /**
+   * Find the cell styles that display dates
+   * @param {Object|null} xml - The parsed styles.xml
+   * @returns {Set<number>} - Indexes of date cell styles
+   */
+  static readDateStyles(xml) {
+    const styles = new Set();
+    if (!xml) {
+      return styles;
+    }
+
+    const customFormats = {};
+    const numFmts = xml.styleSheet.numFmts && xml.styleSheet.numFmts[0].numFmt;
+    (numFmts || []).forEach(({ $ }) => {
+      customFormats[$.numFmtId] = $.formatCode;
+    });
+
+    const cellXfs = xml.styleSheet.cellXfs && xml.styleSheet.cellXfs[0].xf;
+    (cellXfs || []).forEach((xf, index) => {
+      const id = parseInt(xf.$.numFmtId || '0', 10);
+      if (DATE_FORMAT_IDS.has(id) || (customFormats[id] && this.isDateFormat(customFormats[id]))) {
+        styles.add(index);
+      }
+    });
+    return styles;
+  }
+
+  /**
+   * Whether a custom number format displays a date
+   * @param {string} formatCode - e.g. "mm/dd/yyyy" or "#,##0.00"
+   * @returns {boolean}
+   */
+  static isDateFormat(formatCode) {
+    // Quoted text, escapes and bracketed colors or conditions don't count
+    const code = formatCode.replace(/"[^"]*"|\\.|\[[^\]]*\]/g, '');
+    return /[dy]/i.test(code) || /m{3,}/i.test(code);
+  }
+
+  /**
+   * Convert a spreadsheet date serial number to an ISO date
+   * @param {number} serial - Days since the workbook's epoch
+   * @param {boolean} date1904 - Whether the workbook uses the 1904 date system
+   * @returns {string} - YYYY-MM-DD
+   */
+  static serialToDate(serial, date1904 = false) {
+    const epoch = date1904 ? Date.UTC(1904, 0, 1) : Date.UTC(1899, 11, 30);
+    return new Date(epoch + Math.floor(serial) * MS_PER_DAY).toISOString().slice(0, 10);
+  }
+
+  /**
+   * Get the zero-based column of a cell reference
+   * @param {string} reference - e.g. "C12"
+   * @returns {number} - The column index (C is 2)
+   */
+  static columnIndex(reference) {
+    const letters = reference.match(/^[A-Z]+/i)[0].toUpperCase();
+    return [...letters].reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+  }
+
+  /**
+   * Get the text of a string item, joining rich text runs
+   * @param {Object} item - A parsed <si> or <is> element
+   * @returns {string} - The text
+   */
+  static richText(item) {
+    if (item.t) {
+      return item.t.map(text => this.text(text)).join('');
+    }
+    return (item.r || []).map(run => (run.t ? run.t.map(text => this.text(text)).join('') : '')).join('');
+  }
+
+  /**
+   * Get the text of an XML text node, with or without attributes
+   * @param {string|Object} node - The parsed node
+   * @returns {string} - The text
+   */
+  static text(node) {
+    return typeof node === 'string' ? node : (node && node._) || '';
+  }
+
+  /**
+   * Parse CSV text (RFC 4180 quoting). The delimiter is detected from the first
+   * line: comma, semicolon or tab.
+   * @param {string} text - The CSV text
+   * @returns {Array} - Rows of cell text (null for empty cells)
+   */
+  static parseCSV(text) {
+    const content = text.replace(/^\uFEFF/, '');
+    const firstLine = content.split(/\r?\n/, 1)[0];
+    const delimiter = [',', ';', '\t']
+      .map(candidate => ({ candidate, count: firstLine.split(candidate).length }))
+      .sort((a, b) => b.count - a.count)[0].candidate;
+
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    const endCell = () => {
+      row.push(cell.trim() === '' ? null : cell.trim());
+      cell = '';
+    };
+
+    for (let index = 0; index < content.length; index += 1) {
+      const char = content[index];
+
+      if (quoted) {
+        if (char === '"' && content[index + 1] === '"') {
+          cell += '"';
+          index += 1;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          cell += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === delimiter) {
+        endCell();
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && content[index + 1] === '\n') {
+          index += 1;
+        }
+        endCell();
+        rows.push(row);
+        row = [];
+      } else {
+        cell += char;
+      }
+    }
+
+    if (cell !== '' || row.length > 0) {
+      endCell();
+      rows.push(row);
+    }
+    return rows;
+  }
+
+  /**
+   * Render a sheet as text, one row per line with cells separated by " | "
+   * @param {Object} sheet - { name, rows }
+   * @returns {string} - The sheet text
+   */
+  static toText(sheet) {
+    return sheet.rows
+      .map(row => row.filter(value => value !== null && value !== '').join(' | '))
+      .filter(Boolean)
+      .join('\n');
+  }
+}
+
+module.exports = SpreadsheetReader;
@@ -0,0 +1,230 @@
+// JSON schema of a structured research answer
+const RESPONSE_SCHEMA = {
+  type: 'object',
+  properties: {
+    executiveSummary: { type: 'string' },
+    sections: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          heading: { type: 'string' },
+          claims: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                text: { type: 'string' },
+                sources: { type: 'array', items: { type: 'integer' } }
+              },
+              required: ['text', 'sources']
+            }
+          }
+        },
+        required: ['heading', 'claims']
+      }
+    },
+    figures: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          label: { type: 'string' },
+          value: { type: 'number' },
+          unit: { type: 'string' },
+          period: { type: 'string' },
+          location: { type: 'string' },
+          sources: { type: 'array', items: { type: 'integer' } }
+        },
+        required: ['label', 'value', 'sources']
+      }
+    },
+    conclusion: { type: 'string' }
+  },
+  required: ['executiveSummary', 'sections', 'figures', 'conclusion']
+};
+
+const structuredInstructions = `
+Respond with only a JSON object (no markdown, no code fences) in this shape:
+{
+  "executiveSummary": "1-2 paragraphs summarizing the findings",
+  "sections": [
+    { "heading": "Section heading", "claims": [{ "text": "One sentence stating one finding.", "sources": [1, 3] }] }
+  ],
+  "figures": [
+    { "label": "Office vacancy rate", "value": 18.4, "unit": "%", "period": "Q2 2024", "location": "Austin", "sources": [2] }
+  ],
+  "conclusion": "Brief conclusion or recommendations"
+}
+Each claim states a single finding and lists the numbers of the sources that support it ([] if none do).
+List every numeric data point you use in "figures" with its value as a number; leave out units, periods or
+locations you don't know. Don't put bracketed source numbers inside the text fields.
+`;
+
+/**
+ * Service for structured research answers: an executive summary, sections of
+ * individual claims with the sources behind each, extracted figures and a
+ * conclusion. The markdown answer is rendered from it on the server.
+ */
+class StructuredAnswer {
+  /**
+   * Get the JSON schema providers constrain structured answers to
+   * @returns {Object} - { name, schema }
+   */
+  static getResponseSchema() {
+    return { name: 'research_answer', schema: RESPONSE_SCHEMA };
+  }
+
+  /**
+   * Get the instructions that ask the model for a structured answer
+   * @returns {string} - The prompt text
+   */
+  static getInstructions() {
+    return structuredInstructions;
+  }
+
+  /**
+   * Parse and normalize a structured answer from model output
+   * @param {string} text - The model output
+   * @returns {Object|null} - { executiveSummary, sections, figures, conclusion }, or null if
+   *   the output isn't a JSON object
+   */
+  static parse(text) {
+    const start = text.indexOf('{');
+    const end = text.lastIndexOf('}');
+    if (start === -1 || end <= start) {
+      return null;
+    }
+
+    let data;
+    try {
+      data = JSON.parse(text.slice(start, end + 1));
+    } catch (error) {
+      return null;
+    }
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      return null;
+    }
+
+    const sections = (Array.isArray(data.sections) ? data.sections : [])
+      .map(section => ({
+        heading: this.cleanText(section && section.heading),
+        claims: (section && Array.isArray(section.claims) ? section.claims : [])
+          .map(claim => ({
+            text: this.cleanText(claim && claim.text),
+            sources: this.parseSources(claim && claim.sources)
+          }))
+          .filter(claim => claim.text)
+      }))
+      .filter(section => section.heading && section.claims.length > 0);
+
+    const figures = (Array.isArray(data.figures) ? data.figures : [])
+      .filter(figure => figure && typeof figure === 'object')
+      .map(figure => {
+        const value = typeof figure.value === 'number' ? figure.value : parseFloat(String(figure.value).replace(/[^\d.-]/g, ''));
+        return {
+          label: this.cleanText(figure.label),
+          value,
+          unit: this.cleanText(figure.unit) || null,
+          period: this.cleanText(figure.period) || null,
+          location: this.cleanText(figure.location) || null,
+          sources: this.parseSources(figure.sources)
+        };
+      })
+      .filter(figure => figure.label && Number.isFinite(figure.value));
+
+    return {
+      executiveSummary: this.cleanText(data.executiveSummary),
+      sections,
+      figures,
+      conclusion: this.cleanText(data.conclusion)
+    };
+  }
+
+  /**
+   * Render a structured answer as markdown, with each claim's sources as
+   * bracketed references
+   * @param {Object} answer - The structured answer
+   * @returns {string} - The markdown answer
+   */
+  static render({ executiveSummary, sections, figures, conclusion }) {
+    const parts = [];
+
+    if (executiveSummary) {
+      parts.push(executiveSummary);
+    }
+
+    sections.forEach(section => {
+      const claims = section.claims.map(claim => `- ${claim.text}${this.formatReferences(claim.sources)}`);
+      parts.push(`## ${section.heading}\n\n${claims.join('\n')}`);
+    });
+
+    if (figures.length > 0) {
+      const lines = figures.map(figure => {
+        const context = [figure.period, figure.location].filter(Boolean).join(', ');
+        return `- **${figure.label}**: ${this.formatValue(figure)}${context ? ` (${context})` : ''}${this.formatReferences(figure.sources)}`;
+      });
+      parts.push(`## Key Figures\n\n${lines.join('\n')}`);
+    }
+
+    if (conclusion) {
+      parts.push(`## Conclusion\n\n${conclusion}`);
+    }
+
+    return parts.join('\n\n');
+  }
+
+  /**
+   * Format a figure's value with its unit
+   * @param {Object} figure - { value, unit }
+   * @returns {string} - e.g. "18.4%" or "42.5 USD per sq ft"
+   */
+  static formatValue({ value, unit }) {
+    const number = value.toLocaleString('en-US', { maximumFractionDigits: 2 });
+    if (!unit) {
+      return number;
+    }
+    return unit === '%' ? `${number}%` : `${number} ${unit}`;
+  }
+
+  /**
+   * Format source numbers as a bracketed reference
+   * @param {Array<number>} sources - Source numbers
+   * @returns {string} - e.g. " [1, 3]", or an empty string
+   */
+  static formatReferences(sources) {
+    return sources.length > 0 ? ` [${sources.join(', ')}]` : '';
+  }
+
+  /**
+   * Normalize a list of source numbers
+   * @param {Array} sources - Source numbers as given by the model
+   * @returns {Array<number>} - Unique positive integers in ascending order
+   */
+  static parseSources(sources) {
+    if (!Array.isArray(sources)) {
+      return [];
+    }
+
+    const numbers = sources
+      .map(source => parseInt(String(source).replace(/[^\d]/g, ''), 10))
+      .filter(number => Number.isInteger(number) && number > 0);
+
+    return Array.from(new Set(numbers)).sort((a, b) => a - b);
+  }
+
+  /**
+   * Trim a text field and drop bracketed references the model put inside it
+   * @param {*} value - The field value
+   * @returns {string} - The cleaned text
+   */
+  static cleanText(value) {
+    if (typeof value !== 'string') {
+      return '';
+    }
+    return value.replace(/\s*\[\d+(?:\s*[,;–-]\s*\d+)*\]/g, '').trim();
+  }
+}
+
+module.exports = StructuredAnswer;
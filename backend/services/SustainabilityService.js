@@ -1,77 +1,66 @@
 const axios = require('axios');
 const xml2js = require('xml2js');
+const ResearchProgress = require('./ResearchProgress');
+const { PROVENANCE, allowsMockData } = require('../config/dataMode');
 
 class SustainabilityService {
   /**
    * Process a sustainability-related query
    * @param {string} query - The user's research query
    * @param {string} sessionId - The session ID for tracking research steps
+   * @param {Object} options - Request options ({ signal } to cancel outstanding requests, { dateRange })
    * @returns {Array} - Results with citation information
    */
-  static async getResearch(query, sessionId) {
+  static async getResearch(query, sessionId, options = {}) {
     // If sessionId is provided, log the step
-    if (sessionId && global.researchStatus[sessionId]) {
-      global.researchStatus[sessionId].push({
-        step: "Searching academic papers on sustainability",
-        source: "arXiv",
-        timestamp: new Date().toISOString()
-      });
-    }
+    ResearchProgress.addStep(sessionId, {
+      step: "Searching academic papers on sustainability",
+      source: "arXiv"
+    });
     
     try {
       // First try arXiv API for academic papers
-      const arXivResults = await this.searchArXiv(query);
+      const arXivResults = await this.searchArXiv(query, options);
       let results = [];
       
       if (arXivResults.length > 0) {
         results.push(...arXivResults);
         
         // Log the found papers
-        if (sessionId && global.researchStatus[sessionId]) {
-          global.researchStatus[sessionId].push({
-            step: `Found ${arXivResults.length} relevant academic papers on sustainability`,
-            source: "arXiv",
-            timestamp: new Date().toISOString()
-          });
-        }
+        ResearchProgress.addStep(sessionId, {
+          step: `Found ${arXivResults.length} relevant academic papers on sustainability`,
+          source: "arXiv"
+        });
       }
       
       // If we have less than 3 results, try LEED/Energy Star APIs
-      if (results.length < 3) {
+      // (currently a placeholder, so only in demo mode)
+      if (allowsMockData() && results.length < 3) {
         try {
           // Log the LEED search
-          if (sessionId && global.researchStatus[sessionId]) {
-            global.researchStatus[sessionId].push({
-              step: "Searching LEED certification databases",
-              source: "USGBC LEED Database",
-              timestamp: new Date().toISOString()
-            });
-          }
+          ResearchProgress.addStep(sessionId, {
+            step: "Searching LEED certification databases",
+            source: "USGBC LEED Database"
+          });
           
           const leedResults = await this.searchLEED(query);
           if (leedResults.length > 0) {
             results.push(...leedResults);
             
             // Log the found LEED data
-            if (sessionId && global.researchStatus[sessionId]) {
-              global.researchStatus[sessionId].push({
-                step: "Retrieved LEED certification data",
-                source: "USGBC LEED Database",
-                timestamp: new Date().toISOString()
-              });
-            }
+            ResearchProgress.addStep(sessionId, {
+              step: "Retrieved LEED certification data",
+              source: "USGBC LEED Database"
+            });
           }
         } catch (leedError) {
           console.warn('LEED API search failed:', leedError.message);
           
           // Log the error
-          if (sessionId && global.researchStatus[sessionId]) {
-            global.researchStatus[sessionId].push({
-              step: "LEED data search failed: " + leedError.message,
-              source: "USGBC LEED Database",
-              timestamp: new Date().toISOString()
-            });
-          }
+          ResearchProgress.addStep(sessionId, {
+            step: "LEED data search failed: " + leedError.message,
+            source: "USGBC LEED Database"
+          });
         }
       }
       
@@ -80,13 +69,10 @@ class SustainabilityService {
       console.error('Sustainability search error:', error);
       
       // Log the error
-      if (sessionId && global.researchStatus[sessionId]) {
-        global.researchStatus[sessionId].push({
-          step: "Error in sustainability research: " + error.message,
-          source: "Sustainability Service",
-          timestamp: new Date().toISOString()
-        });
-      }
+      ResearchProgress.addStep(sessionId, {
+        step: "Error in sustainability research: " + error.message,
+        source: "Sustainability Service"
+      });
       
       return [];
     }
@@ -95,19 +81,29 @@ class SustainabilityService {
   /**
    * Search arXiv for papers related to the query
    * @param {string} query - The search query
+   * @param {Object} options - Request options ({ signal, dateRange })
    * @returns {Array} - Results with citation information
    */
-  static async searchArXiv(query) {
+  static async searchArXiv(query, { signal, dateRange } = {}) {
     try {
       // Prepare the arXiv API URL with relevant categories for sustainability in CRE
       const searchTerms = encodeURIComponent(`${query} AND (sustainability OR "green building" OR "energy efficiency")`);
       // Using categories relevant to CRE sustainability
       const categoryFilters = encodeURIComponent('cat:physics.geo-ph OR cat:econ.GN OR cat:q-fin.GN');
       const maxResults = 5;
-      const url = `http://export.arxiv.org/api/query?search_query=${searchTerms}+AND+(${categoryFilters})&max_results=${maxResults}&sortBy=relevance`;
+      let searchQuery = `${searchTerms}+AND+(${categoryFilters})`;
+      
+      // Only papers submitted within the date range
+      if (dateRange && (dateRange.from || dateRange.to)) {
+        const start = (dateRange.from || '1991-01-01').replace(/-/g, '');
+        const end = (dateRange.to || new Date().toISOString().slice(0, 10)).replace(/-/g, '');
+        searchQuery += `+AND+${encodeURIComponent(`submittedDate:[${start}0000 TO ${end}2359]`)}`;
+      }
+      
+      const url = `http://export.arxiv.org/api/query?search_query=${searchQuery}&max_results=${maxResults}&sortBy=relevance`;
       
       console.log(`Calling arXiv API with URL: ${url}`);
-      const response = await axios.get(url);
+      const response = await axios.get(url, { signal });
       
       // Parse the XML response using xml2js
       const parser = new xml2js.Parser({ explicitArray: false });
@@ -144,11 +140,12 @@ class SustainabilityService {
         return {
           title: entry.title.trim(),
           authors,
-          date: new Date(entry.published).toLocaleDateString(),
+          date: entry.published,
           source: 'arXiv',
           link,
           summary: entry.summary ? entry.summary.trim() : 'No summary available',
-          type: 'academic_paper'
+          type: 'academic_paper',
+          provenance: PROVENANCE.LIVE
         };
       });
     } catch (error) {
@@ -168,11 +165,12 @@ class SustainabilityService {
     return [{
       title: 'LEED Certification Data (Placeholder)',
       authors: 'U.S. Green Building Council',
-      date: new Date().toLocaleDateString(),
+      date: null,
       source: 'LEED Database',
       link: 'https://www.usgbc.org/projects',
       summary: 'This is a placeholder for LEED certification data. In a production implementation, this would contain actual data from the LEED API.',
-      type: 'certification_data'
+      type: 'certification_data',
+      provenance: PROVENANCE.MOCK
     }];
   }
 }
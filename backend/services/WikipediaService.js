@@ -1,4 +1,5 @@
 const axios = require('axios');
+const { PROVENANCE } = require('../config/dataMode');
 
 /**
  * Service for retrieving contextual information from Wikipedia
@@ -7,12 +8,13 @@ class WikipediaService {
   /**
    * Search Wikipedia for information related to the query
    * @param {string} query - The search query
+   * @param {Object} options - Request options ({ signal, entities } from query understanding)
    * @returns {Array} - Results with citation information
    */
-  static async searchWikipedia(query) {
+  static async searchWikipedia(query, { signal, entities } = {}) {
     try {
-      // Enhance the query with CRE context
-      const enhancedQuery = `${query} commercial real estate`;
+      // Search for the query's subject, with CRE context
+      const enhancedQuery = this.buildSearchTerms(query, entities);
       console.log(`Searching Wikipedia for: ${enhancedQuery}`);
       
       // First search for relevant Wikipedia pages
@@ -26,7 +28,7 @@ class WikipediaService {
         origin: '*'
       };
       
-      const searchResponse = await axios.get(searchUrl, { params: searchParams });
+      const searchResponse = await axios.get(searchUrl, { params: searchParams, signal });
       const searchResults = searchResponse.data.query.search;
       
       if (!searchResults || searchResults.length === 0) {
@@ -39,16 +41,17 @@ class WikipediaService {
       const contentUrl = 'https://en.wikipedia.org/w/api.php';
       const contentParams = {
         action: 'query',
-        prop: 'extracts|info',
+        prop: 'extracts|info|revisions',
         exintro: true,
         explaintext: true,
         inprop: 'url',
+        rvprop: 'timestamp',
         pageids: pageId,
         format: 'json',
         origin: '*'
       };
       
-      const contentResponse = await axios.get(contentUrl, { params: contentParams });
+      const contentResponse = await axios.get(contentUrl, { params: contentParams, signal });
       const page = contentResponse.data.query.pages[pageId];
       
       if (!page || !page.extract) {
@@ -65,17 +68,40 @@ class WikipediaService {
       return [{
         title: page.title,
         authors: 'Wikipedia Contributors',
-        date: new Date().toLocaleDateString(),
+        date: page.revisions && page.revisions[0] ? page.revisions[0].timestamp : null, // Last edit
         source: 'Wikipedia',
         link: page.fullurl,
         summary,
-        type: 'knowledge_base'
+        type: 'knowledge_base',
+        provenance: PROVENANCE.LIVE
       }];
     } catch (error) {
       console.error('Wikipedia search error:', error);
       return [];
     }
   }
+  
+  /**
+   * Build Wikipedia search terms from the query's extracted entities. Named
+   * buildings or companies are searched directly; otherwise the metro and
+   * property type make a better article match than the full question.
+   * @param {string} query - The search query
+   * @param {Object} entities - Entities extracted by query understanding (optional)
+   * @returns {string} - The search terms
+   */
+  static buildSearchTerms(query, entities) {
+    if (entities && entities.namedEntities && entities.namedEntities.length > 0) {
+      return entities.namedEntities[0];
+    }
+    
+    if (entities && (entities.metro || entities.propertyType)) {
+      return [entities.submarket, entities.metro, entities.propertyType, 'commercial real estate']
+        .filter(Boolean)
+        .join(' ');
+    }
+    
+    return `${query} commercial real estate`;
+  }
 }
 
 module.exports = WikipediaService; 
\ No newline at end of file
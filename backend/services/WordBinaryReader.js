@@ -0,0 +1,173 @@
+const CharacterSets = require('./CharacterSets');
+const CompoundFile = require('./CompoundFile');
+
+// Identifier at the start of a Word 97-2003 document's FIB (File Information Block)
+const WORD_IDENTIFIER = 0xa5ec;
+
+// FIB fields: flags (which table stream holds the piece table), the main text's length and the piece table
+const FIB_FLAGS = 0x0a;
+const FIB_CCP_TEXT = 0x4c;
+const FIB_FC_CLX = 0x1a2;
+const FIB_LCB_CLX = 0x1a6;
+const FLAG_WHICH_TABLE = 0x0200;
+const FLAG_ENCRYPTED = 0x0100;
+
+// Piece file offsets with this bit set point to 8-bit (Windows-1252) text, at half the offset
+const COMPRESSED_PIECE = 0x40000000;
+
+// Special characters in Word's text
+const PARAGRAPH_END = '\r';
+const CELL_END = '\x07';
+const FIELD_BEGIN = '\x13';
+const FIELD_SEPARATOR = '\x14';
+const FIELD_END = '\x15';
+
+/**
+ * Service for reading the text of legacy Word documents (.doc, Word 97-2003),
+ * which mammoth doesn't read. The main document text is assembled from the
+ * piece table; paragraphs are kept, table rows are put on one line with their
+ * cells separated by " | " and field codes are replaced by their results.
+ */
+class WordBinaryReader {
+  /**
+   * Read the text of a Word document
+   * @param {Buffer} data - The .doc file
+   * @returns {string} - Paragraphs separated by blank lines
+   */
+  static read(data) {
+    const root = CompoundFile.read(data);
+    const wordDocument = CompoundFile.getStream(root, 'WordDocument');
+    if (!wordDocument || wordDocument.length < FIB_LCB_CLX + 4 || wordDocument.readUInt16LE(0) !== WORD_IDENTIFIER) {
+      throw new Error('Not a Word 97-2003 document');
+    }
+
+    const flags = wordDocument.readUInt16LE(FIB_FLAGS);
+    if (flags & FLAG_ENCRYPTED) {
+      throw new Error('The Word document is password protected');
+    }
+
+    const table = CompoundFile.getStream(root, flags & FLAG_WHICH_TABLE ? '1Table' : '0Table');
+    if (!table) {
+      throw new Error('Corrupt Word document: no table stream');
+    }
+
+    const textLength = wordDocument.readUInt32LE(FIB_CCP_TEXT);
+    const clx = table.subarray(wordDocument.readUInt32LE(FIB_FC_CLX),
+      wordDocument.readUInt32LE(FIB_FC_CLX) + wordDocument.readUInt32LE(FIB_LCB_CLX));
+
+    const text = this.readPieces(wordDocument, this.readPieceTable(clx)).slice(0, textLength);
+    return this.toParagraphs(text);
+  }
+
+  /**
+   * Read the piece table: where each run of the document's characters is stored
+   * @param {Buffer} clx - The CLX structure from the table stream
+   * @returns {Array} - [{ start, end, offset, compressed }] in character positions
+   */
+  static readPieceTable(clx) {
+    let offset = 0;
+
+    // Formatting (Prc) entries come before the piece table (Pcdt)
+    while (offset < clx.length && clx[offset] === 0x01) {
+      offset += 3 + clx.readUInt16LE(offset + 1);
+    }
+    if (clx[offset] !== 0x02) {
+      throw new Error('Corrupt Word document: no piece table');
+    }
+
+    const length = clx.readUInt32LE(offset + 1);
+    const plc = clx.subarray(offset + 5, offset + 5 + length);
+    const count = (length - 4) / 12;
+
+    const pieces = [];
+    for (let index = 0; index < count; index += 1) {
+      const descriptor = 4 * (count + 1) + index * 8;
+      const fc = plc.readUInt32LE(descriptor + 2);
+      const compressed = Boolean(fc & COMPRESSED_PIECE);
+      pieces.push({
+        start: plc.readUInt32LE(index * 4),
+        end: plc.readUInt32LE((index + 1) * 4),
+        offset: compressed ? (fc & ~COMPRESSED_PIECE) / 2 : fc,
+        compressed
+      });
+    }
+    return pieces;
+  }
+
+  /**
+   * Assemble the document's characters from its pieces
+   * @param {Buffer} wordDocument - The WordDocument stream
+   * @param {Array} pieces - From readPieceTable()
+   * @returns {string} - The raw text, with Word's special characters
+   */
+  static readPieces(wordDocument, pieces) {
+    return pieces.map(({ start, end, offset, compressed }) => {
+      const length = end - start;
+      if (compressed) {
+        return CharacterSets.decode(wordDocument.subarray(offset, offset + length), 'windows-1252');
+      }
+      return wordDocument.toString('utf16le', offset, offset + length * 2);
+    }).join('');
+  }
+
+  /**
+   * Turn Word's raw text into paragraphs, with table rows on one line
+   * @param {string} text - The raw text
+   * @returns {string} - Paragraphs separated by blank lines
+   */
+  static toParagraphs(text) {
+    // Keep field results (e.g. a cross-reference's text) and drop field codes
+    let clean = '';
+    const fields = [];
+    for (const char of text) {
+      if (char === FIELD_BEGIN) {
+        fields.push({ showing: false });
+      } else if (char === FIELD_SEPARATOR && fields.length > 0) {
+        fields[fields.length - 1].showing = true;
+      } else if (char === FIELD_END && fields.length > 0) {
+        fields.pop();
+      } else if (fields.every(field => field.showing)) {
+        clean += char;
+      }
+    }
+
+    const normalize = value => value
+      .replace(/[\x0b\x0c]/g, '\n')
+      .replace(/\x1e/g, '-')
+      .replace(/[\x00-\x08\x0e-\x1f]/g, '')
+      .replace(/[ \t\u00a0]+/g, ' ')
+      .replace(/ *\n */g, '\n')
+      .trim();
+
+    // Table cells end with a cell mark and rows with one more; consecutive rows form one block
+    const paragraphs = [];
+    let inTable = false;
+    clean.split(PARAGRAPH_END).forEach(paragraph => {
+      if (!paragraph.includes(CELL_END)) {
+        const text = normalize(paragraph);
+        if (text) {
+          paragraphs.push(text);
+          inTable = false;
+        }
+        return;
+      }
+
+      const rows = paragraph.split(CELL_END + CELL_END)
+        .map(row => row.split(CELL_END).map(cell => normalize(cell).replace(/\n/g, ' ')))
+        .filter(cells => cells.some(Boolean))
+        .map(cells => cells.join(' | '));
+      if (rows.length === 0) {
+        return;
+      }
+      if (inTable) {
+        paragraphs[paragraphs.length - 1] += `\n${rows.join('\n')}`;
+      } else {
+        paragraphs.push(rows.join('\n'));
+      }
+      inTable = true;
+    });
+    return paragraphs.join('\n\n');
+  }
+}
+
+module.exports = WordBinaryReader;
@@ -0,0 +1,47 @@
+const { WebSocketServer } = require('ws');
+const ResearchProgress = require('../services/ResearchProgress');
+
+const SOCKET_PATH = /^\/api\/query\/ws\/([^/?]+)/;
+
+/**
+ * Attach the research progress WebSocket endpoint to an HTTP server.
+ * This is the fallback for clients that cannot use the SSE stream at
+ * GET /api/query/stream/:sessionId; it sends the same events as JSON
+ * messages of the form { event, data }.
+ * @param {Object} server - The HTTP server returned by app.listen
+ * @returns {WebSocketServer} - The attached WebSocket server
+ */
+const attachResearchSocket = (server) => {
+  const wss = new WebSocketServer({ noServer: true });
+
+  server.on('upgrade', (req, socket, head) => {
+    const match = req.url.match(SOCKET_PATH);
+
+    // Other paths are left to the server's other upgrade handlers
+    if (!match) {
+      return;
+    }
+
+    wss.handleUpgrade(req, socket, head, (ws) => {
+      wss.emit('connection', ws, decodeURIComponent(match[1]));
+    });
+  });
+
+  wss.on('connection', (ws, sessionId) => {
+    const unsubscribe = ResearchProgress.subscribe(sessionId, (event, data) => {
+      if (ws.readyState === ws.OPEN) {
+        ws.send(JSON.stringify({ event, data }));
+      }
+    });
+
+    ws.on('close', unsubscribe);
+    ws.on('error', (error) => {
+      console.error('Research socket error:', error);
+      unsubscribe();
+    });
+  });
+
+  return wss;
+};
+
+module.exports = attachResearchSocket;
@@ -0,0 +1,32 @@
+const DocumentLibrary = require('../services/DocumentLibrary');
+
+/**
+ * Uploaded documents: the library passages of the query's workspace most
+ * relevant to the query, or the best passages of each document compared.
+ * Questions asked of the documents alone draw on more passages.
+ */
+module.exports = {
+  id: 'documents',
+  name: 'Document library',
+  label: 'Uploaded Documents',
+  provides: [
+    'Passages from documents uploaded to the workspace, cited by page',
+    'Occupancy, in-place rent, WALT and NOI derived from uploaded rent rolls and operating statements'
+  ],
+  categories: ['*'],
+  requiredConfig: [],
+  timeout: 10000,
+  cacheTtl: 0, // the library changes with every upload
+  order: 5,
+  step: 'Searching uploaded documents',
+  search: (query, { sessionId, workspace, dateRange, compareDocuments, researchMode, documentIds }) => {
+    const documentsOnly = researchMode === 'documents' && !compareDocuments;
+    return DocumentLibrary.search(query, {
+      workspace: workspace || sessionId,
+      limit: documentsOnly ? DocumentLibrary.getQuestionPassageLimit() : undefined,
+      asOf: dateRange ? dateRange.asOf : null,
+      documentIds: compareDocuments || documentIds || null,
+      perDocument: Boolean(compareDocuments)
+    });
+  }
+};
@@ -0,0 +1,21 @@
+const FallbackService = require('../services/FallbackService');
+
+/**
+ * General knowledge research, run for every query for completeness
+ */
+module.exports = {
+  id: 'general',
+  name: 'Wikipedia and general databases',
+  label: 'General Research',
+  provides: [
+    'Web searches for contextual information',
+    'Industry publications and reports'
+  ],
+  categories: ['*'],
+  requiredConfig: [],
+  timeout: 20000,
+  cacheTtl: 21600000, // 6 hours
+  order: 90,
+  step: 'Searching general knowledge sources',
+  search: (query, { sessionId, signal, entities, dateRange }) => FallbackService.getResearch(query, sessionId, { signal, entities, dateRange })
+};
@@ -0,0 +1,21 @@
+const LeasingService = require('../services/LeasingService');
+
+/**
+ * Leasing research: lease rates, vacancy and leasing activity
+ */
+module.exports = {
+  id: 'leasing',
+  name: 'Leasing databases',
+  label: 'Leasing Queries',
+  provides: [
+    'Lease pricing and trends from market databases',
+    'Detailed leasing insights from industry reports'
+  ],
+  categories: ['leasing', 'general'],
+  requiredConfig: [],
+  timeout: 15000,
+  cacheTtl: 3600000, // 1 hour
+  order: 20,
+  step: 'Analyzing leasing market information',
+  search: (query, { sessionId, signal, dateRange }) => LeasingService.getResearch(query, sessionId, { signal, dateRange })
+};
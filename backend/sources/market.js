@@ -0,0 +1,21 @@
+const MarketService = require('../services/MarketService');
+
+/**
+ * Market trend research: search interest, trade news and economic indicators
+ */
+module.exports = {
+  id: 'market',
+  name: 'Market analytics providers',
+  label: 'Market Trends',
+  provides: [
+    'Google Trends data for general market trends',
+    'Economic data and metrics from reliable sources'
+  ],
+  categories: ['market', 'general'],
+  requiredConfig: [],
+  timeout: 20000,
+  cacheTtl: 21600000, // 6 hours; FRED series and trade feeds update daily at most
+  order: 30,
+  step: 'Retrieving market trend data',
+  search: (query, { sessionId, signal, entities, dateRange }) => MarketService.getResearch(query, sessionId, { signal, entities, dateRange })
+};
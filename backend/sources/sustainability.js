@@ -0,0 +1,21 @@
+const SustainabilityService = require('../services/SustainabilityService');
+
+/**
+ * Sustainability research: academic papers and green building certifications
+ */
+module.exports = {
+  id: 'sustainability',
+  name: 'Sustainability databases',
+  label: 'Sustainability Queries',
+  provides: [
+    'Academic papers from arXiv',
+    'LEED or Energy Star certification data'
+  ],
+  categories: ['sustainability', 'general'],
+  requiredConfig: [],
+  timeout: 20000,
+  cacheTtl: 43200000, // 12 hours; arXiv listings change at most daily
+  order: 10,
+  step: 'Gathering sustainability research data',
+  search: (query, { sessionId, signal, dateRange }) => SustainabilityService.getResearch(query, sessionId, { signal, dateRange })
+};
@@ -0,0 +1,87 @@
+const BM25Index = require('../services/BM25Index');
+
+describe('BM25Index', () => {
+  describe('tokenize', () => {
+    it('lowercases words and drops stopwords and single letters', () => {
+      expect(BM25Index.tokenize('The Office market in Austin is a buyer\'s market')).toEqual(['office', 'market', 'austin', 'buyer', 'market']);
+    });
+
+    it('keeps numbers, including decimals', () => {
+      expect(BM25Index.tokenize('Cap rates of 5.5% in Q3 2024')).toEqual(['cap', 'rate', '5.5', '3', '2024']);
+    });
+
+    it('drops plural endings from longer words only', () => {
+      expect(BM25Index.tokenize('rents leases gas class offices')).toEqual(['rent', 'lease', 'gas', 'class', 'office']);
+    });
+
+    it('returns no terms for empty text', () => {
+      expect(BM25Index.tokenize('')).toEqual([]);
+      expect(BM25Index.tokenize(null)).toEqual([]);
+    });
+  });
+
+  describe('score', () => {
+    it('scores a single matching term by its inverse document frequency', () => {
+      const index = new BM25Index(['Dallas rents', 'Austin office']);
+      const [dallas, austin] = index.score('Dallas');
+
+      // One of two documents matches, both are of average length and the term appears once
+      expect(dallas).toBeCloseTo(Math.log(2));
+      expect(austin).toBe(0);
+    });
+
+    it('ranks rarer terms above common ones', () => {
+      const index = new BM25Index([
+        'office vacancy Austin',
+        'office vacancy Dallas',
+        'office vacancy Denver'
+      ]);
+      const [austin, dallas] = index.score('office Austin');
+
+      expect(austin).toBeGreaterThan(dallas);
+      expect(dallas).toBeGreaterThan(0);
+    });
+
+    it('ranks repeated terms higher, with diminishing returns', () => {
+      const index = new BM25Index([
+        'industrial rents warehouse demand',
+        'industrial industrial rents demand',
+        'industrial industrial industrial demand',
+        'office vacancy sublease space'
+      ]);
+      const [once, twice, three] = index.score('industrial');
+
+      expect(twice).toBeGreaterThan(once);
+      expect(three).toBeGreaterThan(twice);
+      expect(three - twice).toBeLessThan(twice - once);
+    });
+
+    it('ranks a match in a shorter document higher', () => {
+      const index = new BM25Index([
+        'Dallas rents',
+        'Dallas rents climbed on logistics demand and port volume'
+      ]);
+      const [short, long] = index.score('Dallas');
+
+      expect(short).toBeGreaterThan(long);
+    });
+
+    it('counts each query term once', () => {
+      const index = new BM25Index(['Dallas rents', 'Austin office']);
+      expect(index.score('Dallas dallas DALLAS')).toEqual(index.score('Dallas'));
+    });
+
+    it('gives equal scores to documents that match alike', () => {
+      const index = new BM25Index(['Dallas office rents', 'Dallas retail rents', 'Austin vacancy']);
+      const [office, retail, austin] = index.score('Dallas rents');
+
+      expect(office).toBe(retail);
+      expect(austin).toBe(0);
+    });
+
+    it('scores nothing for an empty query or corpus', () => {
+      expect(new BM25Index(['Dallas rents']).score('the and of')).toEqual([0]);
+      expect(new BM25Index([]).score('Dallas')).toEqual([]);
+    });
+  });
+});
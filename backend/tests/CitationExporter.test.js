@@ -0,0 +1,141 @@
+const CitationExporter = require('../services/CitationExporter');
+
+const HOSTILE_TITLE = 'Rents "soar" 50% in C:\\Dallas/Fort Worth {Q3}\r\nBDRM_1 & #2 ~^';
+
+const CITATIONS = [
+  {
+    title: HOSTILE_TITLE,
+    authors: 'Jane Smith, Wei Chen',
+    date: '2024-03-05',
+    source: 'Journal of Real Estate',
+    link: 'https://example.com/rents',
+    cachedAt: '2024-04-01T12:00:00Z',
+    summary: 'First line\r\nsecond line',
+    type: 'academic_paper'
+  },
+  {
+    title: 'Office outlook',
+    authors: 'CBRE',
+    date: '2024',
+    source: 'CBRE',
+    link: '#',
+    type: 'market_report'
+  }
+];
+
+describe('CitationExporter', () => {
+  it('lists its formats and rejects others', () => {
+    expect(CitationExporter.getFormats()).toEqual(['bibtex', 'ris', 'csl-json', 'text']);
+    expect(() => CitationExporter.export(CITATIONS, 'endnote')).toThrow('Unsupported citation export format: endnote');
+  });
+
+  describe('bibtex', () => {
+    it('exports an entry per citation, escaping LaTeX special characters', () => {
+      const { content, contentType, extension } = CitationExporter.export(CITATIONS, 'bibtex');
+
+      expect(contentType).toBe('application/x-bibtex');
+      expect(extension).toBe('bib');
+      expect(content).toBe(`@article{smith2024rents,
+  title = {{Rents "soar" 50\\% in C:\\textbackslash{}Dallas/Fort Worth \\{Q3\\} BDRM\\_1 \\& \\#2 \\textasciitilde{}\\textasciicircum{}}},
+  author = {Smith, Jane and Chen, Wei},
+  year = {2024},
+  month = {mar},
+  journal = {Journal of Real Estate},
+  url = {https://example.com/rents},
+  urldate = {2024-04-01},
+  abstract = {First line second line}
+}
+
+@techreport{cbre2024office,
+  title = {{Office outlook}},
+  author = {{CBRE}},
+  year = {2024},
+  institution = {CBRE}
+}
+`);
+    });
+
+    it('keeps citation keys unique', () => {
+      const { content } = CitationExporter.export([CITATIONS[1], CITATIONS[1], CITATIONS[1]], 'bibtex');
+      expect(content.match(/^@\w+\{[^,]+/gm)).toEqual(['@techreport{cbre2024office', '@techreport{cbre2024officea', '@techreport{cbre2024officeb']);
+    });
+  });
+
+  describe('ris', () => {
+    it('exports a record per citation with line breaks removed from values', () => {
+      const { content, contentType, extension } = CitationExporter.export(CITATIONS, 'ris');
+
+      expect(contentType).toBe('application/x-research-info-systems');
+      expect(extension).toBe('ris');
+      expect(content).toBe([
+        'TY  - JOUR',
+        'TI  - Rents "soar" 50% in C:\\Dallas/Fort Worth {Q3} BDRM_1 & #2 ~^',
+        'AU  - Smith, Jane',
+        'AU  - Chen, Wei',
+        'PY  - 2024',
+        'DA  - 2024/03/05/',
+        'T2  - Journal of Real Estate',
+        'UR  - https://example.com/rents',
+        'Y2  - 2024/04/01',
+        'AB  - First line second line',
+        'ER  - ',
+        '',
+        'TY  - RPRT',
+        'TI  - Office outlook',
+        'AU  - CBRE',
+        'PY  - 2024',
+        'DA  - 2024///',
+        'PB  - CBRE',
+        'ER  - ',
+        ''
+      ].join('\r\n'));
+    });
+  });
+
+  describe('csl-json', () => {
+    it('exports CSL items that round-trip the original metadata', () => {
+      const { content, contentType, extension } = CitationExporter.export(CITATIONS, 'csl-json');
+      const items = JSON.parse(content);
+
+      expect(contentType).toBe('application/vnd.citationstyles.csl+json');
+      expect(extension).toBe('json');
+      expect(items[0]).toEqual({
+        id: 'source-1',
+        type: 'article-journal',
+        title: HOSTILE_TITLE,
+        author: [{ family: 'Smith', given: 'Jane' }, { family: 'Chen', given: 'Wei' }],
+        issued: { 'date-parts': [[2024, 3, 5]] },
+        'container-title': 'Journal of Real Estate',
+        URL: 'https://example.com/rents',
+        accessed: { 'date-parts': [[2024, 4, 1]] },
+        abstract: 'First line\r\nsecond line'
+      });
+      expect(items[1]).toEqual({
+        id: 'source-2',
+        type: 'report',
+        title: 'Office outlook',
+        author: [{ literal: 'CBRE' }],
+        issued: { 'date-parts': [[2024]] },
+        publisher: 'CBRE'
+      });
+    });
+  });
+
+  describe('text', () => {
+    it.each([
+      ['apa', '[1] Smith, J., & Chen, W. (2024). Rents "soar" 50% in C:\\Dallas/Fort Worth {Q3} BDRM_1 & #2 ~^. Journal of Real Estate. https://example.com/rents'],
+      ['chicago', '[1] Smith, Jane, and Wei Chen. 2024. "Rents "soar" 50% in C:\\Dallas/Fort Worth {Q3} BDRM_1 & #2 ~^." Journal of Real Estate. https://example.com/rents.'],
+      ['mla', '[1] Smith, Jane, and Wei Chen. "Rents "soar" 50% in C:\\Dallas/Fort Worth {Q3} BDRM_1 & #2 ~^." Journal of Real Estate, 5 Mar. 2024, https://example.com/rents.'],
+      ['house', '[1] Jane Smith and Wei Chen, "Rents "soar" 50% in C:\\Dallas/Fort Worth {Q3} BDRM_1 & #2 ~^", Journal of Real Estate, March 5, 2024, https://example.com/rents']
+    ])('exports a %s bibliography with one line per entry', (style, first) => {
+      const { content, contentType, extension } = CitationExporter.export(CITATIONS, 'text', { style });
+      const entries = content.trimEnd().split('\n\n');
+
+      expect(contentType).toBe('text/plain');
+      expect(extension).toBe('txt');
+      expect(entries).toHaveLength(2);
+      expect(entries[0]).toBe(first);
+      expect(content).not.toMatch(/\r/);
+    });
+  });
+});
@@ -0,0 +1,181 @@
+const CitationVerifier = require('../services/CitationVerifier');
+const AIService = require('../services/AIService');
+
+const ENV = process.env;
+
+const CITATIONS = [
+  {
+    title: 'Austin office vacancy rises',
+    summary: 'Office vacancy in Austin reached 24 percent in the second quarter as sublease space grew.'
+  },
+  {
+    title: 'Dallas industrial rents',
+    summary: 'Industrial rents in Dallas grew 6 percent year over year.'
+  },
+  {
+    title: 'Houston retail leasing',
+    summary: 'Retail leasing in Houston slowed.'
+  }
+];
+
+const RESPONSE = `## Market overview
+
+Austin office vacancy reached 24 percent in the second quarter [1]. Dallas industrial rents grew 6 percent [2].
+Phoenix multifamily construction hit a record high [1][5].
+
+## Sources
+
+[1] Austin office vacancy rises
+[3] Houston retail leasing`;
+
+describe('CitationVerifier', () => {
+  afterEach(() => {
+    process.env = { ...ENV };
+    jest.restoreAllMocks();
+  });
+
+  describe('parseReferences', () => {
+    it('reads single, listed and ranged references', () => {
+      expect(CitationVerifier.parseReferences('Rents rose [1] while vacancy fell [2, 3].')).toEqual([1, 2, 3]);
+      expect(CitationVerifier.parseReferences('See [4-6] and [7–8].')).toEqual([4, 5, 6, 7, 8]);
+      expect(CitationVerifier.parseReferences('Both agree [1; 9].')).toEqual([1, 9]);
+    });
+
+    it('returns each source once', () => {
+      expect(CitationVerifier.parseReferences('[2] and again [2] and [1-2]')).toEqual([2, 1]);
+    });
+
+    it('keeps only the start of inverted or implausibly long ranges', () => {
+      expect(CitationVerifier.parseReferences('[6-4]')).toEqual([6]);
+      expect(CitationVerifier.parseReferences('[1-50]')).toEqual([1]);
+    });
+
+    it('ignores brackets and parentheses that aren\'t source numbers', () => {
+      expect(CitationVerifier.parseReferences('Cap rates (1) held [a] at [ 5.5% ].')).toEqual([]);
+      expect(CitationVerifier.parseReferences('')).toEqual([]);
+    });
+  });
+
+  describe('extractClaims', () => {
+    it('splits the answer into cited sentences', () => {
+      expect(CitationVerifier.extractClaims(RESPONSE)).toEqual([
+        { text: 'Austin office vacancy reached 24 percent in the second quarter [1].', references: [1] },
+        { text: 'Dallas industrial rents grew 6 percent [2].', references: [2] },
+        { text: 'Phoenix multifamily construction hit a record high [1][5].', references: [1, 5] }
+      ]);
+    });
+
+    it('leaves out the sources section and sentences without references', () => {
+      const claims = CitationVerifier.extractClaims('Rents rose. Vacancy fell [2].\n\n### References\n\n[1] Some report');
+      expect(claims).toEqual([{ text: 'Vacancy fell [2].', references: [2] }]);
+    });
+
+    it('strips list markers and quote markers from claims', () => {
+      const claims = CitationVerifier.extractClaims('- Rents rose [1].\n2. Vacancy fell [2].\n> Demand held [3].');
+      expect(claims.map(claim => claim.text)).toEqual(['Rents rose [1].', 'Vacancy fell [2].', 'Demand held [3].']);
+    });
+
+    it('returns no claims for an empty answer', () => {
+      expect(CitationVerifier.extractClaims('')).toEqual([]);
+      expect(CitationVerifier.extractClaims(null)).toEqual([]);
+    });
+  });
+
+  describe('scoreOverlap and statusForScore', () => {
+    it('scores the share of the sentence\'s terms found in the source', () => {
+      const source = CitationVerifier.getSourceText(CITATIONS[0]);
+      expect(CitationVerifier.scoreOverlap('Austin office vacancy reached 24 percent [1].', source)).toBe(1);
+      expect(CitationVerifier.scoreOverlap('Austin vacancy fell sharply near downtown corridors last winter [1].', source)).toBe(0.22);
+      expect(CitationVerifier.scoreOverlap('Phoenix multifamily construction hit a record [1].', source)).toBe(0);
+      expect(CitationVerifier.scoreOverlap('[1]', source)).toBe(0);
+    });
+
+    it('classifies scores at the supported and partial thresholds', () => {
+      expect(CitationVerifier.statusForScore(1)).toBe('supported');
+      expect(CitationVerifier.statusForScore(0.35)).toBe('supported');
+      expect(CitationVerifier.statusForScore(0.34)).toBe('partial');
+      expect(CitationVerifier.statusForScore(0.15)).toBe('partial');
+      expect(CitationVerifier.statusForScore(0.14)).toBe('unsupported');
+    });
+  });
+
+  describe('verify', () => {
+    it('classifies each source by the claims that cite it', async () => {
+      const { citations } = await CitationVerifier.verify(RESPONSE, CITATIONS);
+
+      expect(citations.map(citation => citation.verification.status)).toEqual(['partial', 'supported', 'uncited']);
+      expect(citations[0].verification).toEqual({
+        status: 'partial',
+        cited: true,
+        score: 1,
+        claims: [
+          { sentence: 'Austin office vacancy reached 24 percent in the second quarter [1].', status: 'supported', score: 1 },
+          { sentence: 'Phoenix multifamily construction hit a record high [1][5].', status: 'unsupported', score: 0 }
+        ]
+      });
+      expect(citations[2].verification).toEqual({ status: 'uncited', cited: false, score: null, claims: [] });
+      expect(citations[1].title).toBe('Dallas industrial rents');
+    });
+
+    it('reports invalid references, unused sources and status counts', async () => {
+      const { verification } = await CitationVerifier.verify(RESPONSE, CITATIONS);
+
+      expect(verification).toEqual({
+        method: 'lexical',
+        invalidReferences: [5],
+        unusedSources: [3],
+        counts: { supported: 1, partial: 1, unsupported: 0, uncited: 1 }
+      });
+      expect(CitationVerifier.describe(verification)).toBe(
+        'Citations checked: 1 supported, 1 partially supported, 0 unsupported, 1 not cited, invalid references [5]'
+      );
+    });
+
+    it('marks a source unsupported when none of its claims are', async () => {
+      const { citations } = await CitationVerifier.verify('Phoenix multifamily construction hit a record high [3].', CITATIONS);
+      expect(citations[2].verification.status).toBe('unsupported');
+    });
+
+    it('doesn\'t ask the AI unless CITATION_VERIFICATION is ai', async () => {
+      const complete = jest.spyOn(AIService, 'complete');
+      await CitationVerifier.verify(RESPONSE, CITATIONS, { provider: 'openai' });
+      expect(complete).not.toHaveBeenCalled();
+    });
+
+    it('uses the AI judge\'s statuses when CITATION_VERIFICATION is ai', async () => {
+      process.env.CITATION_VERIFICATION = 'ai';
+      jest.spyOn(AIService, 'complete').mockResolvedValue(
+        'Verdicts: [{ "id": 1, "status": "partial" }, { "id": 2, "status": "unsupported" }, { "id": 3, "status": "maybe" }]'
+      );
+
+      const { citations, verification } = await CitationVerifier.verify(RESPONSE, CITATIONS, { provider: 'openai' });
+
+      expect(verification.method).toBe('ai');
+      // Check 3 got an unknown status, so its lexical status stands
+      expect(citations[0].verification.claims.map(claim => claim.status)).toEqual(['partial', 'unsupported']);
+      expect(citations[1].verification.status).toBe('unsupported');
+    });
+
+    it('falls back to lexical overlap when the AI judge fails', async () => {
+      process.env.CITATION_VERIFICATION = 'ai';
+      jest.spyOn(AIService, 'complete').mockRejectedValue(new Error('rate limited'));
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      const { citations, verification } = await CitationVerifier.verify(RESPONSE, CITATIONS, { provider: 'openai' });
+
+      expect(verification.method).toBe('lexical');
+      expect(citations.map(citation => citation.verification.status)).toEqual(['partial', 'supported', 'uncited']);
+      expect(console.warn).toHaveBeenCalledWith('AI citation judging failed, using lexical overlap:', 'rate limited');
+    });
+
+    it('never uses the AI judge with the local provider', async () => {
+      process.env.CITATION_VERIFICATION = 'ai';
+      const complete = jest.spyOn(AIService, 'complete');
+
+      const { verification } = await CitationVerifier.verify(RESPONSE, CITATIONS, { provider: 'local' });
+
+      expect(verification.method).toBe('lexical');
+      expect(complete).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,63 @@
+const CompoundFile = require('../services/CompoundFile');
+const { buildCompoundFile } = require('./helpers/compoundFile');
+
+describe('CompoundFile', () => {
+  describe('isCompoundFile', () => {
+    it('checks the signature', () => {
+      expect(CompoundFile.isCompoundFile(buildCompoundFile({}))).toBe(true);
+      expect(CompoundFile.isCompoundFile(Buffer.alloc(512))).toBe(false);
+      expect(CompoundFile.isCompoundFile(Buffer.from('PK\x03\x04'))).toBe(false);
+    });
+  });
+
+  describe('read', () => {
+    const file = buildCompoundFile({
+      WordDocument: Buffer.alloc(5000, 'a'),
+      '1Table': Buffer.from('small stream'),
+      Empty: Buffer.alloc(0),
+      ObjectPool: {
+        Contents: Buffer.from('nested stream')
+      }
+    });
+    const root = CompoundFile.read(file);
+
+    it('lists the root storage\'s streams and storages', () => {
+      expect(root.name).toBe('Root Entry');
+      expect(Array.from(root.children.keys())).toEqual(['WordDocument', '1Table', 'Empty', 'ObjectPool']);
+      expect(root.children.get('ObjectPool').type).toBe('storage');
+    });
+
+    it('reads streams from regular sectors and from the mini stream', () => {
+      expect(CompoundFile.getStream(root, 'WordDocument')).toEqual(Buffer.alloc(5000, 'a'));
+      expect(CompoundFile.getStream(root, '1Table').toString()).toBe('small stream');
+      expect(CompoundFile.getStream(root, 'Empty')).toHaveLength(0);
+    });
+
+    it('reads streams of nested storages', () => {
+      expect(CompoundFile.getStream(root.children.get('ObjectPool'), 'Contents').toString()).toBe('nested stream');
+    });
+
+    it('returns null for missing streams and for storages', () => {
+      expect(CompoundFile.getStream(root, 'Missing')).toBeNull();
+      expect(CompoundFile.getStream(root, 'ObjectPool')).toBeNull();
+    });
+
+    it('reads every stream from regular sectors when the mini stream cutoff is zero', () => {
+      const plain = CompoundFile.read(buildCompoundFile({ Text: Buffer.from('no mini stream') }, { miniStreamCutoff: 0 }));
+
+      expect(CompoundFile.getStream(plain, 'Text').toString()).toBe('no mini stream');
+    });
+
+    it('rejects other files', () => {
+      expect(() => CompoundFile.read(Buffer.from('%PDF-1.7'))).toThrow('Not an OLE compound file');
+    });
+
+    it('rejects files without a root storage', () => {
+      const corrupt = Buffer.from(file);
+      const directory = (corrupt.readUInt32LE(0x30) + 1) * 512;
+      corrupt[directory + 0x42] = 1;
+
+      expect(() => CompoundFile.read(corrupt)).toThrow('no root storage');
+    });
+  });
+});
@@ -0,0 +1,146 @@
+const CredibilityScorer = require('../services/CredibilityScorer');
+const { getCredibilityConfig } = require('../config/credibility');
+
+const ENV = process.env;
+
+const NOW = Date.UTC(2024, 6, 1);
+
+const result = (fields) => ({ title: 'Result', source: 'Example', link: 'https://example.com/a', provenance: 'live', ...fields });
+
+const tierOf = (fields) => {
+  const { tier, weight } = CredibilityScorer.score(result(fields), { now: NOW });
+  return { tier, weight };
+};
+
+describe('CredibilityScorer', () => {
+  beforeEach(() => {
+    process.env = { ...ENV };
+    delete process.env.CREDIBILITY_WEIGHTS;
+  });
+
+  afterEach(() => {
+    process.env = { ...ENV };
+    jest.restoreAllMocks();
+  });
+
+  describe('default weights', () => {
+    it('tiers results by source name or link host before their type', () => {
+      expect(tierOf({ type: 'web_content', source: 'FRED' })).toEqual({ tier: 'government', weight: 1 });
+      expect(tierOf({ type: 'web_content', link: 'https://www.census.gov/data' })).toEqual({ tier: 'government', weight: 1 });
+      expect(tierOf({ type: 'web_content', link: 'https://fred.stlouisfed.org/series/X' })).toEqual({ tier: 'government', weight: 1 });
+      expect(tierOf({ type: 'news_article', source: 'wikipedia' })).toEqual({ tier: 'general_web', weight: 0.5 });
+    });
+
+    it('falls back to the result type, then to general web', () => {
+      expect(tierOf({ type: 'academic_paper' })).toEqual({ tier: 'peer_reviewed', weight: 0.85 });
+      expect(tierOf({ type: 'news_article' })).toEqual({ tier: 'trade_press', weight: 0.7 });
+      expect(tierOf({ type: 'uploaded_document' })).toEqual({ tier: 'uploaded', weight: 0.8 });
+      expect(tierOf({ type: 'something_new' })).toEqual({ tier: 'general_web', weight: 0.5 });
+    });
+
+    it('always treats mock and internal results as internal placeholders', () => {
+      expect(tierOf({ type: 'economic_data', source: 'FRED', provenance: 'mock' })).toEqual({ tier: 'internal', weight: 0.2 });
+      expect(tierOf({ type: 'market_report', provenance: 'internal' })).toEqual({ tier: 'internal', weight: 0.2 });
+    });
+  });
+
+  describe('freshness', () => {
+    it('halves the part above the floor every half-life', () => {
+      const fresh = CredibilityScorer.score(result({ type: 'economic_data', source: 'FRED', date: '2024-07-01' }), { now: NOW });
+      const halved = CredibilityScorer.score(result({ type: 'economic_data', source: 'FRED', date: '2024-01-03' }), { now: NOW });
+
+      expect(fresh).toMatchObject({ score: 1, freshness: 1, ageDays: 0 });
+      expect(halved).toMatchObject({ score: 0.75, freshness: 0.75, ageDays: 180 });
+    });
+
+    it('never drops below the floor, and doesn\'t age types without a half-life', () => {
+      expect(CredibilityScorer.score(result({ type: 'economic_data', source: 'FRED', date: '1990-01-01' }), { now: NOW }).freshness).toBe(0.5);
+      expect(CredibilityScorer.score(result({ type: 'knowledge_base', date: '1990-01-01' }), { now: NOW }).freshness).toBe(1);
+    });
+
+    it('gives undated results a fixed freshness', () => {
+      const credibility = CredibilityScorer.score(result({ type: 'news_article' }), { now: NOW });
+
+      expect(credibility).toEqual({ score: 0.56, tier: 'trade_press', label: 'Trade press', weight: 0.7, freshness: 0.8, ageDays: null });
+      expect(CredibilityScorer.describe(credibility)).toBe('0.56 (Trade press, publication date unknown)');
+    });
+  });
+
+  describe('CREDIBILITY_WEIGHTS', () => {
+    it('overrides tier weights and the tier or weight of types and sources', () => {
+      process.env.CREDIBILITY_WEIGHTS = JSON.stringify({
+        tiers: { trade_press: 0.75 },
+        types: { market_report: 'government', news_article: 0.6 },
+        sources: { CoStar: 0.9, Wikipedia: 'trade_press' }
+      });
+
+      expect(tierOf({ type: 'certification_data' })).toEqual({ tier: 'trade_press', weight: 0.75 });
+      expect(tierOf({ type: 'market_report' })).toEqual({ tier: 'government', weight: 1 });
+      // A numeric type weight keeps the type's tier
+      expect(tierOf({ type: 'news_article' })).toEqual({ tier: 'trade_press', weight: 0.6 });
+      expect(tierOf({ type: 'market_report', source: 'CoStar' })).toEqual({ tier: 'government', weight: 0.9 });
+      expect(tierOf({ type: 'knowledge_base', source: 'Wikipedia' })).toEqual({ tier: 'trade_press', weight: 0.75 });
+    });
+
+    it('keeps the defaults of everything a partial override leaves out', () => {
+      const defaults = getCredibilityConfig();
+      process.env.CREDIBILITY_WEIGHTS = '{"tiers": {"general_web": 0.4}}';
+      const config = getCredibilityConfig();
+
+      expect(config.tiers.general_web).toEqual({ label: 'General web', weight: 0.4 });
+      expect({ ...config.tiers, general_web: defaults.tiers.general_web }).toEqual(defaults.tiers);
+      expect(config.types).toEqual(defaults.types);
+      expect(config.typeWeights).toEqual({});
+      expect(config.sources).toEqual(defaults.sources);
+      expect(tierOf({ type: 'economic_data', source: 'FRED' })).toEqual({ tier: 'government', weight: 1 });
+    });
+
+    it('ignores overrides that aren\'t a JSON object', () => {
+      const defaults = getCredibilityConfig();
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      ['{"tiers": {"government": 0.5}', 'null', '[0.5]', '"government"'].forEach(value => {
+        process.env.CREDIBILITY_WEIGHTS = value;
+        expect(getCredibilityConfig()).toEqual(defaults);
+      });
+
+      expect(console.warn).toHaveBeenCalledTimes(4);
+      expect(console.warn).toHaveBeenCalledWith('Ignoring invalid CREDIBILITY_WEIGHTS:', expect.any(String));
+      expect(console.warn).toHaveBeenCalledWith('Ignoring invalid CREDIBILITY_WEIGHTS: expected a JSON object');
+    });
+
+    it('ignores unknown tiers and non-numeric tier weights', () => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      process.env.CREDIBILITY_WEIGHTS = JSON.stringify({
+        tiers: { government: 'high' },
+        types: { market_report: 'official' },
+        sources: { CoStar: 'official' }
+      });
+
+      expect(tierOf({ type: 'economic_data' })).toEqual({ tier: 'government', weight: 1 });
+      expect(tierOf({ type: 'market_report' })).toEqual({ tier: 'trade_press', weight: 0.7 });
+      expect(tierOf({ type: 'news_article', source: 'CoStar' })).toEqual({ tier: 'trade_press', weight: 0.7 });
+      expect(console.warn).toHaveBeenCalledWith('Ignoring CREDIBILITY_WEIGHTS type market_report: "official" is not a tier or weight');
+    });
+
+    it('clamps weights to between 0 and 1', () => {
+      process.env.CREDIBILITY_WEIGHTS = JSON.stringify({
+        tiers: { trade_press: 3 },
+        types: { web_content: -1 },
+        sources: { CoStar: 2 }
+      });
+
+      expect(tierOf({ type: 'news_article' })).toEqual({ tier: 'trade_press', weight: 1 });
+      expect(tierOf({ type: 'web_content' })).toEqual({ tier: 'general_web', weight: 0 });
+      expect(tierOf({ type: 'market_report', source: 'CoStar' })).toEqual({ tier: 'trade_press', weight: 1 });
+    });
+
+    it('applies the overrides to every result of a scoring run', () => {
+      process.env.CREDIBILITY_WEIGHTS = '{"types": {"news_article": 0.6}}';
+      const scored = CredibilityScorer.scoreAll([result({ type: 'news_article' }), result({ type: 'academic_paper' })], { now: NOW });
+
+      expect(scored.map(({ credibility }) => credibility.weight)).toEqual([0.6, 0.85]);
+      expect(scored[0].title).toBe('Result');
+    });
+  });
+});
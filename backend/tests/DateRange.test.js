@@ -0,0 +1,89 @@
+const DateRange = require('../services/DateRange');
+
+describe('DateRange', () => {
+  describe('fromRequest', () => {
+    it('returns null without a date range or as-of date', () => {
+      expect(DateRange.fromRequest({})).toBeNull();
+      expect(DateRange.fromRequest()).toBeNull();
+    });
+
+    it('reads a range object', () => {
+      expect(DateRange.fromRequest({ dateRange: { from: '2023-01-01', to: '2023-12-31' } })).toEqual({
+        from: '2023-01-01',
+        to: '2023-12-31',
+        asOf: null
+      });
+    });
+
+    it('reads ISO intervals, with either end left open', () => {
+      expect(DateRange.fromRequest({ dateRange: '2023-01-01/2023-06-30' })).toEqual({ from: '2023-01-01', to: '2023-06-30', asOf: null });
+      expect(DateRange.fromRequest({ dateRange: '2023-01-01/..' })).toEqual({ from: '2023-01-01', to: null, asOf: null });
+      expect(DateRange.fromRequest({ dateRange: '../2023-06-30' })).toEqual({ from: null, to: '2023-06-30', asOf: null });
+      expect(DateRange.fromRequest({ dateRange: '2023-01-01' })).toEqual({ from: '2023-01-01', to: null, asOf: null });
+    });
+
+    it('ends the range at the as-of date', () => {
+      expect(DateRange.fromRequest({ asOf: '2024-06-30' })).toEqual({ from: null, to: '2024-06-30', asOf: '2024-06-30' });
+      expect(DateRange.fromRequest({ asOf: '2024-06-30', dateRange: '2024-01-01/2024-12-31' }))
+        .toEqual({ from: '2024-01-01', to: '2024-06-30', asOf: '2024-06-30' });
+      expect(DateRange.fromRequest({ asOf: '2024-06-30', dateRange: '2024-01-01/2024-03-31' }))
+        .toEqual({ from: '2024-01-01', to: '2024-03-31', asOf: '2024-06-30' });
+    });
+
+    it('rejects inverted ranges', () => {
+      expect(() => DateRange.fromRequest({ dateRange: '2024-12-31/2024-01-01' })).toThrow('starts (2024-12-31) after it ends (2024-01-01)');
+      expect(() => DateRange.fromRequest({ asOf: '2023-06-30', dateRange: { from: '2024-01-01' } })).toThrow('after it ends');
+    });
+
+    it('rejects dates that aren\'t YYYY-MM-DD or don\'t exist', () => {
+      expect(() => DateRange.fromRequest({ asOf: '06/30/2024' })).toThrow('asOf must be a date in YYYY-MM-DD format');
+      expect(() => DateRange.fromRequest({ dateRange: { from: '2023-02-30' } })).toThrow('dateRange.from must be a date');
+      expect(() => DateRange.fromRequest({ dateRange: '2023-01-01T00:00:00Z/..' })).toThrow('dateRange.from must be a date');
+    });
+
+    it('rejects as-of dates in the future', () => {
+      const tomorrow = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+      expect(() => DateRange.fromRequest({ asOf: tomorrow })).toThrow('is in the future');
+    });
+  });
+
+  describe('toISODate', () => {
+    it.each([
+      ['2024-03-01', '2024-03-01'],
+      ['2024-03-01T23:30:00-05:00', '2024-03-01'],
+      ['Fri, 01 Mar 2024 23:30:00 GMT', '2024-03-01'],
+      ['Fri, 01 Mar 2024 23:30:00 -0500', '2024-03-02'],
+      [Date.UTC(2024, 2, 1), '2024-03-01'],
+      [new Date(Date.UTC(2024, 2, 1, 12)), '2024-03-01']
+    ])('reads %s', (value, expected) => {
+      expect(DateRange.toISODate(value)).toBe(expected);
+    });
+
+    it.each([null, undefined, '', 'not a date', '2024-02-30'])('returns null for %s', (value) => {
+      expect(DateRange.toISODate(value)).toBeNull();
+    });
+  });
+
+  describe('includes', () => {
+    const range = { from: '2024-01-01', to: '2024-06-30', asOf: null };
+
+    it('filters on the observation date, then the publication date', () => {
+      expect(DateRange.includes(range, { date: '2023-12-01', observationDate: '2024-03-31' })).toBe(true);
+      expect(DateRange.includes(range, { date: '2024-07-01' })).toBe(false);
+      expect(DateRange.includes({ from: null, to: '2024-06-30' }, { date: '1999-01-01' })).toBe(true);
+    });
+
+    it('keeps undated results and everything without a range', () => {
+      expect(DateRange.includes(range, { date: null })).toBe(true);
+      expect(DateRange.includes(null, { date: '1999-01-01' })).toBe(true);
+    });
+  });
+
+  describe('describe', () => {
+    it('describes the ends that are set', () => {
+      expect(DateRange.describe({ from: '2024-01-01', to: '2024-06-30', asOf: null })).toBe('from 2024-01-01 to 2024-06-30');
+      expect(DateRange.describe({ from: null, to: '2024-06-30', asOf: '2024-06-30' })).toBe('as of 2024-06-30');
+    });
+  });
+});
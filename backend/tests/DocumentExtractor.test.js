@@ -0,0 +1,20 @@
+const DocumentExtractor = require('../services/DocumentExtractor');
+
+describe('DocumentExtractor', () => {
+  describe('getContentType', () => {
+    it.each([
+      ['.pdf', 'application/pdf'],
+      ['.PDF', 'application/pdf'],
+      ['.txt', 'text/plain'],
+      ['.html', 'text/html'],
+      ['.docx', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document']
+    ])('serves %s as %s', (extension, contentType) => {
+      expect(DocumentExtractor.getContentType(extension)).toBe(contentType);
+    });
+
+    it('serves unknown or missing extensions as binary data', () => {
+      expect(DocumentExtractor.getContentType('.exe')).toBe('application/octet-stream');
+      expect(DocumentExtractor.getContentType(undefined)).toBe('application/octet-stream');
+    });
+  });
+});
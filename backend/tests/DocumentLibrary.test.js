@@ -0,0 +1,63 @@
+const DocumentLibrary = require('../services/DocumentLibrary');
+
+const ENV = { ...process.env };
+
+describe('DocumentLibrary', () => {
+  afterEach(() => {
+    process.env = { ...ENV };
+    jest.restoreAllMocks();
+  });
+
+  describe('chunk', () => {
+    const words = count => Array.from({ length: count }, (value, index) => `w${index + 1}`).join(' ');
+
+    it('splits each page into overlapping passages that never cross pages', () => {
+      const chunks = DocumentLibrary.chunk([
+        { page: 1, text: words(10) },
+        { page: 2, section: 'Exhibit A', text: 'short page' }
+      ], { size: 4, overlap: 1 });
+
+      expect(chunks.map(chunk => [chunk.index, chunk.page, chunk.section, chunk.text])).toEqual([
+        [0, 1, null, 'w1 w2 w3 w4'],
+        [1, 1, null, 'w4 w5 w6 w7'],
+        [2, 1, null, 'w7 w8 w9 w10'],
+        [3, 2, 'Exhibit A', 'short page']
+      ]);
+    });
+  });
+
+  describe('getChunkOverlap', () => {
+    it('reads DOCUMENT_CHUNK_OVERLAP, defaulting to 40 words', () => {
+      delete process.env.DOCUMENT_CHUNK_WORDS;
+      delete process.env.DOCUMENT_CHUNK_OVERLAP;
+      expect(DocumentLibrary.getChunkOverlap()).toBe(40);
+
+      process.env.DOCUMENT_CHUNK_OVERLAP = '0';
+      expect(DocumentLibrary.getChunkOverlap()).toBe(0);
+    });
+
+    it.each(['200', '500', '150'])('limits an overlap of %s words to half of a 200-word passage', (overlap) => {
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      process.env.DOCUMENT_CHUNK_WORDS = '200';
+      process.env.DOCUMENT_CHUNK_OVERLAP = overlap;
+
+      expect(DocumentLibrary.getChunkOverlap()).toBe(100);
+      expect(warn).toHaveBeenCalledWith(expect.stringContaining('DOCUMENT_CHUNK_OVERLAP'));
+    });
+
+    it('keeps the default overlap within small passages', () => {
+      process.env.DOCUMENT_CHUNK_WORDS = '50';
+      delete process.env.DOCUMENT_CHUNK_OVERLAP;
+
+      expect(DocumentLibrary.getChunkOverlap()).toBe(25);
+    });
+
+    it('builds a passage per 100 words of a large upload rather than one per word', () => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      process.env.DOCUMENT_CHUNK_WORDS = '200';
+      process.env.DOCUMENT_CHUNK_OVERLAP = '200';
+
+      expect(DocumentLibrary.chunk([{ page: 1, text: 'word '.repeat(10000) }])).toHaveLength(99);
+    });
+  });
+});
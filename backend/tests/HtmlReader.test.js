@@ -0,0 +1,82 @@
+const HtmlReader = require('../services/HtmlReader');
+
+const PAGE = `<!DOCTYPE html>
+<html>
+<head><title>Harbor Point &amp; Co.</title><style>p { color: red; }</style></head>
+<body>
+  <script>var tracking = "<p>not text</p>";</script>
+  <p>Offering   memorandum<br>for   sale</p>
+  <!-- <h2>Commented out</h2> -->
+  <h2>Rent <em>Roll</em></h2>
+  <table>
+    <tr><th>Suite</th><th>Tenant</th></tr>
+    <tr><td>100</td><td><p>Acme</p><p>Analytics</p></td></tr>
+    <tr><td></td><td></td></tr>
+  </table>
+  <h2>Terms</h2>
+  <ul><li>Term: 10 years<ul><li>Two renewal options</li></ul></li><li>Rent &ndash; $45.00&nbsp;/SF &#8212; &#x2713;</li></ul>
+  <pre>  Year 1   $45.00
+  Year 2   $46.35</pre>
+  <p>5 < 6 &unknown; &lt;done&gt;</p>
+</body>
+</html>`;
+
+describe('HtmlReader', () => {
+  describe('read', () => {
+    const { title, sections } = HtmlReader.read(PAGE);
+
+    it('reads the title and skips scripts, styles and comments', () => {
+      expect(title).toBe('Harbor Point & Co.');
+      expect(sections.map(section => section.heading)).toEqual([null, 'Rent Roll', 'Terms']);
+    });
+
+    it('collapses whitespace and keeps line breaks', () => {
+      expect(sections[0].text).toBe('Offering memorandum\nfor sale');
+    });
+
+    it('puts each table row on one line and skips empty rows', () => {
+      expect(sections[1].text).toBe('Rent Roll\n\nSuite | Tenant\n100 | Acme Analytics');
+    });
+
+    it('indents nested list items, keeps preformatted text and decodes character references', () => {
+      expect(sections[2].text).toBe([
+        'Terms',
+        '- Term: 10 years',
+        '  - Two renewal options',
+        '- Rent – $45.00 /SF — ✓',
+        '  Year 1   $45.00\n  Year 2   $46.35',
+        '5 < 6 &unknown; <done>'
+      ].join('\n\n'));
+    });
+
+    it('flattens nested tables into their cell', () => {
+      const { sections: [section] } = HtmlReader.read(
+        '<table><tr><td>Options</td><td><table><tr><td>Renewal</td><td>5 years</td></tr><tr><td>Expansion</td></tr></table></td></tr></table>'
+      );
+
+      expect(section.text).toBe('Options | Renewal | 5 years; Expansion');
+    });
+  });
+
+  describe('toPages', () => {
+    it('names the text before the first heading by the title', () => {
+      expect(HtmlReader.toPages('<title>Report</title><p>Intro</p><h1>Market</h1><p>Rents rose.</p>')).toEqual([
+        { page: null, section: 'Report', text: 'Intro' },
+        { page: null, section: 'Market', text: 'Market\n\nRents rose.' }
+      ]);
+    });
+  });
+
+  describe('decode', () => {
+    it('uses the declared character set', () => {
+      const html = Buffer.concat([Buffer.from('<meta charset="windows-1252"><p>Landlord'), Buffer.from([0x92]), Buffer.from('s</p>')]);
+
+      expect(HtmlReader.decode(html)).toContain('Landlord’s');
+    });
+
+    it('detects the character set when none is declared', () => {
+      expect(HtmlReader.decode(Buffer.from('<p>Café</p>'))).toBe('<p>Café</p>');
+      expect(HtmlReader.decode(Buffer.from([0x3c, 0x70, 0x3e, 0x93, 0x3c]))).toBe('<p>“<');
+    });
+  });
+});
@@ -0,0 +1,175 @@
+const LeaseAbstractor = require('../services/LeaseAbstractor');
+
+const LEASE = `OFFICE LEASE
+
+This Lease is made between Harbor Point Owner LLC ("Landlord") and Acme Analytics, Inc. ("Tenant").
+
+Premises: Suite 1200, Harbor Point Office Tower
+
+The Premises contain 12,500 rentable square feet.
+
+The Commencement Date shall be March 1, 2024 and the Expiration Date shall be February 28, 2034.
+
+Base Rent shall be $45.00 per rentable square foot for Years 1-2 and $46.35 per rentable square foot for Years 3-5.
+
+Tenant shall receive three (3) months of free rent (abatement) following the Commencement Date.
+
+Landlord shall provide a tenant improvement allowance of $60.00 per rentable square foot, not to exceed $750,000.
+
+Tenant shall pay its share of Operating Expenses in excess of a Base Year of 2024.
+
+Tenant shall deposit a security deposit of $125,000 upon execution.`;
+
+describe('LeaseAbstractor', () => {
+  describe('isLease', () => {
+    it('recognizes text with a lease, a landlord and a tenant', () => {
+      expect(LeaseAbstractor.isLease(LEASE)).toBe(true);
+      expect(LeaseAbstractor.isLease('Quarterly market report for downtown office space')).toBe(false);
+    });
+  });
+
+  describe('splitParagraphs', () => {
+    it('numbers paragraphs within their page', () => {
+      const paragraphs = LeaseAbstractor.splitParagraphs([
+        { page: 1, text: 'First paragraph.\n\nSecond paragraph.' },
+        { page: 2, text: 'Third paragraph.' }
+      ]);
+
+      expect(paragraphs).toEqual([
+        { id: 'p1', page: 1, paragraph: 1, text: 'First paragraph.' },
+        { id: 'p2', page: 1, paragraph: 2, text: 'Second paragraph.' },
+        { id: 'p3', page: 2, paragraph: 1, text: 'Third paragraph.' }
+      ]);
+    });
+
+    it('starts paragraphs at numbered sections in text without blank lines', () => {
+      const paragraphs = LeaseAbstractor.splitParagraphs([
+        { page: 1, text: '1. Term. The term is ten years.\n2. Rent. Rent is due monthly.\nSection 3 Use of the premises.' }
+      ]);
+
+      expect(paragraphs.map(paragraph => paragraph.text)).toEqual([
+        '1. Term. The term is ten years.',
+        '2. Rent. Rent is due monthly.',
+        'Section 3 Use of the premises.'
+      ]);
+    });
+  });
+
+  describe('extractWithRules', () => {
+    const fields = LeaseAbstractor.extractWithRules(LeaseAbstractor.splitParagraphs([{ page: 4, text: LEASE }]));
+
+    it('reads the parties', () => {
+      expect(fields.landlord.value).toBe('Harbor Point Owner LLC');
+      expect(fields.tenant.value).toBe('Acme Analytics, Inc.');
+    });
+
+    it('reads the premises and their area', () => {
+      expect(fields.premises.value).toBe('Suite 1200, Harbor Point Office Tower');
+      expect(fields.rentableSquareFeet.value).toBe(12500);
+    });
+
+    it('reads the commencement and expiration dates', () => {
+      expect(fields.commencementDate.value).toBe('2024-03-01');
+      expect(fields.expirationDate.value).toBe('2034-02-28');
+    });
+
+    it('reads a rent step per period', () => {
+      expect(fields.baseRentSchedule.value).toEqual([
+        { period: 'Years 1-2', annualRent: null, monthlyRent: null, rentPerSF: 45 },
+        { period: 'Years 3-5', annualRent: null, monthlyRent: null, rentPerSF: 46.35 }
+      ]);
+    });
+
+    it('reads free rent, the TI allowance, the expense structure and the deposit', () => {
+      expect(fields.freeRent.value.months).toBe(3);
+      expect(fields.tiAllowance.value).toMatchObject({ perSF: 60, total: 750000 });
+      expect(fields.opexStructure.value).toMatchObject({ type: 'base year', baseYear: 2024 });
+      expect(fields.securityDeposit.value).toBe(125000);
+    });
+
+    it('locates each field by page and paragraph', () => {
+      expect(fields.rentableSquareFeet).toMatchObject({ page: 4, paragraph: 4, excerpt: 'The Premises contain 12,500 rentable square feet.' });
+    });
+  });
+
+  describe('matchRentSchedule', () => {
+    it('pairs amounts with the period they follow', () => {
+      expect(LeaseAbstractor.matchRentSchedule('Years 1-2: $45.00 per rentable square foot ($46,875.00 per month); Years 3-5: $46.35 per rentable square foot')).toEqual([
+        { period: 'Years 1-2', annualRent: null, monthlyRent: 46875, rentPerSF: 45 },
+        { period: 'Years 3-5', annualRent: null, monthlyRent: null, rentPerSF: 46.35 }
+      ]);
+    });
+
+    it('pairs amounts with the period they precede in a sentence', () => {
+      expect(LeaseAbstractor.matchRentSchedule('$45.00 per rentable square foot for Years 1-2 and $46.35 per rentable square foot for Years 3-5')).toEqual([
+        { period: 'Years 1-2', annualRent: null, monthlyRent: null, rentPerSF: 45 },
+        { period: 'Years 3-5', annualRent: null, monthlyRent: null, rentPerSF: 46.35 }
+      ]);
+    });
+
+    it('reads table rows with annual and monthly rent', () => {
+      expect(LeaseAbstractor.matchRentSchedule('Lease Year 1   $562,500   $46,875/month\nLease Year 2   $579,375')).toEqual([
+        { period: 'Lease Year 1', annualRent: 562500, monthlyRent: 46875, rentPerSF: null },
+        { period: 'Lease Year 2', annualRent: 579375, monthlyRent: null, rentPerSF: null }
+      ]);
+    });
+
+    it('skips lines without a period or an amount', () => {
+      expect(LeaseAbstractor.matchRentSchedule('Base Rent is payable monthly in advance.\nYears 1-5 at market rent')).toEqual([]);
+    });
+  });
+
+  describe('parseDate', () => {
+    it.each([
+      ['January 1, 2025', '2025-01-01'],
+      ['the 1st day of January, 2025', '2025-01-01'],
+      ['01/15/2025', '2025-01-15'],
+      ['2025-01-15', '2025-01-15'],
+      ['Sept. 30, 2031', '2031-09-30']
+    ])('reads %s', (text, expected) => {
+      expect(LeaseAbstractor.parseDate(text)).toBe(expected);
+    });
+
+    it('takes the first date in the text and rejects impossible ones', () => {
+      expect(LeaseAbstractor.parseDate('from 03/01/2024 through February 28, 2034')).toBe('2024-03-01');
+      expect(LeaseAbstractor.parseDate('February 30, 2024')).toBeNull();
+    });
+  });
+
+  describe('matchMonths', () => {
+    it('reads months in digits or words', () => {
+      expect(LeaseAbstractor.matchMonths('three (3) months of abatement')).toBe(3);
+      expect(LeaseAbstractor.matchMonths('six full calendar months')).toBe(6);
+      expect(LeaseAbstractor.matchMonths('12 months')).toBe(12);
+      expect(LeaseAbstractor.matchMonths('no abatement')).toBeNull();
+    });
+  });
+
+  describe('normalizeValue', () => {
+    it('coerces model values to the field types', () => {
+      const schedule = LeaseAbstractor.getFields().find(field => field.key === 'baseRentSchedule');
+
+      expect(LeaseAbstractor.normalizeValue('$1,250.50', 'number')).toBe(1250.5);
+      expect(LeaseAbstractor.normalizeValue('March 1, 2024', 'date')).toBe('2024-03-01');
+      expect(LeaseAbstractor.normalizeValue([{ period: 'Years 1-2', rentPerSF: '45.00' }, {}], schedule)).toEqual([
+        { period: 'Years 1-2', annualRent: null, monthlyRent: null, rentPerSF: 45 }
+      ]);
+    });
+  });
+
+  describe('toCSV', () => {
+    it('writes a row per field, quoting values with commas', () => {
+      const fields = {};
+      LeaseAbstractor.getFields().forEach(field => {
+        fields[field.key] = { label: field.label, value: null, confidence: 0, page: null, paragraph: null, excerpt: null };
+      });
+      fields.tenant = { ...fields.tenant, value: 'Acme Analytics, Inc.', confidence: 0.7, page: 1, paragraph: 2, excerpt: 'Tenant' };
+
+      const lines = LeaseAbstractor.toCSV({ fields }).trim().split('\n');
+
+      expect(lines[0]).toBe('field,label,value,confidence,page,paragraph,excerpt');
+      expect(lines).toHaveLength(LeaseAbstractor.getFields().length + 1);
+      expect(lines).toContain(`tenant,${fields.tenant.label},"Acme Analytics, Inc.",0.7,1,2,Tenant`);
+    });
+  });
+});
@@ -0,0 +1,47 @@
+const LeasingService = require('../services/LeasingService');
+const leasingSource = require('../sources/leasing');
+
+const ENV = { ...process.env };
+
+describe('LeasingService', () => {
+  beforeEach(() => {
+    process.env.RESEARCH_DATA_MODE = 'demo';
+    delete process.env.ZILLOW_API_KEY;
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    process.env = { ...ENV };
+    jest.restoreAllMocks();
+  });
+
+  describe('processQuery', () => {
+    it('keeps reports dated within the research period', async () => {
+      const results = await LeasingService.processQuery('office vacancy', {
+        dateRange: { from: '2023-01-01', to: '2023-12-31', asOf: null }
+      });
+
+      expect(results.map(result => result.source)).toEqual(['CoStar']);
+    });
+
+    it('drops reports dated outside the research period', async () => {
+      const results = await LeasingService.processQuery('office vacancy', {
+        dateRange: { from: '2024-01-01', to: null, asOf: null }
+      });
+
+      expect(results.map(result => result.source)).toEqual(['Internal Analysis']);
+    });
+  });
+
+  describe('source', () => {
+    it('passes the date range on', async () => {
+      const getResearch = jest.spyOn(LeasingService, 'getResearch').mockResolvedValue([]);
+      const dateRange = { from: '2024-01-01', to: '2024-06-30', asOf: null };
+      const signal = new AbortController().signal;
+
+      await leasingSource.search('office vacancy', { sessionId: 's1', signal, dateRange });
+
+      expect(getResearch).toHaveBeenCalledWith('office vacancy', 's1', { signal, dateRange });
+    });
+  });
+});
@@ -0,0 +1,122 @@
+const MimeMessage = require('../services/MimeMessage');
+
+const EMAIL = [
+  'From: =?UTF-8?B?SsO8cmdlbiBCcm9rZXI=?= <jurgen@example.com>',
+  'To: Acquisitions Team <team@example.com>',
+  'Subject: =?ISO-8859-1?Q?Landlord=92s_offer?= =?UTF-8?Q?_=E2=80=93_Harbor_Point?=',
+  'Date: Fri, 1 Mar 2024 10:30:00 -0500',
+  'Received: by mail.example.com',
+  'Subject: Trace header',
+  'Content-Type: multipart/mixed; boundary="outer"',
+  '',
+  'This is a multi-part message in MIME format.',
+  '--outer',
+  'Content-Type: multipart/alternative; boundary=inner',
+  '',
+  '--inner',
+  'Content-Type: text/plain; charset=windows-1252',
+  'Content-Transfer-Encoding: quoted-printable',
+  '',
+  'The landlord=92s offer is attached. Rent is $45.00/SF =',
+  'for Years 1-5.',
+  '--inner',
+  'Content-Type: text/html; charset=utf-8',
+  '',
+  '<p>The landlord’s offer is attached.</p>',
+  '--inner--',
+  '--outer',
+  'Content-Type: text/csv',
+  'Content-Disposition: attachment;',
+  ' filename*0*=UTF-8\'\'rent%20roll%20;',
+  ' filename*1="Q1.csv"',
+  'Content-Transfer-Encoding: base64',
+  '',
+  Buffer.from('Suite,Tenant\n100,Acme\n').toString('base64'),
+  '--outer',
+  'Content-Type: message/rfc822',
+  '',
+  'From: owner@example.com',
+  'Subject: Original offer',
+  '',
+  'See the offer.',
+  '--outer--',
+  ''
+].join('\r\n');
+
+describe('MimeMessage', () => {
+  describe('readEmail', () => {
+    const email = MimeMessage.readEmail(Buffer.from(EMAIL));
+
+    it('decodes encoded header words, keeping the first occurrence of a header', () => {
+      expect(email.headers).toEqual({
+        from: 'Jürgen Broker <jurgen@example.com>',
+        to: 'Acquisitions Team <team@example.com>',
+        cc: null,
+        date: 'Fri, 1 Mar 2024 10:30:00 -0500',
+        subject: 'Landlord’s offer – Harbor Point'
+      });
+    });
+
+    it('reads the first plain text and HTML bodies in their character sets', () => {
+      expect(email.text).toBe('The landlord’s offer is attached. Rent is $45.00/SF for Years 1-5.');
+      expect(email.html).toBe('<p>The landlord’s offer is attached.</p>');
+    });
+
+    it('reads attachments with continued, encoded file names', () => {
+      expect(email.attachments[0]).toEqual({ name: 'rent roll Q1.csv', data: Buffer.from('Suite,Tenant\n100,Acme\n') });
+    });
+
+    it('reads attached messages', () => {
+      expect(email.attachments[1].name).toBe('Original offer.eml');
+      expect(email.attachments[1].email).toMatchObject({
+        headers: { from: 'owner@example.com', subject: 'Original offer' },
+        text: 'See the offer.'
+      });
+    });
+  });
+
+  describe('parseHeaderValue', () => {
+    it('reads quoted parameters with escaped quotes and lowercases their names', () => {
+      expect(MimeMessage.parseHeaderValue('attachment; FileName="Q1 \\"final\\".pdf"; size=120')).toEqual({
+        value: 'attachment',
+        parameters: { filename: 'Q1 "final".pdf', size: '120' }
+      });
+    });
+  });
+
+  describe('decodeQuotedPrintable', () => {
+    it('joins soft line breaks and drops trailing whitespace', () => {
+      expect(MimeMessage.decodeQuotedPrintable('caf=C3=A9 =\r\nterrace  \r\nnext').toString('utf8')).toBe('café terrace\r\nnext');
+    });
+  });
+
+  describe('decodeHeader', () => {
+    it('reads raw UTF-8 header text', () => {
+      expect(MimeMessage.decodeHeader(Buffer.from('Café lease', 'utf8').toString('latin1'))).toBe('Café lease');
+    });
+  });
+
+  describe('readWebArchive', () => {
+    it('finds the page among the archive\'s parts', () => {
+      const archive = [
+        'MIME-Version: 1.0',
+        'Content-Type: multipart/related; boundary="page"',
+        '',
+        '--page',
+        'Content-Type: text/html; charset="utf-8"',
+        'Content-Transfer-Encoding: quoted-printable',
+        '',
+        '<h1>Market =E2=80=93 Q1</h1>',
+        '--page',
+        'Content-Type: image/png',
+        'Content-Transfer-Encoding: base64',
+        '',
+        'iVBORw0KGgo=',
+        '--page--'
+      ].join('\n');
+
+      expect(MimeMessage.readWebArchive(Buffer.from(archive))).toBe('<h1>Market – Q1</h1>');
+      expect(MimeMessage.readWebArchive(Buffer.from('Content-Type: text/plain\n\nNo page'))).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,91 @@
+const OutlookMessage = require('../services/OutlookMessage');
+const { buildCompoundFile } = require('./helpers/compoundFile');
+
+/**
+ * Encode a Unicode string property
+ * @param {string} text - The value
+ * @returns {Buffer}
+ */
+const unicode = text => Buffer.from(`${text}\0`, 'utf16le');
+
+/**
+ * Build a fixed-size property stream holding a time property
+ * @param {number} headerLength - 32 for the message, 24 for an attached message
+ * @param {number} tag - The property tag
+ * @param {string} time - ISO timestamp
+ * @returns {Buffer}
+ */
+const properties = (headerLength, tag, time) => {
+  const entry = Buffer.alloc(16);
+  entry.writeUInt32LE(tag, 0);
+  entry.writeBigUInt64LE(BigInt(Date.parse(time)) * 10000n + 116444736000000000n, 8);
+  return Buffer.concat([Buffer.alloc(headerLength), entry]);
+};
+
+const MESSAGE = buildCompoundFile({
+  '__substg1.0_0037001F': unicode('Harbor Point rent roll'),
+  '__substg1.0_0C1A001F': unicode('Jane Broker'),
+  '__substg1.0_0C1F001F': unicode('jane@example.com'),
+  '__substg1.0_0E04001F': unicode('Acquisitions Team'),
+  '__substg1.0_1000001F': unicode('The updated rent roll is attached.'),
+  '__substg1.0_10130102': Buffer.from('<p>The updated rent roll is attached.</p>'),
+  '__properties_version1.0': properties(32, 0x00390040, '2024-03-01T15:30:00.000Z'),
+  '__attach_version1.0_#00000000': {
+    '__substg1.0_3704001F': unicode('RENTRO~1.CSV'),
+    '__substg1.0_3707001F': unicode('rent-roll.csv'),
+    '__substg1.0_37010102': Buffer.from('Suite,Tenant\n100,Acme\n')
+  },
+  '__attach_version1.0_#00000001': {
+    '__substg1.0_3701000D': {
+      '__substg1.0_0037001E': Buffer.from('Landlord\x92s reply\0', 'latin1'),
+      '__substg1.0_0C1F001F': unicode('owner@example.com'),
+      '__properties_version1.0': properties(24, 0x0e060040, '2024-02-28T09:00:00.000Z')
+    }
+  },
+  '__attach_version1.0_#00000002': {
+    '__substg1.0_3001001F': unicode('Embedded chart')
+  }
+});
+
+describe('OutlookMessage', () => {
+  const email = OutlookMessage.read(MESSAGE);
+
+  it('reads the headers, with the sender\'s name and address', () => {
+    expect(email.headers).toEqual({
+      from: 'Jane Broker <jane@example.com>',
+      to: 'Acquisitions Team',
+      cc: null,
+      date: '2024-03-01T15:30:00.000Z',
+      subject: 'Harbor Point rent roll'
+    });
+  });
+
+  it('reads the plain text and HTML bodies', () => {
+    expect(email.text).toBe('The updated rent roll is attached.');
+    expect(email.html).toBe('<p>The updated rent roll is attached.</p>');
+  });
+
+  it('reads file attachments by their long name', () => {
+    expect(email.attachments[0]).toEqual({ name: 'rent-roll.csv', data: Buffer.from('Suite,Tenant\n100,Acme\n') });
+  });
+
+  it('reads attached messages, with ANSI strings and the delivery time', () => {
+    expect(email.attachments[1].name).toBe('Landlord’s reply.msg');
+    expect(email.attachments[1].email.headers).toMatchObject({
+      from: 'owner@example.com',
+      subject: 'Landlord’s reply',
+      date: '2024-02-28T09:00:00.000Z'
+    });
+  });
+
+  it('skips attachments without content', () => {
+    expect(email.attachments).toHaveLength(2);
+  });
+
+  it('leaves the date empty without fixed-size properties', () => {
+    const bare = OutlookMessage.read(buildCompoundFile({ '__substg1.0_0037001F': unicode('No date') }));
+
+    expect(bare.headers).toMatchObject({ subject: 'No date', date: null, from: null });
+    expect(bare.text).toBeNull();
+  });
+});
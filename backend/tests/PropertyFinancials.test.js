@@ -0,0 +1,189 @@
+const PropertyFinancials = require('../services/PropertyFinancials');
+
+const RENT_ROLL = {
+  name: 'Rent Roll',
+  rows: [
+    ['Harbor Point Office Tower'],
+    ['As of December 31, 2024'],
+    ['Suite', 'Tenant', 'RSF', 'Lease Start', 'Lease Expiration', 'Rent/SF', 'Annual Rent'],
+    ['100', 'Acme Analytics', 10000, '2020-01-01', '2027-12-31', '$40.00', null],
+    ['200', 'Beta Partners', '5,000', '01/01/2019', '12/31/2024', 38, 190000],
+    ['300', 'Vacant', 5000, null, null, null, null],
+    ['400', 'Gamma Labs', 5000, 43831, 47848, null, '$250,000'],
+    ['Total', null, 25000, null, null, null, 840000]
+  ]
+};
+
+const MONTHS = ['Jan-24', 'Feb-24', 'Mar-24', 'Apr-24', 'May-24', 'Jun-24', 'Jul-24', 'Aug-24', 'Sep-24', 'Oct-24', 'Nov-24', 'Dec-24'];
+
+const STATEMENT = {
+  name: 'T-12',
+  rows: [
+    ['Trailing 12 Operating Statement'],
+    ['Account', ...MONTHS, 'Total'],
+    ['Income'],
+    ['Base Rent', ...Array(12).fill(50000), 600000],
+    ['Expense Recoveries', ...Array(12).fill(5000), null],
+    ['Total Income', ...Array(12).fill(55000), 660000],
+    ['Operating Expenses'],
+    ['Real Estate Taxes', ...Array(12).fill(10000), 120000],
+    ['Repairs & Maintenance', ...Array(12).fill('(1,000)'), null],
+    ['Total Operating Expenses', ...Array(12).fill(9000), 108000],
+    ['Net Operating Income', ...Array(12).fill(46000), 552000],
+    ['Capital Expenditures', ...Array(12).fill(2000), 24000]
+  ]
+};
+
+describe('PropertyFinancials', () => {
+  describe('parseRentRoll', () => {
+    const rentRoll = PropertyFinancials.parseRentRoll(RENT_ROLL);
+
+    it('finds the header below title rows and skips the total row', () => {
+      expect(rentRoll.sheet).toBe('Rent Roll');
+      expect(rentRoll.units.map(unit => unit.suite)).toEqual(['100', '200', '300', '400']);
+    });
+
+    it('derives annual and monthly rent from the rate and area', () => {
+      expect(rentRoll.units[0]).toEqual({
+        tenant: 'Acme Analytics',
+        suite: '100',
+        rsf: 10000,
+        leaseStart: '2020-01-01',
+        leaseEnd: '2027-12-31',
+        rentPerSF: 40,
+        annualRent: 400000,
+        monthlyRent: 33333.33,
+        vacant: false
+      });
+    });
+
+    it('reads written dates, date serials and rents written as text', () => {
+      expect(rentRoll.units[1]).toMatchObject({ rsf: 5000, leaseStart: '2019-01-01', leaseEnd: '2024-12-31', annualRent: 190000 });
+      expect(rentRoll.units[3]).toMatchObject({ leaseStart: '2020-01-01', leaseEnd: '2030-12-31', annualRent: 250000, rentPerSF: 50 });
+    });
+
+    it('marks vacant suites without rent', () => {
+      expect(rentRoll.units[2]).toMatchObject({ tenant: null, vacant: true, annualRent: null, rentPerSF: null });
+    });
+
+    it('annualizes monthly rates', () => {
+      const monthly = PropertyFinancials.parseRentRoll({
+        name: null,
+        rows: [['Unit', 'Tenant', 'Sq Ft', 'Rent/SF/Month'], ['A', 'Delta', 1000, 3]]
+      });
+
+      expect(monthly.units[0]).toMatchObject({ rentPerSF: 36, annualRent: 36000, monthlyRent: 3000 });
+    });
+
+    it('ignores sheets without a rent roll header', () => {
+      expect(PropertyFinancials.parseRentRoll({ name: 'Notes', rows: [['Some notes'], ['More notes']] })).toBeNull();
+    });
+  });
+
+  describe('getRentRollMetrics', () => {
+    const { units } = PropertyFinancials.parseRentRoll(RENT_ROLL);
+
+    it('counts leases that have expired by the as-of date as vacant', () => {
+      const metrics = PropertyFinancials.getRentRollMetrics({ units }, '2025-01-01');
+
+      expect(metrics).toMatchObject({
+        asOf: '2025-01-01',
+        units: 4,
+        totalRSF: 25000,
+        occupiedRSF: 15000,
+        occupancy: 0.6,
+        inPlaceRent: 650000,
+        inPlaceRentPerSF: 43.33,
+        waltBasis: 'rent'
+      });
+    });
+
+    it('weights the remaining lease term by annual rent', () => {
+      const metrics = PropertyFinancials.getRentRollMetrics({ units }, '2025-01-01');
+      const years = (end) => (Date.parse(end) - Date.parse('2025-01-01')) / 86400000 / 365.25;
+      const expected = (400000 * years('2027-12-31') + 250000 * years('2030-12-31')) / 650000;
+
+      expect(metrics.walt).toBeCloseTo(expected, 2);
+    });
+
+    it('weights by area when the rent roll has no rents', () => {
+      const metrics = PropertyFinancials.getRentRollMetrics({
+        units: [
+          { tenant: 'A', rsf: 1000, leaseEnd: '2026-01-01', annualRent: null, vacant: false },
+          { tenant: 'B', rsf: 3000, leaseEnd: '2030-01-01', annualRent: null, vacant: false }
+        ]
+      }, '2025-01-01');
+
+      expect(metrics.waltBasis).toBe('rsf');
+      expect(metrics.walt).toBeCloseTo((1000 * 1 + 3000 * 5) / 4000, 1);
+    });
+  });
+
+  describe('parseOperatingStatement', () => {
+    const statement = PropertyFinancials.parseOperatingStatement(STATEMENT);
+
+    it('reads the months and line items, skipping totals and lines below NOI', () => {
+      expect(statement.months).toEqual(MONTHS.map((month, index) => `2024-${String(index + 1).padStart(2, '0')}`));
+      expect(statement.lines.map(line => [line.label, line.category, line.total])).toEqual([
+        ['Base Rent', 'income', 600000],
+        ['Expense Recoveries', 'income', 60000],
+        ['Real Estate Taxes', 'expense', 120000],
+        ['Repairs & Maintenance', 'expense', -12000]
+      ]);
+      expect(statement.reportedNOI).toBe(552000);
+    });
+
+    it('ignores sheets without month columns', () => {
+      expect(PropertyFinancials.parseOperatingStatement(RENT_ROLL)).toBeNull();
+    });
+  });
+
+  describe('getStatementMetrics', () => {
+    it('derives NOI from income less operating expenses', () => {
+      const metrics = PropertyFinancials.getStatementMetrics(PropertyFinancials.parseOperatingStatement(STATEMENT));
+
+      expect(metrics).toEqual({
+        from: '2024-01',
+        to: '2024-12',
+        months: 12,
+        totalIncome: 660000,
+        totalExpenses: 108000,
+        noi: 552000,
+        reportedNOI: 552000
+      });
+    });
+  });
+
+  describe('fromSheets', () => {
+    it('finds the rent roll and operating statement across sheets', () => {
+      const financials = PropertyFinancials.fromSheets([{ name: 'Cover', rows: [['Offering']] }, STATEMENT, RENT_ROLL]);
+
+      expect(financials.rentRoll.sheet).toBe('Rent Roll');
+      expect(financials.operatingStatement.sheet).toBe('T-12');
+      expect(PropertyFinancials.fromSheets([{ name: 'Cover', rows: [['Offering']] }])).toBeNull();
+    });
+  });
+
+  describe('toMonth', () => {
+    it.each([
+      ['Jan-24', '2024-01'],
+      ['January 2024', '2024-01'],
+      ['2024-03-31', '2024-03'],
+      ['3/2024', '2024-03'],
+      ["Sep '23", '2023-09'],
+      ['Dec', '--12'],
+      ['Total', null]
+    ])('reads %s', (value, expected) => {
+      expect(PropertyFinancials.toMonth(value)).toBe(expected);
+    });
+  });
+
+  describe('toNumber', () => {
+    it('reads currency, negatives in parentheses and dashes', () => {
+      expect(PropertyFinancials.toNumber('$1,234.50')).toBe(1234.5);
+      expect(PropertyFinancials.toNumber('(1,200)')).toBe(-1200);
+      expect(PropertyFinancials.toNumber('-')).toBeNull();
+      expect(PropertyFinancials.toNumber('n/a')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,168 @@
+const SourceRanker = require('../services/SourceRanker');
+
+const ENV = process.env;
+
+const RESULTS = [
+  {
+    title: 'Austin office vacancy',
+    summary: 'Office vacancy in Austin reached 24 percent.',
+    source: 'News',
+    link: 'https://news.example.com/austin-office',
+    provenance: 'live'
+  },
+  {
+    title: 'Dallas industrial rents climb',
+    summary: 'Industrial rents in Dallas rose 6 percent on strong logistics demand.',
+    source: 'News',
+    link: 'https://news.example.com/dallas-industrial',
+    provenance: 'live'
+  },
+  {
+    title: 'Dallas multifamily supply',
+    summary: 'Apartment deliveries in Dallas hit a record.',
+    source: 'Census',
+    link: 'https://census.example.com/dallas',
+    provenance: 'live'
+  }
+];
+
+const titles = results => results.map(result => result.title);
+
+describe('SourceRanker', () => {
+  afterEach(() => {
+    process.env = { ...ENV };
+  });
+
+  describe('rank', () => {
+    it('orders results by relevance and drops those without query terms', () => {
+      const { ranked, dropped } = SourceRanker.rank(RESULTS, 'Dallas industrial rents');
+
+      expect(titles(ranked)).toEqual(['Dallas industrial rents climb', 'Dallas multifamily supply']);
+      expect(ranked[0].relevance).toBe(1);
+      expect(ranked[1].relevance).toBeGreaterThan(0);
+      expect(ranked[1].relevance).toBeLessThan(1);
+      expect(dropped).toEqual([
+        { result: { ...RESULTS[0], relevance: 0 }, reason: 'no terms in common with the query' }
+      ]);
+    });
+
+    it('keeps the sources\' order for equally relevant results', () => {
+      const office = { title: 'Dallas office rents', summary: '', source: 'A', link: 'https://a.example.com', provenance: 'live' };
+      const retail = { title: 'Dallas retail rents', summary: '', source: 'B', link: 'https://b.example.com', provenance: 'live' };
+
+      expect(titles(SourceRanker.rank([office, retail], 'Dallas rents').ranked)).toEqual(['Dallas office rents', 'Dallas retail rents']);
+      expect(titles(SourceRanker.rank([retail, office], 'Dallas rents').ranked)).toEqual(['Dallas retail rents', 'Dallas office rents']);
+    });
+
+    it('ranks mock and internal results below equally relevant live ones', () => {
+      const mock = { title: 'Dallas office rents', summary: '', source: 'A', link: 'https://a.example.com', provenance: 'mock' };
+      const internal = { title: 'Dallas medical rents', summary: '', source: 'C', link: 'https://c.example.com', provenance: 'internal' };
+      const live = { title: 'Dallas retail rents', summary: '', source: 'B', link: 'https://b.example.com', provenance: 'live' };
+
+      const { ranked } = SourceRanker.rank([internal, mock, live], 'Dallas rents');
+
+      expect(titles(ranked)).toEqual(['Dallas retail rents', 'Dallas office rents', 'Dallas medical rents']);
+      // Relevance is reported before the provenance weight
+      expect(ranked.map(result => result.relevance)).toEqual([1, 1, 1]);
+    });
+
+    it('keeps only the top results, up to the limit', () => {
+      const { ranked, dropped } = SourceRanker.rank(RESULTS, 'Dallas industrial rents', { limit: 1 });
+
+      expect(titles(ranked)).toEqual(['Dallas industrial rents climb']);
+      expect(dropped.map(entry => entry.reason)).toEqual([
+        expect.stringMatching(/^ranked 2 of 3 \(relevance 0\.\d\d\); only the top 1 are used$/),
+        'no terms in common with the query'
+      ]);
+    });
+
+    it('defaults the limit to RESEARCH_TOP_SOURCES', () => {
+      process.env.RESEARCH_TOP_SOURCES = '2';
+      expect(SourceRanker.rank(RESULTS, 'Dallas').ranked).toHaveLength(2);
+
+      delete process.env.RESEARCH_TOP_SOURCES;
+      expect(SourceRanker.getTopSourceLimit()).toBe(12);
+    });
+
+    it('keeps every result in the sources\' order when none matches the query', () => {
+      const { ranked, dropped } = SourceRanker.rank(RESULTS, 'Phoenix retail');
+
+      expect(titles(ranked)).toEqual(titles(RESULTS));
+      expect(ranked.map(result => result.relevance)).toEqual([0, 0, 0]);
+      expect(dropped).toEqual([]);
+    });
+  });
+
+  describe('deduplicate', () => {
+    it('merges copies of a page into the most trustworthy one', () => {
+      const mock = {
+        title: 'Dallas industrial report',
+        summary: 'A much longer placeholder summary of the Dallas industrial market.',
+        source: 'Sample',
+        link: 'https://www.example.com/report/?utm_source=feed&b=2&a=1#top',
+        provenance: 'mock'
+      };
+      const live = {
+        title: 'Q3 logistics outlook',
+        summary: 'Warehouse absorption slowed.',
+        source: 'Broker',
+        link: 'http://example.com/report?a=1&b=2',
+        provenance: 'live'
+      };
+
+      const { unique, dropped } = SourceRanker.deduplicate([mock, live]);
+
+      expect(unique).toEqual([{ ...live, mergedSources: [{ source: 'Sample', link: mock.link }] }]);
+      expect(dropped).toEqual([{ result: mock, reason: 'duplicate of "Q3 logistics outlook" from Broker (same URL)' }]);
+    });
+
+    it('keeps the more complete copy of equally trustworthy results', () => {
+      const short = { title: 'Austin office vacancy hits record', summary: 'Vacancy rose.', source: 'A', link: 'https://a.example.com/1', provenance: 'live' };
+      const full = { title: 'Austin office vacancy hits record high', summary: 'Vacancy rose to 24 percent as sublease space grew.', source: 'B', link: 'https://b.example.com/2', provenance: 'live' };
+
+      const { unique, dropped } = SourceRanker.deduplicate([short, full]);
+
+      expect(titles(unique)).toEqual([full.title]);
+      expect(dropped[0].reason).toBe('duplicate of "Austin office vacancy hits record high" from B (near-identical title)');
+    });
+
+    it('merges results with near-identical content', () => {
+      const first = { title: 'Market update', summary: 'Dallas industrial rents rose 6 percent on logistics demand.', source: 'A', link: '#', provenance: 'live' };
+      const second = { title: 'Market update', summary: 'Dallas industrial rents rose 6 percent on logistics demand!', source: 'B', link: '#', provenance: 'live' };
+
+      const { unique, dropped } = SourceRanker.deduplicate([first, second]);
+
+      expect(unique).toEqual([{ ...first, mergedSources: [{ source: 'B', link: '#' }] }]);
+      expect(dropped[0].reason).toBe('duplicate of "Market update" from A (near-identical content)');
+    });
+
+    it('keeps distinct results in the sources\' order without merge lists', () => {
+      const { unique, dropped } = SourceRanker.deduplicate(RESULTS);
+
+      expect(unique).toEqual(RESULTS);
+      expect(dropped).toEqual([]);
+    });
+  });
+
+  describe('canonicalizeUrl', () => {
+    it('ignores the scheme, www, tracking parameters, the fragment and a trailing slash', () => {
+      expect(SourceRanker.canonicalizeUrl('https://www.Example.com/a/b/?utm_medium=x&z=1&gclid=2&a=3#part')).toBe('example.com/a/b?a=3&z=1');
+      expect(SourceRanker.canonicalizeUrl('http://example.com/a/b?z=1&a=3')).toBe('example.com/a/b?a=3&z=1');
+    });
+
+    it('returns null for placeholder and invalid links', () => {
+      expect(SourceRanker.canonicalizeUrl('#')).toBeNull();
+      expect(SourceRanker.canonicalizeUrl('')).toBeNull();
+      expect(SourceRanker.canonicalizeUrl('not a url')).toBeNull();
+    });
+  });
+
+  describe('describe', () => {
+    it('counts merged duplicates and kept results', () => {
+      const results = [...RESULTS, { ...RESULTS[1], source: 'Mirror', provenance: 'cached' }];
+      const ranking = SourceRanker.rank(results, 'Dallas');
+
+      expect(SourceRanker.describe(results, ranking)).toBe('Ranked 4 results by relevance: 1 duplicate merged, kept the top 2');
+    });
+  });
+});
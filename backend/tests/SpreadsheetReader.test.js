@@ -0,0 +1,100 @@
+const JSZip = require('jszip');
+const SpreadsheetReader = require('../services/SpreadsheetReader');
+
+/**
+ * Build a one-sheet XLSX workbook
+ * @param {string} sheetData - The <sheetData> rows
+ * @param {Object} options - { sharedStrings, date1904 }
+ * @returns {Promise<Buffer>} - The workbook file
+ */
+const buildWorkbook = async (sheetData, { sharedStrings = [], date1904 = false } = {}) => {
+  const zip = new JSZip();
+  zip.file('xl/workbook.xml', `<?xml version="1.0"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+  <workbookPr date1904="${date1904 ? 1 : 0}"/>
+  <sheets><sheet name="Rent Roll" sheetId="1" r:id="rId1"/></sheets>
+</workbook>`);
+  zip.file('xl/_rels/workbook.xml.rels', `<?xml version="1.0"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+  <Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>
+</Relationships>`);
+  zip.file('xl/sharedStrings.xml', `<?xml version="1.0"?>
+<sst xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">${sharedStrings.map(text => `<si><t>${text}</t></si>`).join('')}</sst>`);
+  zip.file('xl/styles.xml', `<?xml version="1.0"?>
+<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+  <numFmts><numFmt numFmtId="164" formatCode="mm/dd/yyyy"/><numFmt numFmtId="165" formatCode="&quot;$&quot;#,##0.00"/></numFmts>
+  <cellXfs><xf numFmtId="0"/><xf numFmtId="164"/><xf numFmtId="165"/></cellXfs>
+</styleSheet>`);
+  zip.file('xl/worksheets/sheet1.xml', `<?xml version="1.0"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>${sheetData}</sheetData></worksheet>`);
+  return zip.generateAsync({ type: 'nodebuffer' });
+};
+
+describe('SpreadsheetReader', () => {
+  describe('parseCSV', () => {
+    it('reads quoted cells with delimiters, quotes and line breaks', () => {
+      expect(SpreadsheetReader.parseCSV('Tenant,Notes\r\n"Acme, Inc.","Says ""hi""\ntwice"\r\nBeta,\n')).toEqual([
+        ['Tenant', 'Notes'],
+        ['Acme, Inc.', 'Says "hi"\ntwice'],
+        ['Beta', null]
+      ]);
+    });
+
+    it('detects semicolon and tab delimiters and drops a byte order mark', () => {
+      expect(SpreadsheetReader.parseCSV('\uFEFFSuite;RSF\n100;1.250')).toEqual([['Suite', 'RSF'], ['100', '1.250']]);
+      expect(SpreadsheetReader.parseCSV('Suite\tRSF\n100\t1,250')).toEqual([['Suite', 'RSF'], ['100', '1,250']]);
+    });
+
+    it('keeps a last row without a line break', () => {
+      expect(SpreadsheetReader.parseCSV('a,b\n1,2')).toEqual([['a', 'b'], ['1', '2']]);
+    });
+  });
+
+  describe('readWorkbook', () => {
+    it('reads shared and inline strings, numbers, booleans and date cells by column', async () => {
+      const workbook = await buildWorkbook(`
+        <row r="1"><c r="A1" t="s"><v>0</v></c><c r="C1" t="inlineStr"><is><r><t>Lease </t></r><r><t>End</t></r></is></c></row>
+        <row r="3"><c r="A3" t="s"><v>1</v></c><c r="B3" s="2"><v>1250.5</v></c><c r="C3" s="1"><v>45658</v></c><c r="D3" t="b"><v>1</v></c></row>`,
+      { sharedStrings: ['Tenant', 'Acme'] });
+
+      expect(await SpreadsheetReader.readWorkbook(workbook)).toEqual([{
+        name: 'Rent Roll',
+        rows: [
+          ['Tenant', null, 'Lease End'],
+          [],
+          ['Acme', 1250.5, '2025-01-01', true]
+        ]
+      }]);
+    });
+
+    it('reads dates in the 1904 date system', async () => {
+      const workbook = await buildWorkbook('<row r="1"><c r="A1" s="1"><v>0</v></c></row>', { date1904: true });
+
+      expect((await SpreadsheetReader.readWorkbook(workbook))[0].rows).toEqual([['1904-01-01']]);
+    });
+
+    it('rejects files that aren\'t workbooks', async () => {
+      const zip = new JSZip();
+      zip.file('word/document.xml', '<document/>');
+
+      await expect(SpreadsheetReader.readWorkbook(await zip.generateAsync({ type: 'nodebuffer' }))).rejects.toThrow('Not an XLSX workbook');
+    });
+  });
+
+  describe('isDateFormat', () => {
+    it('tells date formats from number formats', () => {
+      expect(SpreadsheetReader.isDateFormat('mm/dd/yyyy')).toBe(true);
+      expect(SpreadsheetReader.isDateFormat('mmm-yy')).toBe(true);
+      expect(SpreadsheetReader.isDateFormat('#,##0.00')).toBe(false);
+      expect(SpreadsheetReader.isDateFormat('[Red]"days"0')).toBe(false);
+    });
+  });
+
+  describe('columnIndex', () => {
+    it('reads column letters', () => {
+      expect(SpreadsheetReader.columnIndex('A1')).toBe(0);
+      expect(SpreadsheetReader.columnIndex('Z9')).toBe(25);
+      expect(SpreadsheetReader.columnIndex('AA10')).toBe(26);
+    });
+  });
+});
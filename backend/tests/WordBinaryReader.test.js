@@ -0,0 +1,117 @@
+const WordBinaryReader = require('../services/WordBinaryReader');
+const { buildCompoundFile } = require('./helpers/compoundFile');
+
+// Where the fixtures' text starts in the WordDocument stream
+const TEXT_OFFSET = 0x400;
+
+/**
+ * Build a Word 97-2003 document from pieces of text
+ * @param {Array} pieces - [{ text, compressed }]: compressed pieces are stored as Windows-1252
+ * @param {Object} options - { flags, textLength, tableName }
+ * @returns {Buffer} - The .doc file
+ */
+const buildDocument = (pieces, { flags = 0x0200, textLength = null, tableName = '1Table' } = {}) => {
+  const stored = [];
+  const positions = [0];
+  const descriptors = [];
+  let offset = TEXT_OFFSET;
+  pieces.forEach(({ text, compressed }) => {
+    const bytes = compressed ? Buffer.from(text, 'latin1') : Buffer.from(text, 'utf16le');
+    const descriptor = Buffer.alloc(8);
+    descriptor.writeUInt32LE(compressed ? (offset * 2) | 0x40000000 : offset, 2);
+    descriptors.push(descriptor);
+    positions.push(positions[positions.length - 1] + text.length);
+    stored.push(bytes);
+    offset += bytes.length;
+  });
+
+  const plc = Buffer.concat([
+    ...positions.map(position => {
+      const entry = Buffer.alloc(4);
+      entry.writeUInt32LE(position);
+      return entry;
+    }),
+    ...descriptors
+  ]);
+  const pcdtHeader = Buffer.alloc(5);
+  pcdtHeader[0] = 0x02;
+  pcdtHeader.writeUInt32LE(plc.length, 1);
+  // A formatting entry before the piece table
+  const clx = Buffer.concat([Buffer.from([0x01, 0x02, 0x00, 0xaa, 0xbb]), pcdtHeader, plc]);
+
+  const fib = Buffer.alloc(TEXT_OFFSET);
+  fib.writeUInt16LE(0xa5ec, 0);
+  fib.writeUInt16LE(flags, 0x0a);
+  fib.writeUInt32LE(textLength ?? positions[positions.length - 1], 0x4c);
+  fib.writeUInt32LE(16, 0x1a2);
+  fib.writeUInt32LE(clx.length, 0x1a6);
+
+  return buildCompoundFile({
+    WordDocument: Buffer.concat([fib, ...stored]),
+    [tableName]: Buffer.concat([Buffer.alloc(16), clx])
+  });
+};
+
+describe('WordBinaryReader', () => {
+  describe('read', () => {
+    it('assembles 8-bit and Unicode pieces into paragraphs, tables and field results', () => {
+      const document = buildDocument([
+        { text: 'Landlord\x92s Summary\rTenant\x07Acme Analytics\x07\x07Rent\x07$45.00\x07\x07\r', compressed: true },
+        { text: 'See \x13 REF _Ref1 \\h \x14Section 2\x15 for terms — renewal.\r', compressed: false }
+      ]);
+
+      expect(WordBinaryReader.read(document)).toBe(
+        'Landlord’s Summary\n\nTenant | Acme Analytics\nRent | $45.00\n\nSee Section 2 for terms — renewal.'
+      );
+    });
+
+    it('stops at the end of the main text', () => {
+      const document = buildDocument([{ text: 'Body text.\rFootnote text.\r', compressed: true }], { textLength: 11 });
+
+      expect(WordBinaryReader.read(document)).toBe('Body text.');
+    });
+
+    it('reads the piece table from the table stream the flags name', () => {
+      const document = buildDocument([{ text: 'In the zero table.\r', compressed: true }], { flags: 0, tableName: '0Table' });
+
+      expect(WordBinaryReader.read(document)).toBe('In the zero table.');
+    });
+
+    it('rejects password protected documents', () => {
+      expect(() => WordBinaryReader.read(buildDocument([{ text: 'Secret', compressed: true }], { flags: 0x0300 })))
+        .toThrow('password protected');
+    });
+
+    it('rejects documents without their table stream', () => {
+      expect(() => WordBinaryReader.read(buildDocument([{ text: 'Text', compressed: true }], { flags: 0 })))
+        .toThrow('no table stream');
+    });
+
+    it('rejects compound files that aren\'t Word documents', () => {
+      expect(() => WordBinaryReader.read(buildCompoundFile({ Workbook: Buffer.from('BIFF') })))
+        .toThrow('Not a Word 97-2003 document');
+    });
+  });
+
+  describe('readPieceTable', () => {
+    it('fails without a piece table', () => {
+      expect(() => WordBinaryReader.readPieceTable(Buffer.from([0x01, 0x00, 0x00, 0x05]))).toThrow('no piece table');
+    });
+  });
+
+  describe('toParagraphs', () => {
+    it('keeps line breaks within paragraphs and drops blank paragraphs', () => {
+      expect(WordBinaryReader.toParagraphs('First\x0bline\r\r  \rSecond  paragraph\r')).toBe('First\nline\n\nSecond paragraph');
+    });
+
+    it('drops the codes of nested fields', () => {
+      expect(WordBinaryReader.toParagraphs('Page \x13 PAGE \x13 QUOTE \x14x\x15 \x144\x15 of 9')).toBe('Page 4 of 9');
+    });
+
+    it('keeps consecutive table rows in one block', () => {
+      expect(WordBinaryReader.toParagraphs('Year\x07Rent\x07\x07\r1\x07$45\x07\x07\rAfter the table')).toBe(
+        'Year | Rent\n1 | $45\n\nAfter the table'
+      );
+    });
+  });
+});
@@ -0,0 +1,77 @@
+const CitationController = require('../controllers/citationController');
+
+const CITATIONS = [{ title: 'Office outlook', authors: 'CBRE', date: '2024', source: 'CBRE', link: '#', type: 'market_report' }];
+
+/**
+ * Build a response that records what was sent
+ * @returns {Object} - { res, sent } where sent has the status, headers and body
+ */
+const createResponse = () => {
+  const sent = { status: 200, headers: {}, body: null };
+  const res = {
+    status: (status) => { sent.status = status; return res; },
+    json: (body) => { sent.body = body; },
+    setHeader: (name, value) => { sent.headers[name] = value; },
+    send: (body) => { sent.body = body; }
+  };
+  return { res, sent };
+};
+
+describe('citationController', () => {
+  describe('sendExport', () => {
+    it.each([
+      ['citations', 'citations.bib'],
+      ['citations-"quoted".bib', 'citations-_quoted_.bib.bib'],
+      ['../../etc/passwd', '.._.._etc_passwd.bib'],
+      ['C:\\exports\\list', 'C__exports_list.bib'],
+      ['report\r\nSet-Cookie: a=1', 'report__Set-Cookie__a_1.bib'],
+      ['résumé; filename*=x', 'r_sum___filename__x.bib']
+    ])('keeps only safe characters of the file name %j', (filename, expected) => {
+      const { res, sent } = createResponse();
+
+      CitationController.sendExport(res, CITATIONS, 'bibtex', filename);
+
+      expect(sent.headers['Content-Disposition']).toBe(`attachment; filename="${expected}"`);
+      expect(sent.headers['Content-Type']).toBe('application/x-bibtex; charset=utf-8');
+      expect(sent.body).toMatch(/^@techreport\{cbre2024office,/);
+    });
+
+    it('names the file with the extension of the format', () => {
+      const { res, sent } = createResponse();
+
+      CitationController.sendExport(res, CITATIONS, 'text', 'citations', 'mla');
+
+      expect(sent.headers['Content-Disposition']).toBe('attachment; filename="citations.txt"');
+      expect(sent.body).toBe('[1] CBRE. Office outlook. 2024.\n');
+    });
+  });
+
+  describe('exportCitations', () => {
+    it('exports the citations in the requested format and style', async () => {
+      const { res, sent } = createResponse();
+
+      await CitationController.exportCitations({ body: { citations: CITATIONS, format: 'RIS' } }, res);
+
+      expect(sent.headers['Content-Disposition']).toBe('attachment; filename="citations.ris"');
+      expect(sent.body).toMatch(/^TY {2}- RPRT\r\n/);
+    });
+
+    it('rejects unknown formats and styles and non-array citations', async () => {
+      const requests = [
+        { citations: CITATIONS, format: 'endnote' },
+        { citations: CITATIONS, format: 'text', style: 'harvard' },
+        { citations: 'Office outlook' }
+      ];
+
+      const bodies = [];
+      for (const body of requests) {
+        const { res, sent } = createResponse();
+        await CitationController.exportCitations({ body }, res);
+        expect(sent.status).toBe(400);
+        bodies.push(sent.body.message);
+      }
+
+      expect(bodies).toEqual(['Unsupported format: endnote', 'Unknown citation style: harvard', 'Citations must be an array']);
+    });
+  });
+});
@@ -0,0 +1,53 @@
+const documentController = require('../controllers/documentController');
+const DocumentLibrary = require('../services/DocumentLibrary');
+
+/**
+ * Request a stored document's file
+ * @param {Object} document - The document record
+ * @returns {Promise<Object>} - { type, headers } the response was sent with
+ */
+const getFile = async (document) => {
+  jest.spyOn(DocumentLibrary, 'get').mockResolvedValue(document);
+  jest.spyOn(DocumentLibrary, 'getFilePath').mockReturnValue(`/library/${document.storedFile}`);
+
+  const sent = { type: null, headers: {} };
+  const res = {
+    type: (type) => { sent.type = type; return res; },
+    setHeader: (name, value) => { sent.headers[name] = value; },
+    sendFile: jest.fn()
+  };
+  await documentController.getDocumentFile({ params: { id: document.documentId } }, res);
+  expect(res.sendFile).toHaveBeenCalledWith(`/library/${document.storedFile}`, expect.any(Function));
+  return sent;
+};
+
+describe('documentController', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('getDocumentFile', () => {
+    it('serves PDFs inline so citations can open them at a page', async () => {
+      const sent = await getFile({ documentId: 'd1', name: 'Lease.pdf', extension: '.pdf', mimeType: 'application/pdf', storedFile: 'd1.pdf' });
+
+      expect(sent.type).toBe('application/pdf');
+      expect(sent.headers['Content-Disposition']).toBe('inline; filename="Lease.pdf"');
+      expect(sent.headers['X-Content-Type-Options']).toBe('nosniff');
+    });
+
+    it('takes the type from the stored extension, not the type the client reported', async () => {
+      const sent = await getFile({ documentId: 'd2', name: 'notes.txt', extension: '.txt', mimeType: 'text/html', storedFile: 'd2.txt' });
+
+      expect(sent.type).toBe('text/plain');
+      expect(sent.headers['Content-Disposition']).toBe('attachment; filename="notes.txt"');
+      expect(sent.headers['X-Content-Type-Options']).toBe('nosniff');
+    });
+
+    it('downloads HTML documents rather than rendering them', async () => {
+      const sent = await getFile({ documentId: 'd3', name: 'page.html', extension: '.html', mimeType: 'text/html', storedFile: 'd3.html' });
+
+      expect(sent.type).toBe('text/html');
+      expect(sent.headers['Content-Disposition']).toBe('attachment; filename="page.html"');
+    });
+  });
+});
@@ -0,0 +1,69 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const textExtractor = require('../../extractors/text');
+
+describe('text extractor', () => {
+  let directory;
+
+  /**
+   * Extract a file written to a temporary directory
+   * @param {string} name - The file name
+   * @param {string|Buffer} content - The file content
+   * @returns {Promise<Object>} - The extraction
+   */
+  const extract = async (name, content) => {
+    const filePath = path.join(directory, name);
+    await fs.writeFile(filePath, content);
+    return textExtractor.extract(filePath, { extension: path.extname(name) });
+  };
+
+  beforeAll(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'text-extractor-'));
+  });
+
+  afterAll(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  it('splits markdown into a section per ATX and setext heading', async () => {
+    const { pages } = await extract('memo.md', [
+      'Prepared for the investment committee.',
+      '',
+      '# Harbor Point ##',
+      'Class A office tower.',
+      '',
+      'Rent Roll',
+      '---------',
+      '- Suite 100',
+      '- Suite 200',
+      '---',
+      '',
+      '## Operating Expenses',
+      '```',
+      '# not a heading',
+      '```',
+      '#hashtag is not a heading either'
+    ].join('\r\n'));
+
+    expect(pages).toEqual([
+      { page: null, section: null, text: 'Prepared for the investment committee.' },
+      { page: null, section: 'Harbor Point', text: '# Harbor Point ##\nClass A office tower.' },
+      { page: null, section: 'Rent Roll', text: 'Rent Roll\n---------\n- Suite 100\n- Suite 200\n---' },
+      { page: null, section: 'Operating Expenses', text: '## Operating Expenses\n```\n# not a heading\n```\n#hashtag is not a heading either' }
+    ]);
+  });
+
+  it('doesn\'t read a paragraph\'s last line or a list item above a rule as a heading', async () => {
+    const { pages } = await extract('notes.md', 'First line\nsecond line\n---\n\n- item\n---');
+
+    expect(pages).toEqual([{ page: null, section: null, text: 'First line\nsecond line\n---\n\n- item\n---' }]);
+  });
+
+  it('reads plain text as one page in its character set', async () => {
+    const utf16 = Buffer.concat([Buffer.from([0xff, 0xfe]), Buffer.from('# Not split\r\nCafé', 'utf16le')]);
+
+    expect((await extract('notes.txt', utf16)).pages).toEqual([{ page: null, text: '# Not split\r\nCafé' }]);
+    expect((await extract('legacy.txt', Buffer.from([0x93, 0x41, 0x94]))).pages[0].text).toBe('“A”');
+  });
+});
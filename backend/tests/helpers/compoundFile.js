@@ -0,0 +1,133 @@
+// Sector numbers that end a chain, mark free sectors and mark sectors of the allocation table
+const END_OF_CHAIN = 0xfffffffe;
+const FREE_SECTOR = 0xffffffff;
+const FAT_SECTOR = 0xfffffffd;
+const NO_STREAM = 0xffffffff;
+
+const SECTOR_SIZE = 512;
+const MINI_SECTOR_SIZE = 64;
+const DIRECTORY_ENTRY = 128;
+
+/**
+ * Build an OLE compound file (version 3, 512-byte sectors) for reader specs
+ * @param {Object} tree - Storage contents: name -> Buffer for a stream, or an object for a storage
+ * @param {Object} options - { miniStreamCutoff }: streams smaller than it go in the mini stream
+ * @returns {Buffer} - The file
+ */
+const buildCompoundFile = (tree, { miniStreamCutoff = 4096 } = {}) => {
+  const entries = [{ name: 'Root Entry', type: 5, child: NO_STREAM, right: NO_STREAM, start: END_OF_CHAIN, size: 0 }];
+
+  // Siblings are chained through their right links, which is a valid (if unbalanced) tree
+  const addChildren = (storage, parent) => {
+    let previous = null;
+    Object.entries(storage).forEach(([name, value]) => {
+      const index = entries.length;
+      const stream = Buffer.isBuffer(value);
+      entries.push({ name, type: stream ? 2 : 1, child: NO_STREAM, right: NO_STREAM, start: END_OF_CHAIN, size: 0, data: stream ? value : null });
+      if (previous === null) {
+        entries[parent].child = index;
+      } else {
+        entries[previous].right = index;
+      }
+      previous = index;
+      if (!stream) {
+        addChildren(value, index);
+      }
+    });
+  };
+  addChildren(tree, 0);
+
+  const sectors = [];
+  const fat = [];
+  const allocate = (content) => {
+    if (content.length === 0) {
+      return END_OF_CHAIN;
+    }
+    const start = sectors.length;
+    for (let offset = 0; offset < content.length; offset += SECTOR_SIZE) {
+      const sector = Buffer.alloc(SECTOR_SIZE);
+      content.copy(sector, 0, offset, offset + SECTOR_SIZE);
+      sectors.push(sector);
+      fat.push(offset + SECTOR_SIZE < content.length ? sectors.length : END_OF_CHAIN);
+    }
+    return start;
+  };
+
+  // Small streams are stored in 64-byte sectors of the mini stream
+  const miniParts = [];
+  const miniFat = [];
+  entries.filter(entry => entry.data && entry.data.length > 0 && entry.data.length < miniStreamCutoff).forEach(entry => {
+    const count = Math.ceil(entry.data.length / MINI_SECTOR_SIZE);
+    entry.start = miniFat.length;
+    entry.size = entry.data.length;
+    for (let index = 0; index < count; index += 1) {
+      miniFat.push(index < count - 1 ? miniFat.length + 1 : END_OF_CHAIN);
+    }
+    miniParts.push(entry.data, Buffer.alloc(count * MINI_SECTOR_SIZE - entry.data.length));
+  });
+  const miniStream = Buffer.concat(miniParts);
+  entries[0].start = allocate(miniStream);
+  entries[0].size = miniStream.length;
+
+  const miniFatData = Buffer.alloc(miniFat.length * 4);
+  miniFat.forEach((value, index) => miniFatData.writeUInt32LE(value, index * 4));
+  const miniFatStart = allocate(miniFatData);
+
+  entries.filter(entry => entry.data && entry.data.length >= miniStreamCutoff).forEach(entry => {
+    entry.start = allocate(entry.data);
+    entry.size = entry.data.length;
+  });
+
+  const directory = Buffer.alloc(Math.ceil(entries.length / 4) * 4 * DIRECTORY_ENTRY);
+  for (let offset = 0; offset < directory.length; offset += DIRECTORY_ENTRY) {
+    directory.writeUInt32LE(NO_STREAM, offset + 0x44);
+    directory.writeUInt32LE(NO_STREAM, offset + 0x48);
+    directory.writeUInt32LE(NO_STREAM, offset + 0x4c);
+  }
+  entries.forEach((entry, index) => {
+    const offset = index * DIRECTORY_ENTRY;
+    directory.write(entry.name, offset, 62, 'utf16le');
+    directory.writeUInt16LE((entry.name.length + 1) * 2, offset + 0x40);
+    directory[offset + 0x42] = entry.type;
+    directory[offset + 0x43] = 1;
+    directory.writeUInt32LE(entry.right, offset + 0x48);
+    directory.writeUInt32LE(entry.child, offset + 0x4c);
+    directory.writeUInt32LE(entry.start, offset + 0x74);
+    directory.writeUInt32LE(entry.size, offset + 0x78);
+  });
+  const directoryStart = allocate(directory);
+
+  // The allocation table goes last, covering its own sectors
+  let fatSectors = 1;
+  while ((sectors.length + fatSectors) * 4 > fatSectors * SECTOR_SIZE) {
+    fatSectors += 1;
+  }
+  const fatStart = sectors.length;
+  for (let index = 0; index < fatSectors; index += 1) {
+    fat.push(FAT_SECTOR);
+  }
+  const fatData = Buffer.alloc(fatSectors * SECTOR_SIZE, 0xff);
+  fat.forEach((value, index) => fatData.writeUInt32LE(value, index * 4));
+  allocate(fatData);
+
+  const header = Buffer.alloc(SECTOR_SIZE);
+  Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]).copy(header);
+  header.writeUInt16LE(0x3e, 0x18);
+  header.writeUInt16LE(3, 0x1a);
+  header.writeUInt16LE(0xfffe, 0x1c);
+  header.writeUInt16LE(9, 0x1e);
+  header.writeUInt16LE(6, 0x20);
+  header.writeUInt32LE(fatSectors, 0x2c);
+  header.writeUInt32LE(directoryStart, 0x30);
+  header.writeUInt32LE(miniStreamCutoff, 0x38);
+  header.writeUInt32LE(miniFatStart, 0x3c);
+  header.writeUInt32LE(miniFat.length > 0 ? Math.ceil(miniFatData.length / SECTOR_SIZE) : 0, 0x40);
+  header.writeUInt32LE(END_OF_CHAIN, 0x44);
+  for (let index = 0; index < 109; index += 1) {
+    header.writeUInt32LE(index < fatSectors ? fatStart + index : FREE_SECTOR, 0x4c + index * 4);
+  }
+
+  return Buffer.concat([header, ...sectors]);
+};
+
+module.exports = { buildCompoundFile };
@@ -0,0 +1,33 @@
+const SnapshotController = require('../controllers/snapshotController');
+
+const SNAPSHOT = {
+  snapshotId: 'a3f1',
+  source: 'CoStar',
+  capturedAt: '2024-03-01T12:00:00.000Z',
+  title: 'Office <vacancy> report',
+  link: 'https://example.com/report?a=1&b=2',
+  result: { summary: 'Vacancy rose to 18%.', type: 'market_report', authors: ['Jane "JD" Doe'] }
+};
+
+describe('SnapshotController', () => {
+  describe('renderPage', () => {
+    it('escapes the snapshot\'s text and metadata', () => {
+      const page = SnapshotController.renderPage(SNAPSHOT);
+
+      expect(page).toContain('<title>Archived copy: Office &lt;vacancy&gt; report</title>');
+      expect(page).toContain('<div class="content">Vacancy rose to 18%.</div>');
+      expect(page).toContain('<tr><th>authors</th><td>[&quot;Jane \\&quot;JD\\&quot; Doe&quot;]</td></tr>');
+    });
+
+    it('links to the live page', () => {
+      expect(SnapshotController.renderPage(SNAPSHOT)).toContain('<a href="https://example.com/report?a=1&amp;b=2" rel="noopener noreferrer">view the live page</a>');
+    });
+
+    it.each(['javascript:alert(document.cookie)', 'data:text/html,<script>alert(1)</script>', '#', '/relative/path', null])(
+      'doesn\'t link to %s',
+      (link) => {
+        expect(SnapshotController.renderPage({ ...SNAPSHOT, link })).not.toContain('<a ');
+      }
+    );
+  });
+});
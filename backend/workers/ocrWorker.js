@@ -0,0 +1,202 @@
+/**
+ * Worker thread that OCRs the scanned pages of a PDF with Tesseract, so the
+ * recognition doesn't block the server. Scanned pages carry the scan as an
+ * image; the largest image on each page is recognized.
+ *
+ * workerData: { filePath, pages, language, langPath, gzip } where pages are 1-based
+ * page numbers, langPath the local directory of the language data and gzip whether
+ * its files are compressed. Nothing is downloaded or cached.
+ * Posts { results: [{ page, text, confidence, error }] } with confidence between
+ * 0 and 1, or { error } when the PDF can't be read.
+ */
+const { parentPort, workerData } = require('worker_threads');
+const fs = require('fs/promises');
+const { PDFDocument, PDFName, PDFDict, PDFArray, PDFNumber, PDFRawStream, decodePDFRawStream } = require('pdf-lib');
+
+// Filters pdf-lib decodes; images compressed with others (CCITT, JBIG2, JPEG 2000) aren't supported
+const DECODABLE_FILTERS = ['FlateDecode', 'LZWDecode', 'ASCIIHexDecode', 'ASCII85Decode', 'RunLengthDecode'];
+
+// Tesseract's LSTM recognition engine
+const LSTM_ONLY = 1;
+
+// How deep form XObjects are searched for the scan
+const MAX_FORM_DEPTH = 3;
+
+/**
+ * Find the image XObjects a page (or a form on it) draws
+ * @param {PDFDict|undefined} resources - The resources dictionary
+ * @param {number} depth - Form nesting depth
+ * @returns {Array<PDFRawStream>} - The image streams
+ */
+const findImages = (resources, depth = 0) => {
+  const xObjects = resources && resources.lookupMaybe(PDFName.of('XObject'), PDFDict);
+  if (!xObjects) {
+    return [];
+  }
+
+  return xObjects.keys().flatMap(name => {
+    const stream = xObjects.lookup(name);
+    if (!(stream instanceof PDFRawStream)) {
+      return [];
+    }
+    const subtype = stream.dict.lookup(PDFName.of('Subtype'));
+    if (subtype === PDFName.of('Image')) {
+      return [stream];
+    }
+    if (subtype === PDFName.of('Form') && depth < MAX_FORM_DEPTH) {
+      return findImages(stream.dict.lookupMaybe(PDFName.of('Resources'), PDFDict), depth + 1);
+    }
+    return [];
+  });
+};
+
+/**
+ * Get a number from an image dictionary
+ * @param {PDFDict} dict - The image dictionary
+ * @param {string} key - e.g. "Width"
+ * @returns {number|null}
+ */
+const numberOf = (dict, key) => {
+  const value = dict.lookup(PDFName.of(key));
+  return value instanceof PDFNumber ? value.asNumber() : null;
+};
+
+/**
+ * Get the names of a stream's filters, in the order they are applied to decode it
+ * @param {PDFDict} dict - The stream dictionary
+ * @returns {Array<string>} - e.g. ["FlateDecode"]
+ */
+const filtersOf = (dict) => {
+  const filter = dict.lookup(PDFName.of('Filter'));
+  if (filter instanceof PDFArray) {
+    return filter.asArray().map(name => dict.context.lookup(name).decodeText());
+  }
+  return filter instanceof PDFName ? [filter.decodeText()] : [];
+};
+
+/**
+ * Get the number of color components of an image
+ * @param {PDFDict} dict - The image dictionary
+ * @returns {number|null} - 1 (gray) or 3 (RGB), or null for color spaces that aren't supported
+ */
+const componentsOf = (dict) => {
+  if (dict.lookup(PDFName.of('ImageMask'))) {
+    return 1;
+  }
+
+  let colorSpace = dict.lookup(PDFName.of('ColorSpace'));
+  if (colorSpace instanceof PDFArray && colorSpace.lookup(0, PDFName) === PDFName.of('ICCBased')) {
+    const profile = colorSpace.lookup(1, PDFRawStream);
+    return [1, 3].includes(numberOf(profile.dict, 'N')) ? numberOf(profile.dict, 'N') : null;
+  }
+  if (colorSpace instanceof PDFArray) {
+    colorSpace = colorSpace.lookup(0, PDFName);
+  }
+
+  const name = colorSpace instanceof PDFName ? colorSpace.decodeText() : null;
+  if (['DeviceGray', 'CalGray'].includes(name)) {
+    return 1;
+  }
+  return ['DeviceRGB', 'CalRGB'].includes(name) ? 3 : null;
+};
+
+/**
+ * Turn a scanned image into a file Tesseract can read: JPEGs as they are,
+ * uncompressed gray, RGB and bilevel samples as PNM
+ * @param {PDFRawStream} stream - The image stream
+ * @returns {Buffer} - JPEG or PNM image data
+ */
+const toImageFile = (stream) => {
+  const { dict } = stream;
+  const filters = filtersOf(dict);
+
+  if (filters.length === 1 && filters[0] === 'DCTDecode') {
+    return Buffer.from(stream.contents);
+  }
+
+  const unsupported = filters.find(filter => !DECODABLE_FILTERS.includes(filter));
+  if (unsupported) {
+    throw new Error(`Unsupported scan encoding: ${unsupported}`);
+  }
+
+  const parameters = dict.lookup(PDFName.of('DecodeParms'));
+  if (parameters instanceof PDFDict && (numberOf(parameters, 'Predictor') || 1) > 1) {
+    throw new Error('Unsupported scan encoding: predictor');
+  }
+
+  const width = numberOf(dict, 'Width');
+  const height = numberOf(dict, 'Height');
+  const bits = dict.lookup(PDFName.of('ImageMask')) ? 1 : numberOf(dict, 'BitsPerComponent');
+  const components = componentsOf(dict);
+  if (!width || !height || !components || ![1, 8].includes(bits) || (bits === 1 && components !== 1)) {
+    throw new Error('Unsupported scan color format');
+  }
+
+  const samples = Buffer.from(decodePDFRawStream(stream).decode());
+
+  if (bits === 1) {
+    // PDF bilevel samples are 1 for white unless the Decode array inverts them; PBM's are 1 for black
+    const decode = dict.lookup(PDFName.of('Decode'));
+    const oneIsBlack = decode instanceof PDFArray && decode.lookup(0, PDFNumber).asNumber() === 1;
+    const bitmap = oneIsBlack ? samples : samples.map(byte => ~byte & 0xff);
+    return Buffer.concat([Buffer.from(`P4\n${width} ${height}\n`), bitmap]);
+  }
+
+  return Buffer.concat([Buffer.from(`${components === 1 ? 'P5' : 'P6'}\n${width} ${height}\n255\n`), samples]);
+};
+
+/**
+ * Get the scan of a page: its largest image
+ * @param {PDFPage} page - The page
+ * @returns {PDFRawStream|null} - The image stream, or null if the page has none
+ */
+const findScan = (page) => {
+  const area = stream => (numberOf(stream.dict, 'Width') || 0) * (numberOf(stream.dict, 'Height') || 0);
+  const images = findImages(page.node.Resources());
+  return images.sort((a, b) => area(b) - area(a))[0] || null;
+};
+
+/**
+ * OCR the given pages of a PDF
+ * @param {Object} job - { filePath, pages, language, langPath, gzip }
+ * @returns {Promise<Array>} - [{ page, text, confidence, error }]
+ */
+const run = async ({ filePath, pages, language, langPath, gzip }) => {
+  // Required here so a missing OCR engine fails the job rather than the thread
+  const { createWorker } = require('tesseract.js');
+
+  const pdf = await PDFDocument.load(await fs.readFile(filePath), { ignoreEncryption: true, updateMetadata: false });
+  const tesseract = await createWorker(language, LSTM_ONLY, { langPath, gzip, cacheMethod: 'none' });
+  // Keep runs of spaces, so columns and indentation survive
+  await tesseract.setParameters({ preserve_interword_spaces: '1' });
+
+  const results = [];
+  try {
+    for (const pageNumber of pages) {
+      try {
+        const scan = findScan(pdf.getPage(pageNumber - 1));
+        if (!scan) {
+          results.push({ page: pageNumber, text: '', confidence: null, error: 'No text layer or scanned image' });
+          continue;
+        }
+
+        const { data } = await tesseract.recognize(toImageFile(scan));
+        results.push({
+          page: pageNumber,
+          text: data.text.replace(/[ \t]+$/gm, '').replace(/\n{3,}/g, '\n\n').trim(),
+          confidence: Math.round(data.confidence) / 100,
+          error: null
+        });
+      } catch (error) {
+        results.push({ page: pageNumber, text: '', confidence: null, error: error.message });
+      }
+    }
+  } finally {
+    await tesseract.terminate();
+  }
+  return results;
+};
+
+run(workerData)
+  .then(results => parentPort.postMessage({ results }))
+  .catch(error => parentPort.postMessage({ error: error.message }));
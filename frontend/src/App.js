@@ -1,8 +1,158 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import './App.css';
 import apiService from './services/apiService';
 import ReactMarkdown from 'react-markdown';
 
+// Labels for where each source's data came from
+const PROVENANCE_LABELS = {
+  live: 'Live data',
+  cached: 'Cached',
+  mock: 'Sample data',
+  internal: 'Internal boilerplate',
+  uploaded: 'Uploaded document'
+};
+
+// Labels for how well each source supports the sentences citing it
+const VERIFICATION_LABELS = {
+  supported: 'Supported',
+  partial: 'Partially supported',
+  unsupported: 'Unsupported',
+  uncited: 'Not cited'
+};
+
+// Credibility score bands for the source badges
+const getCredibilityLevel = (score) => {
+  if (score >= 0.7) return 'high';
+  return score >= 0.4 ? 'medium' : 'low';
+};
+
+/**
+ * Describe a credibility score for the badge tooltip
+ * @param {Object} credibility - { score, label, weight, freshness, ageDays }
+ * @returns {string} - The tooltip text
+ */
+const describeCredibility = ({ label, weight, freshness, ageDays }) => {
+  const age = ageDays === null ? 'publication date unknown' : `published ${ageDays} days ago`;
+  return `${label} (weight ${weight.toFixed(2)}), freshness ${freshness.toFixed(2)}: ${age}`;
+};
+
+/**
+ * Describe the vintage of a source: when it was published and when its data is from
+ * @param {Object} citation - { date, observationDate } as ISO dates
+ * @returns {string|null} - e.g. "published 2024-07-26, data as of 2024-06-30", or null if undated
+ */
+const describeVintage = ({ date, observationDate }) => {
+  const parts = [];
+  if (date) parts.push(`published ${date}`);
+  if (observationDate) parts.push(`data as of ${observationDate}`);
+  return parts.length > 0 ? parts.join(', ') : null;
+};
+
+/**
+ * Format a lease abstract value for display
+ * @param {*} value - Text, number, ISO date, list of rent steps or object of terms
+ * @returns {string} - The value as text
+ */
+const formatAbstractValue = (value) => {
+  if (value === null || value === undefined) return 'Not found';
+  if (typeof value === 'number') return value.toLocaleString();
+  if (Array.isArray(value)) return value.map(formatAbstractValue).join('; ');
+  if (typeof value === 'object') {
+    return Object.entries(value)
+      .filter(([, item]) => item !== null)
+      .map(([name, item]) => (name === 'description' || name === 'period' ? item : `${name}: ${formatAbstractValue(item)}`))
+      .join(', ');
+  }
+  return value;
+};
+
+/**
+ * Summarize the metrics derived from an uploaded rent roll or operating statement
+ * @param {Object} metrics - { rentRoll, operatingStatement } (either may be null)
+ * @returns {string} - e.g. "Occupancy 92.5%, WALT 3.4 yrs, $28.50/RSF, NOI $1,250,000"
+ */
+const describeFinancialMetrics = ({ rentRoll, operatingStatement }) => {
+  const parts = [];
+  if (rentRoll) {
+    if (rentRoll.occupancy !== null) parts.push(`Occupancy ${(rentRoll.occupancy * 100).toFixed(1)}%`);
+    if (rentRoll.walt !== null) parts.push(`WALT ${rentRoll.walt.toFixed(1)} yrs`);
+    if (rentRoll.inPlaceRentPerSF !== null) parts.push(`$${rentRoll.inPlaceRentPerSF.toFixed(2)}/RSF in place`);
+  }
+  if (operatingStatement) {
+    parts.push(`NOI $${operatingStatement.noi.toLocaleString()} (${operatingStatement.months} months)`);
+  }
+  return parts.join(', ');
+};
+
+/**
+ * Describe the OCR of a document's scanned pages
+ * @param {Object} ocr - { status, pageCount, confidence, error }
+ * @returns {string} - e.g. "OCR of 3 pages: 91% confidence"
+ */
+const describeOcr = ({ status, pageCount, confidence, error }) => {
+  const pages = `OCR of ${pageCount} page${pageCount === 1 ? '' : 's'}`;
+  if (status === 'complete') return confidence === null ? `${pages}: no text found` : `${pages}: ${Math.round(confidence * 100)}% confidence`;
+  if (status === 'failed') return `${pages} failed: ${error}`;
+  return `${pages} in progress...`;
+};
+
+// How often the library is refreshed while OCR runs
+const OCR_POLL_INTERVAL_MS = 5000;
+
+// The markdown table of a comparison answer, rendered from its data instead
+const COMPARISON_TABLE = /\n*## Comparison\n\n(?:\|.*(?:\n|$))+/;
+
+/**
+ * Render a comparison answer: its markdown with the comparison table built from the data,
+ * one column per document and each cell's sources as bracketed references
+ * @param {Object} props - { response, comparison }
+ */
+const ComparisonAnswer = ({ response, comparison }) => {
+  const [before, after = ''] = response.split(COMPARISON_TABLE);
+  return (
+    <>
+      <ReactMarkdown>{before}</ReactMarkdown>
+      <h2>Comparison</h2>
+      <table className="comparison-table">
+        <thead>
+          <tr>
+            <th>Aspect</th>
+            {comparison.documents.map(document => (
+              <th key={document.documentId}>
+                <a href={apiService.getDocumentFileUrl(document.documentId)} target="_blank" rel="noopener noreferrer">
+                  {document.name}
+                </a>
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {comparison.rows.map(row => (
+            <tr key={row.aspect}>
+              <th>{row.aspect}</th>
+              {row.cells.map((cell, index) => (
+                <td key={comparison.documents[index].documentId}>
+                  {cell.text}
+                  {cell.sources.length > 0 && <span className="comparison-sources"> [{cell.sources.join(', ')}]</span>}
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <ReactMarkdown>{after}</ReactMarkdown>
+    </>
+  );
+};
+
+// Citation downloads for reference managers
+const CITATION_EXPORT_FORMATS = [
+  { format: 'bibtex', label: 'BibTeX' },
+  { format: 'ris', label: 'RIS' },
+  { format: 'csl-json', label: 'CSL-JSON' },
+  { format: 'text', label: 'Text' }
+];
+
 function App() {
   const [query, setQuery] = useState('');
   const [results, setResults] = useState(null);
@@ -10,45 +160,122 @@ function App() {
   const [error, setError] = useState(null);
   const [sessionId] = useState(`session-${Date.now()}`);
   const [researchSteps, setResearchSteps] = useState([]);
-  const [pollingId, setPollingId] = useState(null);
+  const [streamingResponse, setStreamingResponse] = useState('');
+  const [providers, setProviders] = useState([]);
+  const [provider, setProvider] = useState('');
+  const [citationStyles, setCitationStyles] = useState([]);
+  const [citationStyle, setCitationStyle] = useState('');
+  const [forceRefresh, setForceRefresh] = useState(false);
+  const [structuredAnswer, setStructuredAnswer] = useState(false);
+  const [compareDocuments, setCompareDocuments] = useState(false);
+  // '' researches every source; 'all' or a document id answers from the uploaded documents alone
+  const [documentScope, setDocumentScope] = useState('');
+  const [asOf, setAsOf] = useState('');
+  const [documents, setDocuments] = useState([]);
+  const [documentFormats, setDocumentFormats] = useState([]);
+  const [uploading, setUploading] = useState(false);
+  const [leaseAbstract, setLeaseAbstract] = useState(null);
+  const unsubscribeRef = useRef(null);
 
-  // Polling function to get research status updates
-  const pollResearchStatus = async () => {
+  // Handle research progress events pushed by the server
+  const handleResearchEvent = (event, data) => {
+    if (event === 'step') {
+      setResearchSteps(prevSteps => [...prevSteps, data]);
+    } else if (event === 'token') {
+      setStreamingResponse(prevResponse => prevResponse + data.text);
+    } else if (event === 'result') {
+      setResults(data);
+    } else if (event === 'complete' || event === 'failed') {
+      stopStreaming();
+    }
+  };
+
+  const stopStreaming = () => {
+    if (unsubscribeRef.current) {
+      unsubscribeRef.current();
+      unsubscribeRef.current = null;
+    }
+  };
+
+  // Close the progress stream when the component unmounts
+  useEffect(() => stopStreaming, []);
+
+  // Load the configured AI providers so a run can be pinned to one (e.g. a self-hosted model)
+  useEffect(() => {
+    apiService.listProviders()
+      .then(data => setProviders(data.providers.filter(item => item.configured)))
+      .catch(() => setProviders([]));
+  }, []);
+
+  // Load the formats documents can be uploaded in (PDF, Office, web pages, text and email)
+  useEffect(() => {
+    apiService.listDocumentFormats()
+      .then(data => setDocumentFormats(data.formats))
+      .catch(() => setDocumentFormats([]));
+  }, []);
+
+  // Load the citation styles, starting from the server's default
+  useEffect(() => {
+    apiService.listCitationStyles()
+      .then(data => {
+        setCitationStyles(data.styles);
+        const defaultStyle = data.styles.find(item => item.default);
+        if (defaultStyle) setCitationStyle(defaultStyle.id);
+      })
+      .catch(() => setCitationStyles([]));
+  }, []);
+
+  // Refresh the library while scanned pages are being OCRed, so their status and confidence show up
+  const ocrRunning = documents.some(item => item.ocr && ['pending', 'processing'].includes(item.ocr.status));
+  useEffect(() => {
+    if (!ocrRunning) return undefined;
+    const timer = setTimeout(() => {
+      apiService.listDocuments(sessionId)
+        .then(data => setDocuments(data.documents))
+        .catch(() => {});
+    }, OCR_POLL_INTERVAL_MS);
+    return () => clearTimeout(timer);
+  }, [ocrRunning, documents, sessionId]);
+
+  // Add documents to the session's library so research can cite (and compare) their passages
+  const handleUpload = async (e) => {
+    const files = Array.from(e.target.files || []);
+    e.target.value = '';
+    if (files.length === 0) return;
+
+    setUploading(true);
+    setError(null);
     try {
-      console.log("Polling for research status...", sessionId);
-      const status = await apiService.getResearchStatus(sessionId);
-      console.log("Received status:", status);
-      
-      if (status && status.steps) {
-        setResearchSteps(status.steps);
-      }
-      
-      // If research is complete, stop polling
-      if (status && status.complete) {
-        console.log("Research complete, stopping polling");
-        clearInterval(pollingId);
-        setPollingId(null);
+      const response = await apiService.uploadDocuments(files, sessionId);
+      setDocuments(prevDocuments => [...response.documents.slice().reverse(), ...prevDocuments]);
+      const lease = response.results.find(result => result.abstract);
+      setLeaseAbstract(lease ? { documentId: lease.document.documentId, name: lease.document.name, ...lease.abstract } : null);
+      const failed = response.results.filter(result => result.error);
+      if (failed.length > 0) {
+        setError(`Failed to upload ${failed.map(result => `${result.name} (${result.error})`).join(', ')}`);
       }
     } catch (err) {
-      console.error('Error polling research status:', err);
+      console.error('Error uploading document:', err);
+      const failed = err.response?.data?.results;
+      setError(failed
+        ? `Failed to upload ${failed.map(result => `${result.name} (${result.error})`).join(', ')}`
+        : `Failed to upload documents: ${err.response?.data?.details || err.response?.data?.error || err.message}`);
+    } finally {
+      setUploading(false);
     }
   };
 
-  // Start polling when research begins
-  useEffect(() => {
-    if (loading && !pollingId) {
-      // Poll every 2 seconds
-      const id = setInterval(pollResearchStatus, 2000);
-      setPollingId(id);
+  const handleRemoveDocument = async (documentId) => {
+    try {
+      await apiService.deleteDocument(documentId);
+      setDocuments(prevDocuments => prevDocuments.filter(item => item.documentId !== documentId));
+      setLeaseAbstract(prevAbstract => (prevAbstract && prevAbstract.documentId === documentId ? null : prevAbstract));
+      setDocumentScope(prevScope => (prevScope === documentId ? 'all' : prevScope));
+    } catch (err) {
+      console.error('Error removing document:', err);
+      setError(`Failed to remove document: ${err.response?.data?.error || err.message}`);
     }
-    
-    // Cleanup interval when component unmounts or research completes
-    return () => {
-      if (pollingId) {
-        clearInterval(pollingId);
-      }
-    };
-  }, [loading, pollingId]);
+  };
 
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -56,19 +283,31 @@ function App() {
 
     setLoading(true);
     setError(null);
+    setResults(null);
+    setStreamingResponse('');
     // Reset research steps to show only the initial step
     setResearchSteps([{ 
       step: "Starting research process", 
       timestamp: new Date().toISOString() 
     }]);
     
-    // Start polling immediately
-    const id = setInterval(pollResearchStatus, 2000);
-    setPollingId(id);
+    // Subscribe to the progress stream before the query starts
+    stopStreaming();
     
     try {
+      unsubscribeRef.current = await apiService.subscribeToResearch(sessionId, handleResearchEvent);
+      
       console.log("Sending query to API:", query, sessionId);
-      const response = await apiService.sendQuery(query, sessionId);
+      const askDocuments = Boolean(documentScope) && documents.length > 0;
+      const response = await apiService.sendQuery(query, sessionId, null, {
+        provider,
+        forceRefresh,
+        citationStyle,
+        answerFormat: compareDocuments ? 'comparison' : structuredAnswer ? 'structured' : null,
+        researchMode: askDocuments ? 'documents' : null,
+        documentIds: askDocuments && documentScope !== 'all' && !compareDocuments ? [documentScope] : null,
+        asOf
+      });
       console.log("Received API response:", response);
       setResults(response);
       // Add final research step
@@ -82,11 +321,7 @@ function App() {
       setError(`Failed to get research results: ${err.response?.data?.message || err.message}. Please try again.`);
     } finally {
       setLoading(false);
-      // Stop polling when done
-      if (pollingId) {
-        clearInterval(pollingId);
-        setPollingId(null);
-      }
+      stopStreaming();
     }
   };
 
@@ -103,14 +338,176 @@ function App() {
             type="text"
             value={query}
             onChange={(e) => setQuery(e.target.value)}
-            placeholder="Ask about commercial real estate trends, markets, properties..."
+            placeholder={documentScope && documents.length > 0
+              ? 'Ask about the uploaded documents...'
+              : 'Ask about commercial real estate trends, markets, properties...'}
             className="query-input"
           />
+          {documents.length > 0 && (
+            <select
+              value={documentScope}
+              onChange={(e) => setDocumentScope(e.target.value)}
+              className="research-mode-select"
+              title="Research every source, or answer from the uploaded documents alone, citing their pages"
+            >
+              <option value="">Research all sources</option>
+              <option value="all">Ask the uploaded documents</option>
+              {documents.map(item => (
+                <option key={item.documentId} value={item.documentId}>Ask {item.name}</option>
+              ))}
+            </select>
+          )}
+          {providers.length > 1 && (
+            <select
+              value={provider}
+              onChange={(e) => setProvider(e.target.value)}
+              className="provider-select"
+              title="AI model used for this research"
+            >
+              <option value="">Default model</option>
+              {providers.map(item => (
+                <option key={item.name} value={item.name}>
+                  {item.label}{item.selfHosted ? ' (self-hosted)' : ''}
+                </option>
+              ))}
+            </select>
+          )}
+          {citationStyles.length > 0 && (
+            <select
+              value={citationStyle}
+              onChange={(e) => setCitationStyle(e.target.value)}
+              className="citation-style-select"
+              title="Citation style of the sources list"
+            >
+              {citationStyles.map(item => (
+                <option key={item.id} value={item.id}>{item.label}</option>
+              ))}
+            </select>
+          )}
+          <label className="as-of-option" title="Only use data published or observed on or before this date">
+            As of
+            <input
+              type="date"
+              value={asOf}
+              max={new Date().toISOString().slice(0, 10)}
+              onChange={(e) => setAsOf(e.target.value)}
+              className="as-of-input"
+            />
+          </label>
+          <label className="refresh-option" title="Answer as claims with their sources and extracted figures">
+            <input
+              type="checkbox"
+              checked={structuredAnswer}
+              onChange={(e) => {
+                setStructuredAnswer(e.target.checked);
+                if (e.target.checked) setCompareDocuments(false);
+              }}
+            />
+            Structured
+          </label>
+          <label className="refresh-option" title="Answer with a side-by-side table of the uploaded documents, citing each">
+            <input
+              type="checkbox"
+              checked={compareDocuments}
+              disabled={documents.length < 2}
+              onChange={(e) => {
+                setCompareDocuments(e.target.checked);
+                if (e.target.checked) setStructuredAnswer(false);
+              }}
+            />
+            Compare documents
+          </label>
+          <label className="refresh-option" title="Ignore cached source results and answers">
+            <input
+              type="checkbox"
+              checked={forceRefresh}
+              onChange={(e) => setForceRefresh(e.target.checked)}
+            />
+            Refresh
+          </label>
           <button type="submit" className="submit-button" disabled={loading}>
             {loading ? 'Researching...' : 'Research'}
           </button>
         </form>
         
+        <div className="document-library">
+          <label className="document-upload" title="Research cites the most relevant passages of these documents by page">
+            {uploading
+              ? 'Uploading...'
+              : `Add documents${documentFormats.length > 0 ? ` (${documentFormats.map(format => format.name).join(', ')})` : ''}`}
+            <input
+              type="file"
+              multiple
+              accept={documentFormats.flatMap(format => format.extensions).join(',') || undefined}
+              onChange={handleUpload}
+              disabled={uploading}
+              hidden
+            />
+          </label>
+          {documents.length > 0 && (
+            <ul className="document-list">
+              {documents.map(item => (
+                <li key={item.documentId}>
+                  <a href={apiService.getDocumentFileUrl(item.documentId)} target="_blank" rel="noopener noreferrer">
+                    {item.name}
+                  </a>
+                  <span className="document-meta">
+                    {item.pageCount ? ` ${item.pageCount} pages,` : ''} {item.chunkCount} passages
+                  </span>
+                  {item.hasLeaseAbstract && (
+                    <span className="document-meta">
+                      {' '}- Lease abstract:{' '}
+                      <a href={apiService.getLeaseAbstractUrl(item.documentId, 'json')} download>JSON</a>{' '}
+                      <a href={apiService.getLeaseAbstractUrl(item.documentId, 'csv')} download>CSV</a>
+                    </span>
+                  )}
+                  {item.ocr && (
+                    <span className="document-meta"> - {describeOcr(item.ocr)}</span>
+                  )}
+                  {item.financialMetrics && (
+                    <span className="document-meta"> - {describeFinancialMetrics(item.financialMetrics)}</span>
+                  )}
+                  <button type="button" className="document-remove" onClick={() => handleRemoveDocument(item.documentId)}>
+                    Remove
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+          {leaseAbstract && (
+            <div className="lease-abstract">
+              <h3>Lease Abstract: {leaseAbstract.name}</h3>
+              <table>
+                <thead>
+                  <tr>
+                    <th>Term</th>
+                    <th>Value</th>
+                    <th>Confidence</th>
+                    <th>Source</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {Object.entries(leaseAbstract.fields).map(([key, field]) => (
+                    <tr key={key} className={field.value === null ? 'abstract-missing' : ''} title={field.excerpt || ''}>
+                      <td>{field.label}</td>
+                      <td>{formatAbstractValue(field.value)}</td>
+                      <td>{field.value === null ? '' : field.confidence.toFixed(2)}</td>
+                      <td>
+                        {field.page && (
+                          <a href={apiService.getDocumentFileUrl(leaseAbstract.documentId, field.page)} target="_blank" rel="noopener noreferrer">
+                            Page {field.page}
+                          </a>
+                        )}
+                        {field.paragraph && ` paragraph ${field.paragraph}`}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+        
         {error && <div className="error-message">{error}</div>}
         
         {/* Research Steps Section */}
@@ -134,33 +531,104 @@ function App() {
           </div>
         )}
         
-        {results && !loading && (
+        {/* The answer renders as it streams in; citations are attached when it completes */}
+        {loading && !results && streamingResponse && (
           <div className="results">
             <h2>Research Results</h2>
             <div className="result-content markdown-content">
               <ReactMarkdown>
-                {results.response}
+                {streamingResponse}
               </ReactMarkdown>
             </div>
+          </div>
+        )}
+        
+        {results && (
+          <div className="results">
+            <h2>Research Results</h2>
+            {results.cached && (
+              <p className="cached-answer">
+                Cached answer from {new Date(results.cachedAt).toLocaleString()}. Check "Refresh" to research again.
+              </p>
+            )}
+            {results.standaloneQuery && results.standaloneQuery !== results.query && (
+              <p className="standalone-query">Researched as: {results.standaloneQuery}</p>
+            )}
+            <div className="result-content markdown-content">
+              {results.comparison ? (
+                <ComparisonAnswer response={results.response} comparison={results.comparison} />
+              ) : (
+                <ReactMarkdown>
+                  {results.response}
+                </ReactMarkdown>
+              )}
+            </div>
             
-            {/* Only show the citations section if it's not already included in the response */}
-            {results.citations && results.citations.length > 0 && 
-             !results.response.toLowerCase().includes('## sources') && 
-             !results.response.toLowerCase().includes('## references') && (
+            {/* The answer ends with a Sources section rendered on the server; this list adds provenance, credibility and verification */}
+            {results.citations && results.citations.length > 0 && (
               <div className="citations">
-                <h3>Sources</h3>
+                <h3>Source Details</h3>
+                <p className="citation-export">
+                  Export:{' '}
+                  {CITATION_EXPORT_FORMATS.map(({ format, label }) => (
+                    <a key={format} href={apiService.getCitationExportUrl(sessionId, format)} download>
+                      {label}
+                    </a>
+                  ))}
+                </p>
+                {results.verification && results.verification.invalidReferences.length > 0 && (
+                  <p className="citation-warning">
+                    The answer cites sources that don't exist: {results.verification.invalidReferences.map(number => `[${number}]`).join(', ')}
+                  </p>
+                )}
                 <ol>
                   {results.citations.map((citation, index) => (
                     <li key={index}>
+                      {citation.verification && (
+                        <span
+                          className={`verification-badge verification-${citation.verification.status}`}
+                          title={citation.verification.claims.map(claim => `${VERIFICATION_LABELS[claim.status]}: ${claim.sentence}`).join('\n')}
+                        >
+                          {VERIFICATION_LABELS[citation.verification.status]}
+                        </span>
+                      )}
+                      {citation.credibility && (
+                        <span
+                          className={`credibility-badge credibility-${getCredibilityLevel(citation.credibility.score)}`}
+                          title={describeCredibility(citation.credibility)}
+                        >
+                          Credibility {citation.credibility.score.toFixed(2)}
+                        </span>
+                      )}
+                      {citation.provenance && (
+                        <span className={`provenance-badge provenance-${citation.provenance}`}>
+                          {PROVENANCE_LABELS[citation.provenance] || citation.provenance}
+                        </span>
+                      )}
                       <strong>{citation.title}</strong>
                       {citation.authors && <span> - {citation.authors}</span>}
-                      {citation.date && <span> ({citation.date})</span>}
+                      {describeVintage(citation) && <span> ({describeVintage(citation)})</span>}
                       {citation.source && <span> from {citation.source}</span>}
-                      {citation.link && citation.link !== '#' && (
+                      {citation.documentId ? (
+                        <span> - {typeof citation.chunkIndex === 'number' && (
+                          <>
+                            <a href={apiService.getDocumentPassageUrl(citation.documentId, citation.chunkIndex)} target="_blank" rel="noopener noreferrer">
+                              View Passage
+                            </a>{' - '}
+                          </>
+                        )}<a href={apiService.getDocumentFileUrl(citation.documentId, citation.page)} target="_blank" rel="noopener noreferrer">
+                          {citation.page ? `View Page ${citation.page}` : 'View Document'}
+                        </a>{typeof citation.ocrConfidence === 'number' && ` (OCR, ${Math.round(citation.ocrConfidence * 100)}% confidence)`}</span>
+                      ) : citation.link && citation.link !== '#' && (
                         <span> - <a href={citation.link} target="_blank" rel="noopener noreferrer">
                           View Source
                         </a></span>
                       )}
+                      {citation.snapshotId && (
+                        <span> - <a href={apiService.getSnapshotViewUrl(citation.snapshotId)} target="_blank" rel="noopener noreferrer">
+                          Archived Copy
+                        </a></span>
+                      )}
                     </li>
                   ))}
                 </ol>
@@ -13,6 +13,7 @@ import DownloadIcon from '@mui/icons-material/Download';
 import SendIcon from '@mui/icons-material/Send';
 import ReactMarkdown from 'react-markdown';
 import axios from 'axios';
+import apiService from '../services/apiService';
 
 const API_BASE_URL = process.env.REACT_APP_API_BASE_URL || 'http://localhost:5000/api';
 
@@ -45,11 +46,26 @@ function ChatInterface({ sessionId, documentAnalysis, onReportGenerated, isProce
     if (!input.trim() || isLoading || isProcessingDocument) return;
     
     const userMessage = { role: 'user', content: input };
-    setMessages(prevMessages => [...prevMessages, userMessage]);
+    // The agent's answer streams into a placeholder message until the research completes
+    setMessages(prevMessages => [...prevMessages, userMessage, { role: 'agent', content: '', streaming: true }]);
     setInput('');
     setIsLoading(true);
     
+    const updateStreamingMessage = (update) => {
+      setMessages(prevMessages => prevMessages.map(message => 
+        message.streaming ? { ...message, ...update(message) } : message
+      ));
+    };
+    
+    let unsubscribe = null;
+    
     try {
+      unsubscribe = await apiService.subscribeToResearch(sessionId, (event, data) => {
+        if (event === 'token') {
+          updateStreamingMessage(message => ({ content: message.content + data.text }));
+        }
+      });
+      
       const response = await axios.post(`${API_BASE_URL}/query/research`, {
         query: input,
         sessionId,
@@ -58,20 +74,15 @@ function ChatInterface({ sessionId, documentAnalysis, onReportGenerated, isProce
       
       const { response: agentResponse, citations } = response.data;
       
-      setMessages(prevMessages => [
-        ...prevMessages, 
-        { role: 'agent', content: agentResponse, citations }
-      ]);
+      updateStreamingMessage(() => ({ content: agentResponse, citations, streaming: false }));
     } catch (error) {
       console.error('Error sending message:', error);
-      setMessages(prevMessages => [
-        ...prevMessages, 
-        { 
-          role: 'agent', 
-          content: 'I apologize, but I encountered an error while researching your query. Please try again or rephrase your question.' 
-        }
-      ]);
+      updateStreamingMessage(() => ({ 
+        content: 'I apologize, but I encountered an error while researching your query. Please try again or rephrase your question.',
+        streaming: false
+      }));
     } finally {
+      if (unsubscribe) unsubscribe();
       setIsLoading(false);
     }
   };
@@ -137,7 +148,7 @@ function ChatInterface({ sessionId, documentAnalysis, onReportGenerated, isProce
           bgcolor: '#f9f9f9'
         }}
       >
-        {messages.map((message, index) => (
+        {messages.filter(message => !message.streaming || message.content).map((message, index) => (
           <Box 
             key={index} 
             sx={{ 
@@ -13,6 +13,25 @@ import axios from 'axios';
 
 const API_BASE_URL = process.env.REACT_APP_API_BASE_URL || 'http://localhost:5000/api';
 
+// Formats the backend extracts text from (GET /document/formats), by MIME type
+const ACCEPTED_FORMATS = {
+  'application/pdf': ['.pdf'],
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': ['.docx'],
+  'application/msword': ['.doc'],
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': ['.xlsx'],
+  'text/csv': ['.csv'],
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation': ['.pptx'],
+  'text/html': ['.html', '.htm', '.xhtml'],
+  'multipart/related': ['.mhtml', '.mht'],
+  'text/plain': ['.txt'],
+  'text/markdown': ['.md', '.markdown'],
+  'message/rfc822': ['.eml'],
+  'application/vnd.ms-outlook': ['.msg']
+};
+const ACCEPTED_EXTENSIONS = Object.values(ACCEPTED_FORMATS).flat();
+
+// Uploaded files are attached to the session's library together; onProcessingComplete receives
+// each file's result ({ name, analysis, document, abstract } or { name, error })
 function DocumentUpload({ sessionId, onProcessingStart, onProcessingComplete }) {
   const [isUploading, setIsUploading] = useState(false);
   const [error, setError] = useState(null);
@@ -20,17 +39,17 @@ function DocumentUpload({ sessionId, onProcessingStart, onProcessingComplete })
   const onDrop = useCallback(async (acceptedFiles) => {
     if (acceptedFiles.length === 0) return;
     
-    const file = acceptedFiles[0];
-    
     // Check file size (10MB limit)
-    if (file.size > 10 * 1024 * 1024) {
-      setError('File size exceeds 10MB limit');
+    const tooLarge = acceptedFiles.find(file => file.size > 10 * 1024 * 1024);
+    if (tooLarge) {
+      setError(`${tooLarge.name} exceeds the 10MB limit`);
       return;
     }
     
-    // Check file type
-    if (!['application/pdf', 'application/msword', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'].includes(file.type)) {
-      setError('Only PDF and Word documents are supported');
+    // Check file type by extension (browsers report no MIME type for some formats, e.g. .msg)
+    const unsupported = acceptedFiles.find(file => !ACCEPTED_EXTENSIONS.some(extension => file.name.toLowerCase().endsWith(extension)));
+    if (unsupported) {
+      setError(`${unsupported.name}: supported formats are ${ACCEPTED_EXTENSIONS.join(', ')}`);
       return;
     }
     
@@ -40,20 +59,24 @@ function DocumentUpload({ sessionId, onProcessingStart, onProcessingComplete })
     
     try {
       const formData = new FormData();
-      formData.append('document', file);
+      acceptedFiles.forEach(file => formData.append('documents', file));
       formData.append('sessionId', sessionId);
       
-      const response = await axios.post(`${API_BASE_URL}/document/upload`, formData, {
+      const response = await axios.post(`${API_BASE_URL}/document/upload-multiple`, formData, {
         headers: {
           'Content-Type': 'multipart/form-data'
         }
       });
       
-      onProcessingComplete(response.data.analysis);
+      const failed = response.data.results.filter(result => result.error);
+      if (failed.length > 0) {
+        setError(`Failed to upload ${failed.map(result => result.name).join(', ')}`);
+      }
+      onProcessingComplete(response.data.results);
     } catch (error) {
-      console.error('Error uploading document:', error);
-      setError(error.response?.data?.error || 'Failed to upload document');
-      onProcessingComplete(null);
+      console.error('Error uploading documents:', error);
+      setError(error.response?.data?.error || 'Failed to upload documents');
+      onProcessingComplete(error.response?.data?.results || []);
     } finally {
       setIsUploading(false);
     }
@@ -61,12 +84,8 @@ function DocumentUpload({ sessionId, onProcessingStart, onProcessingComplete })
   
   const { getRootProps, getInputProps, isDragActive } = useDropzone({
     onDrop,
-    accept: {
-      'application/pdf': ['.pdf'],
-      'application/msword': ['.doc'],
-      'application/vnd.openxmlformats-officedocument.wordprocessingml.document': ['.docx']
-    },
-    multiple: false,
+    accept: ACCEPTED_FORMATS,
+    multiple: true,
     disabled: isUploading
   });
   
@@ -98,18 +117,18 @@ function DocumentUpload({ sessionId, onProcessingStart, onProcessingComplete })
         {isUploading ? (
           <Box sx={{ display: 'flex', flexDirection: 'column', alignItems: 'center' }}>
             <CircularProgress size={24} sx={{ mb: 1 }} />
-            <Typography variant="body2">Uploading document...</Typography>
+            <Typography variant="body2">Uploading documents...</Typography>
           </Box>
         ) : (
           <Typography>
             {isDragActive
-              ? 'Drop your document here...'
-              : 'Drag & drop a document here, or click to select one'}
+              ? 'Drop your documents here...'
+              : 'Drag & drop documents here, or click to select them'}
           </Typography>
         )}
         
         <Typography variant="caption" display="block" sx={{ mt: 1, color: 'text.secondary' }}>
-          Supported formats: PDF, DOC, DOCX (Max 10MB)
+          Supported formats: PDF, Word, Excel / CSV, PowerPoint, HTML, text, markdown and email (Max 10MB)
         </Typography>
       </Paper>
       
@@ -129,10 +148,11 @@ function DocumentUpload({ sessionId, onProcessingStart, onProcessingComplete })
           <input
             type="file"
             hidden
-            accept=".pdf,.doc,.docx,application/pdf,application/msword,application/vnd.openxmlformats-officedocument.wordprocessingml.document"
+            multiple
+            accept={ACCEPTED_EXTENSIONS.join(',')}
             onChange={(e) => {
-              if (e.target.files && e.target.files[0]) {
-                onDrop([e.target.files[0]]);
+              if (e.target.files && e.target.files.length > 0) {
+                onDrop(Array.from(e.target.files));
               }
             }}
           />
@@ -1,6 +1,10 @@
 import axios from 'axios';
 
 const API_BASE_URL = 'http://localhost:12345/api';
+const WS_BASE_URL = API_BASE_URL.replace(/^http/, 'ws');
+
+// Events pushed by the research progress stream
+const RESEARCH_EVENTS = ['start', 'step', 'token', 'result', 'complete', 'failed'];
 
 const apiService = {
   /**
@@ -8,14 +12,31 @@ const apiService = {
    * @param {string} query - The research query
    * @param {string} sessionId - Session identifier
    * @param {string} documentContext - Optional document context
+   * @param {Object} options - Optional research options
+   * @param {string} options.provider - AI provider for every AI call of this research run
+   * @param {boolean} options.forceRefresh - Bypass cached source results and answers
+   * @param {string} options.citationStyle - Citation style of the answer's Sources section
+   * @param {string} options.answerFormat - markdown, or structured for claims, sources and figures as data
+   * @param {string} options.researchMode - research (every source) or documents (the uploaded documents alone)
+   * @param {Array<string>} options.documentIds - Documents to answer from or compare (all of the session's if unset)
+   * @param {string} options.asOf - Only use data published or observed on or before this ISO date
+   * @param {Object} options.dateRange - Only use data from { from, to } (ISO dates)
    * @returns {Promise} - Promise with response data
    */
-  sendQuery: async (query, sessionId, documentContext = null) => {
+  sendQuery: async (query, sessionId, documentContext = null, { provider = null, forceRefresh = false, citationStyle = null, answerFormat = null, researchMode = null, documentIds = null, asOf = null, dateRange = null } = {}) => {
     try {
       const response = await axios.post(`${API_BASE_URL}/query/research`, {
         query,
         sessionId,
-        documentContext
+        documentContext,
+        provider: provider || undefined,
+        citationStyle: citationStyle || undefined,
+        answerFormat: answerFormat || undefined,
+        researchMode: researchMode || undefined,
+        documentIds: documentIds || undefined,
+        asOf: asOf || undefined,
+        dateRange: dateRange || undefined,
+        forceRefresh
       });
       return response.data;
     } catch (error) {
@@ -25,10 +46,11 @@ const apiService = {
   },
 
   /**
-   * Upload a document for analysis
+   * Upload a document for analysis and add it to the session's document library
    * @param {File} file - The document file
    * @param {string} sessionId - Session identifier
-   * @returns {Promise} - Promise with response data
+   * @returns {Promise} - Promise with response data ({ analysis, document, abstract } where
+   *   abstract is the lease abstract of leases, null otherwise)
    */
   uploadDocument: async (file, sessionId) => {
     try {
@@ -48,19 +70,90 @@ const apiService = {
     }
   },
 
+  /**
+   * Upload several documents at once and add them to the session's document library
+   * @param {Array<File>} files - The document files
+   * @param {string} sessionId - Session identifier
+   * @returns {Promise} - Promise with response data ({ documents, results } where results has
+   *   { name, analysis, document, abstract } or { name, error } for each file)
+   */
+  uploadDocuments: async (files, sessionId) => {
+    try {
+      const formData = new FormData();
+      files.forEach(file => formData.append('documents', file));
+      formData.append('sessionId', sessionId);
+      
+      const response = await axios.post(`${API_BASE_URL}/document/upload-multiple`, formData, {
+        headers: {
+          'Content-Type': 'multipart/form-data'
+        }
+      });
+      return response.data;
+    } catch (error) {
+      console.error('API Error (uploadDocuments):', error);
+      throw error;
+    }
+  },
+
+  /**
+   * List the formats documents can be uploaded in
+   * @returns {Promise} - Promise with response data ({ formats } with each format's name and extensions)
+   */
+  listDocumentFormats: async () => {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/document/formats`);
+      return response.data;
+    } catch (error) {
+      console.error('API Error (listDocumentFormats):', error);
+      throw error;
+    }
+  },
+
+  /**
+   * List the documents in a session's library
+   * @param {string} sessionId - Session identifier
+   * @returns {Promise} - Promise with response data ({ documents })
+   */
+  listDocuments: async (sessionId) => {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/document`, { params: { sessionId } });
+      return response.data;
+    } catch (error) {
+      console.error('API Error (listDocuments):', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Remove a document from the library
+   * @param {string} documentId - Document identifier
+   * @returns {Promise} - Promise with response data
+   */
+  deleteDocument: async (documentId) => {
+    try {
+      const response = await axios.delete(`${API_BASE_URL}/document/${encodeURIComponent(documentId)}`);
+      return response.data;
+    } catch (error) {
+      console.error('API Error (deleteDocument):', error);
+      throw error;
+    }
+  },
+
   /**
    * Generate a PDF report
    * @param {string} queryResults - Compiled query results
    * @param {string} documentAnalysis - Document analysis summary
    * @param {Array} citations - Array of citations
+   * @param {string} citationStyle - Citation style for the report's citations (optional)
    * @returns {Promise} - Promise with response data including reportId
    */
-  generateReport: async (queryResults, documentAnalysis = null, citations = []) => {
+  generateReport: async (queryResults, documentAnalysis = null, citations = [], citationStyle = null) => {
     try {
       const response = await axios.post(`${API_BASE_URL}/report/generate`, {
         queryResults,
         documentAnalysis,
-        citations
+        citations,
+        citationStyle: citationStyle || undefined
       });
       return response.data;
     } catch (error) {
@@ -91,7 +184,174 @@ const apiService = {
       console.error('API Error (getResearchStatus):', error);
       throw error;
     }
-  }
+  },
+
+  /**
+   * List the AI providers the backend supports
+   * @returns {Promise} - Promise with the providers and their configuration status
+   */
+  listProviders: async () => {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/query/providers`);
+      return response.data;
+    } catch (error) {
+      console.error('API Error (listProviders):', error);
+      throw error;
+    }
+  },
+
+  /**
+   * List the citation styles answers, reports and exports can use
+   * @returns {Promise} - Promise with the styles, the default flagged
+   */
+  listCitationStyles: async () => {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/citations/styles`);
+      return response.data;
+    } catch (error) {
+      console.error('API Error (listCitationStyles):', error);
+      throw error;
+    }
+  },
+
+  /**
+   * List past research sessions
+   * @param {number} limit - Maximum number of sessions to return
+   * @param {number} offset - Number of sessions to skip
+   * @returns {Promise} - Promise with the session summaries
+   */
+  listSessions: async (limit = 20, offset = 0) => {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/sessions`, { params: { limit, offset } });
+      return response.data;
+    } catch (error) {
+      console.error('API Error (listSessions):', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get a past research session
+   * @param {string} sessionId - Session identifier
+   * @returns {Promise} - Promise with the session's steps, results, response and citations
+   */
+  getSession: async (sessionId) => {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/sessions/${sessionId}`);
+      return response.data;
+    } catch (error) {
+      console.error('API Error (getSession):', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get the download URL of a session's citations
+   * @param {string} sessionId - Session identifier
+   * @param {string} format - bibtex, ris, csl-json or text (in the session's citation style)
+   * @returns {string} - The export URL
+   */
+  getCitationExportUrl: (sessionId, format) =>
+    `${API_BASE_URL}/sessions/${encodeURIComponent(sessionId)}/citations?format=${encodeURIComponent(format)}`,
+
+  /**
+   * Get the URL of the archived copy of a cited source
+   * @param {string} snapshotId - Snapshot identifier from the citation
+   * @returns {string} - The page URL
+   */
+  getSnapshotViewUrl: (snapshotId) =>
+    `${API_BASE_URL}/snapshots/${encodeURIComponent(snapshotId)}/view`,
+
+  /**
+   * Get the URL of an uploaded document, opened at a page for PDFs
+   * @param {string} documentId - Document identifier from the citation
+   * @param {number} page - Page number (optional)
+   * @returns {string} - The file URL
+   */
+  getDocumentFileUrl: (documentId, page = null) =>
+    `${API_BASE_URL}/document/${encodeURIComponent(documentId)}/file${page ? `#page=${page}` : ''}`,
+
+  /**
+   * Get the URL of a cited passage, highlighted in its page or section
+   * @param {string} documentId - Document identifier from the citation
+   * @param {number} chunkIndex - Passage index from the citation
+   * @returns {string} - The page URL, anchored at the passage
+   */
+  getDocumentPassageUrl: (documentId, chunkIndex) =>
+    `${API_BASE_URL}/document/${encodeURIComponent(documentId)}/passages/${chunkIndex}#passage`,
+
+  /**
+   * Get the download URL of a lease's abstract
+   * @param {string} documentId - Document identifier
+   * @param {string} format - json or csv
+   * @returns {string} - The export URL
+   */
+  getLeaseAbstractUrl: (documentId, format) =>
+    `${API_BASE_URL}/document/${encodeURIComponent(documentId)}/abstract?format=${encodeURIComponent(format)}`,
+
+  /**
+   * Subscribe to research progress for a session. Uses Server-Sent Events and
+   * falls back to a WebSocket when EventSource is unavailable or cannot connect.
+   * @param {string} sessionId - Session identifier
+   * @param {Function} onEvent - Called with (event, data) for each pushed event
+   * @returns {Promise<Function>} - Resolves with a function that closes the subscription
+   *   once the stream is connected (or after a short grace period)
+   */
+  subscribeToResearch: (sessionId, onEvent) => new Promise((resolve) => {
+    let eventSource = null;
+    let socket = null;
+    let closed = false;
+
+    const close = () => {
+      closed = true;
+      if (eventSource) eventSource.close();
+      if (socket) socket.close();
+    };
+
+    // Don't hold up the research if the stream is slow to connect
+    const graceTimer = setTimeout(() => resolve(close), 3000);
+    const connected = () => {
+      clearTimeout(graceTimer);
+      resolve(close);
+    };
+
+    const openSocket = () => {
+      socket = new WebSocket(`${WS_BASE_URL}/query/ws/${encodeURIComponent(sessionId)}`);
+      socket.onopen = connected;
+      socket.onmessage = (message) => {
+        const { event, data } = JSON.parse(message.data);
+        onEvent(event, data);
+      };
+      socket.onerror = (error) => {
+        console.error('API Error (subscribeToResearch):', error);
+      };
+    };
+
+    if (typeof window.EventSource !== 'function') {
+      openSocket();
+      return;
+    }
+
+    let opened = false;
+    eventSource = new EventSource(`${API_BASE_URL}/query/stream/${encodeURIComponent(sessionId)}`);
+    eventSource.onopen = () => {
+      opened = true;
+      connected();
+    };
+    eventSource.onerror = () => {
+      // Only fall back if the stream never connected; otherwise EventSource reconnects itself
+      if (!opened && !closed) {
+        eventSource.close();
+        eventSource = null;
+        openSocket();
+      }
+    };
+    RESEARCH_EVENTS.forEach((event) => {
+      eventSource.addEventListener(event, (message) => {
+        onEvent(event, JSON.parse(message.data));
+      });
+    });
+  })
 };
 
-export default apiService; 
\ No newline at end of file
+export default apiService;